@@ -1,1232 +1,538 @@
 /*
-  Hole Cards Dashboard (vanilla static site)
+  Hole Cards Dashboard (vanilla static site, native ES modules — no build step)
   - Multi-publisher support: tracks messages from multiple extension instances
+  - Multi-room monitoring: comma-separated game IDs, one hub connection + store per room, tabs or split grid
   - Builds wss URL: ?room=...&role=sub&token=... (JWT required for subscribers)
-  - Connect/disconnect with cleanup
-  - Auto-reconnect w/ exponential backoff (cap 10s)
-  - Renders latest 2 cards + metadata for selected publisher
-  - Keeps expandable log (max 50)
-  - Handles hub error codes: 4001 (invalid role), 4002 (invalid token), 4003 (token expired), 4004 (claim mismatch)
+  - Connect/disconnect with cleanup, auto-reconnect w/ exponential backoff (cap 10s)
+  - Renders latest 2 cards + metadata for selected publisher, and the table (seats, board, pot) from state messages
+  - Keeps the last 5000 log entries (ring buffer, virtual scrolling, filters + search); messages that fail their schema go to the Invalid panel instead of the store
+  - Keeps a bounded hand history per publisher with a browsable timeline
+  - Saves each room's publishers, hand history and log rows in IndexedDB and restores them after a reload
+  - Records the raw hub stream (NDJSON export) and replays saved sessions through the same pipeline
+  - Exports the recorded hands as PokerStars-style hand histories or JSON (whole room or one publisher)
+  - Pluggable transport (token fetch + hub socket); ?auth= points token requests at another issuer (e.g. mock-hub.js)
+  - Auth modes: dashboard password, pasted JWT, or OAuth-style sign-in redirect (also configurable via dashboard.config.json)
+  - OBS overlay mode (?mode=overlay&publisher=...&preset=...): cards + name only on a transparent page
+  - Broadcast delay buffer: every hub message is held for N seconds before it reaches the store/UI
+  - Operator alerts: rules edited in settings, delivered as toasts, sounds and browser notifications
+
+  This file only wires the UI; the logic lives in ./src:
+  - protocol.js / cards.js / format.js: parsing + formatting (pure)
+  - auth.js / authSettings.js / transport.js / connection.js: token fetch + auth modes, hub socket, reconnect lifecycle
+  - store.js: per-room publishers stores + hand history
+  - table.js: table view model built from state messages
+  - handTracker.js: splits the message stream into hands (recaps + export)
+  - equity.js / recap.js: local hand evaluator + per-street equity recaps for finished hands
+  - schema.js: versioned message schemas (hand, state, snapshot) + rejected messages
+  - pipeline.js: parse -> broadcast delay -> schema check -> typed handlers (store + log) -> render
+  - persistence.js: per-room IndexedDB save/restore
+  - render.js / log.js: DOM rendering (overlay.js: overlay mode options)
+  - recorder.js / replay.js / handExport.js: session recording, replay, hand-history export
+  - alerts.js: alert rules over the processed stream + toasts / sounds / notifications
 */
 
-const MAX_LOG = 50;
-const RECONNECT_CAP_MS = 10_000;
-const RECONNECT_BASE_MS = 500;
-const RENDER_DEBOUNCE_MS = 100;
-
-/** @type {WebSocket | null} */
-let ws = null;
-let manualDisconnect = false;
-let reconnectTimer = null;
-let reconnectAttempt = 0;
-let lastConfigKey = "";
-let lastWasAutoReconnect = false;
-
-let configDebounceTimer = null;
-let renderDebounceTimer = null;
-
-/** Track if last connection attempt used a token (for token expiry handling) */
-let lastConnectionUsedToken = false;
-
-/** Current room for reconnection */
-let currentRoom = "";
-
-/** Auth service configuration */
-const AUTH_SERVICE_URL = "https://dom-auth.onrender.com/token";
-
-/** Guard to prevent re-auth reconnect loops on token expiry (4003) */
-let reAuthInFlight = false;
-
-
-// ============================================================
-// Multi-Publisher Store
-// ============================================================
-// publishers[publisherId] = { lastSeen: number, playerName: string|null, latestByType: { [type]: fullMessage } }
-/** @type {Record<string, { lastSeen: number, playerName: string|null, latestByType: Record<string, any> }>} */
-const publishers = {};
-
-/** Currently selected publisher ID (null = auto-select most recent) */
-let selectedPublisherId = null;
-
-// ============================================================
-// DOM Elements
-// ============================================================
-const els = {
-  hubInput: document.getElementById("hubInput"),
-  gameIdInput: document.getElementById("gameIdInput"),
-  dashboardPasswordInput: document.getElementById("dashboardPasswordInput"),
-  passwordField: document.getElementById("passwordField"),
-
-  connectBtn: document.getElementById("connectBtn"),
-  disconnectBtn: document.getElementById("disconnectBtn"),
-  clearLogBtn: document.getElementById("clearLogBtn"),
-
-  statusBadge: document.getElementById("statusBadge"),
-  statusText: document.getElementById("statusText"),
-
-  log: document.getElementById("log"),
-
-  // New multi-publisher elements
-  publishersList: document.getElementById("publishersList"),
-  publisherCount: document.getElementById("publisherCount"),
-  jsonViewer: document.getElementById("jsonViewer"),
-  publisherSwitcher: document.getElementById("publisherSwitcher"),
-  publisherCardsGrid: document.getElementById("publisherCardsGrid"),
-  settingsPanel: document.getElementById("settingsPanel"),
-  settingsToggle: document.getElementById("settingsToggle"),
-  debugPanel: document.getElementById("debugPanel"),
-  debugOpenToggle: document.getElementById("debugOpenToggle"),
-  debugToggle: document.getElementById("debugToggle"),
-  debugContent: document.getElementById("debugContent"),
-  debugTabs: Array.from(document.querySelectorAll(".debugTab")),
-  logViewer: document.getElementById("logViewer"),
-  jsonViewerSection: document.getElementById("jsonViewerSection"),
-};
-
-/**
- * Extract game ID from PokerNow URL or return the raw input
- * Accepts: https://www.pokernow.club/games/pglQ2HgWGgYbDUSq7f9moVbXR
- * Returns: pglQ2HgWGgYbDUSq7f9moVbXR
- */
-function extractGameId(input) {
-  const s = String(input || "").trim();
-  if (!s) return "";
-
-  // Try to extract from URL pattern
-  const match = s.match(/\/games\/([a-zA-Z0-9_-]+)/);
-  if (match && match[1]) {
-    return match[1];
-  }
-
-  // Otherwise return as-is (assuming it's already just the ID)
-  return s;
-}
-
-function normalizeValue(v) {
-  if (v == null) return "—";
-  const s = String(v).trim().toUpperCase();
-  if (s === "10") return "10"; // consistent choice: show 10 as "10"
-  if (s.length === 0) return "—";
-  return s;
-}
-
-function suitSymbol(suit) {
-  const s = String(suit || "").trim().toLowerCase();
-  if (s === "h") return "♥";
-  if (s === "d") return "♦";
-  if (s === "c") return "♣";
-  if (s === "s") return "♠";
-  return "?";
-}
-
-function suitColor(suit) {
-  const s = String(suit || "").trim().toLowerCase();
-  // Used as data attribute for styling. Keep values stable and explicit.
-  if (s === "s") return "spade";
-  if (s === "h") return "heart";
-  if (s === "d") return "diamond";
-  if (s === "c") return "club";
-  return "spade";
-}
-
-function formatTwoCards(value1, suit1, value2, suit2) {
-  const v1 = normalizeValue(value1);
-  const v2 = normalizeValue(value2);
-  const s1 = suitSymbol(suit1);
-  const s2 = suitSymbol(suit2);
-  return `${v1}${s1} ${v2}${s2}`;
-}
-
-/** Shorten a publisherId for display (first 8 chars) */
-function shortenId(id) {
-  if (!id) return "unknown";
-  return String(id).substring(0, 8);
-}
-
-/** Format seconds ago from timestamp */
-function formatSecondsAgo(ts) {
-  if (!ts) return "—";
-  const seconds = Math.floor((Date.now() - ts) / 1000);
-  if (seconds < 0) return "just now";
-  if (seconds === 0) return "just now";
-  if (seconds === 1) return "1s ago";
-  if (seconds < 60) return `${seconds}s ago`;
-  const minutes = Math.floor(seconds / 60);
-  if (minutes === 1) return "1m ago";
-  if (minutes < 60) return `${minutes}m ago`;
-  const hours = Math.floor(minutes / 60);
-  if (hours === 1) return "1h ago";
-  return `${hours}h ago`;
-}
-
-function setStatus(status) {
-  // status: connected | disconnected | reconnecting
-  els.statusBadge.dataset.status = status;
-  els.statusText.textContent = status;
-
-  const isConnected = status === "connected";
-  const isConnecting = status === "reconnecting";
-
-  els.connectBtn.disabled = isConnected || isConnecting;
-  els.disconnectBtn.disabled = !(isConnected || isConnecting);
-
-  // Collapse settings automatically once connected to keep UI clean mid-game
-  if (isConnected && els.settingsPanel && els.settingsToggle) {
-    els.settingsPanel.classList.remove("visible");
-    els.settingsToggle.setAttribute("aria-expanded", "false");
-  }
-}
-
-function updateQueryStringFromInputs() {
-  try {
-    const url = new URL(window.location.href);
-    const hub = els.hubInput.value.trim();
-    const gameId = extractGameId(els.gameIdInput.value);
-
-    if (hub) url.searchParams.set("hub", hub);
-    else url.searchParams.delete("hub");
-
-    if (gameId) url.searchParams.set("gameId", gameId);
-    else url.searchParams.delete("gameId");
-    // Never store password or token in URL
-    url.searchParams.delete("token");
-
-    window.history.replaceState({}, "", url.toString());
-  } catch {
-    // ignore
-  }
-}
-
-function currentConfigKey() {
-  return `${els.hubInput.value.trim()}|${extractGameId(els.gameIdInput.value)}`;
-}
-
-/**
- * Fetch subscriber token from dom_auth service using password authentication
- * @param {string} roomId - The room/game ID
- * @param {string} password - Dashboard password for authentication
- * @returns {Promise<{ token: string, expiresInSeconds: number | undefined }>} Token and expiry info
- * @throws {Error} With status code info (401 for wrong password, etc.)
- */
-async function getSubscriberToken(roomId, password) {
-  const pw = String(password || "").trim();
-  if (!pw) {
-    throw new Error("Missing password");
-  }
-
+import {
+  addAlertRule,
+  checkPresenceAlerts,
+  renderAlertRuleForm,
+  renderAlertRules,
+  requestNotificationPermission,
+} from "./src/alerts.js";
+import { loadAuthConfig } from "./src/auth.js";
+import {
+  applyAuthSettings,
+  beginRedirectSignIn,
+  consumeRedirectResult,
+  findUntrustedEndpoints,
+  getAuthSettings,
+  hasCredential,
+  renderAuthSettings,
+  setAuthDefaults,
+} from "./src/authSettings.js";
+import {
+  connect,
+  disconnect,
+  markConfigApplied,
+  markManualConnect,
+  renderConnectionStatus,
+  runHeartbeat,
+  scheduleConfigReconnect,
+  selectRoom,
+  stopMonitoringRoom,
+  updateQueryStringFromInputs,
+} from "./src/connection.js";
+import { buildDiagnosticReport } from "./src/diagnostics.js";
+import { copyText, els } from "./src/dom.js";
+import { formatDelay } from "./src/format.js";
+import { exportHandHistory } from "./src/handExport.js";
+import { setIdleTimeout } from "./src/heartbeat.js";
+import { canonicalPublisherId, clearRoomIdentity, mergePublishers, splitPublisher } from "./src/identity.js";
+import { appendLog, clearLog, exportLog, onLogScroll, renderLog, setLogFilter } from "./src/log.js";
+import { isOffline, registerServiceWorker, renderOfflineScreen, setOfflineScreenVisible } from "./src/offline.js";
+import { parseOverlayCredential, parseOverlayOptions, setOverlayOptions } from "./src/overlay.js";
+import { flushPersistence, forgetRoom, restoreSavedRooms, schedulePersist } from "./src/persistence.js";
+import { getBroadcastDelay, renderDelayBadge, resetStore, setBroadcastDelay } from "./src/pipeline.js";
+import { getPresenceThresholds, setPresenceThresholds } from "./src/presence.js";
+import { extractGameId, extractGameIds, parseDelay } from "./src/protocol.js";
+import { clearRoomPrefs, isPinned, movePinned, pinPublisher, setPublisherLabel, setSortMode } from "./src/publisherPrefs.js";
+import { exportSession, renderRecordCount } from "./src/recorder.js";
+import {
+  REPLAY_ROOM_ID,
+  exitReplay,
+  isReplayPlaying,
+  pauseReplay,
+  playReplay,
+  readReplayFile,
+  seekReplay,
+  setReplaySpeed,
+  startReplay,
+  stepReplay,
+} from "./src/replay.js";
+import {
+  getEffectivePublisherId,
+  isJsonDiffMode,
+  renderDiagnostics,
+  renderIdentityControls,
+  renderInvalidMessages,
+  renderPublishersUI,
+  scheduleRender,
+  selectPublisher,
+  setHistoryScope,
+  setJsonDiffMode,
+  setRoomLayout,
+  showLatestHand,
+  stepHandTimeline,
+} from "./src/render.js";
+import { clearInvalidMessages } from "./src/schema.js";
+import { ensureRoom, getActiveRoomId, publishers } from "./src/store.js";
+
+/** Deployment defaults from dashboard.config.json (optional; missing file = built-in defaults) */
+async function applyAuthConfigFile() {
   try {
-    const response = await fetch(AUTH_SERVICE_URL, {
-      method: 'POST',
-      headers: { 
-        'Content-Type': 'application/json',
-        'X-Dashboard-Password': pw
-      },
-      body: JSON.stringify({
-        room: roomId,
-        role: 'sub'  // Subscriber role
-      })
+    const cfg = await loadAuthConfig();
+    if (cfg) setAuthDefaults(cfg);
+  } catch (e) {
+    appendLog({
+      kind: "error",
+      time: Date.now(),
+      cardsText: "—",
+      raw: JSON.stringify({ error: "Ignoring dashboard config", detail: String(e && e.message ? e.message : e) }, null, 2),
     });
-    
-    if (!response.ok) {
-      if (response.status === 401) {
-        throw new Error('Unauthorized (wrong password)');
-      }
-      let errMsg = "";
-      try {
-        const errJson = await response.json();
-        errMsg = (errJson && (errJson.error || errJson.message)) ? String(errJson.error || errJson.message) : "";
-      } catch {
-        try {
-          errMsg = await response.text();
-        } catch {
-          errMsg = "";
-        }
-      }
-      throw new Error(errMsg || `Auth failed (${response.status})`);
-    }
-    
-    const data = await response.json();
-    
-    if (!data.token) {
-      throw new Error('No token in response');
-    }
-
-    return { token: data.token, expiresInSeconds: data.expiresInSeconds };
-  } catch (error) {
-    throw error;
   }
 }
 
-/**
- * buildWsUrl(hub, gameId, token) -> full WS URL with role=sub
- * Hub can be base like wss://x.onrender.com or wss://x.onrender.com/
- * 
- * Produces URL format: wss://dom-hub.onrender.com/?role=sub&room=...
- * Token is required for subscribers
- * Note: Uses 'room' parameter (not 'gameId') to match server expectations
- */
-function buildWsUrl(hub, gameId, token) {
-  let hubStr = String(hub || "").trim();
-  if (!hubStr) throw new Error("Missing hub");
-
-  // If user pasted host without scheme, default to wss://
-  if (!/^wss?:\/\//i.test(hubStr)) {
-    hubStr = `wss://${hubStr}`;
-  }
-
-  const u = new URL(hubStr);
-  u.searchParams.set("role", "sub");
-  
-  // Add room parameter (maps from gameId - this is what the server expects)
-  const room = String(gameId || "").trim();
-  if (!room) {
-    throw new Error("Missing room/gameId");
-  }
-  u.searchParams.set("room", room);
-  
-  const tokenValue = String(token || "").trim();
-  if (!tokenValue) throw new Error("Missing token (JWT required)");
-  u.searchParams.set("token", tokenValue);
-  return u.toString();
+/** Token handed back by the sign-in redirect (#access_token=...), if this page load is one */
+function applyRedirectResult() {
+  const result = consumeRedirectResult();
+  if (!result) return;
+  appendLog({
+    kind: result.ok ? "info" : "error",
+    time: Date.now(),
+    cardsText: result.ok ? "[signed in]" : "—",
+    raw: JSON.stringify(result.ok ? { event: "signed in", room: result.room } : { error: "Sign-in failed", detail: result.error }, null, 2),
+  });
 }
 
-function safeCleanupWs() {
-  if (reconnectTimer) {
-    clearTimeout(reconnectTimer);
-    reconnectTimer = null;
-  }
-
-  if (!ws) return;
-
-  try {
-    ws.onopen = null;
-    ws.onmessage = null;
-    ws.onerror = null;
-    ws.onclose = null;
-  } catch {
-    // ignore
-  }
+/** Bring back the saved publishers + log of the rooms about to connect (before their sockets open) */
+async function restoreSavedRoomsAndRender(roomIds) {
+  if ((await restoreSavedRooms(roomIds)) > 0) renderPublishersUI();
+}
 
+/** Overlay mode: hide the dashboard chrome before anything renders */
+function applyOverlayMode() {
   try {
-    if (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CONNECTING) {
-      ws.close(1000, "client disconnect");
-    }
+    const opts = parseOverlayOptions(new URL(window.location.href).searchParams);
+    if (!opts) return;
+    setOverlayOptions(opts);
+    document.body.classList.add("overlayMode");
   } catch {
     // ignore
   }
-
-  ws = null;
-}
-
-function disconnect() {
-  manualDisconnect = true;
-  lastWasAutoReconnect = false;
-  safeCleanupWs();
-  setStatus("disconnected");
 }
 
-function scheduleReconnect() {
-  if (manualDisconnect) return;
-  if (reconnectTimer) return;
+/** Overlay URLs may carry the credential in the fragment (OBS can't type it); read it once and drop it */
+function applyOverlayCredential() {
+  const credential = parseOverlayCredential(window.location.hash);
+  if (!credential) return;
 
-  const delay = Math.min(RECONNECT_CAP_MS, RECONNECT_BASE_MS * Math.pow(2, reconnectAttempt));
-  reconnectAttempt += 1;
-  lastWasAutoReconnect = true;
+  const clean = new URL(window.location.href);
+  clean.hash = "";
+  window.history.replaceState({}, "", clean.toString());
 
-  setStatus("reconnecting");
-  reconnectTimer = setTimeout(() => {
-    reconnectTimer = null;
-    connect({ isAuto: true });
-  }, delay);
+  if ("jwt" in credential) {
+    applyAuthSettings({ mode: "jwt" });
+    els.jwtInput.value = credential.jwt;
+  } else {
+    applyAuthSettings({ mode: "password" });
+    els.dashboardPasswordInput.value = credential.password;
+  }
 }
 
-function openWebSocketConnection({ hub, room, token }) {
-  // Track connection state for expiry handling
-  lastConnectionUsedToken = !!token;
-  currentRoom = room;
-
-  const configKey = currentConfigKey();
-  lastConfigKey = configKey;
-  updateQueryStringFromInputs();
+async function prefillFromQueryParamsAndAutoconnect() {
+  await applyAuthConfigFile();
 
-  manualDisconnect = false;
-
-  // ensure any existing socket is gone
-  safeCleanupWs();
-
-  let url;
   try {
-    url = buildWsUrl(hub, room, token);
-    // Log the constructed URL for debugging (without exposing full token)
-    const urlForLog = token ? url.replace(/token=([^&]+)/, "token=***") : url;
-    appendLog({
-      kind: "message",
-      time: Date.now(),
-      cardsText: "Connecting...",
-      raw: JSON.stringify({ action: "connect", url: urlForLog, room: room, hasToken: !!token }, null, 2),
-    });
-  } catch (e) {
-    appendLog({
-      kind: "error",
-      time: Date.now(),
-      cardsText: "—",
-      raw: JSON.stringify({ error: String(e && e.message ? e.message : e) }, null, 2),
-    });
-    setStatus("disconnected");
-    return;
-  }
-
-  try {
-    ws = new WebSocket(url);
-  } catch (e) {
-    appendLog({
-      kind: "error",
-      time: Date.now(),
-      cardsText: "—",
-      raw: JSON.stringify({ error: "Failed to create WebSocket", detail: String(e) }, null, 2),
-    });
-    setStatus("disconnected");
-    scheduleReconnect();
-    return;
-  }
-
-  setStatus("reconnecting");
-
-  ws.onopen = () => {
-    reconnectAttempt = 0;
-    setStatus("connected");
-  };
-
-  ws.onmessage = (evt) => {
-    handleIncomingMessage(evt && evt.data);
-  };
-
-  ws.onerror = () => {
-    // Most browsers don't give useful error details.
-    appendLog({
-      kind: "error",
-      time: Date.now(),
-      cardsText: "(ws error)",
-      raw: JSON.stringify({ event: "error" }, null, 2),
-    });
-  };
-
-  ws.onclose = (evt) => {
-    ws = null;
-    const code = evt.code;
-    const reason = evt.reason || "";
-
-    // Handle specific hub error codes
-    switch (code) {
-      case 4001:
-        appendLog({
-          kind: "error",
-          time: Date.now(),
-          cardsText: "(close 4001)",
-          raw: JSON.stringify({ event: "close", code, reason: "Invalid role parameter", detail: reason }, null, 2),
-        });
-        break;
-      case 4002:
-        appendLog({
-          kind: "error",
-          time: Date.now(),
-          cardsText: "(close 4002)",
-          raw: JSON.stringify(
-            {
-              event: "close",
-              code,
-              reason: "Invalid or missing token",
-              detail: reason,
-              hint: "Authentication failed. Double-check your password and try again.",
-            },
-            null,
-            2
-          ),
-        });
-        break;
-      case 4003:
-        appendLog({
-          kind: "info",
-          time: Date.now(),
-          cardsText: "(close 4003)",
-          raw: JSON.stringify(
-            {
-              event: "close",
-              code,
-              reason: "Token expired",
-              detail: reason,
-              action: "Re-authenticating and reconnecting...",
-            },
-            null,
-            2
-          ),
-        });
-        break;
-      case 4004:
-        appendLog({
-          kind: "error",
-          time: Date.now(),
-          cardsText: "(close 4004)",
-          raw: JSON.stringify(
-            {
-              event: "close",
-              code,
-              reason: "Token claim mismatch (room/role)",
-              detail: reason,
-              hint: "JWT claims don't match the requested room or role.",
-            },
-            null,
-            2
-          ),
-        });
-        break;
-      default:
-        if (code !== 1000) {
-          appendLog({
-            kind: "info",
-            time: Date.now(),
-            cardsText: `(close ${code})`,
-            raw: JSON.stringify({ event: "close", code, reason: reason || "Connection closed" }, null, 2),
-          });
-        }
-    }
-
-    if (manualDisconnect) {
-      setStatus("disconnected");
-      return;
-    }
-
-    // Don't auto-reconnect for certain error codes
-    if (code === 4001 || code === 4004) {
-      setStatus("disconnected");
-      return;
+    const u = new URL(window.location.href);
+    const hub = u.searchParams.get("hub");
+    const gameId = u.searchParams.get("gameId");
+    const layout = u.searchParams.get("layout");
+    const delay = parseDelay(u.searchParams.get("delay"));
+    const staleMs = parseDelay(u.searchParams.get("stale"));
+    const offlineMs = parseDelay(u.searchParams.get("offline"));
+    const idleMs = parseDelay(u.searchParams.get("idle"));
+
+    // Auth overrides (e.g. ?auth=http://localhost:8787/token from mock-hub.js); another host gets
+    // credentials only once the operator confirms it
+    const requestedAuth = {
+      mode: u.searchParams.get("authMode"),
+      authUrl: u.searchParams.get("auth"),
+      authorizeUrl: u.searchParams.get("authorize"),
+    };
+    for (const endpoint of findUntrustedEndpoints(requestedAuth, window.location.href)) {
+      const what = endpoint.field === "authUrl" ? "send your dashboard password to" : "sign you in through";
+      if (!window.confirm(`This link asks the dashboard to ${what} ${endpoint.origin}:\n\n${endpoint.url}\n\nOnly continue if you trust this host.`)) {
+        requestedAuth[endpoint.field] = null;
+      }
     }
+    applyAuthSettings(requestedAuth);
+    if (document.body.classList.contains("overlayMode")) applyOverlayCredential();
+    applyRedirectResult();
+    renderAuthSettings();
 
-    if (code === 4002) {
-      // Token required but not provided or invalid
-      setStatus("disconnected");
-      return;
+    if (hub) els.hubInput.value = hub;
+    if (gameId) els.gameIdInput.value = extractGameIds(gameId).join(", ");
+    if (layout) setRoomLayout(layout);
+    if (delay != null) {
+      setBroadcastDelay(delay);
+      if (els.delayInput) els.delayInput.value = formatDelay(delay).replace(" ", "");
     }
-
-    if (code === 4003) {
-      // Token expired -> re-auth and reconnect (guarded to prevent loops)
-      void reAuthAndReconnect();
-      return;
+    if (staleMs != null || offlineMs != null) {
+      setPresenceThresholds({ staleMs: staleMs ?? undefined, offlineMs: offlineMs ?? undefined });
+      renderPresenceInputs();
     }
-
-    // For other unexpected close codes, attempt reconnect
-    setStatus("reconnecting");
-    scheduleReconnect();
-  };
-}
-
-async function reAuthAndReconnect() {
-  if (reAuthInFlight) return;
-  reAuthInFlight = true;
-
-  try {
-    if (manualDisconnect) return;
-
-    const hub = els.hubInput.value.trim();
-    const room = currentRoom || extractGameId(els.gameIdInput.value);
-    const pw = (els.dashboardPasswordInput?.value || "").trim();
-
-    if (!pw) {
-      appendLog({
-        kind: "error",
-        time: Date.now(),
-        cardsText: "—",
-        raw: JSON.stringify(
-          {
-            error: "Token expired but password is missing",
-            hint: "Enter Dashboard Password and click Connect.",
-          },
-          null,
-          2
-        ),
-      });
-      setStatus("disconnected");
-      return;
+    if (idleMs != null && setIdleTimeout(idleMs) && els.idleTimeoutInput) {
+      els.idleTimeoutInput.value = formatDelay(idleMs).replace(" ", "");
     }
 
-    setStatus("reconnecting");
-    const auth = await getSubscriberToken(room, pw);
-    if (manualDisconnect) return;
-
-    openWebSocketConnection({ hub, room, token: auth.token });
-  } catch (e) {
-    appendLog({
-      kind: "error",
-      time: Date.now(),
-      cardsText: "—",
-      raw: JSON.stringify(
-        {
-          error: "Re-auth failed",
-          detail: String(e && e.message ? e.message : e),
-          hint: String(e && e.message ? e.message : e).includes("Unauthorized")
-            ? "Unauthorized (wrong password)"
-            : "Network/auth service error. Try again.",
-        },
-        null,
-        2
-      ),
-    });
-    setStatus("disconnected");
-  } finally {
-    reAuthInFlight = false;
-  }
-}
-
-async function connect(opts = {}) {
-  const hub = els.hubInput.value.trim();
-  const gameId = extractGameId(els.gameIdInput.value);
+    markConfigApplied();
+    if (gameId) await restoreSavedRoomsAndRender(extractGameIds(gameId));
 
-  // Validate required fields (hub, gameId, password required)
-  if (!hub) {
-    appendLog({
-      kind: "error",
-      time: Date.now(),
-      cardsText: "—",
-      raw: JSON.stringify({ error: "Missing hub URL" }, null, 2),
-    });
-    setStatus("disconnected");
-    return;
-  }
-
-  if (!gameId) {
-    appendLog({
-      kind: "error",
-      time: Date.now(),
-      cardsText: "—",
-      raw: JSON.stringify({ error: "Missing gameId/room" }, null, 2),
-    });
-    setStatus("disconnected");
-    return;
-  }
-
-  // Store current room for potential reconnection
-  currentRoom = gameId;
-
-  // Always require password (never persisted) and fetch JWT
-  const pw = (els.dashboardPasswordInput?.value || "").trim();
-
-  if (!pw) {
-    appendLog({
-      kind: "error",
-      time: Date.now(),
-      cardsText: "—",
-      raw: JSON.stringify(
-        {
-          error: "Missing dashboard password",
-          hint: "Enter Dashboard Password to fetch a JWT, then click Connect.",
-        },
-        null,
-        2
-      ),
-    });
-    setStatus("disconnected");
-    return;
-  }
-
-  try {
-    setStatus("reconnecting"); // Show connecting status during fetch
-    const auth = await getSubscriberToken(gameId, pw);
-    openWebSocketConnection({ hub, room: gameId, token: auth.token });
-  } catch (error) {
-    appendLog({
-      kind: "error",
-      time: Date.now(),
-      cardsText: "—",
-      raw: JSON.stringify(
-        {
-          error: "Failed to authenticate",
-          detail: error.message,
-          hint: String(error && error.message ? error.message : error).includes("Unauthorized")
-            ? "Unauthorized (wrong password)"
-            : "Network/auth service error. Try again.",
-        },
-        null,
-        2
-      ),
-    });
-    setStatus("disconnected");
-    return;
+    // Prefill only. Credentials are never stored, so we only auto-connect if the user already typed a
+    // password / pasted a JWT, or this load is the return from a sign-in redirect.
+    if (hub && gameId && hasCredential()) connect({ isAuto: true });
+  } catch {
+    // ignore
   }
 }
 
 // ============================================================
-// Card Rendering (for selected publisher)
+// Update "seconds ago" displays periodically
 // ============================================================
-
-// Deprecated single-card rendering removed in favor of per-publisher cards grid
-
-function prettyJson(objOrStr) {
-  if (typeof objOrStr === "string") return objOrStr;
-  try {
-    return JSON.stringify(objOrStr, null, 2);
-  } catch {
-    return String(objOrStr);
+setInterval(() => {
+  // Only update if we have publishers and are connected
+  if (Object.keys(publishers).length > 0) {
+    scheduleRender();
   }
-}
+  // Publishers going offline, in every room
+  checkPresenceAlerts();
+}, 5000);
 
-function extractHandFields(msg) {
-  const data = (msg && msg.data) || {};
-  return {
-    value1: data.value1,
-    suit1: data.suit1,
-    value2: data.value2,
-    suit2: data.suit2,
-    url: data.url,
-    ts: data.timestamp != null ? data.timestamp : msg && msg.timestamp,
-  };
-}
+// Health tab: rates and "connected for" move with time, so it is redrawn while shown
+setInterval(() => {
+  if (els.debugContent && !els.debugContent.hidden) renderDiagnostics();
+}, 1000);
 
 // ============================================================
-// Multi-Publisher Message Handling
+// Wire UI
 // ============================================================
+els.connectBtn.addEventListener("click", async () => {
+  markManualConnect();
+  await restoreSavedRoomsAndRender(extractGameIds(els.gameIdInput.value));
+  connect({ isAuto: false });
+});
 
-/**
- * Process a single message and update publishers store
- * @param {any} msg - Parsed message object
- * @param {number} receivedAt - Timestamp when message was received
- */
-function processMessage(msg, receivedAt) {
-  // Extract publisherId (required); fall back to "unknown" if missing
-  const publisherId = msg.publisherId || "unknown";
-  const playerName = msg.playerName || null;
-  const msgType = msg.type || "unknown";
-
-  // Update publishers store
-  if (!publishers[publisherId]) {
-    publishers[publisherId] = {
-      lastSeen: receivedAt,
-      playerName: playerName,
-      latestByType: {},
-    };
-  }
-  publishers[publisherId].lastSeen = receivedAt;
-  // Update playerName if provided (may change during session)
-  if (playerName) {
-    publishers[publisherId].playerName = playerName;
-  }
-  publishers[publisherId].latestByType[msgType] = msg;
-
-  // For log display
-  const { value1, suit1, value2, suit2, url, ts } = extractHandFields(msg);
-  const cardsText = formatTwoCards(value1, suit1, value2, suit2);
-  const hasCards =
-    value1 != null &&
-    suit1 != null &&
-    value2 != null &&
-    suit2 != null &&
-    String(value1).trim() !== "" &&
-    String(suit1).trim() !== "" &&
-    String(value2).trim() !== "" &&
-    String(suit2).trim() !== "";
-
-  // Append to log with publisher info
-  appendLog({
-    kind: hasCards ? "message" : "info",
-    time: ts != null ? Number(ts) : receivedAt,
-    cardsText: hasCards ? cardsText : `[${msgType}]`,
-    raw: prettyJson(msg),
-    publisherId: publisherId,
-  });
-}
-
-function handleIncomingMessage(raw) {
-  const receivedAt = Date.now();
+els.disconnectBtn.addEventListener("click", () => {
+  disconnect();
+});
 
-  if (typeof raw !== "string") {
-    appendLog({
-      kind: "error",
-      time: receivedAt,
-      cardsText: "—",
-      raw: JSON.stringify({ error: "Non-text WS message", receivedType: typeof raw }, null, 2),
-    });
-    return;
-  }
+els.clearLogBtn.addEventListener("click", () => {
+  clearLog();
+  // The saved log rows go too
+  schedulePersist();
+});
 
-  /** @type {any} */
-  let msg;
+// Log filters + virtual scrolling + export of the filtered entries
+els.log?.addEventListener("scroll", onLogScroll);
+els.logSearchInput?.addEventListener("input", () => setLogFilter({ search: els.logSearchInput.value }));
+els.logKindFilter?.addEventListener("change", () => setLogFilter({ kind: els.logKindFilter.value }));
+els.logPublisherFilter?.addEventListener("change", () => setLogFilter({ publisherId: els.logPublisherFilter.value }));
+els.logTypeFilter?.addEventListener("change", () => setLogFilter({ type: els.logTypeFilter.value }));
+els.exportLogBtn?.addEventListener("click", () => exportLog());
+window.addEventListener("resize", renderLog);
+
+// "Forget this room": drop its saved data and what is on screen (new messages are saved again)
+els.forgetRoomBtn?.addEventListener("click", async () => {
+  const roomId = getActiveRoomId();
+  if (!roomId) return;
   try {
-    msg = JSON.parse(raw);
+    await forgetRoom(roomId);
   } catch (e) {
     appendLog({
       kind: "error",
-      time: receivedAt,
-      cardsText: "(parse error)",
-      raw: JSON.stringify({ error: "JSON parse failed", detail: String(e), payload: raw }, null, 2),
-    });
-    return;
-  }
-
-  // Handle snapshot messages (sent by hub on initial connect)
-  // Snapshot contains multiple messages keyed by type in the data object
-  if (msg.type === "snapshot" && msg.data && typeof msg.data === "object") {
-    appendLog({
-      kind: "info",
-      time: receivedAt,
-      cardsText: "[snapshot]",
-      raw: JSON.stringify({ 
-        event: "snapshot", 
-        messageCount: Object.keys(msg.data).length,
-        types: Object.keys(msg.data)
-      }, null, 2),
-    });
-
-    // Process each message in the snapshot
-    Object.entries(msg.data).forEach(([type, subMsg]) => {
-      if (subMsg && typeof subMsg === "object") {
-        processMessage(subMsg, receivedAt);
-      }
+      time: Date.now(),
+      cardsText: "—",
+      raw: JSON.stringify({ error: "Could not forget room", room: roomId, detail: String(e && e.message ? e.message : e) }, null, 2),
     });
-
-    // Schedule a debounced re-render
-    scheduleRender();
     return;
   }
+  resetStore(roomId, { roomLogOnly: true });
+  clearRoomIdentity(roomId);
+  clearRoomPrefs(roomId);
+  appendLog({ kind: "info", time: Date.now(), cardsText: "[forgotten]", raw: JSON.stringify({ event: "room forgotten", room: roomId }, null, 2), roomId });
+});
 
-  // Handle regular messages
-  processMessage(msg, receivedAt);
-
-  // Schedule a debounced re-render
-  scheduleRender();
-}
-
-// ============================================================
-// Debounced Render
-// ============================================================
-
-function scheduleRender() {
-  if (renderDebounceTimer) return;
-  renderDebounceTimer = setTimeout(() => {
-    renderDebounceTimer = null;
-    renderPublishersUI();
-  }, RENDER_DEBOUNCE_MS);
-}
-
-/** Get the effective selected publisher (auto-select most recent if none selected) */
-function getEffectivePublisherId() {
-  // If we have a valid selection, use it
-  if (selectedPublisherId && publishers[selectedPublisherId]) {
-    return selectedPublisherId;
-  }
-
-  // Otherwise, auto-select most recently seen publisher
-  let mostRecent = null;
-  let mostRecentTime = 0;
-  for (const [id, pub] of Object.entries(publishers)) {
-    if (pub.lastSeen > mostRecentTime) {
-      mostRecentTime = pub.lastSeen;
-      mostRecent = id;
-    }
-  }
-  return mostRecent;
+// Offline screen: saved rooms open without connecting (the room is added to the inputs for when the hub is back)
+async function openSavedRoom(roomId) {
+  await restoreSavedRoomsAndRender([roomId]);
+  ensureRoom(roomId);
+  const ids = extractGameIds(els.gameIdInput.value);
+  if (!ids.includes(roomId)) els.gameIdInput.value = [...ids, roomId].join(", ");
+  selectRoom(roomId);
+  setOfflineScreenVisible(false);
 }
 
-/** Render the full publishers UI and update card display */
-function renderPublishersUI() {
-  const pubIds = Object.keys(publishers);
-  const count = pubIds.length;
-
-  // Update count
-  if (els.publisherCount) {
-    els.publisherCount.textContent = count > 0 ? `(${count})` : "";
-  }
-  if (els.publisherSwitcher) {
-    els.publisherSwitcher.hidden = count === 0;
-  }
-
-  // Render publishers list
-  if (els.publishersList) {
-    els.publishersList.innerHTML = "";
-
-    if (count === 0) {
-      const empty = document.createElement("div");
-      empty.className = "pubEmpty";
-      empty.textContent = "No publishers yet. Waiting for messages...";
-      els.publishersList.appendChild(empty);
-    } else {
-      // Sort by lastSeen descending (most recent first)
-      const sorted = pubIds.sort((a, b) => publishers[b].lastSeen - publishers[a].lastSeen);
-
-      for (const id of sorted) {
-        const pub = publishers[id];
-        const isSelected = getEffectivePublisherId() === id;
-
-        const card = document.createElement("div");
-        card.className = `pubCard${isSelected ? " selected" : ""}`;
-        card.dataset.pubId = id;
-
-        // Player name (if available) or Publisher ID (shortened)
-        const nameSpan = document.createElement("div");
-        nameSpan.className = "pubName";
-        nameSpan.textContent = pub.playerName || shortenId(id);
-
-        // Publisher ID (shortened) - shown below name if name exists
-        const idSpan = document.createElement("div");
-        idSpan.className = "pubId";
-        idSpan.textContent = pub.playerName ? `ID: ${shortenId(id)}` : "";
-
-        // Last seen
-        const seenSpan = document.createElement("div");
-        seenSpan.className = "pubLastSeen";
-        seenSpan.textContent = formatSecondsAgo(pub.lastSeen);
-
-        // Hand preview if available
-        const handMsg = pub.latestByType["hand"];
-        const handPreview = document.createElement("div");
-        handPreview.className = "pubHandPreview";
-        if (handMsg) {
-          const { value1, suit1, value2, suit2, ts } = extractHandFields(handMsg);
-          const hasCards = value1 && suit1 && value2 && suit2;
-          if (hasCards) {
-            // Use textContent to prevent XSS - create span element safely
-            const cardsSpan = document.createElement("span");
-            cardsSpan.className = "cards";
-            cardsSpan.textContent = formatTwoCards(value1, suit1, value2, suit2);
-            handPreview.appendChild(cardsSpan);
-          } else {
-            handPreview.textContent = "No cards";
-          }
-        } else {
-          handPreview.textContent = "No hand data";
-        }
-
-        card.appendChild(nameSpan);
-        if (pub.playerName) {
-          card.appendChild(idSpan);
-        }
-        card.appendChild(seenSpan);
-        card.appendChild(handPreview);
-
-        // Click to select
-        card.addEventListener("click", () => {
-          selectedPublisherId = id;
-          renderPublishersUI();
-        });
-
-        els.publishersList.appendChild(card);
-      }
-    }
-  }
-
-  renderPublisherCards();
-  renderSelectedPublisherDetails();
+function showOfflineScreen() {
+  if (document.body.classList.contains("overlayMode")) return;
+  setOfflineScreenVisible(true);
+  void renderOfflineScreen({ onOpenRoom: (roomId) => void openSavedRoom(roomId) });
 }
 
-// ============================================================
-// Log
-// ============================================================
+window.addEventListener("offline", showOfflineScreen);
+window.addEventListener("online", () => setOfflineScreenVisible(false));
+els.offlineDismissBtn?.addEventListener("click", () => setOfflineScreenVisible(false));
 
-function appendLog(entry) {
-  // entry: {kind, time, cardsText, raw, publisherId?}
-
-  const row = document.createElement("div");
-  row.className = `logRow${entry.kind === "error" ? " error" : ""}`;
-  row.dataset.expanded = "false";
-
-  const summary = document.createElement("div");
-  summary.className = "logRowSummary";
-
-  const left = document.createElement("div");
-  left.className = "logRowLeft";
+// Save pending changes before the page goes away (reload, tab close)
+window.addEventListener("pagehide", () => {
+  flushPersistence().catch(() => {});
+});
 
-  // Publisher badge (if available)
-  if (entry.publisherId) {
-    const pubBadge = document.createElement("span");
-    pubBadge.className = "pubBadge";
-    pubBadge.textContent = shortenId(entry.publisherId);
-    left.appendChild(pubBadge);
+// Auto-extract game IDs from PokerNow URLs on paste/input (separators are left as typed)
+els.gameIdInput.addEventListener("input", () => {
+  const extracted = els.gameIdInput.value.replace(/[^\s,]+/g, extractGameId);
+  if (extracted !== els.gameIdInput.value) {
+    els.gameIdInput.value = extracted;
   }
+  scheduleConfigReconnect();
+});
 
-  const badge = document.createElement("div");
-  badge.className = `badge ${/♥|♦/.test(entry.cardsText) ? "red" : "black"}`;
-
-  const cardsSpan = document.createElement("span");
-  cardsSpan.textContent = entry.cardsText;
-
-  badge.appendChild(cardsSpan);
-  left.appendChild(badge);
-
-  const right = document.createElement("div");
-  right.className = "rowMeta";
-  right.textContent = new Date(entry.time || Date.now()).toLocaleTimeString();
-
-  summary.appendChild(left);
-  summary.appendChild(right);
-
-  const details = document.createElement("div");
-  details.className = "logRowDetails";
-
-  const pre = document.createElement("pre");
-  pre.textContent = entry.raw || "";
-  details.appendChild(pre);
-
-  row.appendChild(summary);
-  row.appendChild(details);
-
-  row.addEventListener("click", () => {
-    row.dataset.expanded = row.dataset.expanded === "true" ? "false" : "true";
-  });
-
-  const nearBottom = els.log.scrollTop + els.log.clientHeight >= els.log.scrollHeight - 40;
-
-  els.log.appendChild(row);
-
-  // Trim to MAX_LOG
-  while (els.log.childElementCount > MAX_LOG) {
-    els.log.removeChild(els.log.firstElementChild);
-  }
+els.hubInput.addEventListener("input", () => {
+  scheduleConfigReconnect();
+});
 
-  // Keep scrolled to bottom when new entries arrive (but only if user is already near bottom)
-  if (nearBottom) {
-    els.log.scrollTop = els.log.scrollHeight;
-  }
-}
+els.dashboardPasswordInput?.addEventListener("input", () => {
+  scheduleConfigReconnect();
+});
 
-// Hand-history rail removed (log sidebar covers this use-case)
+// Auth settings apply to the next token fetch (no reconnect)
+els.authModeSelect?.addEventListener("change", () => {
+  applyAuthSettings({ mode: els.authModeSelect.value });
+  renderAuthSettings();
+  updateQueryStringFromInputs();
+});
 
-function renderPublisherCards() {
-  if (!els.publisherCardsGrid) return;
+els.authUrlInput?.addEventListener("input", () => {
+  applyAuthSettings({ authUrl: els.authUrlInput.value });
+  updateQueryStringFromInputs();
+});
 
-  const grid = els.publisherCardsGrid;
-  grid.innerHTML = "";
+els.authorizeUrlInput?.addEventListener("input", () => {
+  applyAuthSettings({ authorizeUrl: els.authorizeUrlInput.value });
+  updateQueryStringFromInputs();
+});
 
-  const entries = Object.entries(publishers).sort((a, b) => b[1].lastSeen - a[1].lastSeen);
+els.jwtInput?.addEventListener("input", () => {
+  els.jwtInput.classList.remove("token-expired");
+  scheduleConfigReconnect();
+});
 
-  if (entries.length === 0) {
-    const empty = document.createElement("div");
-    empty.className = "pubEmpty";
-    empty.textContent = "No publishers yet. Waiting for messages...";
-    grid.appendChild(empty);
+els.signInBtn?.addEventListener("click", () => {
+  // Sign-in tokens are issued for one room: the active tab, else the first listed room
+  const roomIds = extractGameIds(els.gameIdInput.value);
+  const room = roomIds.includes(getActiveRoomId()) ? getActiveRoomId() : roomIds[0];
+  const error = !getAuthSettings().authorizeUrl ? "Missing sign-in URL" : !room ? "Missing gameId/room" : "";
+  if (error) {
+    appendLog({ kind: "error", time: Date.now(), cardsText: "—", raw: JSON.stringify({ error }, null, 2) });
     return;
   }
-
-  const effectiveId = getEffectivePublisherId();
-
-  for (const [id, pub] of entries) {
-    const handMsg = pub.latestByType["hand"];
-    const { value1, suit1, value2, suit2 } = handMsg ? extractHandFields(handMsg) : {};
-    const hasCards = value1 && suit1 && value2 && suit2;
-
-    const card = document.createElement("div");
-    card.className = `pubCardTile${effectiveId === id ? " selected" : ""}`;
-    card.dataset.pubId = id;
-
-    const top = document.createElement("div");
-    top.className = "pubCardTop";
-
-    const name = document.createElement("div");
-    name.className = "pubCardName";
-    name.textContent = pub.playerName || shortenId(id);
-
-    const time = document.createElement("div");
-    time.className = "pubCardTime";
-    time.textContent = formatSecondsAgo(pub.lastSeen);
-
-    top.appendChild(name);
-    top.appendChild(time);
-
-    const cardsWrap = document.createElement("div");
-    cardsWrap.className = "miniCards";
-
-    if (hasCards) {
-      cardsWrap.appendChild(createMiniCard(value1, suit1));
-      cardsWrap.appendChild(createMiniCard(value2, suit2));
-    } else {
-      const placeholder = document.createElement("div");
-      placeholder.className = "handEmpty";
-      placeholder.textContent = "No cards yet.";
-      cardsWrap.appendChild(placeholder);
-    }
-
-    card.addEventListener("click", () => {
-      selectedPublisherId = id;
-      renderPublishersUI();
+  updateQueryStringFromInputs();
+  try {
+    beginRedirectSignIn(room);
+  } catch (e) {
+    appendLog({
+      kind: "error",
+      time: Date.now(),
+      cardsText: "—",
+      raw: JSON.stringify({ error: "Sign-in failed", detail: String(e && e.message ? e.message : e) }, null, 2),
     });
-
-    card.appendChild(top);
-    card.appendChild(cardsWrap);
-    grid.appendChild(card);
   }
-}
-
-function createMiniCard(value, suit) {
-  const tile = document.createElement("div");
-  tile.className = "miniCard";
-  const v = normalizeValue(value);
-  const s = suitSymbol(suit);
-  tile.dataset.color = suitColor(suit);
-  tile.dataset.value = v;
-  tile.dataset.suit = s;
-
-  const vEl = document.createElement("div");
-  vEl.className = "value";
-  vEl.textContent = v;
-  vEl.dataset.suit = s;
-
-  const sEl = document.createElement("div");
-  sEl.className = "suit";
-  sEl.textContent = s;
-
-  tile.appendChild(vEl);
-  tile.appendChild(sEl);
-  return tile;
-}
+});
 
-function renderSelectedPublisherDetails() {
-  const effectiveId = getEffectivePublisherId();
-  if (!els.jsonViewer) return;
+// Broadcast delay does not require a reconnect; it only re-times the buffer.
+// Applied on change (blur / Enter), never per keystroke: retyping "5m" as "10m" would pass through "1".
+els.delayInput?.addEventListener("input", () => {
+  els.delayInput.classList.toggle("invalid", parseDelay(els.delayInput.value) == null);
+});
 
-  if (!effectiveId || !publishers[effectiveId]) {
-    els.jsonViewer.textContent = "Select a publisher to view details.";
+els.delayInput?.addEventListener("change", () => {
+  const ms = parseDelay(els.delayInput.value);
+  const current = getBroadcastDelay();
+  const showCurrent = () => {
+    els.delayInput.value = formatDelay(current).replace(" ", "");
+    els.delayInput.classList.remove("invalid");
+  };
+  if (ms == null) {
+    showCurrent();
     return;
   }
-
-  const pub = publishers[effectiveId];
-  els.jsonViewer.innerHTML = "";
-
-  const types = Object.keys(pub.latestByType).sort();
-  if (types.length === 0) {
-    els.jsonViewer.textContent = "No messages yet.";
+  // Shortening releases buffered hole cards sooner, possibly straight to air
+  const to = ms === 0 ? "no delay (live)" : formatDelay(ms);
+  if (ms < current && !window.confirm(`Shorten the broadcast delay from ${formatDelay(current)} to ${to}? Buffered messages are released sooner.`)) {
+    showCurrent();
     return;
   }
+  setBroadcastDelay(ms);
+  updateQueryStringFromInputs();
+});
 
-  for (const type of types) {
-    const msg = pub.latestByType[type];
-
-    const typeEntry = document.createElement("div");
-    typeEntry.className = "jsonEntry";
-    typeEntry.dataset.expanded = "false";
-
-    const header = document.createElement("div");
-    header.className = "jsonEntryHeader";
-
-    const typeLabel = document.createElement("span");
-    typeLabel.className = "jsonType";
-    typeLabel.textContent = type;
-
-    const tsLabel = document.createElement("span");
-    tsLabel.className = "jsonTs";
-    tsLabel.textContent = msg.timestamp ? new Date(msg.timestamp).toLocaleTimeString() : "—";
-
-    header.appendChild(typeLabel);
-    header.appendChild(tsLabel);
-
-    const content = document.createElement("pre");
-    content.className = "jsonContent";
-    content.textContent = prettyJson(msg);
-
-    typeEntry.appendChild(header);
-    typeEntry.appendChild(content);
-
-    header.addEventListener("click", () => {
-      typeEntry.dataset.expanded = typeEntry.dataset.expanded === "true" ? "false" : "true";
-    });
-
-    els.jsonViewer.appendChild(typeEntry);
-  }
-}
-
-function clearLog() {
-  els.log.innerHTML = "";
-}
+// Publisher identity: merge the selected publisher into another one, split merged IDs back out
+els.mergeTargetSelect?.addEventListener("change", () => renderIdentityControls());
+
+els.mergePublisherBtn?.addEventListener("click", () => {
+  const roomId = getActiveRoomId();
+  const fromId = getEffectivePublisherId();
+  const intoId = els.mergeTargetSelect.value;
+  if (!fromId || !intoId || !mergePublishers(roomId, fromId, intoId)) return;
+  els.mergeTargetSelect.value = "";
+  schedulePersist(roomId);
+  selectPublisher(canonicalPublisherId(roomId, intoId));
+});
 
-function scheduleConfigReconnect() {
-  if (configDebounceTimer) clearTimeout(configDebounceTimer);
-  configDebounceTimer = setTimeout(() => {
-    configDebounceTimer = null;
-
-    const key = currentConfigKey();
-    updateQueryStringFromInputs();
-
-    // If we're connected (or trying), and config changed, reconnect cleanly.
-    const isActive = ws && (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CONNECTING);
-    const isPendingReconnect = Boolean(reconnectTimer);
-
-    if ((isActive || isPendingReconnect) && key !== lastConfigKey) {
-      const hub = els.hubInput.value.trim();
-      const gameId = extractGameId(els.gameIdInput.value);
-      // Token is optional now
-
-      lastConfigKey = key;
-      manualDisconnect = false;
-      safeCleanupWs();
-      // If config is currently incomplete (user is editing), just stop; they can connect once complete.
-      // Only hub and gameId are required; token is optional
-      if (hub && gameId) {
-        connect({ isAuto: true });
-      } else {
-        setStatus("disconnected");
-      }
-    } else {
-      lastConfigKey = key;
-    }
-  }, 250);
-}
+els.publisherAliases?.addEventListener("click", (e) => {
+  const btn = e.target.closest(".aliasSplitBtn");
+  if (!btn) return;
+  const roomId = getActiveRoomId();
+  if (!splitPublisher(roomId, btn.dataset.aliasId)) return;
+  schedulePersist(roomId);
+  renderPublishersUI();
+});
 
-function prefillFromQueryParamsAndAutoconnect() {
-  try {
-    const u = new URL(window.location.href);
-    const hub = u.searchParams.get("hub");
-    const gameId = u.searchParams.get("gameId");
+// Health tab: copy a text report of every monitored room
+els.copyDiagnosticsBtn?.addEventListener("click", async () => {
+  const ok = await copyText(buildDiagnosticReport({ hub: els.hubInput.value.trim() }));
+  els.copyDiagnosticsBtn.textContent = ok ? "Copied" : "Copy failed";
+  setTimeout(() => {
+    els.copyDiagnosticsBtn.textContent = "Copy report";
+  }, 1500);
+});
 
-    if (hub) els.hubInput.value = hub;
-    if (gameId) els.gameIdInput.value = gameId;
+// JSON viewer: diff against the previous message of each type
+els.jsonDiffToggle?.addEventListener("click", () => setJsonDiffMode(!isJsonDiffMode()));
 
-    lastConfigKey = currentConfigKey();
+// Operator labels, pinned slots and sort mode (per room, saved with it)
+els.sortModeSelect?.addEventListener("change", () => {
+  const roomId = getActiveRoomId();
+  if (!setSortMode(roomId, els.sortModeSelect.value)) return;
+  schedulePersist(roomId);
+  renderPublishersUI();
+});
 
-    // Prefill only. Password is required and never stored, so we do not auto-connect unless user already typed it.
-    const pw = (els.dashboardPasswordInput?.value || "").trim();
-    if (hub && gameId && pw) connect({ isAuto: true });
-  } catch {
-    // ignore
-  }
+/** Apply a change to the selected publisher's label / slot, then save + re-render */
+function updateSelectedPublisherPrefs(apply) {
+  const roomId = getActiveRoomId();
+  const publisherId = getEffectivePublisherId();
+  if (!publisherId) return;
+  apply(roomId, publisherId);
+  schedulePersist(roomId);
+  scheduleRender();
 }
 
-// ============================================================
-// Update "seconds ago" displays periodically
-// ============================================================
-setInterval(() => {
-  // Only update if we have publishers and are connected
-  if (Object.keys(publishers).length > 0) {
-    scheduleRender();
-  }
-}, 5000);
-
-// ============================================================
-// Wire UI
-// ============================================================
-els.connectBtn.addEventListener("click", () => {
-  lastWasAutoReconnect = false;
-  connect({ isAuto: false });
+els.pubLabelInput?.addEventListener("input", () => {
+  updateSelectedPublisherPrefs((roomId, id) => setPublisherLabel(roomId, id, { name: els.pubLabelInput.value }));
 });
 
-els.disconnectBtn.addEventListener("click", () => {
-  disconnect();
+els.pubColorInput?.addEventListener("input", () => {
+  updateSelectedPublisherPrefs((roomId, id) => setPublisherLabel(roomId, id, { color: els.pubColorInput.value }));
 });
 
-els.clearLogBtn.addEventListener("click", () => {
-  clearLog();
+els.pubAvatarInput?.addEventListener("input", () => {
+  updateSelectedPublisherPrefs((roomId, id) => {
+    const label = setPublisherLabel(roomId, id, { avatar: els.pubAvatarInput.value });
+    els.pubAvatarInput.classList.toggle("invalid", els.pubAvatarInput.value.trim() !== "" && !label.avatar);
+  });
 });
 
-// Auto-extract game ID from PokerNow URLs on paste/input
-els.gameIdInput.addEventListener("input", () => {
-  const extracted = extractGameId(els.gameIdInput.value);
-  if (extracted !== els.gameIdInput.value) {
-    els.gameIdInput.value = extracted;
-  }
-  scheduleConfigReconnect();
+els.pubPinBtn?.addEventListener("click", () => {
+  updateSelectedPublisherPrefs((roomId, id) => pinPublisher(roomId, id, !isPinned(roomId, id)));
+});
+els.pubMoveUpBtn?.addEventListener("click", () => updateSelectedPublisherPrefs((roomId, id) => movePinned(roomId, id, -1)));
+els.pubMoveDownBtn?.addEventListener("click", () => updateSelectedPublisherPrefs((roomId, id) => movePinned(roomId, id, 1)));
+
+els.pubResetLabelBtn?.addEventListener("click", () => {
+  updateSelectedPublisherPrefs((roomId, id) => setPublisherLabel(roomId, id, { name: "", color: "", avatar: "" }));
+  els.pubLabelInput.value = "";
+  els.pubColorInput.value = "#5bd5ff";
+  els.pubAvatarInput.value = "";
+  els.pubAvatarInput.classList.remove("invalid");
 });
 
-els.hubInput.addEventListener("input", () => {
-  scheduleConfigReconnect();
+// Presence thresholds: both inputs are read together, since stale must stay below offline
+function renderPresenceInputs() {
+  const { staleMs, offlineMs } = getPresenceThresholds();
+  if (els.staleAfterInput) els.staleAfterInput.value = formatDelay(staleMs).replace(" ", "");
+  if (els.offlineAfterInput) els.offlineAfterInput.value = formatDelay(offlineMs).replace(" ", "");
+}
+
+function onPresenceInput() {
+  const staleMs = parseDelay(els.staleAfterInput.value);
+  const offlineMs = parseDelay(els.offlineAfterInput.value);
+  const ok = staleMs != null && offlineMs != null && setPresenceThresholds({ staleMs, offlineMs });
+  els.staleAfterInput.classList.toggle("invalid", !ok);
+  els.offlineAfterInput.classList.toggle("invalid", !ok);
+  if (!ok) return;
+  scheduleRender();
+  updateQueryStringFromInputs();
+}
+
+els.staleAfterInput?.addEventListener("input", onPresenceInput);
+els.offlineAfterInput?.addEventListener("input", onPresenceInput);
+
+// Heartbeat watchdog idle timeout (0 = off)
+els.idleTimeoutInput?.addEventListener("input", () => {
+  const ms = parseDelay(els.idleTimeoutInput.value);
+  const ok = ms != null && setIdleTimeout(ms);
+  els.idleTimeoutInput.classList.toggle("invalid", !ok);
+  if (!ok) return;
+  runHeartbeat();
+  updateQueryStringFromInputs();
 });
 
-els.dashboardPasswordInput?.addEventListener("input", () => {
-  scheduleConfigReconnect();
+// Alert rules
+els.alertKindSelect?.addEventListener("change", () => renderAlertRuleForm());
+
+els.addAlertRuleBtn?.addEventListener("click", () => {
+  const notify = !!els.alertNotifyInput?.checked;
+  const rule = addAlertRule({
+    kind: els.alertKindSelect.value,
+    subject: els.alertSubjectInput ? els.alertSubjectInput.value : "",
+    count: els.alertCountInput ? Number(els.alertCountInput.value) : undefined,
+    sound: !!els.alertSoundInput?.checked,
+    notify,
+  });
+  if (!rule) return;
+  if (els.alertSubjectInput) els.alertSubjectInput.value = "";
+  renderAlertRules();
+  // Browsers only show the permission prompt in answer to a click
+  if (notify) void requestNotificationPermission();
 });
 
 // Settings toggle (collapsible header)
@@ -1241,6 +547,10 @@ if (els.settingsToggle && els.settingsPanel) {
 const debugViewers = {
   log: els.logViewer,
   json: els.jsonViewerSection,
+  history: els.historyViewerSection,
+  recap: els.recapViewerSection,
+  invalid: els.invalidViewerSection,
+  diagnostics: els.diagnosticsViewerSection,
 };
 
 const setDebugOpen = (isOpen) => {
@@ -1248,6 +558,7 @@ const setDebugOpen = (isOpen) => {
   if (isOpen) {
     els.debugPanel.classList.add("open");
     els.debugContent.hidden = false;
+    renderLog();
   } else {
     els.debugPanel.classList.remove("open");
     els.debugContent.hidden = true;
@@ -1288,20 +599,105 @@ if (els.debugTabs && els.debugTabs.length) {
       });
 
       tab.classList.add("active");
-      const targetViewer = target === "json" ? debugViewers.json : debugViewers.log;
+      const targetViewer = debugViewers[target] || debugViewers.log;
       if (targetViewer) {
         targetViewer.hidden = false;
         targetViewer.classList.add("active");
       }
+      // The log only draws the rows that fit, so it is redrawn once it has a size again
+      if (targetViewer === debugViewers.log) renderLog();
+      if (targetViewer === debugViewers.diagnostics) renderDiagnostics();
     });
   });
 }
 
+// Room tabs + split grid (rebuilt on every render, so clicks are delegated)
+els.roomTabsList?.addEventListener("click", (e) => {
+  const tab = e.target.closest(".roomTab");
+  if (!tab) return;
+  const roomId = tab.dataset.room;
+  if (!e.target.closest(".roomTabClose")) selectRoom(roomId);
+  else if (roomId === REPLAY_ROOM_ID) exitReplay();
+  else stopMonitoringRoom(roomId);
+});
+
+els.roomGrid?.addEventListener("click", (e) => {
+  const panel = e.target.closest(".roomPanel");
+  if (!panel) return;
+  selectRoom(panel.dataset.room);
+  const tile = e.target.closest(".pubCardTile");
+  if (tile) selectPublisher(tile.dataset.pubId);
+});
+
+els.roomLayoutToggle?.addEventListener("click", () => {
+  setRoomLayout(els.roomLayoutToggle.getAttribute("aria-pressed") === "true" ? "tabs" : "grid");
+  updateQueryStringFromInputs();
+});
+
+// Session export + replay controls
+els.exportSessionBtn?.addEventListener("click", () => exportSession());
+
+els.replayFileInput?.addEventListener("change", async () => {
+  const file = els.replayFileInput.files && els.replayFileInput.files[0];
+  els.replayFileInput.value = "";
+  if (!file) return;
+
+  const session = await readReplayFile(file);
+  if (!session) return;
+  disconnect();
+  startReplay(session);
+});
+
+els.replayPlayBtn?.addEventListener("click", () => {
+  if (isReplayPlaying()) pauseReplay();
+  else playReplay();
+});
+
+els.replayStepBtn?.addEventListener("click", () => stepReplay());
+els.replayExitBtn?.addEventListener("click", () => exitReplay());
+els.replaySpeedSelect?.addEventListener("change", () => setReplaySpeed(Number(els.replaySpeedSelect.value)));
+els.replaySeek?.addEventListener("change", () => seekReplay(Number(els.replaySeek.value)));
+
+// Hand history timeline controls
+els.historyScopeSelect?.addEventListener("change", () => {
+  setHistoryScope(els.historyScopeSelect.value);
+});
+
+els.historyPrevBtn?.addEventListener("click", () => stepHandTimeline(-1));
+els.historyNextBtn?.addEventListener("click", () => stepHandTimeline(1));
+els.historyLatestBtn?.addEventListener("click", () => showLatestHand());
+
+els.clearInvalidBtn?.addEventListener("click", () => {
+  clearInvalidMessages();
+  renderInvalidMessages();
+});
+
+// Hand-history export follows the timeline scope (whole room or one publisher)
+els.exportHandsBtn?.addEventListener("click", () => {
+  const scope = els.historyScopeSelect ? els.historyScopeSelect.value : "room";
+  const publisherId = scope === "room" ? null : scope;
+  const count = exportHandHistory({ format: els.handExportFormatSelect?.value, publisherId });
+  appendLog({
+    kind: count > 0 ? "info" : "error",
+    time: Date.now(),
+    cardsText: count > 0 ? "[hands exported]" : "—",
+    raw: JSON.stringify(count > 0 ? { event: "hands exported", hands: count, publisherId } : { error: "No recorded hands to export", publisherId }, null, 2),
+  });
+});
+
 // ============================================================
 // Initial state
 // ============================================================
-setStatus("disconnected");
+applyOverlayMode();
+renderConnectionStatus();
+renderDelayBadge();
+renderRecordCount();
 renderPublishersUI();
+renderAuthSettings();
+renderAlertRuleForm();
+renderAlertRules();
 
-prefillFromQueryParamsAndAutoconnect();
+void prefillFromQueryParamsAndAutoconnect();
 setDebugOpen(false);
+void registerServiceWorker();
+if (isOffline()) showOfflineScreen();
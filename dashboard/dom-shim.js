@@ -0,0 +1,394 @@
+/**
+ * Headless DOM shim for tests
+ *
+ * Just enough of the DOM for the dashboard modules to run under Node without a browser
+ * or any npm dependency: parses index.html into an element tree and exposes document,
+ * window, location and history on globalThis.
+ *
+ * Supported: getElementById, querySelector(All) with simple/compound selectors
+ * (tag, .class, #id, [attr], [attr="value"]) and descendant combinators, classList,
+ * dataset, textContent, innerHTML = "" (clear only), events, form control value/disabled/hidden,
+ * in-memory sessionStorage / localStorage, location.assign (only records the new href).
+ */
+
+import { readFileSync } from "node:fs";
+
+const VOID_TAGS = new Set(["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr"]);
+
+class ClassList {
+  constructor(el) {
+    this.el = el;
+  }
+  _list() {
+    return (this.el.className || "").split(/\s+/).filter(Boolean);
+  }
+  add(...names) {
+    const set = new Set(this._list());
+    names.forEach((n) => set.add(n));
+    this.el.className = [...set].join(" ");
+  }
+  remove(...names) {
+    this.el.className = this._list().filter((n) => !names.includes(n)).join(" ");
+  }
+  contains(name) {
+    return this._list().includes(name);
+  }
+  toggle(name, force) {
+    const want = force === undefined ? !this.contains(name) : !!force;
+    if (want) this.add(name);
+    else this.remove(name);
+    return want;
+  }
+}
+
+class Node {
+  constructor() {
+    this.parentNode = null;
+    this.childNodes = [];
+  }
+  get textContent() {
+    return this.childNodes.map((c) => c.textContent).join("");
+  }
+}
+
+class Text extends Node {
+  constructor(text) {
+    super();
+    this.data = String(text);
+  }
+  get textContent() {
+    return this.data;
+  }
+  set textContent(v) {
+    this.data = String(v);
+  }
+}
+
+class Element extends Node {
+  constructor(tagName, ownerDocument) {
+    super();
+    this.tagName = tagName.toUpperCase();
+    this.ownerDocument = ownerDocument;
+    this.attributes = {};
+    this.dataset = {};
+    this.style = {};
+    this.className = "";
+    this.classList = new ClassList(this);
+    this.listeners = {};
+    this.hidden = false;
+    this.disabled = false;
+    this.checked = false;
+    this.scrollTop = 0;
+    this.clientHeight = 0;
+    this.scrollHeight = 0;
+    this._value = undefined;
+  }
+
+  get id() {
+    return this.attributes.id || "";
+  }
+  set id(v) {
+    this.attributes.id = String(v);
+  }
+
+  get children() {
+    return this.childNodes.filter((c) => c instanceof Element);
+  }
+  get firstElementChild() {
+    return this.children[0] || null;
+  }
+  get childElementCount() {
+    return this.children.length;
+  }
+  get firstChild() {
+    return this.childNodes[0] || null;
+  }
+
+  get value() {
+    if (this._value !== undefined) return this._value;
+    if (this.tagName === "SELECT") {
+      const options = this.querySelectorAll("option");
+      const selected = options.find((o) => "selected" in o.attributes) || options[0];
+      return selected ? selected.value : "";
+    }
+    if (this.tagName === "OPTION") return this.attributes.value != null ? this.attributes.value : this.textContent;
+    return this.attributes.value || "";
+  }
+  set value(v) {
+    this._value = String(v);
+  }
+
+  get textContent() {
+    return super.textContent;
+  }
+  set textContent(v) {
+    this.childNodes.forEach((c) => (c.parentNode = null));
+    this.childNodes = [];
+    if (String(v) !== "") this.appendChild(new Text(v));
+  }
+
+  get innerHTML() {
+    return this.textContent;
+  }
+  set innerHTML(v) {
+    if (String(v) !== "") throw new Error("dom-shim: only innerHTML = \"\" is supported");
+    this.textContent = "";
+  }
+
+  appendChild(child) {
+    if (child.parentNode) child.parentNode.removeChild(child);
+    child.parentNode = this;
+    this.childNodes.push(child);
+    return child;
+  }
+  append(...nodes) {
+    nodes.forEach((n) => this.appendChild(typeof n === "string" ? new Text(n) : n));
+  }
+  prepend(...nodes) {
+    nodes.reverse().forEach((n) => this.insertBefore(typeof n === "string" ? new Text(n) : n, this.childNodes[0] || null));
+  }
+  insertBefore(child, ref) {
+    if (child.parentNode) child.parentNode.removeChild(child);
+    const i = ref ? this.childNodes.indexOf(ref) : -1;
+    child.parentNode = this;
+    if (i < 0) this.childNodes.push(child);
+    else this.childNodes.splice(i, 0, child);
+    return child;
+  }
+  removeChild(child) {
+    this.childNodes = this.childNodes.filter((c) => c !== child);
+    child.parentNode = null;
+    return child;
+  }
+  replaceChildren(...nodes) {
+    this.textContent = "";
+    this.append(...nodes);
+  }
+  remove() {
+    if (this.parentNode) this.parentNode.removeChild(this);
+  }
+
+  setAttribute(name, value) {
+    this.attributes[name] = String(value);
+    if (name === "class") this.className = String(value);
+    if (name.startsWith("data-")) this.dataset[toCamel(name.slice(5))] = String(value);
+    if (name === "hidden") this.hidden = true;
+    if (name === "disabled") this.disabled = true;
+  }
+  getAttribute(name) {
+    if (name === "class") return this.className;
+    return name in this.attributes ? this.attributes[name] : null;
+  }
+  hasAttribute(name) {
+    return name in this.attributes;
+  }
+  removeAttribute(name) {
+    delete this.attributes[name];
+    if (name === "hidden") this.hidden = false;
+    if (name === "disabled") this.disabled = false;
+  }
+
+  addEventListener(type, fn) {
+    (this.listeners[type] = this.listeners[type] || []).push(fn);
+  }
+  removeEventListener(type, fn) {
+    this.listeners[type] = (this.listeners[type] || []).filter((f) => f !== fn);
+  }
+  dispatchEvent(evt) {
+    const event = Object.assign({ target: this, preventDefault() {}, stopPropagation() {} }, evt);
+    (this.listeners[event.type] || []).slice().forEach((fn) => fn(event));
+    return true;
+  }
+  click() {
+    if (!this.disabled) this.dispatchEvent({ type: "click" });
+  }
+
+  focus() {}
+  blur() {}
+  scrollIntoView() {}
+  getBoundingClientRect() {
+    return { top: 0, left: 0, right: 0, bottom: 0, width: 0, height: 0 };
+  }
+
+  matches(selector) {
+    return selector.split(",").some((sel) => matchesComplex(this, sel.trim()));
+  }
+  closest(selector) {
+    let el = this;
+    while (el instanceof Element) {
+      if (el.matches(selector)) return el;
+      el = el.parentNode;
+    }
+    return null;
+  }
+  querySelectorAll(selector) {
+    const out = [];
+    const walk = (el) => {
+      for (const child of el.children) {
+        if (child.matches(selector)) out.push(child);
+        walk(child);
+      }
+    };
+    walk(this);
+    return out;
+  }
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+}
+
+function toCamel(s) {
+  return s.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+function matchesCompound(el, compound) {
+  const re = /([a-zA-Z][\w-]*)|\.([\w-]+)|#([\w-]+)|\[([\w-]+)(?:="([^"]*)")?\]/g;
+  let m;
+  let consumed = 0;
+  while ((m = re.exec(compound))) {
+    consumed += m[0].length;
+    if (m[1] && el.tagName !== m[1].toUpperCase()) return false;
+    if (m[2] && !el.classList.contains(m[2])) return false;
+    if (m[3] && el.id !== m[3]) return false;
+    if (m[4]) {
+      const v = el.getAttribute(m[4]);
+      if (v == null) return false;
+      if (m[5] != null && v !== m[5]) return false;
+    }
+  }
+  return consumed === compound.length && consumed > 0;
+}
+
+function matchesComplex(el, selector) {
+  const parts = selector.split(/\s+/).filter(Boolean);
+  if (!matchesCompound(el, parts[parts.length - 1])) return false;
+  let ancestor = el.parentNode;
+  for (let i = parts.length - 2; i >= 0; i--) {
+    while (ancestor instanceof Element && !matchesCompound(ancestor, parts[i])) ancestor = ancestor.parentNode;
+    if (!(ancestor instanceof Element)) return false;
+    ancestor = ancestor.parentNode;
+  }
+  return true;
+}
+
+function decodeEntities(s) {
+  return s.replace(/&(amp|lt|gt|quot|#39);/g, (_, e) => ({ amp: "&", lt: "<", gt: ">", quot: '"', "#39": "'" })[e]);
+}
+
+/** Parse an HTML string into body children (scripts are skipped, never executed) */
+function parseInto(doc, html) {
+  const stack = [doc.documentElement];
+  const re = /<!--[\s\S]*?-->|<!doctype[^>]*>|<\/([a-zA-Z0-9]+)\s*>|<([a-zA-Z0-9]+)((?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>|([^<]+)/gi;
+  let m;
+  while ((m = re.exec(html))) {
+    const top = stack[stack.length - 1];
+    if (m[1]) {
+      const tag = m[1].toUpperCase();
+      const idx = stack.map((e) => e.tagName).lastIndexOf(tag);
+      if (idx > 0) stack.length = idx;
+    } else if (m[2]) {
+      const tag = m[2].toLowerCase();
+      const el = tag === "html" ? doc.documentElement : tag === "head" ? doc.head : tag === "body" ? doc.body : new Element(tag, doc);
+      const attrRe = /([^\s=>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+      let a;
+      while ((a = attrRe.exec(m[3] || ""))) {
+        el.setAttribute(a[1], decodeEntities(a[2] ?? a[3] ?? a[4] ?? ""));
+      }
+      if (el !== doc.documentElement && el.parentNode !== top) top.appendChild(el);
+      if (tag === "script" || tag === "style") {
+        const close = html.toLowerCase().indexOf(`</${tag}`, re.lastIndex);
+        re.lastIndex = close < 0 ? html.length : close;
+        stack.push(el);
+      } else if (!VOID_TAGS.has(tag) && !m[4]) {
+        stack.push(el);
+      }
+    } else if (m[5] && m[5].trim()) {
+      top.appendChild(new Text(decodeEntities(m[5].trim())));
+    }
+  }
+}
+
+class Document {
+  constructor() {
+    this.documentElement = new Element("html", this);
+    this.head = new Element("head", this);
+    this.body = new Element("body", this);
+    this.documentElement.appendChild(this.head);
+    this.documentElement.appendChild(this.body);
+    this.listeners = {};
+    this.visibilityState = "visible";
+  }
+  createElement(tag) {
+    return new Element(tag, this);
+  }
+  createTextNode(text) {
+    return new Text(text);
+  }
+  getElementById(id) {
+    return this.documentElement.querySelector(`#${id}`);
+  }
+  querySelectorAll(selector) {
+    return this.documentElement.querySelectorAll(selector);
+  }
+  querySelector(selector) {
+    return this.documentElement.querySelector(selector);
+  }
+  addEventListener(type, fn) {
+    (this.listeners[type] = this.listeners[type] || []).push(fn);
+  }
+  removeEventListener(type, fn) {
+    this.listeners[type] = (this.listeners[type] || []).filter((f) => f !== fn);
+  }
+}
+
+/**
+ * Install a fresh document built from `html` (defaults to dashboard/index.html) on globalThis
+ * @param {{ html?: string, url?: string }} [opts]
+ * @returns {Document}
+ */
+export function installDom(opts = {}) {
+  const html = opts.html != null ? opts.html : readFileSync(new URL("./index.html", import.meta.url), "utf8");
+  const doc = new Document();
+  parseInto(doc, html);
+
+  const location = {
+    href: opts.url || "http://localhost/index.html",
+    get hash() {
+      return new URL(this.href).hash;
+    },
+    assign(url) {
+      this.href = String(url);
+    },
+  };
+  const storage = new Map();
+  const localStore = new Map();
+  const win = {
+    document: doc,
+    location,
+    history: {
+      replaceState(_state, _title, url) {
+        location.href = String(url);
+      },
+    },
+    sessionStorage: {
+      getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+      setItem: (key, value) => storage.set(key, String(value)),
+      removeItem: (key) => storage.delete(key),
+    },
+    localStorage: {
+      getItem: (key) => (localStore.has(key) ? localStore.get(key) : null),
+      setItem: (key, value) => localStore.set(key, String(value)),
+      removeItem: (key) => localStore.delete(key),
+    },
+    listeners: {},
+    addEventListener(type, fn) {
+      (this.listeners[type] = this.listeners[type] || []).push(fn);
+    },
+    removeEventListener() {},
+    matchMedia: () => ({ matches: false, addEventListener() {} }),
+  };
+
+  globalThis.document = doc;
+  globalThis.window = win;
+  return doc;
+}
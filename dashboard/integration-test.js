@@ -1,75 +1,25 @@
 /**
  * Integration test that verifies snapshot message handling
- * Tests the FIXED implementation in app.js
+ * Drives the real message pipeline (src/pipeline.js -> store -> render) through the headless DOM shim
  */
 
-// Simulate the FIXED handleIncomingMessage logic from app.js
-const publishers = {};
+import { installDom } from "./dom-shim.js";
 
-function processMessage(msg, receivedAt) {
-  const publisherId = msg.publisherId || "unknown";
-  const playerName = msg.playerName || null;
-  const msgType = msg.type || "unknown";
+installDom();
 
-  if (!publishers[publisherId]) {
-    publishers[publisherId] = {
-      lastSeen: receivedAt,
-      playerName: playerName,
-      latestByType: {},
-    };
-  }
-  publishers[publisherId].lastSeen = receivedAt;
-  if (playerName) {
-    publishers[publisherId].playerName = playerName;
-  }
-  publishers[publisherId].latestByType[msgType] = msg;
-}
-
-function simulateFixedHandleIncomingMessage(raw) {
-  const receivedAt = Date.now();
-  
-  if (typeof raw !== "string") {
-    return { error: "Non-text WS message" };
-  }
-  
-  let msg;
-  try {
-    msg = JSON.parse(raw);
-  } catch (e) {
-    return { error: "JSON parse failed" };
-  }
-  
-  // FIXED implementation - handles snapshot messages
-  if (msg.type === "snapshot" && msg.data && typeof msg.data === "object") {
-    const processedCount = Object.keys(msg.data).length;
-    Object.entries(msg.data).forEach(([type, subMsg]) => {
-      if (subMsg && typeof subMsg === "object") {
-        processMessage(subMsg, receivedAt);
-      }
-    });
-    return {
-      isSnapshot: true,
-      processedCount,
-      publishers: Object.keys(publishers),
-    };
-  }
-  
-  // Regular message
-  processMessage(msg, receivedAt);
-  return {
-    isSnapshot: false,
-    publisherId: msg.publisherId || "unknown",
-    msgType: msg.type || "unknown",
-  };
-}
+const { els } = await import("./src/dom.js");
+const { handleIncomingMessage, resetStore, setBroadcastDelay } = await import("./src/pipeline.js");
+const { renderPublishersUI } = await import("./src/render.js");
+const { publishers } = await import("./src/store.js");
 
 // Test snapshot message (what hub sends on connect)
 function testSnapshotMessage() {
   console.log("\n=== Testing Snapshot Message Handling ===\n");
-  
+
   // Clear publishers for clean test
-  Object.keys(publishers).forEach(key => delete publishers[key]);
-  
+  resetStore();
+  setBroadcastDelay(0);
+
   const snapshotMsg = JSON.stringify({
     type: "snapshot",
     data: {
@@ -86,27 +36,29 @@ function testSnapshotMessage() {
       }
     }
   });
-  
-  const result = simulateFixedHandleIncomingMessage(snapshotMsg);
-  
-  console.log("Snapshot message result:", result);
-  
-  // Verify snapshot was processed correctly
-  if (result.isSnapshot && result.processedCount === 2) {
+
+  handleIncomingMessage(snapshotMsg);
+  renderPublishersUI();
+
+  const tiles = els.publisherCardsGrid.querySelectorAll(".pubCardTile");
+  console.log("Snapshot message result:", { publishers: Object.keys(publishers), tiles: tiles.length, logRows: els.log.querySelectorAll(".logRow").length });
+
+  // Snapshot row + one row per contained message
+  if (els.log.querySelectorAll(".logRow").length === 3 && tiles.length === 1) {
     console.log("\n✅ Snapshot message processing FIXED:");
     console.log("  - Detected snapshot message type");
-    console.log("  - Processed", result.processedCount, "messages from snapshot.data");
-    console.log("  - Publishers tracked:", result.publishers);
-    
+    console.log("  - Processed 2 messages from snapshot.data");
+    console.log("  - Publishers tracked:", Object.keys(publishers));
+
     // Verify publishers store was updated
-    if (publishers["pub1"] && 
-        publishers["pub1"].latestByType["hand"] && 
+    if (publishers["pub1"] &&
+        publishers["pub1"].latestByType["hand"] &&
         publishers["pub1"].latestByType["state"]) {
       console.log("  - Publisher 'pub1' has hand and state messages");
       return true;
     }
   }
-  
+
   console.log("\n❌ Snapshot handling still broken");
   return false;
 }
@@ -114,19 +66,22 @@ function testSnapshotMessage() {
 // Test regular message (should work fine)
 function testRegularMessage() {
   console.log("\n=== Testing Regular Message Handling ===\n");
-  
+
   const regularMsg = JSON.stringify({
     publisherId: "pub2",
     playerName: "Player2",
     type: "hand",
     data: { value1: "Q", suit1: "c", value2: "J", suit2: "s" }
   });
-  
-  const result = simulateFixedHandleIncomingMessage(regularMsg);
-  
-  console.log("Regular message result:", result);
-  
-  if (result.publisherId === "pub2" && result.msgType === "hand") {
+
+  handleIncomingMessage(regularMsg);
+  renderPublishersUI();
+
+  const pub = publishers["pub2"];
+  const tile = els.publisherCardsGrid.querySelectorAll(".pubCardTile").find((t) => t.dataset.pubId === "pub2");
+  console.log("Regular message result:", { playerName: pub && pub.playerName, types: pub && Object.keys(pub.latestByType) });
+
+  if (pub && pub.latestByType["hand"] && tile && tile.querySelectorAll(".miniCard").length === 2) {
     console.log("✅ Regular messages work correctly");
     return true;
   } else {
@@ -153,5 +108,5 @@ if (snapshotTest && regularTest) {
   console.log("\n🟢 ALL INTEGRATION TESTS PASSED!");
 } else {
   console.log("\n🔴 SOME TESTS FAILED - Review output above");
+  process.exitCode = 1;
 }
-
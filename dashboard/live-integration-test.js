@@ -1,6 +1,9 @@
 /**
  * Live Integration Test: Hub ↔ SS (Subscriber)
  * Tests actual connection to dom-hub.onrender.com
+ * (or, with --mock, to a local mock-hub.js started in-process — fully offline)
+ *
+ * Env overrides: HUB_URL, AUTH_URL, DASHBOARD_PASSWORD
  * 
  * Tests:
  * 1. SS fetches JWT from dom-auth using password
@@ -10,16 +13,23 @@
  */
 
 const WebSocket = require('ws');
+const http = require('http');
 const https = require('https');
 
+const USE_MOCK = process.argv.includes('--mock');
+
 const TEST_CONFIG = {
-  hubUrl: 'wss://dom-hub.onrender.com',
+  hubUrl: process.env.HUB_URL || 'wss://dom-hub.onrender.com',
+  authUrl: process.env.AUTH_URL || 'https://dom-auth.onrender.com/token',
   room: 'test-room-' + Date.now(), // Unique room for testing
   role: 'sub',
   timeout: 30000, // 30 second timeout
   dashboardPassword: process.env.DASHBOARD_PASSWORD || "",
 };
 
+/** In-process mock hub (only with --mock) */
+let mockHub = null;
+
 let testResults = {
   connectionSuccess: false,
   snapshotReceived: false,
@@ -31,11 +41,39 @@ console.log('='.repeat(70));
 console.log('LIVE INTEGRATION TEST: Hub ↔ SS (Subscriber)');
 console.log('='.repeat(70));
 console.log(`\nTest Configuration:`);
-console.log(`  Hub: ${TEST_CONFIG.hubUrl}`);
-console.log(`  Room: ${TEST_CONFIG.room}`);
-console.log(`  Role: ${TEST_CONFIG.role}`);
-console.log(`  Token: JWT (fetched from dom-auth)`);
-console.log();
+function printConfig() {
+  console.log(`  Hub: ${TEST_CONFIG.hubUrl}`);
+  console.log(`  Auth: ${TEST_CONFIG.authUrl}`);
+  console.log(`  Room: ${TEST_CONFIG.room}`);
+  console.log(`  Role: ${TEST_CONFIG.role}`);
+  console.log(`  Token: JWT (fetched from ${USE_MOCK ? 'mock token issuer' : 'dom-auth'})`);
+  console.log();
+}
+
+/**
+ * Start mock-hub.js in-process and point the test at it.
+ * Publishes one hand before the subscriber connects (→ snapshot) and one after (→ broadcast).
+ */
+async function startMock() {
+  const { startMockHub } = require('./mock-hub.js');
+  mockHub = await startMockHub({ port: 0, password: 'mock-password' });
+
+  TEST_CONFIG.hubUrl = mockHub.hubUrl;
+  TEST_CONFIG.authUrl = mockHub.authUrl;
+  TEST_CONFIG.dashboardPassword = 'mock-password';
+  TEST_CONFIG.timeout = 3000;
+
+  const hand = (value1, value2) => ({
+    publisherId: 'mockPub01',
+    playerName: 'Mock',
+    type: 'hand',
+    data: { value1, suit1: 'h', value2, suit2: 's', timestamp: Date.now() },
+    timestamp: Date.now(),
+  });
+
+  mockHub.publish(TEST_CONFIG.room, hand('A', 'K'));
+  setTimeout(() => mockHub.publish(TEST_CONFIG.room, hand('Q', 'J')), 500);
+}
 
 /**
  * Fetch a subscriber JWT from dom-auth
@@ -47,8 +85,9 @@ function fetchSubscriberJwt({ room, password }) {
   return new Promise((resolve, reject) => {
     const payload = JSON.stringify({ room, role: "sub" });
 
-    const req = https.request(
-      'https://dom-auth.onrender.com/token',
+    const client = TEST_CONFIG.authUrl.startsWith('http:') ? http : https;
+    const req = client.request(
+      TEST_CONFIG.authUrl,
       {
         method: 'POST',
         headers: {
@@ -97,7 +136,7 @@ function fetchSubscriberJwt({ room, password }) {
  * Test 1 & 2: Fetch JWT then connect to hub
  */
 async function testConnectionWithJwt() {
-  console.log('📋 TEST 1: Fetching JWT from dom-auth...');
+  console.log(`📋 TEST 1: Fetching JWT from ${USE_MOCK ? 'mock token issuer' : 'dom-auth'}...`);
   if (!TEST_CONFIG.dashboardPassword) {
     throw new Error('Missing DASHBOARD_PASSWORD env var (required to fetch JWT)');
   }
@@ -116,6 +155,12 @@ async function testConnectionWithJwt() {
     console.log(`   URL: ${url.replace(/token=([^&]+)/, 'token=***')}`);
 
     const ws = new WebSocket(url);
+
+    // The hub sends its snapshot right after open; buffer it until the listener below is attached
+    ws.earlyMessages = [];
+    ws.earlyListener = (data) => ws.earlyMessages.push(data);
+    ws.on('message', ws.earlyListener);
+
     const timeout = setTimeout(() => {
       ws.close();
       reject(new Error('Connection timeout'));
@@ -158,7 +203,7 @@ function testMessagesReceived(ws) {
     const maxWaitTime = TEST_CONFIG.timeout;
     const startTime = Date.now();
     
-    ws.on('message', (data) => {
+    const onMessage = (data) => {
       messageCount++;
       const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
       
@@ -197,7 +242,11 @@ function testMessagesReceived(ws) {
         console.log(`      ⚠️  Failed to parse message: ${e.message}`);
         testResults.errors.push({ test: 'message_parsing', error: e.message });
       }
-    });
+    };
+
+    ws.off('message', ws.earlyListener);
+    ws.earlyMessages.forEach(onMessage);
+    ws.on('message', onMessage);
     
     // Wait for messages or timeout
     const checkInterval = setInterval(() => {
@@ -205,14 +254,14 @@ function testMessagesReceived(ws) {
       
       if (elapsed >= maxWaitTime) {
         clearInterval(checkInterval);
-        ws.close();
         
         if (messageCount === 0) {
           console.log(`   ℹ️  No messages received within ${maxWaitTime/1000}s`);
           console.log(`      This is expected if no publishers are active in room: ${TEST_CONFIG.room}`);
         }
         
-        resolve();
+        // Resolves from the 'close' handler below once the close handshake completes
+        ws.close(1000);
       }
     }, 1000);
     
@@ -228,6 +277,9 @@ function testMessagesReceived(ws) {
  */
 async function runTests() {
   try {
+    if (USE_MOCK) await startMock();
+    printConfig();
+
     // Test 1 & 2: Fetch token and connect
     const ws = await testConnectionWithJwt();
     
@@ -301,6 +353,11 @@ async function runTests() {
     }
     
     console.log();
+    if (mockHub) await mockHub.close();
+    if (USE_MOCK && !(testResults.snapshotReceived && testResults.messagesReceived.length >= 2)) {
+      console.log('❌ FAIL: mock hub should deliver a snapshot and a broadcast');
+      process.exit(1);
+    }
     process.exit(testResults.connectionSuccess ? 0 : 1);
     
   } catch (error) {
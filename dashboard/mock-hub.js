@@ -0,0 +1,509 @@
+/**
+ * Mock Hub + Token Issuer (offline development)
+ *
+ * A small stand-in for dom-hub + dom-auth that implements the contract the dashboard relies on:
+ * - POST /token with header X-Dashboard-Password and body { room, role } -> { token, expiresInSeconds }
+ *   (401 on wrong password, HS256 JWT with room/role/exp claims)
+ * - GET /authorize?response_type=token&room=...&redirect_uri=...&state=... -> redirects back with
+ *   #access_token=...&expires_in=...&state=... (auto-approved sign-in for the dashboard's redirect mode)
+ * - WebSocket hub at / with ?role=sub|pub&room=...&token=...[&v=<protocol version>]
+ *   - 4001 invalid role, 4002 invalid/missing token, 4003 token expired, 4004 claim mismatch
+ *   - subscribers get a `snapshot` (latest message per type) on connect
+ *   - subscribers that advertise ?v= get the versioned protocol: a `hello` first, then every message
+ *     with a top-level `v` and the snapshot as data.messages (latest message per publisher and type)
+ *   - versioned subscribers' `{ type: "ping", t }` is answered with `{ v, type: "pong", t }` (dashboard heartbeat)
+ *   - versioned messages carry `seq` (per publisher in a room); the hello announces `resume: true`, and a
+ *     subscriber reconnecting with &since=<publisherId>:<seq>,... first gets a `resume` batch of the messages
+ *     it missed (from the last MAX_RESUME_HISTORY messages of the room)
+ *   - publisher messages are stored + broadcast to the room's subscribers
+ *   - sockets are closed with 4003 when their token expires
+ * - Serves the dashboard itself, so http://localhost:<port>/ works without any other server
+ *
+ * Usage:
+ *   node mock-hub.js [--port 8787] [--password dev] [--ttl 600] [--demo] [--protocol 1]
+ *
+ * --demo publishes random hands from two fake players (plus a table `state`) into every room with a subscriber.
+ * --protocol sets the version the hub speaks to versioned subscribers (e.g. 2 to preview the dashboard's warning).
+ *
+ * Requires the `ws` package (same as live-integration-test.js).
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { WebSocketServer } = require("ws");
+
+const DEFAULTS = {
+  port: 8787,
+  password: "dev",
+  secret: "mock-hub-secret",
+  tokenTtlSeconds: 600,
+  demo: false,
+  demoIntervalMs: 4000,
+  protocol: 1,
+  staticDir: __dirname,
+};
+
+/** Messages kept per room for resuming subscribers */
+const MAX_RESUME_HISTORY = 500;
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".webmanifest": "application/manifest+json; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+};
+
+// ============================================================
+// JWT (HS256)
+// ============================================================
+
+function base64url(input) {
+  return Buffer.from(input).toString("base64").replace(/=+$/, "").replace(/\+/g, "-").replace(/\//g, "_");
+}
+
+function signJwt(payload, secret) {
+  const header = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const body = base64url(JSON.stringify(payload));
+  const sig = crypto.createHmac("sha256", secret).update(`${header}.${body}`).digest("base64url");
+  return `${header}.${body}.${sig}`;
+}
+
+/**
+ * Verify signature and decode claims
+ * @returns {object | null} Claims, or null if the token is malformed or the signature is wrong
+ */
+function verifyJwt(token, secret) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) return null;
+
+  const expected = crypto.createHmac("sha256", secret).update(`${parts[0]}.${parts[1]}`).digest();
+  const actual = Buffer.from(parts[2], "base64url");
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+  try {
+    return JSON.parse(Buffer.from(parts[1], "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+// ============================================================
+// Mock Hub
+// ============================================================
+
+/**
+ * Start the mock hub + token issuer on one HTTP server
+ * @param {Partial<typeof DEFAULTS>} options
+ * @returns {Promise<{ port: number, hubUrl: string, authUrl: string, issueToken: Function, publish: Function, close: () => Promise<void> }>}
+ */
+function startMockHub(options = {}) {
+  const config = { ...DEFAULTS, ...options };
+
+  /**
+   * rooms[room] = { latestByType: {}, latestByPubType: {}, seqByPub: {}, history: [], subs: Set<WebSocket>, versionedSubs: Set<WebSocket> }
+   * history: the last MAX_RESUME_HISTORY versioned messages (with seq), oldest first
+   */
+  const rooms = new Map();
+
+  function getRoom(room) {
+    if (!rooms.has(room)) {
+      rooms.set(room, { latestByType: {}, latestByPubType: {}, seqByPub: {}, history: [], subs: new Set(), versionedSubs: new Set() });
+    }
+    return rooms.get(room);
+  }
+
+  /** Missed messages for a since=<publisherId>:<seq>,... cursor (publishers not in it are left to the snapshot) */
+  function messagesSince(r, since) {
+    const cursor = {};
+    for (const part of since.split(",")) {
+      const i = part.lastIndexOf(":");
+      if (i > 0) cursor[decodeURIComponent(part.slice(0, i))] = Number(part.slice(i + 1));
+    }
+    return r.history.filter((m) => cursor[m.publisherId] != null && m.seq > cursor[m.publisherId]);
+  }
+
+  function issueToken(room, role, ttlSeconds = config.tokenTtlSeconds) {
+    const now = Math.floor(Date.now() / 1000);
+    return signJwt({ room, role, iat: now, exp: now + ttlSeconds }, config.secret);
+  }
+
+  /** Store a publisher message and broadcast it to the room's subscribers */
+  function publish(room, msg) {
+    const r = getRoom(room);
+    const raw = typeof msg === "string" ? msg : JSON.stringify(msg);
+    let parsed = null;
+    try {
+      parsed = JSON.parse(raw);
+    } catch {
+      parsed = null;
+    }
+    let versionedRaw = raw;
+    if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) {
+      const publisherId = parsed.publisherId || "unknown";
+      const seq = (r.seqByPub[publisherId] || 0) + 1;
+      r.seqByPub[publisherId] = seq;
+      const numbered = { ...parsed, seq };
+      r.latestByType[parsed.type || "unknown"] = parsed;
+      r.latestByPubType[`${publisherId}/${parsed.type || "unknown"}`] = numbered;
+      r.history.push(numbered);
+      if (r.history.length > MAX_RESUME_HISTORY) r.history.shift();
+      versionedRaw = JSON.stringify({ v: config.protocol, ...numbered });
+    }
+    for (const sub of r.subs) {
+      if (sub.readyState === sub.OPEN) sub.send(r.versionedSubs.has(sub) ? versionedRaw : raw);
+    }
+  }
+
+  function handleTokenRequest(req, res) {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > 10_000) req.destroy();
+    });
+    req.on("end", () => {
+      const reply = (status, obj) => {
+        res.writeHead(status, { "Content-Type": "application/json", ...corsHeaders() });
+        res.end(JSON.stringify(obj));
+      };
+
+      if (!safeEqual(req.headers["x-dashboard-password"] || "", config.password)) {
+        reply(401, { error: "Unauthorized" });
+        return;
+      }
+
+      let parsed;
+      try {
+        parsed = JSON.parse(body || "{}");
+      } catch {
+        reply(400, { error: "Invalid JSON body" });
+        return;
+      }
+
+      const room = String((parsed && (parsed.room || parsed.roomId)) || "").trim();
+      const role = parsed && parsed.role;
+      if (!room) {
+        reply(400, { error: "Missing room" });
+        return;
+      }
+      if (role !== "sub" && role !== "pub") {
+        reply(400, { error: "Invalid role" });
+        return;
+      }
+
+      reply(200, { token: issueToken(room, role), expiresInSeconds: config.tokenTtlSeconds });
+    });
+  }
+
+  /** OAuth-style sign-in, approved without a prompt (it's a mock) */
+  function handleAuthorizeRequest(req, res) {
+    const u = new URL(req.url, "http://localhost");
+    const room = (u.searchParams.get("room") || "").trim();
+    const redirectUri = u.searchParams.get("redirect_uri") || "";
+    const state = u.searchParams.get("state") || "";
+
+    let target;
+    try {
+      target = new URL(redirectUri);
+    } catch {
+      res.writeHead(400, { "Content-Type": "text/plain" });
+      res.end("Invalid redirect_uri");
+      return;
+    }
+
+    const fragment = new URLSearchParams({ state });
+    if (u.searchParams.get("response_type") !== "token") {
+      fragment.set("error", "unsupported_response_type");
+    } else if (!room) {
+      fragment.set("error", "invalid_request");
+      fragment.set("error_description", "Missing room");
+    } else {
+      fragment.set("access_token", issueToken(room, "sub"));
+      fragment.set("token_type", "bearer");
+      fragment.set("expires_in", String(config.tokenTtlSeconds));
+    }
+    target.hash = fragment.toString();
+
+    res.writeHead(302, { Location: target.toString() });
+    res.end();
+  }
+
+  function serveStatic(req, res) {
+    const urlPath = decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+    const rel = urlPath === "/" ? "index.html" : urlPath.replace(/^\/+/, "");
+    const filePath = path.resolve(config.staticDir, rel);
+
+    if (!filePath.startsWith(path.resolve(config.staticDir) + path.sep)) {
+      res.writeHead(403);
+      res.end("Forbidden");
+      return;
+    }
+
+    fs.readFile(filePath, (err, data) => {
+      if (err) {
+        res.writeHead(404);
+        res.end("Not found");
+        return;
+      }
+      res.writeHead(200, { "Content-Type": CONTENT_TYPES[path.extname(filePath)] || "application/octet-stream" });
+      res.end(data);
+    });
+  }
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+
+    if (pathname === "/token") {
+      if (req.method === "OPTIONS") {
+        res.writeHead(204, corsHeaders());
+        res.end();
+        return;
+      }
+      if (req.method === "POST") {
+        handleTokenRequest(req, res);
+        return;
+      }
+      res.writeHead(405, corsHeaders());
+      res.end();
+      return;
+    }
+
+    if (pathname === "/authorize" && req.method === "GET") {
+      handleAuthorizeRequest(req, res);
+      return;
+    }
+
+    if (req.method === "GET") {
+      serveStatic(req, res);
+      return;
+    }
+
+    res.writeHead(405);
+    res.end();
+  });
+
+  const wss = new WebSocketServer({ server });
+
+  wss.on("connection", (socket, req) => {
+    const u = new URL(req.url, "http://localhost");
+    const role = u.searchParams.get("role");
+    const room = u.searchParams.get("room") || "";
+    const token = u.searchParams.get("token");
+
+    if (role !== "sub" && role !== "pub") {
+      socket.close(4001, "Invalid role");
+      return;
+    }
+
+    const claims = token ? verifyJwt(token, config.secret) : null;
+    if (!claims) {
+      socket.close(4002, "Invalid or missing token");
+      return;
+    }
+
+    const nowSec = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp !== "number" || claims.exp <= nowSec) {
+      socket.close(4003, "Token expired");
+      return;
+    }
+
+    if ((claims.room || claims.roomId) !== room || claims.role !== role) {
+      socket.close(4004, "Token claim mismatch");
+      return;
+    }
+
+    const expiryTimer = setTimeout(() => socket.close(4003, "Token expired"), (claims.exp - nowSec) * 1000);
+    const r = getRoom(room);
+
+    if (role === "sub") {
+      r.subs.add(socket);
+      if (u.searchParams.has("v")) {
+        r.versionedSubs.add(socket);
+        socket.send(JSON.stringify({ v: config.protocol, type: "hello", data: { protocol: config.protocol, minProtocol: 1, resume: true } }));
+        const since = u.searchParams.get("since");
+        if (since) socket.send(JSON.stringify({ v: config.protocol, type: "resume", data: { messages: messagesSince(r, since) } }));
+        socket.send(JSON.stringify({ v: config.protocol, type: "snapshot", data: { messages: Object.values(r.latestByPubType) } }));
+        socket.on("message", (data) => {
+          let msg = null;
+          try {
+            msg = JSON.parse(data.toString());
+          } catch {
+            return;
+          }
+          if (msg && msg.type === "ping") socket.send(JSON.stringify({ v: config.protocol, type: "pong", t: msg.t }));
+        });
+      } else {
+        socket.send(JSON.stringify({ type: "snapshot", data: r.latestByType }));
+      }
+    } else {
+      socket.on("message", (data) => publish(room, data.toString()));
+    }
+
+    socket.on("close", () => {
+      clearTimeout(expiryTimer);
+      r.subs.delete(socket);
+      r.versionedSubs.delete(socket);
+    });
+  });
+
+  let demoTimer = null;
+  if (config.demo) {
+    demoTimer = setInterval(() => {
+      for (const [room, r] of rooms) {
+        if (r.subs.size > 0) publishDemoHands(room, publish);
+      }
+    }, config.demoIntervalMs);
+  }
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(config.port, () => {
+      const port = server.address().port;
+      resolve({
+        port,
+        hubUrl: `ws://localhost:${port}/`,
+        authUrl: `http://localhost:${port}/token`,
+        authorizeUrl: `http://localhost:${port}/authorize`,
+        issueToken,
+        publish,
+        close() {
+          if (demoTimer) clearInterval(demoTimer);
+          for (const client of wss.clients) client.terminate();
+          return new Promise((done) => wss.close(() => server.close(() => done())));
+        },
+      });
+    });
+  });
+}
+
+function corsHeaders() {
+  return {
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, X-Dashboard-Password",
+  };
+}
+
+// ============================================================
+// Demo publishers
+// ============================================================
+
+const DEMO_PLAYERS = [
+  { publisherId: "demoAlice1", playerName: "Alice" },
+  { publisherId: "demoBob0002", playerName: "Bob" },
+];
+
+function randomCard(used) {
+  const values = ["2", "3", "4", "5", "6", "7", "8", "9", "10", "J", "Q", "K", "A"];
+  const suits = ["h", "d", "c", "s"];
+  for (;;) {
+    const card = { value: values[crypto.randomInt(values.length)], suit: suits[crypto.randomInt(suits.length)] };
+    const key = card.value + card.suit;
+    if (!used.has(key)) {
+      used.add(key);
+      return card;
+    }
+  }
+}
+
+let demoHandNumber = 0;
+
+function publishDemoHands(room, publish) {
+  const used = new Set();
+  const timestamp = Date.now();
+  for (const player of DEMO_PLAYERS) {
+    const c1 = randomCard(used);
+    const c2 = randomCard(used);
+    publish(room, {
+      ...player,
+      type: "hand",
+      data: {
+        value1: c1.value,
+        suit1: c1.suit,
+        value2: c2.value,
+        suit2: c2.suit,
+        url: `https://www.pokernow.club/games/${room}`,
+        timestamp,
+      },
+      timestamp,
+    });
+  }
+
+  // Table state from the first player: both demo players plus two players without the extension
+  demoHandNumber += 1;
+  const board = Array.from({ length: [0, 3, 4, 5][demoHandNumber % 4] }, () => randomCard(used));
+  const seats = [
+    { seat: 1, playerId: DEMO_PLAYERS[0].publisherId, name: DEMO_PLAYERS[0].playerName },
+    { seat: 3, playerId: "demoCarol3", name: "Carol" },
+    { seat: 5, playerId: DEMO_PLAYERS[1].publisherId, name: DEMO_PLAYERS[1].playerName },
+    { seat: 7, playerId: "demoDave04", name: "Dave" },
+  ].map((s) => ({ ...s, stack: 500 + crypto.randomInt(2000), bet: crypto.randomInt(3) * 20 }));
+  publish(room, {
+    ...DEMO_PLAYERS[0],
+    type: "state",
+    data: {
+      handNumber: demoHandNumber,
+      street: ["preflop", "flop", "turn", "river"][board.length === 0 ? 0 : board.length - 2],
+      maxSeats: 9,
+      seats,
+      board: board.map((c) => `${c.value}${c.suit}`),
+      pot: 60 + crypto.randomInt(400),
+      dealerSeat: seats[demoHandNumber % seats.length].seat,
+      smallBlind: 10,
+      bigBlind: 20,
+      toActSeat: seats[(demoHandNumber + 1) % seats.length].seat,
+      timestamp,
+    },
+    timestamp,
+  });
+}
+
+// ============================================================
+// CLI
+// ============================================================
+
+function parseArgs(argv) {
+  const opts = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--demo") opts.demo = true;
+    else if (arg === "--port") opts.port = Number(argv[++i]);
+    else if (arg === "--password") opts.password = argv[++i];
+    else if (arg === "--ttl") opts.tokenTtlSeconds = Number(argv[++i]);
+    else if (arg === "--protocol") opts.protocol = Number(argv[++i]);
+  }
+  return opts;
+}
+
+if (require.main === module) {
+  startMockHub(parseArgs(process.argv.slice(2)))
+    .then((hub) => {
+      const dashboardUrl = new URL(`http://localhost:${hub.port}/`);
+      dashboardUrl.searchParams.set("hub", hub.hubUrl);
+      dashboardUrl.searchParams.set("gameId", "dev-room");
+      dashboardUrl.searchParams.set("auth", hub.authUrl);
+      console.log(`Mock hub listening on ${hub.hubUrl}`);
+      console.log(`Mock token issuer at ${hub.authUrl}`);
+      console.log(`Dashboard: ${dashboardUrl.toString()}`);
+      dashboardUrl.searchParams.delete("auth");
+      dashboardUrl.searchParams.set("authMode", "redirect");
+      dashboardUrl.searchParams.set("authorize", hub.authorizeUrl);
+      console.log(`Dashboard (sign-in redirect): ${dashboardUrl.toString()}`);
+    })
+    .catch((err) => {
+      console.error("Failed to start mock hub:", err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { startMockHub, signJwt, verifyJwt };
@@ -0,0 +1,464 @@
+/*
+  Operator alerts: rules over the processed message stream
+
+  Rule kinds (subject: publisher ID, operator label or PokerNow name, case-insensitive; empty = anyone):
+  - publisherOffline: a publisher goes offline (presence.js thresholds, or the hub reports it left)
+  - authFailures: `count` closes with 4002 (invalid token) in a room within AUTH_FAILURE_WINDOW_MS
+  - pocketPair: a player was dealt a pocket pair; checked on the hand's recap, so never while the hand is in progress
+  - newMessageType: a room receives a message type it has not seen before (the built-in types are expected;
+    the types in a restored room's saved store count as seen)
+  A match is logged (type "alert") and shown as a toast; each rule can also beep and raise a browser
+  notification (once the user allowed them). Rules are kept in localStorage.
+  Nothing fires while a session is replayed.
+*/
+
+import { formatTwoCards } from "./cards.js";
+import { els } from "./dom.js";
+import { canonicalPublisherId } from "./identity.js";
+import { appendLog } from "./log.js";
+import { getPresence } from "./presence.js";
+import { getDisplayName } from "./publisherPrefs.js";
+import { listRooms, rooms } from "./store.js";
+
+/** localStorage key holding the rules */
+export const ALERT_RULES_KEY = "holeCards.alertRules";
+export const AUTH_FAILURE_WINDOW_MS = 10 * 60_000;
+export const DEFAULT_AUTH_FAILURE_COUNT = 3;
+export const TOAST_DURATION_MS = 8_000;
+export const MAX_TOASTS = 4;
+
+/** Rule kinds and how the editor names them */
+export const ALERT_RULE_KINDS = {
+  publisherOffline: "Publisher goes offline",
+  authFailures: "Repeated auth failures (4002)",
+  pocketPair: "Player gets a pocket pair",
+  newMessageType: "New message type",
+};
+
+/** Message types every hub sends; only the others count as new */
+const KNOWN_MESSAGE_TYPES = new Set(["hand", "state", "snapshot", "resume", "hello", "pong", "join", "leave", "heartbeat", "presence"]);
+
+/**
+ * @typedef {"publisherOffline" | "authFailures" | "pocketPair" | "newMessageType"} AlertRuleKind
+ * @typedef {{ id: string, kind: AlertRuleKind, enabled: boolean, subject: string, count: number, sound: boolean, notify: boolean }} AlertRule
+ *   subject: publisherOffline / pocketPair only; count: authFailures only
+ * @typedef {{ rule: AlertRule, roomId: string, title: string, detail: Record<string, any>, publisherId?: string, time: number }} Alert
+ */
+
+/** @type {AlertRule[] | null} Loaded on first use */
+let rules = null;
+let nextRuleNumber = 1;
+let paused = false;
+
+/** Presence last seen per "<roomId>|<publisherId>" */
+const lastPresence = new Map();
+/** 4002 close times per room */
+const authFailures = {};
+/** Last authFailures alert per "<ruleId>|<roomId>" (failures before it are not counted again) */
+const authAlertedAt = new Map();
+/** Message types seen per room */
+const seenTypes = {};
+
+function storage() {
+  try {
+    return window.localStorage || null;
+  } catch {
+    // blocked (privacy settings, sandboxed frame)
+    return null;
+  }
+}
+
+/** @returns {AlertRule | null} */
+function normalizeRule(raw) {
+  if (!raw || typeof raw !== "object" || !Object.prototype.hasOwnProperty.call(ALERT_RULE_KINDS, raw.kind)) return null;
+  const count = Math.floor(Number(raw.count));
+  return {
+    id: typeof raw.id === "string" && raw.id ? raw.id : `rule${nextRuleNumber++}`,
+    kind: raw.kind,
+    enabled: raw.enabled !== false,
+    subject: typeof raw.subject === "string" ? raw.subject.trim() : "",
+    count: raw.kind === "authFailures" ? (count >= 1 ? count : DEFAULT_AUTH_FAILURE_COUNT) : 0,
+    sound: raw.sound === true,
+    notify: raw.notify === true,
+  };
+}
+
+function loadedRules() {
+  if (rules) return rules;
+  rules = [];
+  try {
+    const saved = JSON.parse((storage() && storage().getItem(ALERT_RULES_KEY)) || "[]");
+    if (Array.isArray(saved)) rules = saved.map(normalizeRule).filter(Boolean);
+  } catch {
+    // unreadable: start without rules
+  }
+  for (const rule of rules) {
+    const n = Number(rule.id.replace(/^rule/, ""));
+    if (Number.isInteger(n) && n >= nextRuleNumber) nextRuleNumber = n + 1;
+  }
+  return rules;
+}
+
+function saveRules() {
+  try {
+    storage()?.setItem(ALERT_RULES_KEY, JSON.stringify(loadedRules()));
+  } catch {
+    // quota / blocked: the rules still apply until the page is closed
+  }
+}
+
+// ============================================================
+// Rules
+// ============================================================
+
+/** @returns {AlertRule[]} Copies, in the order they were added */
+export function getAlertRules() {
+  return loadedRules().map((rule) => ({ ...rule }));
+}
+
+/**
+ * @param {Partial<AlertRule> & { kind: AlertRuleKind }} rule
+ * @returns {AlertRule | null} null for an unknown kind
+ */
+export function addAlertRule(rule) {
+  const list = loadedRules();
+  const added = normalizeRule({ ...rule, id: undefined });
+  if (!added) return null;
+  list.push(added);
+  saveRules();
+  return { ...added };
+}
+
+/**
+ * Change a rule (enabled, subject, count, sound, notify; the kind stays)
+ * @returns {boolean} False if there is no such rule
+ */
+export function updateAlertRule(id, patch) {
+  const list = loadedRules();
+  const i = list.findIndex((rule) => rule.id === id);
+  if (i === -1) return false;
+  list[i] = normalizeRule({ ...list[i], ...patch, id, kind: list[i].kind });
+  saveRules();
+  return true;
+}
+
+export function removeAlertRule(id) {
+  const list = loadedRules();
+  const i = list.findIndex((rule) => rule.id === id);
+  if (i === -1) return false;
+  list.splice(i, 1);
+  saveRules();
+  return true;
+}
+
+/** One line for the rules list: "Player gets a pocket pair: Alice · sound" */
+export function describeAlertRule(rule) {
+  let text = ALERT_RULE_KINDS[rule.kind];
+  if (rule.kind === "authFailures") text += `: ${rule.count} within ${AUTH_FAILURE_WINDOW_MS / 60_000} min`;
+  else if (rule.kind !== "newMessageType") text += `: ${rule.subject || "anyone"}`;
+  const delivery = [rule.sound && "sound", rule.notify && "notification"].filter(Boolean);
+  return delivery.length > 0 ? `${text} · ${delivery.join(" + ")}` : text;
+}
+
+/** Replays are after the fact: while paused, events update the trackers without alerting */
+export function setAlertsPaused(value) {
+  paused = !!value;
+}
+
+/** Forget what was tracked for a room (room no longer monitored) */
+export function clearRoomAlerts(roomId) {
+  for (const key of lastPresence.keys()) if (key.startsWith(`${roomId}|`)) lastPresence.delete(key);
+  for (const key of authAlertedAt.keys()) if (key.endsWith(`|${roomId}`)) authAlertedAt.delete(key);
+  delete authFailures[roomId];
+  delete seenTypes[roomId];
+}
+
+// ============================================================
+// Events
+// ============================================================
+
+const enabledRules = (kind) => loadedRules().filter((rule) => rule.enabled && rule.kind === kind);
+
+/** True if a rule's subject names this publisher / player (no subject: anyone) */
+function matchesSubject(rule, roomId, publisherId, name) {
+  if (!rule.subject) return true;
+  const subject = rule.subject.toLowerCase();
+  const pub = rooms[roomId] && rooms[roomId].publishers[publisherId];
+  const names = [publisherId, name, pub && pub.playerName, getDisplayName(roomId, publisherId, pub)];
+  return names.some((n) => typeof n === "string" && n.toLowerCase() === subject);
+}
+
+function roomName(roomId) {
+  const room = rooms[roomId];
+  return room && room.label ? room.label : roomId || "—";
+}
+
+/**
+ * Presence of every publisher in every room: alerts on the switch to offline
+ * (called periodically, and right after the hub reports a publisher left)
+ * @param {number} [now]
+ */
+export function checkPresenceAlerts(now = Date.now()) {
+  const roomIds = new Set(listRooms().map((room) => room.id));
+  roomIds.add("");
+  for (const roomId of roomIds) {
+    const room = rooms[roomId];
+    if (!room) continue;
+    for (const [publisherId, pub] of Object.entries(room.publishers)) {
+      const key = `${roomId}|${publisherId}`;
+      const presence = getPresence(pub, now);
+      const before = lastPresence.get(key);
+      lastPresence.set(key, presence);
+      // A publisher first seen offline (restored room) didn't just go offline
+      if (presence !== "offline" || before == null || before === "offline" || paused) continue;
+      const name = getDisplayName(roomId, publisherId, pub);
+      for (const rule of enabledRules("publisherOffline")) {
+        if (!matchesSubject(rule, roomId, publisherId, null)) continue;
+        deliverAlert({
+          rule,
+          roomId,
+          publisherId,
+          title: `${name} went offline`,
+          detail: { publisherId, lastSeen: pub.lastSeen, left: pub.leftAt != null && pub.leftAt >= pub.lastSeen },
+          time: now,
+        });
+      }
+    }
+  }
+}
+
+/**
+ * A close with 4002 (invalid or missing token)
+ * @param {string} roomId
+ * @param {number} [now]
+ */
+export function noteAuthFailure(roomId, now = Date.now()) {
+  const times = (authFailures[roomId] = (authFailures[roomId] || []).filter((t) => now - t < AUTH_FAILURE_WINDOW_MS));
+  times.push(now);
+  if (paused) return;
+  for (const rule of enabledRules("authFailures")) {
+    const key = `${rule.id}|${roomId}`;
+    const since = authAlertedAt.get(key) ?? -Infinity;
+    const count = times.filter((t) => t > since).length;
+    if (count < rule.count) continue;
+    authAlertedAt.set(key, now);
+    deliverAlert({
+      rule,
+      roomId,
+      title: `${count} auth failures in ${roomName(roomId)}`,
+      detail: { code: 4002, failures: count, windowMs: AUTH_FAILURE_WINDOW_MS },
+      time: now,
+    });
+  }
+}
+
+/**
+ * A message was processed: alerts on the first one of a type the room hasn't seen
+ * @param {string} roomId
+ * @param {string} type
+ * @param {string} publisherId
+ * @param {number} [now]
+ */
+export function noteMessageType(roomId, type, publisherId, now = Date.now()) {
+  if (KNOWN_MESSAGE_TYPES.has(type)) return;
+  const seen = seenTypes[roomId] || (seenTypes[roomId] = new Set());
+  if (seen.has(type)) return;
+  seen.add(type);
+  if (paused) return;
+  for (const rule of enabledRules("newMessageType")) {
+    deliverAlert({ rule, roomId, publisherId, title: `New message type "${type}" in ${roomName(roomId)}`, detail: { type, publisherId }, time: now });
+  }
+}
+
+/**
+ * Types already in a room's store when it is restored after a reload (persistence.js): not new
+ * @param {string} roomId
+ * @param {Iterable<string>} types
+ */
+export function noteKnownMessageTypes(roomId, types) {
+  const seen = seenTypes[roomId] || (seenTypes[roomId] = new Set());
+  for (const type of types) seen.add(type);
+}
+
+/**
+ * A hand is over: alerts for the players who held a pocket pair
+ * @param {string} roomId
+ * @param {import("./recap.js").Recap} recap
+ * @param {number} [now]
+ */
+export function noteFinishedHand(roomId, recap, now = Date.now()) {
+  if (paused) return;
+  for (const player of recap.players) {
+    const [a, b] = player.cards;
+    if (!a || !b || a.value !== b.value) continue;
+    // Hands keep the ID they were published under; rules name the merged publisher (identity.js)
+    const publisherId = canonicalPublisherId(roomId, player.id);
+    const name = player.name || getDisplayName(roomId, publisherId, rooms[roomId] && rooms[roomId].publishers[publisherId]);
+    const cards = formatTwoCards(a.value, a.suit, b.value, b.suit);
+    for (const rule of enabledRules("pocketPair")) {
+      if (!matchesSubject(rule, roomId, publisherId, player.name) && !matchesSubject(rule, roomId, player.id, null)) continue;
+      deliverAlert({
+        rule,
+        roomId,
+        publisherId,
+        title: `${name} had a pocket pair: ${cards}`,
+        detail: { publisherId, sourceId: player.id !== publisherId ? player.id : undefined, handNumber: recap.handNumber, cards },
+        time: now,
+      });
+    }
+  }
+}
+
+// ============================================================
+// Delivery
+// ============================================================
+
+/** @param {Alert} alert */
+function deliverAlert(alert) {
+  appendLog({
+    kind: "info",
+    time: alert.time,
+    cardsText: `[alert] ${alert.title}`,
+    raw: JSON.stringify({ event: "alert", rule: alert.rule.kind, ruleId: alert.rule.id, room: alert.roomId, ...alert.detail }, null, 2),
+    publisherId: alert.publisherId,
+    type: "alert",
+    roomId: alert.roomId,
+  });
+  showToast(alert);
+  if (alert.rule.sound) playBeep();
+  if (alert.rule.notify) showNotification(alert);
+}
+
+function showToast(alert) {
+  const container = els.alertToasts;
+  if (!container) return;
+  const toast = document.createElement("div");
+  toast.className = "alertToast";
+  toast.setAttribute("role", "status");
+  const title = document.createElement("div");
+  title.className = "alertToastTitle";
+  title.textContent = alert.title;
+  const room = document.createElement("div");
+  room.className = "alertToastRoom";
+  room.textContent = `${ALERT_RULE_KINDS[alert.rule.kind]} · ${roomName(alert.roomId)}`;
+  const close = document.createElement("button");
+  close.type = "button";
+  close.className = "alertToastClose";
+  close.textContent = "×";
+  close.title = "Dismiss";
+  close.addEventListener("click", () => toast.remove());
+  toast.appendChild(title);
+  toast.appendChild(room);
+  toast.appendChild(close);
+
+  container.appendChild(toast);
+  const shown = container.querySelectorAll(".alertToast");
+  for (let i = 0; i < shown.length - MAX_TOASTS; i++) shown[i].remove();
+  setTimeout(() => toast.remove(), TOAST_DURATION_MS);
+}
+
+let audioContext = null;
+
+/** Short two-tone beep (WebAudio); silently skipped where audio isn't available or allowed yet */
+function playBeep() {
+  const AudioCtor = globalThis.AudioContext || globalThis.webkitAudioContext;
+  if (!AudioCtor) return;
+  try {
+    audioContext = audioContext || new AudioCtor();
+    const start = audioContext.currentTime;
+    [880, 660].forEach((frequency, i) => {
+      const osc = audioContext.createOscillator();
+      const gain = audioContext.createGain();
+      osc.frequency.value = frequency;
+      gain.gain.value = 0.15;
+      osc.connect(gain);
+      gain.connect(audioContext.destination);
+      osc.start(start + i * 0.15);
+      osc.stop(start + i * 0.15 + 0.12);
+    });
+  } catch {
+    // ignore: the toast is still shown
+  }
+}
+
+function showNotification(alert) {
+  const NotificationCtor = globalThis.Notification;
+  if (!NotificationCtor || NotificationCtor.permission !== "granted") return;
+  try {
+    new NotificationCtor(alert.title, { body: `${ALERT_RULE_KINDS[alert.rule.kind]} · ${roomName(alert.roomId)}`, tag: `${alert.rule.id}|${alert.roomId}` });
+  } catch {
+    // some browsers only allow notifications from a service worker
+  }
+}
+
+/**
+ * Ask for permission to show browser notifications (call from a click: browsers ignore other requests)
+ * @returns {Promise<boolean>} True when notifications may be shown
+ */
+export async function requestNotificationPermission() {
+  const NotificationCtor = globalThis.Notification;
+  if (!NotificationCtor) return false;
+  if (NotificationCtor.permission !== "default") return NotificationCtor.permission === "granted";
+  try {
+    return (await NotificationCtor.requestPermission()) === "granted";
+  } catch {
+    return false;
+  }
+}
+
+// ============================================================
+// Rule editor (settings panel)
+// ============================================================
+
+/** Show the count input for authFailures and the subject input for the kinds that have one */
+export function renderAlertRuleForm() {
+  const kind = els.alertKindSelect ? els.alertKindSelect.value : "";
+  if (els.alertSubjectInput) els.alertSubjectInput.hidden = kind === "authFailures" || kind === "newMessageType";
+  if (els.alertCountInput) els.alertCountInput.hidden = kind !== "authFailures";
+}
+
+/** The rules list: enable toggle, description and remove button per rule */
+export function renderAlertRules() {
+  const list = els.alertRulesList;
+  if (!list) return;
+  list.innerHTML = "";
+  const current = loadedRules();
+  if (current.length === 0) {
+    list.textContent = "No alert rules.";
+    return;
+  }
+  for (const rule of current) {
+    const row = document.createElement("div");
+    row.className = "alertRule";
+    row.dataset.ruleId = rule.id;
+    row.dataset.enabled = rule.enabled ? "true" : "false";
+
+    const toggle = document.createElement("input");
+    toggle.type = "checkbox";
+    toggle.className = "alertRuleToggle";
+    toggle.checked = rule.enabled;
+    toggle.title = "Enabled";
+    toggle.addEventListener("change", () => {
+      updateAlertRule(rule.id, { enabled: toggle.checked });
+      renderAlertRules();
+    });
+
+    const text = document.createElement("span");
+    text.className = "alertRuleText";
+    text.textContent = describeAlertRule(rule);
+
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "btn ghost alertRuleRemove";
+    remove.textContent = "Remove";
+    remove.addEventListener("click", () => {
+      removeAlertRule(rule.id);
+      renderAlertRules();
+    });
+
+    row.appendChild(toggle);
+    row.appendChild(text);
+    row.appendChild(remove);
+    list.appendChild(row);
+  }
+}
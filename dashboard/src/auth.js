@@ -0,0 +1,180 @@
+/*
+  Subscriber auth: fetch a short-lived JWT from dom-auth (or a compatible issuer),
+  plus the helpers for the pasted-JWT and OAuth-style redirect modes
+*/
+
+/** Auth service configuration */
+export const AUTH_SERVICE_URL = "https://dom-auth.onrender.com/token";
+
+/** Optional deployment config served next to index.html */
+export const AUTH_CONFIG_URL = "dashboard.config.json";
+
+/** password: dom-auth password header, jwt: pre-issued token pasted in, redirect: OAuth-style sign-in */
+export const AUTH_MODES = ["password", "jwt", "redirect"];
+
+/**
+ * Fetch subscriber token from dom_auth service using password authentication
+ * @param {string} roomId - The room/game ID
+ * @param {string} password - Dashboard password for authentication
+ * @param {string} [authUrl] - Token endpoint (defaults to dom-auth)
+ * @param {typeof fetch} [fetchImpl] - fetch implementation (injectable for tests)
+ * @returns {Promise<{ token: string, expiresInSeconds: number | undefined }>} Token and expiry info
+ * @throws {Error} With status code info (401 for wrong password, etc.)
+ */
+export async function getSubscriberToken(roomId, password, authUrl = AUTH_SERVICE_URL, fetchImpl = fetch) {
+  const pw = String(password || "").trim();
+  if (!pw) {
+    throw new Error("Missing password");
+  }
+
+  const response = await fetchImpl(authUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Dashboard-Password': pw
+    },
+    body: JSON.stringify({
+      room: roomId,
+      role: 'sub'  // Subscriber role
+    })
+  });
+
+  if (!response.ok) {
+    if (response.status === 401) {
+      throw new Error('Unauthorized (wrong password)');
+    }
+    let errMsg = "";
+    try {
+      const errJson = await response.json();
+      errMsg = (errJson && (errJson.error || errJson.message)) ? String(errJson.error || errJson.message) : "";
+    } catch {
+      try {
+        errMsg = await response.text();
+      } catch {
+        errMsg = "";
+      }
+    }
+    throw new Error(errMsg || `Auth failed (${response.status})`);
+  }
+
+  const data = await response.json();
+
+  if (!data.token) {
+    throw new Error('No token in response');
+  }
+
+  return { token: data.token, expiresInSeconds: data.expiresInSeconds };
+}
+
+/**
+ * Decode the payload of a JWT (no signature check — the hub verifies tokens)
+ * @param {string} token
+ * @returns {Record<string, any> | null} Claims, or null if the token is not a readable JWT
+ */
+export function decodeJwtPayload(token) {
+  const parts = String(token || "").trim().split(".");
+  if (parts.length !== 3) return null;
+  try {
+    const b64 = parts[1].replace(/-/g, "+").replace(/_/g, "/");
+    const padded = b64 + "=".repeat((4 - (b64.length % 4)) % 4);
+    const json = decodeURIComponent(
+      Array.from(atob(padded), (c) => "%" + c.charCodeAt(0).toString(16).padStart(2, "0")).join("")
+    );
+    const claims = JSON.parse(json);
+    return claims && typeof claims === "object" ? claims : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Seconds until the JWT's `exp` claim (negative once expired)
+ * @returns {number | undefined} undefined when the token has no exp claim
+ */
+export function secondsUntilExpiry(token, now = Date.now()) {
+  const claims = decodeJwtPayload(token);
+  if (!claims || !Number.isFinite(claims.exp)) return undefined;
+  return Math.ceil(claims.exp - now / 1000);
+}
+
+/**
+ * When a token expires: expiresInSeconds from the issuer, else the JWT's `exp` claim
+ * @param {{ token: string, expiresInSeconds?: number }} auth
+ * @param {number} [now] - Time the token was received
+ * @returns {number | null} Expiry time (ms), or null if unknown
+ */
+export function resolveTokenExpiry(auth, now = Date.now()) {
+  const fromIssuer = Number(auth.expiresInSeconds);
+  const seconds = auth.expiresInSeconds != null && Number.isFinite(fromIssuer) ? fromIssuer : secondsUntilExpiry(auth.token, now);
+  return seconds != null ? now + seconds * 1000 : null;
+}
+
+/**
+ * Authorization URL for the redirect mode (implicit-grant style: the issuer sends the
+ * browser back to redirectUri with #access_token=...&expires_in=...&state=...)
+ * @param {string} authorizeUrl - Issuer sign-in endpoint
+ * @param {{ room: string, redirectUri: string, state: string }} params
+ */
+export function buildAuthorizeUrl(authorizeUrl, { room, redirectUri, state }) {
+  const u = new URL(authorizeUrl);
+  u.searchParams.set("response_type", "token");
+  u.searchParams.set("room", room);
+  u.searchParams.set("role", "sub");
+  u.searchParams.set("redirect_uri", redirectUri);
+  u.searchParams.set("state", state);
+  return u.toString();
+}
+
+/**
+ * Parse the fragment an issuer redirects back with
+ * @param {string} hash - window.location.hash
+ * @returns {{ token?: string, expiresInSeconds?: number, state: string, error?: string } | null} null if the
+ *   fragment is not a sign-in result
+ */
+export function parseRedirectResult(hash) {
+  const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+  const token = params.get("access_token") || params.get("token");
+  const error = params.get("error");
+  if (!token && !error) return null;
+
+  const state = params.get("state") || "";
+  if (error) {
+    return { state, error: params.get("error_description") || error };
+  }
+
+  const expiresIn = Number(params.get("expires_in"));
+  return { token, state, expiresInSeconds: Number.isFinite(expiresIn) && expiresIn > 0 ? expiresIn : undefined };
+}
+
+/**
+ * Load the optional deployment config (auth mode + endpoints) served next to index.html
+ * @param {string} [url]
+ * @param {typeof fetch} [fetchImpl]
+ * @returns {Promise<{ authMode?: string, authUrl?: string, authorizeUrl?: string } | null>} null if there is none
+ * @throws {Error} If the file exists but is not a JSON object
+ */
+export async function loadAuthConfig(url = AUTH_CONFIG_URL, fetchImpl = fetch) {
+  let response;
+  try {
+    response = await fetchImpl(url, { cache: "no-store" });
+  } catch {
+    return null; // file:// or offline: no config
+  }
+  if (!response.ok) return null;
+
+  let cfg;
+  try {
+    cfg = await response.json();
+  } catch {
+    throw new Error(`${url} is not valid JSON`);
+  }
+  if (!cfg || typeof cfg !== "object" || Array.isArray(cfg)) {
+    throw new Error(`${url} must contain a JSON object`);
+  }
+
+  const out = {};
+  if (AUTH_MODES.includes(cfg.authMode)) out.authMode = cfg.authMode;
+  if (typeof cfg.authUrl === "string" && cfg.authUrl.trim()) out.authUrl = cfg.authUrl.trim();
+  if (typeof cfg.authorizeUrl === "string" && cfg.authorizeUrl.trim()) out.authorizeUrl = cfg.authorizeUrl.trim();
+  return out;
+}
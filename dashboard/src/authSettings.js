@@ -0,0 +1,242 @@
+/*
+  Auth settings: how the dashboard gets the subscriber JWT it connects with
+  - password: POST the dashboard password to a dom-auth compatible token endpoint
+  - jwt: a pre-issued JWT pasted into the settings panel
+  - redirect: OAuth-style sign-in; the issuer sends the browser back with #access_token=...
+
+  Precedence: built-in defaults < dashboard.config.json < query string < settings panel.
+  Tokens and passwords are never written to the URL or to storage.
+  A link can point the endpoints elsewhere (?auth=, ?authorize=); endpoints outside this page's origin
+  and the configured defaults need the operator's confirmation first (a crafted link could otherwise
+  collect the dashboard password).
+*/
+
+import { AUTH_MODES, AUTH_SERVICE_URL, buildAuthorizeUrl, parseRedirectResult, secondsUntilExpiry } from "./auth.js";
+import { els } from "./dom.js";
+
+/** sessionStorage key holding the pending redirect sign-in ({ state, room }) */
+const REDIRECT_STATE_KEY = "holeCardsDashboard.authState";
+
+const BUILT_IN_DEFAULTS = { mode: "password", authUrl: AUTH_SERVICE_URL, authorizeUrl: "" };
+
+/** Defaults after dashboard.config.json (query params are only written when they differ) */
+let defaults = { ...BUILT_IN_DEFAULTS };
+
+/** @type {{ mode: "password" | "jwt" | "redirect", authUrl: string, authorizeUrl: string }} */
+let settings = { ...BUILT_IN_DEFAULTS };
+
+/** Token returned by the redirect sign-in (memory only) */
+/** @type {{ token: string, expiresInSeconds: number | undefined, room: string, receivedAt: number } | null} */
+let redirectAuth = null;
+
+export function getAuthSettings() {
+  return settings;
+}
+
+export function getAuthDefaults() {
+  return defaults;
+}
+
+/**
+ * Apply the deployment config (dashboard.config.json) as the new defaults
+ * @param {{ authMode?: string, authUrl?: string, authorizeUrl?: string }} cfg
+ */
+export function setAuthDefaults(cfg) {
+  defaults = {
+    mode: AUTH_MODES.includes(cfg.authMode) ? cfg.authMode : BUILT_IN_DEFAULTS.mode,
+    authUrl: cfg.authUrl || BUILT_IN_DEFAULTS.authUrl,
+    authorizeUrl: cfg.authorizeUrl || BUILT_IN_DEFAULTS.authorizeUrl,
+  };
+  settings = { ...defaults };
+}
+
+/**
+ * Update auth settings. Unknown modes and null/undefined values are ignored;
+ * an empty endpoint falls back to the default.
+ * @param {{ mode?: string | null, authUrl?: string | null, authorizeUrl?: string | null }} next
+ */
+export function applyAuthSettings(next) {
+  if (next.mode != null && AUTH_MODES.includes(next.mode)) settings.mode = next.mode;
+  if (next.authUrl != null) settings.authUrl = next.authUrl.trim() || defaults.authUrl;
+  if (next.authorizeUrl != null) settings.authorizeUrl = next.authorizeUrl.trim() || defaults.authorizeUrl;
+}
+
+/**
+ * Query-string endpoints that would receive credentials somewhere other than this page's origin
+ * or the configured defaults
+ * @param {{ authUrl?: string | null, authorizeUrl?: string | null }} requested
+ * @param {string} pageHref
+ * @returns {Array<{ field: "authUrl" | "authorizeUrl", url: string, origin: string }>}
+ */
+export function findUntrustedEndpoints(requested, pageHref) {
+  const pageOrigin = new URL(pageHref).origin;
+  const untrusted = [];
+  for (const field of /** @type {const} */ (["authUrl", "authorizeUrl"])) {
+    const url = (requested[field] || "").trim();
+    if (!url || url === defaults[field]) continue;
+    let origin;
+    try {
+      origin = new URL(url, pageHref).origin;
+    } catch {
+      origin = url;
+    }
+    if (origin !== pageOrigin) untrusted.push({ field, url, origin });
+  }
+  return untrusted;
+}
+
+/** Sync the settings panel with the current auth settings (mode select, endpoints, visible fields) */
+export function renderAuthSettings() {
+  const { mode, authUrl, authorizeUrl } = settings;
+
+  if (els.authModeSelect) els.authModeSelect.value = mode;
+  // Endpoints that match the defaults show as the placeholder, so clearing a field restores the default
+  if (els.authUrlInput) {
+    els.authUrlInput.placeholder = defaults.authUrl;
+    if (document.activeElement !== els.authUrlInput) els.authUrlInput.value = authUrl === defaults.authUrl ? "" : authUrl;
+  }
+  if (els.authorizeUrlInput && document.activeElement !== els.authorizeUrlInput) {
+    els.authorizeUrlInput.value = authorizeUrl;
+  }
+
+  if (els.passwordField) els.passwordField.hidden = mode !== "password";
+  if (els.authUrlField) els.authUrlField.hidden = mode !== "password";
+  if (els.jwtField) els.jwtField.hidden = mode !== "jwt";
+  if (els.authorizeField) els.authorizeField.hidden = mode !== "redirect";
+
+  if (els.signInStatus) {
+    els.signInStatus.textContent = redirectAuth ? `Signed in for ${redirectAuth.room}` : "Not signed in";
+  }
+}
+
+/**
+ * What is missing before a connect can fetch/use a token, if anything
+ * @returns {{ error: string, hint: string } | null}
+ */
+export function describeMissingCredential() {
+  switch (settings.mode) {
+    case "jwt":
+      if (!(els.jwtInput?.value || "").trim()) {
+        return { error: "Missing JWT", hint: "Paste a subscriber JWT, then click Connect." };
+      }
+      return null;
+    case "redirect":
+      if (!redirectAuth) {
+        return { error: "Not signed in", hint: "Click Sign in to get a token from your issuer, then click Connect." };
+      }
+      return null;
+    default:
+      if (!(els.dashboardPasswordInput?.value || "").trim()) {
+        return { error: "Missing dashboard password", hint: "Enter Dashboard Password to fetch a JWT, then click Connect." };
+      }
+      return null;
+  }
+}
+
+/** Whether a connect could go ahead without user input (used for auto-connect on load) */
+export function hasCredential() {
+  return describeMissingCredential() === null;
+}
+
+/** Only the password mode can get a fresh token on its own */
+export function canRefreshToken() {
+  return settings.mode === "password";
+}
+
+/**
+ * Get a subscriber JWT for the room using the current auth mode
+ * @param {string} room
+ * @param {import("./transport.js").Transport} transport - Used for the password mode
+ * @returns {Promise<{ token: string, expiresInSeconds: number | undefined }>}
+ * @throws {Error} With a `hint` for the modes that can't fetch a token themselves
+ */
+export async function resolveSubscriberToken(room, transport) {
+  if (settings.mode === "jwt") {
+    const token = (els.jwtInput?.value || "").trim();
+    const expiresInSeconds = secondsUntilExpiry(token);
+    if (expiresInSeconds != null && expiresInSeconds <= 0) {
+      throw Object.assign(new Error("Pasted JWT has expired"), { hint: "Paste a new JWT and click Connect." });
+    }
+    return { token, expiresInSeconds };
+  }
+
+  if (settings.mode === "redirect") {
+    if (!redirectAuth) {
+      throw Object.assign(new Error("Not signed in"), { hint: "Click Sign in, then click Connect." });
+    }
+    if (redirectAuth.room && redirectAuth.room !== room) {
+      throw Object.assign(new Error(`Signed in for room ${redirectAuth.room}, not ${room}`), {
+        hint: "Click Sign in again for this room.",
+      });
+    }
+    const elapsed = Math.floor((Date.now() - redirectAuth.receivedAt) / 1000);
+    const expiresInSeconds =
+      redirectAuth.expiresInSeconds != null ? redirectAuth.expiresInSeconds - elapsed : secondsUntilExpiry(redirectAuth.token);
+    return { token: redirectAuth.token, expiresInSeconds };
+  }
+
+  return transport.fetchToken(room, els.dashboardPasswordInput?.value || "");
+}
+
+/**
+ * The hub expired a token we can't refresh: drop it and say what the user has to do
+ * @returns {string} Hint for the log
+ */
+export function expireCredential() {
+  if (settings.mode === "jwt") {
+    els.jwtInput?.classList.add("token-expired");
+    return "Paste a new JWT and click Connect.";
+  }
+  redirectAuth = null;
+  renderAuthSettings();
+  return "Click Sign in to get a new token.";
+}
+
+/**
+ * Start the redirect sign-in: remember a random state and send the browser to the issuer
+ * @param {string} room
+ */
+export function beginRedirectSignIn(room) {
+  const state = Array.from(crypto.getRandomValues(new Uint8Array(16)), (b) => b.toString(16).padStart(2, "0")).join("");
+  window.sessionStorage.setItem(REDIRECT_STATE_KEY, JSON.stringify({ state, room }));
+
+  const redirectUri = new URL(window.location.href);
+  redirectUri.hash = "";
+  window.location.assign(buildAuthorizeUrl(settings.authorizeUrl, { room, redirectUri: redirectUri.toString(), state }));
+}
+
+/**
+ * Pick up a token the issuer redirected back with (#access_token=...) and clear it from the URL
+ * @returns {{ ok: true, room: string } | { ok: false, error: string } | null} null if the page was not a sign-in return
+ */
+export function consumeRedirectResult() {
+  const result = parseRedirectResult(window.location.hash);
+  if (!result) return null;
+
+  // Never leave the token in the address bar / history
+  const clean = new URL(window.location.href);
+  clean.hash = "";
+  window.history.replaceState({}, "", clean.toString());
+
+  let pending = null;
+  try {
+    pending = JSON.parse(window.sessionStorage.getItem(REDIRECT_STATE_KEY) || "null");
+  } catch {
+    pending = null;
+  }
+  window.sessionStorage.removeItem(REDIRECT_STATE_KEY);
+
+  if (result.error) return { ok: false, error: result.error };
+  if (!pending || !result.state || pending.state !== result.state) {
+    return { ok: false, error: "Sign-in state mismatch (token ignored)" };
+  }
+
+  redirectAuth = {
+    token: result.token,
+    expiresInSeconds: result.expiresInSeconds,
+    room: pending.room || "",
+    receivedAt: Date.now(),
+  };
+  settings.mode = "redirect";
+  return { ok: true, room: redirectAuth.room };
+}
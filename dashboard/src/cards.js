@@ -0,0 +1,38 @@
+/*
+  Card helpers: rank/suit normalization and display formatting
+*/
+
+export function normalizeValue(v) {
+  if (v == null) return "—";
+  const s = String(v).trim().toUpperCase();
+  if (s === "10") return "10"; // consistent choice: show 10 as "10"
+  if (s.length === 0) return "—";
+  return s;
+}
+
+export function suitSymbol(suit) {
+  const s = String(suit || "").trim().toLowerCase();
+  if (s === "h") return "♥";
+  if (s === "d") return "♦";
+  if (s === "c") return "♣";
+  if (s === "s") return "♠";
+  return "?";
+}
+
+export function suitColor(suit) {
+  const s = String(suit || "").trim().toLowerCase();
+  // Used as data attribute for styling. Keep values stable and explicit.
+  if (s === "s") return "spade";
+  if (s === "h") return "heart";
+  if (s === "d") return "diamond";
+  if (s === "c") return "club";
+  return "spade";
+}
+
+export function formatTwoCards(value1, suit1, value2, suit2) {
+  const v1 = normalizeValue(value1);
+  const v2 = normalizeValue(value2);
+  const s1 = suitSymbol(suit1);
+  const s2 = suitSymbol(suit2);
+  return `${v1}${s1} ${v2}${s2}`;
+}
@@ -0,0 +1,1047 @@
+/*
+  Hub connection lifecycle (one connection per monitored room)
+  - Connect/disconnect with cleanup
+  - Auto-reconnect w/ exponential backoff (cap 10s)
+  - Handles hub error codes: 4001 (invalid role), 4002 (invalid token), 4003 (token expired), 4004 (claim mismatch)
+  - Refreshes the JWT ahead of expiry with a make-before-break reconnect (new socket opens before the old one closes)
+  - Heartbeat watchdog (heartbeat.js): pings silent hubs and reconnects connections that stay silent
+  - Reconnects to hubs that can resume pass the last seq seen per publisher as `since` (sequence.js)
+  - 4002 closes are counted for the auth-failure alert rules (alerts.js)
+
+  The Game ID field holds the list of rooms to monitor. Each room gets its own socket, token
+  lifecycle and publishers store; the top bar shows the active room's status and token countdown.
+*/
+
+import { clearRoomAlerts, noteAuthFailure } from "./alerts.js";
+import { resolveTokenExpiry } from "./auth.js";
+import {
+  canRefreshToken,
+  describeMissingCredential,
+  expireCredential,
+  getAuthDefaults,
+  getAuthSettings,
+  resolveSubscriberToken,
+} from "./authSettings.js";
+import { clearRoomHealth, getLastMessageAt, recordBackoff, recordClose, recordConnectAttempt, recordConnected } from "./diagnostics.js";
+import { els } from "./dom.js";
+import { formatClock, formatDelay } from "./format.js";
+import { assessConnection, DEFAULT_IDLE_TIMEOUT_MS, describeHealth, getIdleTimeout, IDLE_CLOSE_CODE } from "./heartbeat.js";
+import { appendLog } from "./log.js";
+import { DEFAULT_BROADCAST_DELAY_MS, getBroadcastDelay, handleIncomingMessage } from "./pipeline.js";
+import { DEFAULT_OFFLINE_AFTER_MS, DEFAULT_STALE_AFTER_MS, getPresenceThresholds } from "./presence.js";
+import { restoreSavedRooms } from "./persistence.js";
+import { buildWsUrl, extractGameIds } from "./protocol.js";
+import { discardRecording, getRecording, renderRecordCount, startRecording } from "./recorder.js";
+import { clearStream, getResumeCursor, noteConnectionLost, noteConnectionOpened } from "./sequence.js";
+import { exitReplay, isReplaying } from "./replay.js";
+import { activateRoom, getRoomLayout, renderPublishersUI, scheduleRender } from "./render.js";
+import { ensureRoom, getActiveRoomId, removeRoom, rooms, setRoomStatus } from "./store.js";
+import { createBrowserTransport } from "./transport.js";
+
+const RECONNECT_CAP_MS = 10_000;
+const RECONNECT_BASE_MS = 500;
+
+/** Refresh this long before the token expires (at most a fifth of its lifetime) */
+const TOKEN_REFRESH_LEAD_MS = 60_000;
+const TOKEN_REFRESH_RETRY_MS = 10_000;
+/** Token countdown turns red below this */
+const TOKEN_LOW_MS = 60_000;
+/** How often open connections are checked for silence */
+const HEARTBEAT_TICK_MS = 1000;
+
+/**
+ * Per-room connection state
+ * @typedef {{
+ *   room: string,
+ *   ws: import("./transport.js").TransportConnection | null,
+ *   pendingWs: import("./transport.js").TransportConnection | null,
+ *   manualDisconnect: boolean,
+ *   reconnectTimer: any,
+ *   reconnectAttempt: number,
+ *   reAuthInFlight: boolean,
+ *   tokenReceivedAt: number,
+ *   tokenExpiresAt: number | null,
+ *   tokenRefreshTimer: any,
+ *   connectedAt: number,
+ *   lastTrafficAt: number,
+ *   lastPingAt: number,
+ *   health: import("./heartbeat.js").ConnectionHealth | null,
+ * }} RoomConnection
+ */
+
+/** @type {Map<string, RoomConnection>} */
+const connections = new Map();
+
+/** Hub + rooms last applied (baseline for config-change reconnects) */
+let lastConfig = { hub: "", roomIds: [] };
+let lastWasAutoReconnect = false;
+
+let configDebounceTimer = null;
+
+/** Track if last connection attempt used a token (for token expiry handling) */
+let lastConnectionUsedToken = false;
+
+/** Drives the token countdown while any room holds a token with a known expiry */
+let tokenTickTimer = null;
+
+/** Runs the heartbeat watchdog while any room is connected */
+let heartbeatTimer = null;
+
+/** Get or create the connection state for a room (and its store) */
+function getConnection(room) {
+  let conn = connections.get(room);
+  if (!conn) {
+    conn = {
+      room,
+      ws: null,
+      pendingWs: null,
+      manualDisconnect: false,
+      reconnectTimer: null,
+      reconnectAttempt: 0,
+      reAuthInFlight: false,
+      tokenReceivedAt: 0,
+      tokenExpiresAt: null,
+      tokenRefreshTimer: null,
+      connectedAt: 0,
+      lastTrafficAt: 0,
+      lastPingAt: 0,
+      health: null,
+    };
+    connections.set(room, conn);
+    ensureRoom(room);
+  }
+  return conn;
+}
+
+/** appendLog tagged with the room (shown as a badge once several rooms are monitored) */
+function logRoom(conn, entry) {
+  appendLog({ ...entry, roomId: conn.room });
+}
+
+/**
+ * @param {RoomConnection} conn
+ * @param {"connected" | "disconnected" | "reconnecting"} status
+ */
+function setStatus(conn, status) {
+  setRoomStatus(conn.room, status);
+  renderConnectionStatus();
+  scheduleRender();
+
+  // Collapse settings automatically once connected to keep UI clean mid-game
+  if (status === "connected" && els.settingsPanel && els.settingsToggle) {
+    els.settingsPanel.classList.remove("visible");
+    els.settingsToggle.setAttribute("aria-expanded", "false");
+  }
+}
+
+/** Top bar status + token countdown for the active room; Connect/Disconnect for the room list */
+export function renderConnectionStatus() {
+  // status: connected | disconnected | reconnecting
+  const active = rooms[getActiveRoomId()];
+  const status = active ? active.status : "disconnected";
+  const conn = connections.get(getActiveRoomId());
+  const health = status === "connected" && conn ? describeHealth(conn.health) : "";
+  els.statusBadge.dataset.status = status;
+  els.statusBadge.dataset.health = status === "connected" && conn && conn.health ? conn.health : "";
+  els.statusText.textContent = health ? `${status} · ${health}` : status;
+
+  const listed = extractGameIds(els.gameIdInput.value);
+  const isBusy = (id) => rooms[id] != null && rooms[id].status !== "disconnected";
+
+  els.connectBtn.disabled = listed.length > 0 && listed.every(isBusy);
+  els.disconnectBtn.disabled = ![...connections.keys()].some(isBusy);
+
+  renderTokenTtl();
+}
+
+export function updateQueryStringFromInputs() {
+  try {
+    const url = new URL(window.location.href);
+    const hub = els.hubInput.value.trim();
+    const gameIds = extractGameIds(els.gameIdInput.value);
+
+    if (hub) url.searchParams.set("hub", hub);
+    else url.searchParams.delete("hub");
+
+    if (gameIds.length > 0) url.searchParams.set("gameId", gameIds.join(","));
+    else url.searchParams.delete("gameId");
+
+    const delayMs = getBroadcastDelay();
+    if (delayMs !== DEFAULT_BROADCAST_DELAY_MS) url.searchParams.set("delay", formatDelay(delayMs).replace(" ", ""));
+    else url.searchParams.delete("delay");
+
+    const presence = getPresenceThresholds();
+    if (presence.staleMs !== DEFAULT_STALE_AFTER_MS) url.searchParams.set("stale", formatDelay(presence.staleMs).replace(" ", ""));
+    else url.searchParams.delete("stale");
+    if (presence.offlineMs !== DEFAULT_OFFLINE_AFTER_MS) url.searchParams.set("offline", formatDelay(presence.offlineMs).replace(" ", ""));
+    else url.searchParams.delete("offline");
+
+    const idleMs = getIdleTimeout();
+    if (idleMs !== DEFAULT_IDLE_TIMEOUT_MS) url.searchParams.set("idle", formatDelay(idleMs).replace(" ", ""));
+    else url.searchParams.delete("idle");
+
+    // Auth settings are only kept in the URL when they differ from the defaults (built-in or dashboard.config.json)
+    const auth = getAuthSettings();
+    const authDefaults = getAuthDefaults();
+    if (auth.mode !== authDefaults.mode) url.searchParams.set("authMode", auth.mode);
+    else url.searchParams.delete("authMode");
+    if (auth.authUrl !== authDefaults.authUrl) url.searchParams.set("auth", auth.authUrl);
+    else url.searchParams.delete("auth");
+    if (auth.authorizeUrl !== authDefaults.authorizeUrl) url.searchParams.set("authorize", auth.authorizeUrl);
+    else url.searchParams.delete("authorize");
+
+    if (getRoomLayout() === "grid") url.searchParams.set("layout", "grid");
+    else url.searchParams.delete("layout");
+
+    // Never store password or token in URL
+    url.searchParams.delete("token");
+
+    window.history.replaceState({}, "", url.toString());
+  } catch {
+    // ignore
+  }
+}
+
+function readConfig() {
+  return { hub: els.hubInput.value.trim(), roomIds: extractGameIds(els.gameIdInput.value) };
+}
+
+/** @type {import("./transport.js").Transport | null} */
+let transportOverride = null;
+
+/**
+ * Swap the transport (tests / offline development); null goes back to the browser transport
+ * @param {import("./transport.js").Transport | null} next
+ */
+export function setTransport(next) {
+  transportOverride = next;
+}
+
+/** Browser transport against the current token endpoint, unless overridden */
+function getTransport() {
+  return transportOverride || createBrowserTransport({ authUrl: getAuthSettings().authUrl });
+}
+
+/** @param {RoomConnection} conn */
+function safeCleanupWs(conn) {
+  if (conn.reconnectTimer) {
+    clearTimeout(conn.reconnectTimer);
+    conn.reconnectTimer = null;
+  }
+
+  clearTokenRefresh(conn);
+  closePendingWs(conn);
+
+  if (!conn.ws) return;
+
+  try {
+    conn.ws.detach();
+  } catch {
+    // ignore
+  }
+
+  try {
+    conn.ws.close(1000, "client disconnect");
+  } catch {
+    // ignore
+  }
+
+  conn.ws = null;
+}
+
+/** @param {RoomConnection} conn */
+function disconnectRoom(conn) {
+  conn.manualDisconnect = true;
+  // The socket is detached (no close event): the outage starts now, so a later resume knows about it
+  noteConnectionLost(conn.room);
+  safeCleanupWs(conn);
+  setTokenExpiry(conn, null);
+  setStatus(conn, "disconnected");
+}
+
+/** Disconnect every room (stores and tabs are kept) */
+export function disconnect() {
+  lastWasAutoReconnect = false;
+  for (const conn of connections.values()) disconnectRoom(conn);
+  renderConnectionStatus();
+}
+
+/**
+ * Close a room's socket and drop everything kept for it: store, recording, diagnostics, stream
+ * cursors and alert state (a room added again later starts clean)
+ * @param {string} roomId
+ */
+function teardownRoom(roomId) {
+  const conn = connections.get(roomId);
+  if (conn) {
+    disconnectRoom(conn);
+    connections.delete(roomId);
+  }
+  removeRoom(roomId);
+  discardRecording(roomId);
+  clearRoomHealth(roomId);
+  clearStream(roomId);
+  clearRoomAlerts(roomId);
+}
+
+/**
+ * Stop monitoring a room: close its socket, drop its store + recording and remove it from the Game ID list
+ * @param {string} roomId
+ */
+export function stopMonitoringRoom(roomId) {
+  teardownRoom(roomId);
+
+  els.gameIdInput.value = extractGameIds(els.gameIdInput.value)
+    .filter((id) => id !== roomId)
+    .join(", ");
+  markConfigApplied();
+  updateQueryStringFromInputs();
+
+  renderPublishersUI();
+  renderConnectionStatus();
+  renderRecordCount();
+}
+
+/** Show a room in the main view (tab / grid panel click) */
+export function selectRoom(roomId) {
+  activateRoom(roomId);
+  renderConnectionStatus();
+  renderRecordCount();
+}
+
+/** Remember the current hub/rooms as the baseline for config-change reconnects */
+export function markConfigApplied() {
+  lastConfig = readConfig();
+}
+
+/** Mark the current connect as user-initiated (not an auto-reconnect) */
+export function markManualConnect() {
+  lastWasAutoReconnect = false;
+}
+
+/** @param {RoomConnection} conn */
+function scheduleReconnect(conn) {
+  if (conn.manualDisconnect) return;
+  if (conn.reconnectTimer) return;
+
+  const delay = Math.min(RECONNECT_CAP_MS, RECONNECT_BASE_MS * Math.pow(2, conn.reconnectAttempt));
+  conn.reconnectAttempt += 1;
+  lastWasAutoReconnect = true;
+  recordBackoff(conn.room, delay, conn.reconnectAttempt);
+
+  setStatus(conn, "reconnecting");
+  conn.reconnectTimer = setTimeout(() => {
+    conn.reconnectTimer = null;
+    connectRoom(conn);
+  }, delay);
+}
+
+/** @param {RoomConnection} conn */
+function openWebSocketConnection(conn, { hub, token, expiresAt = null }) {
+  const room = conn.room;
+  // Track connection state for expiry handling
+  lastConnectionUsedToken = !!token;
+
+  updateQueryStringFromInputs();
+
+  conn.manualDisconnect = false;
+
+  // ensure any existing socket is gone
+  safeCleanupWs(conn);
+
+  let url;
+  try {
+    const since = getResumeCursor(room);
+    url = buildWsUrl(hub, room, token, since);
+    // Log the constructed URL for debugging (without exposing full token)
+    const urlForLog = token ? url.replace(/token=([^&]+)/, "token=***") : url;
+    logRoom(conn, {
+      kind: "message",
+      time: Date.now(),
+      cardsText: since ? "Connecting (resuming)..." : "Connecting...",
+      raw: JSON.stringify({ action: "connect", url: urlForLog, room: room, hasToken: !!token, ...(since ? { since } : {}) }, null, 2),
+    });
+    setTokenExpiry(conn, expiresAt);
+  } catch (e) {
+    logRoom(conn, {
+      kind: "error",
+      time: Date.now(),
+      cardsText: "—",
+      raw: JSON.stringify({ error: String(e && e.message ? e.message : e) }, null, 2),
+    });
+    setStatus(conn, "disconnected");
+    return;
+  }
+
+  recordConnectAttempt(room);
+  try {
+    conn.ws = getTransport().connect(url, {
+      onOpen: () => handleTransportOpen(conn),
+      onMessage: (data) => handleTransportMessage(conn, data),
+      onError: () => handleTransportError(conn),
+      onClose: (evt) => handleTransportClose(conn, evt),
+    });
+  } catch (e) {
+    logRoom(conn, {
+      kind: "error",
+      time: Date.now(),
+      cardsText: "—",
+      raw: JSON.stringify({ error: "Failed to create WebSocket", detail: String(e) }, null, 2),
+    });
+    setStatus(conn, "disconnected");
+    scheduleReconnect(conn);
+    return;
+  }
+
+  setStatus(conn, "reconnecting");
+}
+
+/** @param {RoomConnection} conn */
+function handleTransportOpen(conn) {
+  conn.reconnectAttempt = 0;
+  const now = Date.now();
+  conn.connectedAt = now;
+  conn.lastTrafficAt = now;
+  conn.lastPingAt = 0;
+  conn.health = "ok";
+  recordConnected(conn.room, now);
+  noteConnectionOpened(conn.room, now);
+  setStatus(conn, "connected");
+  scheduleTokenRefresh(conn);
+  startHeartbeat();
+}
+
+/** Anything from the hub (messages, pongs) proves the connection is alive */
+function handleTransportMessage(conn, data) {
+  conn.lastTrafficAt = Date.now();
+  if (conn.health === "hubSilent") {
+    conn.health = "ok";
+    renderConnectionStatus();
+  }
+  handleIncomingMessage(data, { roomId: conn.room });
+}
+
+// ============================================================
+// Heartbeat watchdog
+// ============================================================
+
+function startHeartbeat() {
+  if (!heartbeatTimer) heartbeatTimer = setInterval(() => runHeartbeat(), HEARTBEAT_TICK_MS);
+}
+
+/**
+ * Check every connected room for silence: update its health, ping the hub, or drop a dead
+ * connection (it then reconnects through the usual backoff)
+ * @param {number} [now]
+ */
+export function runHeartbeat(now = Date.now()) {
+  let watching = false;
+  let changed = false;
+  for (const conn of connections.values()) {
+    if (!conn.ws || !conn.connectedAt || rooms[conn.room]?.status !== "connected") continue;
+    watching = true;
+
+    const { health, action, silentForMs } = assessConnection(
+      {
+        connectedAt: conn.connectedAt,
+        lastTrafficAt: conn.lastTrafficAt,
+        lastPublisherAt: getLastMessageAt(conn.room),
+        lastPingAt: conn.lastPingAt,
+        canPing: !!rooms[conn.room].protocol,
+      },
+      now
+    );
+    if (health !== conn.health) {
+      conn.health = health;
+      changed = true;
+    }
+    if (action === "ping") sendPing(conn, now);
+    if (action === "reconnect") closeSilentConnection(conn, silentForMs);
+  }
+  if (changed) renderConnectionStatus();
+  if (!watching && heartbeatTimer) {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  }
+}
+
+/** Ping a versioned hub (assessConnection never asks for pings to older hubs, which may not expect messages from subscribers) */
+function sendPing(conn, now) {
+  conn.lastPingAt = now;
+  try {
+    conn.ws.send(JSON.stringify({ type: "ping", t: now }));
+  } catch {
+    // ignore: the watchdog reconnects if the socket is really gone
+  }
+}
+
+/** @param {RoomConnection} conn */
+function closeSilentConnection(conn, silentForMs) {
+  const ws = conn.ws;
+  try {
+    ws.detach();
+    ws.close(IDLE_CLOSE_CODE, "idle timeout");
+  } catch {
+    // ignore
+  }
+  handleTransportClose(conn, { code: IDLE_CLOSE_CODE, reason: `Nothing received for ${formatDelay(silentForMs)}` });
+}
+
+/** @param {RoomConnection} conn */
+function handleTransportError(conn) {
+  // Most browsers don't give useful error details.
+  logRoom(conn, {
+    kind: "error",
+    time: Date.now(),
+    cardsText: "(ws error)",
+    raw: JSON.stringify({ event: "error" }, null, 2),
+  });
+}
+
+/**
+ * @param {RoomConnection} conn
+ * @param {{ code: number, reason: string }} evt
+ */
+function handleTransportClose(conn, evt) {
+  conn.ws = null;
+  conn.connectedAt = 0;
+  conn.health = null;
+  clearTokenRefresh(conn);
+  closePendingWs(conn);
+  setTokenExpiry(conn, null);
+  const code = evt.code;
+  const reason = evt.reason || "";
+  recordClose(conn.room, code, reason);
+  noteConnectionLost(conn.room);
+
+  // Handle specific hub error codes
+  switch (code) {
+    case 4001:
+      logRoom(conn, {
+        kind: "error",
+        time: Date.now(),
+        cardsText: "(close 4001)",
+        raw: JSON.stringify({ event: "close", code, reason: "Invalid role parameter", detail: reason }, null, 2),
+      });
+      break;
+    case 4002:
+      logRoom(conn, {
+        kind: "error",
+        time: Date.now(),
+        cardsText: "(close 4002)",
+        raw: JSON.stringify(
+          {
+            event: "close",
+            code,
+            reason: "Invalid or missing token",
+            detail: reason,
+            hint: "Authentication failed. Double-check your password and try again.",
+          },
+          null,
+          2
+        ),
+      });
+      noteAuthFailure(conn.room);
+      break;
+    case 4003:
+      logRoom(conn, {
+        kind: "info",
+        time: Date.now(),
+        cardsText: "(close 4003)",
+        raw: JSON.stringify(
+          {
+            event: "close",
+            code,
+            reason: "Token expired",
+            detail: reason,
+            action: "Re-authenticating and reconnecting...",
+          },
+          null,
+          2
+        ),
+      });
+      break;
+    case IDLE_CLOSE_CODE:
+      logRoom(conn, {
+        kind: "error",
+        time: Date.now(),
+        cardsText: "(close 4000 · hub silent)",
+        raw: JSON.stringify(
+          {
+            event: "close",
+            code,
+            reason: "Dead connection (heartbeat watchdog)",
+            detail: reason,
+            action: "Reconnecting...",
+          },
+          null,
+          2
+        ),
+      });
+      break;
+    case 4004:
+      logRoom(conn, {
+        kind: "error",
+        time: Date.now(),
+        cardsText: "(close 4004)",
+        raw: JSON.stringify(
+          {
+            event: "close",
+            code,
+            reason: "Token claim mismatch (room/role)",
+            detail: reason,
+            hint: "JWT claims don't match the requested room or role.",
+          },
+          null,
+          2
+        ),
+      });
+      break;
+    default:
+      if (code !== 1000) {
+        logRoom(conn, {
+          kind: "info",
+          time: Date.now(),
+          cardsText: `(close ${code})`,
+          raw: JSON.stringify({ event: "close", code, reason: reason || "Connection closed" }, null, 2),
+        });
+      }
+  }
+
+  if (conn.manualDisconnect) {
+    setStatus(conn, "disconnected");
+    return;
+  }
+
+  // Don't auto-reconnect for certain error codes
+  if (code === 4001 || code === 4004) {
+    setStatus(conn, "disconnected");
+    return;
+  }
+
+  if (code === 4002) {
+    // Token required but not provided or invalid
+    setStatus(conn, "disconnected");
+    return;
+  }
+
+  if (code === 4003) {
+    // Token expired -> re-auth and reconnect (guarded to prevent loops)
+    void reAuthAndReconnect(conn);
+    return;
+  }
+
+  // For other unexpected close codes, attempt reconnect
+  setStatus(conn, "reconnecting");
+  scheduleReconnect(conn);
+}
+
+/** @param {RoomConnection} conn */
+async function reAuthAndReconnect(conn) {
+  if (conn.reAuthInFlight) return;
+  conn.reAuthInFlight = true;
+
+  try {
+    if (conn.manualDisconnect) return;
+
+    const hub = els.hubInput.value.trim();
+
+    // Pasted / redirect tokens can't be refreshed from here
+    if (!canRefreshToken()) {
+      logRoom(conn, {
+        kind: "error",
+        time: Date.now(),
+        cardsText: "—",
+        raw: JSON.stringify({ error: "Token expired", hint: expireCredential() }, null, 2),
+      });
+      setStatus(conn, "disconnected");
+      return;
+    }
+
+    const missing = describeMissingCredential();
+    if (missing) {
+      logRoom(conn, {
+        kind: "error",
+        time: Date.now(),
+        cardsText: "—",
+        raw: JSON.stringify(
+          {
+            error: "Token expired but password is missing",
+            hint: "Enter Dashboard Password and click Connect.",
+          },
+          null,
+          2
+        ),
+      });
+      setStatus(conn, "disconnected");
+      return;
+    }
+
+    setStatus(conn, "reconnecting");
+    const auth = await resolveSubscriberToken(conn.room, getTransport());
+    if (conn.manualDisconnect) return;
+
+    openWebSocketConnection(conn, { hub, token: auth.token, expiresAt: resolveTokenExpiry(auth) });
+  } catch (e) {
+    logRoom(conn, {
+      kind: "error",
+      time: Date.now(),
+      cardsText: "—",
+      raw: JSON.stringify(
+        {
+          error: "Re-auth failed",
+          detail: String(e && e.message ? e.message : e),
+          hint: String(e && e.message ? e.message : e).includes("Unauthorized")
+            ? "Unauthorized (wrong password)"
+            : "Network/auth service error. Try again.",
+        },
+        null,
+        2
+      ),
+    });
+    setStatus(conn, "disconnected");
+  } finally {
+    conn.reAuthInFlight = false;
+  }
+}
+
+// ============================================================
+// Proactive token refresh (make-before-break)
+// ============================================================
+
+/**
+ * Remember a room's token expiry and keep the countdown ticking while any room has one
+ * @param {RoomConnection} conn
+ * @param {number | null} expiresAt
+ */
+function setTokenExpiry(conn, expiresAt) {
+  conn.tokenReceivedAt = Date.now();
+  conn.tokenExpiresAt = expiresAt;
+
+  const anyExpiry = [...connections.values()].some((c) => c.tokenExpiresAt != null);
+  if (anyExpiry && !tokenTickTimer) tokenTickTimer = setInterval(renderTokenTtl, 1000);
+  if (!anyExpiry && tokenTickTimer) {
+    clearInterval(tokenTickTimer);
+    tokenTickTimer = null;
+  }
+  renderTokenTtl();
+}
+
+/** Active room's token time remaining, shown next to the connection status */
+function renderTokenTtl() {
+  if (!els.tokenTtl) return;
+  const conn = connections.get(getActiveRoomId());
+  if (!conn || conn.tokenExpiresAt == null) {
+    els.tokenTtl.textContent = "";
+    els.tokenTtl.dataset.low = "false";
+    return;
+  }
+  const remaining = conn.tokenExpiresAt - Date.now();
+  els.tokenTtl.textContent = remaining > 0 ? `token ${formatClock(remaining)}` : "token expired";
+  els.tokenTtl.dataset.low = remaining < TOKEN_LOW_MS ? "true" : "false";
+}
+
+/** @param {RoomConnection} conn */
+function clearTokenRefresh(conn) {
+  if (conn.tokenRefreshTimer) {
+    clearTimeout(conn.tokenRefreshTimer);
+    conn.tokenRefreshTimer = null;
+  }
+}
+
+/** @param {RoomConnection} conn */
+function closePendingWs(conn) {
+  if (!conn.pendingWs) return;
+  const pending = conn.pendingWs;
+  conn.pendingWs = null;
+  try {
+    pending.detach();
+    pending.close(1000, "token refresh cancelled");
+  } catch {
+    // ignore
+  }
+}
+
+/**
+ * Arm the refresh timer for a room's token. Only modes that can fetch a token on their own
+ * refresh early; pasted/redirect tokens still show the countdown and fall back to the 4003 path.
+ * @param {RoomConnection} conn
+ * @param {number} [delayMs] - Override (used to retry after a failed refresh)
+ */
+function scheduleTokenRefresh(conn, delayMs) {
+  clearTokenRefresh(conn);
+  if (conn.tokenExpiresAt == null || !canRefreshToken()) return;
+
+  const lead = Math.min(TOKEN_REFRESH_LEAD_MS, (conn.tokenExpiresAt - conn.tokenReceivedAt) / 5);
+  const wait = delayMs != null ? delayMs : Math.max(0, conn.tokenExpiresAt - lead - Date.now());
+  conn.tokenRefreshTimer = setTimeout(() => {
+    conn.tokenRefreshTimer = null;
+    void refreshTokenBeforeExpiry(conn);
+  }, wait);
+}
+
+/**
+ * Retry a failed refresh while there is still time before the hub closes the socket
+ * @param {RoomConnection} conn
+ */
+function retryTokenRefresh(conn) {
+  if (conn.tokenExpiresAt != null && conn.tokenExpiresAt - Date.now() > TOKEN_REFRESH_RETRY_MS) {
+    scheduleTokenRefresh(conn, TOKEN_REFRESH_RETRY_MS);
+  }
+}
+
+/**
+ * Fetch a fresh token and open a second socket with it; the old socket closes once the new one is open
+ * @param {RoomConnection} conn
+ */
+async function refreshTokenBeforeExpiry(conn) {
+  if (conn.manualDisconnect || !conn.ws || conn.reAuthInFlight || conn.pendingWs) return;
+
+  const hub = els.hubInput.value.trim();
+  const room = conn.room;
+  const current = conn.ws;
+
+  let auth;
+  let url;
+  try {
+    auth = await resolveSubscriberToken(room, getTransport());
+    url = buildWsUrl(hub, room, auth.token);
+  } catch (e) {
+    logRoom(conn, {
+      kind: "error",
+      time: Date.now(),
+      cardsText: "(token refresh)",
+      raw: JSON.stringify(
+        {
+          error: "Token refresh failed",
+          detail: String(e && e.message ? e.message : e),
+          hint: "Retrying; the hub will close the connection with 4003 when the current token expires.",
+        },
+        null,
+        2
+      ),
+    });
+    retryTokenRefresh(conn);
+    return;
+  }
+
+  // Disconnected, reconnected or re-authed while the token was being fetched
+  if (conn.manualDisconnect || conn.ws !== current || conn.pendingWs) return;
+
+  const expiresAt = resolveTokenExpiry(auth);
+  let promoted = false;
+
+  /** @type {import("./transport.js").TransportConnection} */
+  let next;
+  try {
+    next = getTransport().connect(url, {
+      onOpen: () => {
+        if (conn.pendingWs !== next) return;
+        promoted = true;
+        conn.pendingWs = null;
+
+        const old = conn.ws;
+        conn.ws = next;
+        if (old) {
+          try {
+            old.detach();
+            old.close(1000, "token refresh");
+          } catch {
+            // ignore
+          }
+        }
+
+        logRoom(conn, {
+          kind: "info",
+          time: Date.now(),
+          cardsText: "[token refreshed]",
+          raw: JSON.stringify(
+            { event: "token refresh", action: "switched to new connection", expiresInSeconds: auth.expiresInSeconds ?? null },
+            null,
+            2
+          ),
+        });
+        // Status stays "connected" throughout (no settings collapse, no reconnect flicker)
+        setTokenExpiry(conn, expiresAt);
+        scheduleTokenRefresh(conn);
+      },
+      onMessage: (data) => handleTransportMessage(conn, data),
+      onError: () => {
+        if (promoted) handleTransportError(conn);
+      },
+      onClose: (evt) => {
+        if (promoted) {
+          handleTransportClose(conn, evt);
+          return;
+        }
+        if (conn.pendingWs !== next) return;
+        conn.pendingWs = null;
+        logRoom(conn, {
+          kind: "error",
+          time: Date.now(),
+          cardsText: `(token refresh ${evt.code})`,
+          raw: JSON.stringify(
+            { error: "Refresh connection closed before opening", code: evt.code, reason: evt.reason, action: "Keeping current connection" },
+            null,
+            2
+          ),
+        });
+        retryTokenRefresh(conn);
+      },
+    });
+  } catch (e) {
+    logRoom(conn, {
+      kind: "error",
+      time: Date.now(),
+      cardsText: "(token refresh)",
+      raw: JSON.stringify({ error: "Failed to create WebSocket", detail: String(e) }, null, 2),
+    });
+    retryTokenRefresh(conn);
+    return;
+  }
+
+  conn.pendingWs = next;
+}
+
+// ============================================================
+// Connect (every room in the Game ID list)
+// ============================================================
+
+/**
+ * Fetch a token for one room and open its socket
+ * @param {RoomConnection} conn
+ */
+async function connectRoom(conn) {
+  const hub = els.hubInput.value.trim();
+
+  // Reconnects to the same room keep appending to its recording
+  if (!getRecording(conn.room)) startRecording(hub, conn.room);
+
+  // Always require a credential (password / pasted JWT / sign-in; never persisted) to get the JWT
+  const missing = describeMissingCredential();
+  if (missing) {
+    logRoom(conn, {
+      kind: "error",
+      time: Date.now(),
+      cardsText: "—",
+      raw: JSON.stringify(missing, null, 2),
+    });
+    setStatus(conn, "disconnected");
+    return;
+  }
+
+  try {
+    setStatus(conn, "reconnecting"); // Show connecting status during fetch
+    const auth = await resolveSubscriberToken(conn.room, getTransport());
+    // Room removed while the token was being fetched
+    if (connections.get(conn.room) !== conn) return;
+    openWebSocketConnection(conn, { hub, token: auth.token, expiresAt: resolveTokenExpiry(auth) });
+  } catch (error) {
+    logRoom(conn, {
+      kind: "error",
+      time: Date.now(),
+      cardsText: "—",
+      raw: JSON.stringify(
+        {
+          error: "Failed to authenticate",
+          detail: error.message,
+          hint: error.hint || (String(error && error.message ? error.message : error).includes("Unauthorized")
+            ? "Unauthorized (wrong password)"
+            : "Network/auth service error. Try again."),
+        },
+        null,
+        2
+      ),
+    });
+    setStatus(conn, "disconnected");
+    return;
+  }
+}
+
+/** Connect every listed room that isn't already connected or connecting */
+export async function connect(opts = {}) {
+  // Going live ends any replay in progress
+  if (isReplaying()) exitReplay();
+
+  const { hub, roomIds } = readConfig();
+
+  // Validate required fields (hub, gameId, password required)
+  if (!hub) {
+    appendLog({
+      kind: "error",
+      time: Date.now(),
+      cardsText: "—",
+      raw: JSON.stringify({ error: "Missing hub URL" }, null, 2),
+    });
+    renderConnectionStatus();
+    return;
+  }
+
+  if (roomIds.length === 0) {
+    appendLog({
+      kind: "error",
+      time: Date.now(),
+      cardsText: "—",
+      raw: JSON.stringify({ error: "Missing gameId/room" }, null, 2),
+    });
+    renderConnectionStatus();
+    return;
+  }
+
+  lastConfig = { hub, roomIds };
+  const pending = roomIds.map(getConnection);
+  if (!roomIds.includes(getActiveRoomId())) selectRoom(roomIds[0]);
+
+  await Promise.all(
+    pending
+      .filter((conn) => rooms[conn.room].status === "disconnected")
+      .map((conn) => {
+        safeCleanupWs(conn);
+        return connectRoom(conn);
+      })
+  );
+}
+
+export function scheduleConfigReconnect() {
+  if (configDebounceTimer) clearTimeout(configDebounceTimer);
+  configDebounceTimer = setTimeout(async () => {
+    configDebounceTimer = null;
+
+    const next = readConfig();
+    const prev = lastConfig;
+    updateQueryStringFromInputs();
+    renderConnectionStatus();
+
+    // If we're connected (or trying), and config changed, reconnect cleanly.
+    const isActive = [...connections.values()].some((conn) => (conn.ws && conn.ws.isActive()) || conn.reconnectTimer);
+    const changed = next.hub !== prev.hub || next.roomIds.join(",") !== prev.roomIds.join(",");
+    lastConfig = next;
+    if (!isActive || !changed) return;
+
+    // If config is currently incomplete (user is editing), just stop; they can connect once complete.
+    if (!next.hub || next.roomIds.length === 0) {
+      for (const conn of connections.values()) disconnectRoom(conn);
+      return;
+    }
+
+    // Rooms dropped from the list stop being monitored
+    for (const room of [...connections.keys()]) {
+      if (!next.roomIds.includes(room)) teardownRoom(room);
+    }
+    if (!next.roomIds.includes(getActiveRoomId())) selectRoom(next.roomIds[0]);
+
+    // New rooms connect (after their saved data is back, or the first save would overwrite it);
+    // a hub change reconnects every room
+    const added = next.roomIds.filter((room) => !connections.has(room));
+    if (added.length > 0) await restoreSavedRooms(added);
+    for (const room of next.roomIds) {
+      const isNew = !connections.has(room);
+      const conn = getConnection(room);
+      if (isNew || next.hub !== prev.hub) {
+        safeCleanupWs(conn);
+        connectRoom(conn);
+      }
+    }
+    renderPublishersUI();
+  }, 250);
+}
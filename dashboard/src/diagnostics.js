@@ -0,0 +1,244 @@
+/*
+  Connection health per room (in memory, bounded)
+
+  - Connect attempts, opens, closes (with code + reason) and reconnect backoff delays
+  - Message rate per publisher over the last RATE_WINDOW_MS
+  - End-to-end latency: receive time minus the message's own timestamp (data.timestamp, else timestamp).
+    It includes the difference between the publisher's clock and ours.
+  - Clock skew: estimated per publisher as how far its clock is ahead of ours, from the lowest latency
+    seen recently (that message is assumed to have spent ~0ms in transit). Negative: its clock is behind.
+  Snapshots and replayed messages are not counted (their timestamps are old by design).
+*/
+
+import { PROTOCOL_VERSION } from "./protocol.js";
+import { listRooms, rooms } from "./store.js";
+
+export const RATE_WINDOW_MS = 60_000;
+/** Bucket size of the message-rate sparklines */
+export const RATE_BUCKET_MS = 5_000;
+export const MAX_LATENCY_SAMPLES = 120;
+export const MAX_CONNECTION_EVENTS = 50;
+
+/**
+ * @typedef {{ time: number, kind: "attempt" | "open" | "close" | "backoff", code?: number, reason?: string, delayMs?: number, attempt?: number }} ConnectionEvent
+ * @typedef {{ time: number, ms: number }} LatencySample
+ * @typedef {{ receivedTimes: number[], latencies: LatencySample[], lastReceivedAt: number }} PublisherTraffic
+ * @typedef {{ connectAttempts: number, reconnects: number, connectedAt: number | null, events: ConnectionEvent[], publishers: Record<string, PublisherTraffic> }} RoomHealthState
+ * @typedef {{ p50: number, p95: number, latest: number, samples: number[] }} LatencyStats
+ * @typedef {{
+ *   id: string, messagesPerMinute: number, rateSeries: number[], latency: LatencyStats | null,
+ *   clockSkewMs: number | null, lastReceivedAt: number
+ * }} PublisherHealth
+ * @typedef {{
+ *   connectAttempts: number, reconnects: number, connectedAt: number | null,
+ *   closes: ConnectionEvent[], backoffs: ConnectionEvent[],
+ *   messagesPerMinute: number, rateSeries: number[], latency: LatencyStats | null, publishers: PublisherHealth[]
+ * }} RoomHealth
+ */
+
+/** @type {Record<string, RoomHealthState>} */
+const healthByRoom = {};
+
+function healthOf(roomId) {
+  if (!healthByRoom[roomId]) healthByRoom[roomId] = { connectAttempts: 0, reconnects: 0, connectedAt: null, events: [], publishers: {} };
+  return healthByRoom[roomId];
+}
+
+function pushEvent(roomId, event) {
+  const events = healthOf(roomId).events;
+  events.push(event);
+  if (events.length > MAX_CONNECTION_EVENTS) events.splice(0, events.length - MAX_CONNECTION_EVENTS);
+}
+
+export function recordConnectAttempt(roomId, now = Date.now()) {
+  healthOf(roomId).connectAttempts += 1;
+  pushEvent(roomId, { time: now, kind: "attempt" });
+}
+
+export function recordConnected(roomId, now = Date.now()) {
+  healthOf(roomId).connectedAt = now;
+  pushEvent(roomId, { time: now, kind: "open" });
+}
+
+export function recordClose(roomId, code, reason, now = Date.now()) {
+  healthOf(roomId).connectedAt = null;
+  pushEvent(roomId, { time: now, kind: "close", code, reason: reason || "" });
+}
+
+/** A reconnect scheduled after `delayMs` (attempt: 1 for the first retry) */
+export function recordBackoff(roomId, delayMs, attempt, now = Date.now()) {
+  healthOf(roomId).reconnects += 1;
+  pushEvent(roomId, { time: now, kind: "backoff", delayMs, attempt });
+}
+
+/**
+ * The time a message says it was sent, in ms (null when it has none)
+ * @param {any} msg
+ */
+export function messageTimestamp(msg) {
+  const ts = msg && msg.data && msg.data.timestamp != null ? msg.data.timestamp : msg && msg.timestamp;
+  if (ts == null || ts === "") return null;
+  const n = Number(ts);
+  if (Number.isFinite(n)) return n;
+  const parsed = Date.parse(ts);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Count a live message for its publisher (and its latency when it carries a timestamp)
+ * @param {string} roomId
+ * @param {string} publisherId
+ * @param {any} msg
+ * @param {number} receivedAt
+ */
+export function recordMessageReceived(roomId, publisherId, msg, receivedAt) {
+  const room = healthOf(roomId);
+  const traffic = room.publishers[publisherId] || (room.publishers[publisherId] = { receivedTimes: [], latencies: [], lastReceivedAt: 0 });
+
+  traffic.lastReceivedAt = receivedAt;
+  traffic.receivedTimes.push(receivedAt);
+  const cutoff = receivedAt - RATE_WINDOW_MS;
+  let drop = 0;
+  while (drop < traffic.receivedTimes.length && traffic.receivedTimes[drop] < cutoff) drop++;
+  if (drop > 0) traffic.receivedTimes.splice(0, drop);
+
+  const sentAt = messageTimestamp(msg);
+  if (sentAt == null) return;
+  traffic.latencies.push({ time: receivedAt, ms: receivedAt - sentAt });
+  if (traffic.latencies.length > MAX_LATENCY_SAMPLES) traffic.latencies.splice(0, traffic.latencies.length - MAX_LATENCY_SAMPLES);
+}
+
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.floor((sorted.length - 1) * p + 0.5))];
+}
+
+/** @param {LatencySample[]} samples - oldest first @returns {LatencyStats | null} */
+function latencyStats(samples) {
+  if (samples.length === 0) return null;
+  const values = samples.map((s) => s.ms);
+  const sorted = values.slice().sort((a, b) => a - b);
+  return { p50: percentile(sorted, 0.5), p95: percentile(sorted, 0.95), latest: values[values.length - 1], samples: values };
+}
+
+/** Message counts per RATE_BUCKET_MS over the last RATE_WINDOW_MS (oldest bucket first) */
+function rateSeries(times, now) {
+  const buckets = new Array(Math.ceil(RATE_WINDOW_MS / RATE_BUCKET_MS)).fill(0);
+  for (const t of times) {
+    const age = now - t;
+    if (age < 0 || age >= RATE_WINDOW_MS) continue;
+    buckets[buckets.length - 1 - Math.floor(age / RATE_BUCKET_MS)] += 1;
+  }
+  return buckets;
+}
+
+const inWindow = (times, now) => times.filter((t) => now - t < RATE_WINDOW_MS && t <= now).length;
+
+/**
+ * Health summary of a room (null when nothing was recorded for it)
+ * @param {string} roomId
+ * @param {number} [now]
+ * @returns {RoomHealth | null}
+ */
+export function getRoomHealth(roomId, now = Date.now()) {
+  const room = healthByRoom[roomId];
+  if (!room) return null;
+
+  const perMinute = (count) => Math.round((count * 60_000) / RATE_WINDOW_MS);
+  const publishers = Object.entries(room.publishers)
+    .map(([id, traffic]) => {
+      const latency = latencyStats(traffic.latencies);
+      return {
+        id,
+        messagesPerMinute: perMinute(inWindow(traffic.receivedTimes, now)),
+        rateSeries: rateSeries(traffic.receivedTimes, now),
+        latency,
+        clockSkewMs: latency ? -Math.min(...latency.samples) : null,
+        lastReceivedAt: traffic.lastReceivedAt,
+      };
+    })
+    .sort((a, b) => b.lastReceivedAt - a.lastReceivedAt);
+
+  const allTimes = Object.values(room.publishers).flatMap((t) => t.receivedTimes);
+  const allLatencies = Object.values(room.publishers)
+    .flatMap((t) => t.latencies)
+    .sort((a, b) => a.time - b.time)
+    .slice(-MAX_LATENCY_SAMPLES);
+
+  return {
+    connectAttempts: room.connectAttempts,
+    reconnects: room.reconnects,
+    connectedAt: room.connectedAt,
+    closes: room.events.filter((e) => e.kind === "close"),
+    backoffs: room.events.filter((e) => e.kind === "backoff"),
+    messagesPerMinute: perMinute(inWindow(allTimes, now)),
+    rateSeries: rateSeries(allTimes, now),
+    latency: latencyStats(allLatencies),
+    publishers,
+  };
+}
+
+/** Time of the room's latest live message from any publisher (null when none) */
+export function getLastMessageAt(roomId) {
+  const room = healthByRoom[roomId];
+  if (!room) return null;
+  const times = Object.values(room.publishers).map((t) => t.lastReceivedAt);
+  return times.length > 0 ? Math.max(...times) : null;
+}
+
+/** Signed duration for the report / panel: "120ms", "-1.4s" */
+export function formatLatency(ms) {
+  if (ms == null || !Number.isFinite(ms)) return "—";
+  return Math.abs(ms) < 1000 ? `${Math.round(ms)}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Plain-text report of every monitored room, for pasting into an issue or chat
+ * @param {{ hub?: string, now?: number }} [opts]
+ */
+export function buildDiagnosticReport(opts = {}) {
+  const now = opts.now ?? Date.now();
+  const time = (t) => new Date(t).toISOString();
+  const lines = [
+    "Hole Cards Dashboard — connection diagnostics",
+    `Generated: ${time(now)}`,
+    `Hub: ${opts.hub || "—"}`,
+    `Dashboard protocol: v${PROTOCOL_VERSION}`,
+  ];
+  if (globalThis.navigator && navigator.userAgent) lines.push(`Browser: ${navigator.userAgent}`);
+
+  const roomIds = listRooms().map((room) => room.id);
+  for (const id of Object.keys(healthByRoom)) if (id !== "" && !roomIds.includes(id)) roomIds.push(id);
+  if (roomIds.length === 0) lines.push("", "No rooms monitored.");
+
+  for (const roomId of roomIds) {
+    const room = rooms[roomId];
+    const health = getRoomHealth(roomId, now);
+    lines.push("", `Room ${roomId}${room && room.label && room.label !== roomId ? ` (${room.label})` : ""}`);
+    lines.push(`  Status: ${room ? room.status : "removed"}${room && room.protocol ? `, hub protocol v${room.protocol}` : ""}`);
+    if (!health) {
+      lines.push("  No connection activity recorded.");
+      continue;
+    }
+    lines.push(`  Connected since: ${health.connectedAt ? time(health.connectedAt) : "—"}`);
+    lines.push(`  Connect attempts: ${health.connectAttempts}, reconnects: ${health.reconnects}`);
+    if (health.backoffs.length > 0) {
+      lines.push(`  Backoff delays: ${health.backoffs.map((e) => `${formatLatency(e.delayMs)} (#${e.attempt})`).join(", ")}`);
+    }
+    for (const close of health.closes) lines.push(`  Closed ${time(close.time)}: ${close.code}${close.reason ? ` ${close.reason}` : ""}`);
+    lines.push(`  Messages: ${health.messagesPerMinute}/min`);
+    if (health.latency) {
+      lines.push(`  Latency: p50 ${formatLatency(health.latency.p50)}, p95 ${formatLatency(health.latency.p95)}, latest ${formatLatency(health.latency.latest)}`);
+    }
+    for (const pub of health.publishers) {
+      const latency = pub.latency ? `, latency p50 ${formatLatency(pub.latency.p50)} p95 ${formatLatency(pub.latency.p95)}` : "";
+      const skew = pub.clockSkewMs != null ? `, clock skew ${formatLatency(pub.clockSkewMs)}` : "";
+      lines.push(`  Publisher ${pub.id}: ${pub.messagesPerMinute}/min${latency}${skew}, last message ${time(pub.lastReceivedAt)}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+/** Drop a room's diagnostics (room no longer monitored) */
+export function clearRoomHealth(roomId) {
+  delete healthByRoom[roomId];
+}
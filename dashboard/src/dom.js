@@ -0,0 +1,150 @@
+/*
+  DOM element lookup (resolved once, when the module is first imported)
+*/
+
+const byId = (id) => document.getElementById(id);
+
+export const els = {
+  hubInput: byId("hubInput"),
+  gameIdInput: byId("gameIdInput"),
+  dashboardPasswordInput: byId("dashboardPasswordInput"),
+  passwordField: byId("passwordField"),
+  authModeSelect: byId("authModeSelect"),
+  authUrlField: byId("authUrlField"),
+  authUrlInput: byId("authUrlInput"),
+  jwtField: byId("jwtField"),
+  jwtInput: byId("jwtInput"),
+  authorizeField: byId("authorizeField"),
+  authorizeUrlInput: byId("authorizeUrlInput"),
+  signInBtn: byId("signInBtn"),
+  signInStatus: byId("signInStatus"),
+
+  connectBtn: byId("connectBtn"),
+  disconnectBtn: byId("disconnectBtn"),
+  clearLogBtn: byId("clearLogBtn"),
+
+  statusBadge: byId("statusBadge"),
+  statusText: byId("statusText"),
+  tokenTtl: byId("tokenTtl"),
+  delayBadge: byId("delayBadge"),
+  delayText: byId("delayText"),
+  delayQueued: byId("delayQueued"),
+  delayInput: byId("delayInput"),
+  staleAfterInput: byId("staleAfterInput"),
+  offlineAfterInput: byId("offlineAfterInput"),
+  idleTimeoutInput: byId("idleTimeoutInput"),
+
+  offlineScreen: byId("offlineScreen"),
+  offlineRooms: byId("offlineRooms"),
+  offlineDismissBtn: byId("offlineDismissBtn"),
+
+  alertKindSelect: byId("alertKindSelect"),
+  alertSubjectInput: byId("alertSubjectInput"),
+  alertCountInput: byId("alertCountInput"),
+  alertSoundInput: byId("alertSoundInput"),
+  alertNotifyInput: byId("alertNotifyInput"),
+  addAlertRuleBtn: byId("addAlertRuleBtn"),
+  alertRulesList: byId("alertRulesList"),
+  alertToasts: byId("alertToasts"),
+
+  exportSessionBtn: byId("exportSessionBtn"),
+  replayFileInput: byId("replayFileInput"),
+  recordCount: byId("recordCount"),
+  forgetRoomBtn: byId("forgetRoomBtn"),
+  protocolWarning: byId("protocolWarning"),
+  replayBar: byId("replayBar"),
+  replayPlayBtn: byId("replayPlayBtn"),
+  replayStepBtn: byId("replayStepBtn"),
+  replaySpeedSelect: byId("replaySpeedSelect"),
+  replaySeek: byId("replaySeek"),
+  replayTime: byId("replayTime"),
+  replayExitBtn: byId("replayExitBtn"),
+
+  log: byId("log"),
+  logSearchInput: byId("logSearchInput"),
+  logKindFilter: byId("logKindFilter"),
+  logPublisherFilter: byId("logPublisherFilter"),
+  logTypeFilter: byId("logTypeFilter"),
+  logCount: byId("logCount"),
+  exportLogBtn: byId("exportLogBtn"),
+
+  // Multi-publisher elements
+  publishersList: byId("publishersList"),
+  publisherCount: byId("publisherCount"),
+  jsonViewer: byId("jsonViewer"),
+  jsonDiffToggle: byId("jsonDiffToggle"),
+  identityControls: byId("identityControls"),
+  mergeTargetSelect: byId("mergeTargetSelect"),
+  mergePublisherBtn: byId("mergePublisherBtn"),
+  publisherAliases: byId("publisherAliases"),
+  publisherPrefsControls: byId("publisherPrefsControls"),
+  pubLabelInput: byId("pubLabelInput"),
+  pubColorInput: byId("pubColorInput"),
+  pubAvatarInput: byId("pubAvatarInput"),
+  pubPinBtn: byId("pubPinBtn"),
+  pubMoveUpBtn: byId("pubMoveUpBtn"),
+  pubMoveDownBtn: byId("pubMoveDownBtn"),
+  pubResetLabelBtn: byId("pubResetLabelBtn"),
+  sortModeSelect: byId("sortModeSelect"),
+  publisherSwitcher: byId("publisherSwitcher"),
+  publisherCardsGrid: byId("publisherCardsGrid"),
+  tableView: byId("tableView"),
+  overlay: byId("overlay"),
+  roomTabs: byId("roomTabs"),
+  roomTabsList: byId("roomTabsList"),
+  roomLayoutToggle: byId("roomLayoutToggle"),
+  roomGrid: byId("roomGrid"),
+  settingsPanel: byId("settingsPanel"),
+  settingsToggle: byId("settingsToggle"),
+  debugPanel: byId("debugPanel"),
+  debugOpenToggle: byId("debugOpenToggle"),
+  debugToggle: byId("debugToggle"),
+  debugContent: byId("debugContent"),
+  debugTabs: Array.from(document.querySelectorAll(".debugTab")),
+  logViewer: byId("logViewer"),
+  jsonViewerSection: byId("jsonViewerSection"),
+  historyViewerSection: byId("historyViewerSection"),
+  historyScopeSelect: byId("historyScopeSelect"),
+  historyPrevBtn: byId("historyPrevBtn"),
+  historyNextBtn: byId("historyNextBtn"),
+  historyLatestBtn: byId("historyLatestBtn"),
+  historyPosition: byId("historyPosition"),
+  historyViewer: byId("historyViewer"),
+  handExportFormatSelect: byId("handExportFormatSelect"),
+  exportHandsBtn: byId("exportHandsBtn"),
+  recapViewerSection: byId("recapViewerSection"),
+  invalidViewerSection: byId("invalidViewerSection"),
+  invalidViewer: byId("invalidViewer"),
+  invalidCount: byId("invalidCount"),
+  clearInvalidBtn: byId("clearInvalidBtn"),
+  diagnosticsViewerSection: byId("diagnosticsViewerSection"),
+  diagnosticsViewer: byId("diagnosticsViewer"),
+  copyDiagnosticsBtn: byId("copyDiagnosticsBtn"),
+  recapViewer: byId("recapViewer"),
+};
+
+/**
+ * Copy text to the clipboard
+ * @returns {Promise<boolean>} False when the browser refuses (no permission, insecure page)
+ */
+export async function copyText(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Trigger a browser download of a text file */
+export function downloadText(filename, text, mimeType) {
+  const blob = new Blob([text], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,193 @@
+/*
+  Hold'em equity (pure, runs locally; no network)
+  - handScore: best 5-card hand out of 5-7 cards, as a comparable number
+  - computeEquity: exact enumeration of the remaining board when it is small enough,
+    Monte Carlo otherwise (preflop, or when unknown opponents are dealt random cards)
+*/
+
+const RANKS = { 2: 2, 3: 3, 4: 4, 5: 5, 6: 6, 7: 7, 8: 8, 9: 9, 10: 10, T: 10, J: 11, Q: 12, K: 13, A: 14 };
+const SUITS = ["h", "d", "c", "s"];
+
+/** Enumerate the remaining board exactly up to this many run-outs (flop: 990, turn: 44 for two hands) */
+export const EXACT_LIMIT = 20_000;
+export const MONTE_CARLO_ITERATIONS = 4000;
+
+/** handScore packs the category (8 straight flush ... 0 high card) and five kickers in base 15 */
+const BASE = 15;
+
+/** @param {{ value: string, suit: string }} card */
+function rankOf(card) {
+  return RANKS[String(card.value).toUpperCase()] || 0;
+}
+
+function cardKey(card) {
+  return `${rankOf(card)}${card.suit}`;
+}
+
+function score(category, kickers) {
+  let s = category;
+  for (let i = 0; i < 5; i++) s = s * BASE + (kickers[i] || 0);
+  return s;
+}
+
+/** Highest straight in a set of ranks (ace also plays low), or 0 */
+function straightHigh(rankSet) {
+  for (let high = 14; high >= 5; high--) {
+    let run = true;
+    for (let r = high; r > high - 5; r--) {
+      if (!rankSet.has(r === 1 ? 14 : r)) {
+        run = false;
+        break;
+      }
+    }
+    if (run) return high;
+  }
+  return 0;
+}
+
+/**
+ * Score the best 5-card poker hand in `cards` (5 to 7 cards); higher wins, equal is a split
+ * @param {Array<{ value: string, suit: string }>} cards
+ * @returns {number}
+ */
+export function handScore(cards) {
+  const counts = new Array(15).fill(0);
+  const bySuit = { h: [], d: [], c: [], s: [] };
+  for (const card of cards) {
+    const r = rankOf(card);
+    counts[r] += 1;
+    bySuit[card.suit].push(r);
+  }
+
+  const flushSuit = SUITS.find((s) => bySuit[s].length >= 5);
+  if (flushSuit) {
+    const high = straightHigh(new Set(bySuit[flushSuit]));
+    if (high) return score(8, [high]);
+  }
+
+  // Ranks grouped by count, then by rank (both descending)
+  const groups = [];
+  for (let r = 14; r >= 2; r--) if (counts[r]) groups.push({ r, n: counts[r] });
+  groups.sort((a, b) => b.n - a.n || b.r - a.r);
+  const kickers = (exclude, n) =>
+    groups
+      .filter((g) => !exclude.includes(g.r))
+      .map((g) => g.r)
+      .sort((a, b) => b - a)
+      .slice(0, n);
+
+  if (groups[0].n === 4) return score(7, [groups[0].r, ...kickers([groups[0].r], 1)]);
+  if (groups[0].n === 3 && groups[1] && groups[1].n >= 2) return score(6, [groups[0].r, groups[1].r]);
+  if (flushSuit) return score(5, bySuit[flushSuit].sort((a, b) => b - a).slice(0, 5));
+
+  const high = straightHigh(new Set(groups.map((g) => g.r)));
+  if (high) return score(4, [high]);
+
+  if (groups[0].n === 3) return score(3, [groups[0].r, ...kickers([groups[0].r], 2)]);
+  if (groups[0].n === 2 && groups[1] && groups[1].n === 2) {
+    return score(2, [groups[0].r, groups[1].r, ...kickers([groups[0].r, groups[1].r], 1)]);
+  }
+  if (groups[0].n === 2) return score(1, [groups[0].r, ...kickers([groups[0].r], 3)]);
+  return score(0, kickers([], 5));
+}
+
+function fullDeck() {
+  const deck = [];
+  for (const suit of SUITS) {
+    for (const value of ["2", "3", "4", "5", "6", "7", "8", "9", "10", "J", "Q", "K", "A"]) deck.push({ value, suit });
+  }
+  return deck;
+}
+
+function binomial(n, k) {
+  if (k < 0 || k > n) return 0;
+  let c = 1;
+  for (let i = 0; i < k; i++) c = (c * (n - i)) / (i + 1);
+  return Math.round(c);
+}
+
+/** Call fn with every k-card combination of deck */
+function forEachCombination(deck, k, fn) {
+  const picked = [];
+  const walk = (start) => {
+    if (picked.length === k) {
+      fn(picked);
+      return;
+    }
+    for (let i = start; i <= deck.length - (k - picked.length); i++) {
+      picked.push(deck[i]);
+      walk(i + 1);
+      picked.pop();
+    }
+  };
+  walk(0);
+}
+
+/**
+ * Equity of each hand on a (partial) board
+ * @param {Array<Array<{ value: string, suit: string }>>} hands - Known hole cards (2 each)
+ * @param {Array<{ value: string, suit: string }>} board - 0 to 5 board cards
+ * @param {{ randomOpponents?: number, iterations?: number, random?: () => number }} [opts]
+ *   randomOpponents: extra players with unknown (random) hole cards
+ * @returns {{ equity: number[], exact: boolean, samples: number }} equity 0..1 per known hand (split pots shared)
+ * @throws {Error} If a card appears twice
+ */
+export function computeEquity(hands, board, opts = {}) {
+  const randomOpponents = opts.randomOpponents || 0;
+  const iterations = opts.iterations || MONTE_CARLO_ITERATIONS;
+  const random = opts.random || Math.random;
+
+  const used = new Set();
+  for (const card of [...hands.flat(), ...board]) {
+    const key = cardKey(card);
+    if (used.has(key)) throw new Error(`Duplicate card ${card.value}${card.suit}`);
+    used.add(key);
+  }
+
+  const deck = fullDeck().filter((c) => !used.has(cardKey(c)));
+  const missing = 5 - board.length;
+  const totals = new Array(hands.length).fill(0);
+
+  /** Award one run-out: extra = remaining board cards, then 2 per random opponent */
+  const settle = (extra) => {
+    const runout = board.concat(extra.slice(0, missing));
+    let best = -1;
+    let winners = [];
+    hands.forEach((hand, i) => {
+      const s = handScore(hand.concat(runout));
+      if (s > best) {
+        best = s;
+        winners = [i];
+      } else if (s === best) winners.push(i);
+    });
+    let opponentsBest = -1;
+    for (let o = 0; o < randomOpponents; o++) {
+      const start = missing + o * 2;
+      opponentsBest = Math.max(opponentsBest, handScore(extra.slice(start, start + 2).concat(runout)));
+    }
+    if (opponentsBest > best) return;
+    const share = 1 / (winners.length + (opponentsBest === best ? 1 : 0));
+    for (const i of winners) totals[i] += share;
+  };
+
+  if (randomOpponents === 0 && binomial(deck.length, missing) <= EXACT_LIMIT) {
+    let runs = 0;
+    forEachCombination(deck, missing, (extra) => {
+      settle(extra);
+      runs += 1;
+    });
+    return { equity: totals.map((t) => t / runs), exact: true, samples: runs };
+  }
+
+  // Monte Carlo: partial Fisher-Yates shuffle of the cards we need each run
+  const need = missing + randomOpponents * 2;
+  const cards = deck.slice();
+  for (let n = 0; n < iterations; n++) {
+    for (let i = 0; i < need; i++) {
+      const j = i + Math.floor(random() * (cards.length - i));
+      [cards[i], cards[j]] = [cards[j], cards[i]];
+    }
+    settle(cards.slice(0, need));
+  }
+  return { equity: totals.map((t) => t / iterations), exact: false, samples: iterations };
+}
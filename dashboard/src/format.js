@@ -0,0 +1,57 @@
+/*
+  Display formatting helpers (ids, relative times, delays, chips, JSON)
+*/
+
+/** Shorten a publisherId for display (first 8 chars) */
+export function shortenId(id) {
+  if (!id) return "unknown";
+  return String(id).substring(0, 8);
+}
+
+/** Format seconds ago from timestamp */
+export function formatSecondsAgo(ts, now = Date.now()) {
+  if (!ts) return "—";
+  const seconds = Math.floor((now - ts) / 1000);
+  if (seconds < 0) return "just now";
+  if (seconds === 0) return "just now";
+  if (seconds === 1) return "1s ago";
+  if (seconds < 60) return `${seconds}s ago`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes === 1) return "1m ago";
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours === 1) return "1h ago";
+  return `${hours}h ago`;
+}
+
+/** Format a delay in ms for display (e.g. "0s", "45s", "2m", "1m 30s") */
+export function formatDelay(ms) {
+  const totalSeconds = Math.round((ms || 0) / 1000);
+  if (totalSeconds < 60) return `${totalSeconds}s`;
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return seconds ? `${minutes}m ${seconds}s` : `${minutes}m`;
+}
+
+/** Format a chip count for display (e.g. 12,500); "—" when unknown */
+export function formatChips(n) {
+  if (n == null || !Number.isFinite(n)) return "—";
+  return n.toLocaleString("en-US");
+}
+
+/** Format a replay position as m:ss */
+export function formatClock(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return `${minutes}:${seconds}`;
+}
+
+export function prettyJson(objOrStr) {
+  if (typeof objOrStr === "string") return objOrStr;
+  try {
+    return JSON.stringify(objOrStr, null, 2);
+  } catch {
+    return String(objOrStr);
+  }
+}
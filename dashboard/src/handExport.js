@@ -0,0 +1,228 @@
+/*
+  Hand-history export: turns a recorded session (raw hub messages) into hands that poker tools can import
+
+  - PokerStars-style text (one block per hand, blank lines between hands)
+  - JSON ({ kind: "handHistory", version, hands: [...] }, described by hand-history.schema.json)
+
+  Hands are split with the same tracker as the equity recaps (handTracker.js). Only the
+  hole cards, board, seats, button, blinds and pot are known from publishers, so there are
+  no betting actions; the PokerNow game ID is kept as the table name.
+  Publisher IDs are resolved through the room's merges (identity.js), so a merged publisher's hands
+  recorded under its aliases are exported as theirs.
+*/
+
+import { downloadText } from "./dom.js";
+import { createHandTracker, trackHandMessage } from "./handTracker.js";
+import { canonicalPublisherId } from "./identity.js";
+import { isMessageBatch, orderBatchEntries, parseEnvelope } from "./protocol.js";
+import { getRecording } from "./recorder.js";
+import { getReplaySession, REPLAY_ROOM_ID } from "./replay.js";
+import { getActiveRoomId } from "./store.js";
+
+export const HAND_HISTORY_FORMAT_VERSION = 1;
+export const HAND_EXPORT_FORMATS = ["pokerstars", "json"];
+
+/**
+ * @typedef {import("./table.js").Card} Card
+ * @typedef {{ seat: number, name: string, playerId: string | null, stack: number | null }} ExportSeat
+ * @typedef {{ id: string, name: string, seat: number | null, cards: string[], shown: boolean, dealtAt: number | null }} ExportPlayer
+ * @typedef {{
+ *   handNumber: any, gameId: string, startedAt: number, endedAt: number, maxSeats: number | null, buttonSeat: number | null,
+ *   smallBlind: number | null, bigBlind: number | null, pot: number | null, board: string[], seats: ExportSeat[], players: ExportPlayer[]
+ * }} ExportHand
+ */
+
+/** "10" is written as "T" in hand histories */
+function cardText(card) {
+  return `${card.value === "10" ? "T" : card.value}${card.suit}`;
+}
+
+/** Hub messages in a raw payload (snapshot / resume batches are unpacked in the order they were sent) */
+function messagesOf(raw) {
+  let msg;
+  try {
+    msg = parseEnvelope(JSON.parse(raw)).msg;
+  } catch {
+    return [];
+  }
+  if (!msg || typeof msg !== "object") return [];
+  if (isMessageBatch(msg)) {
+    return msg.data && typeof msg.data === "object" ? orderBatchEntries(Object.values(msg.data).filter((m) => m && typeof m === "object")) : [];
+  }
+  return [msg];
+}
+
+const sameName = (a, b) => a != null && b != null && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * @param {import("./handTracker.js").TrackedHand} hand
+ * @param {string} gameId
+ * @param {string} roomId - Room whose merged publisher IDs apply
+ */
+function toExportHand(hand, gameId, roomId) {
+  const seats = hand.seats.map((s) => ({ seat: s.seat, name: s.name || s.playerId || `Seat ${s.seat}`, playerId: s.playerId, stack: s.stack }));
+
+  const players = Object.entries(hand.players).map(([id, p]) => {
+    const seat = hand.seats.find((s) => s.playerId === id) || hand.seats.find((s) => sameName(s.name, p.name));
+    return {
+      id: canonicalPublisherId(roomId, id),
+      name: (seat && seat.name) || p.name || id,
+      seat: seat ? seat.seat : null,
+      cards: p.cards.map(cardText),
+      shown: p.shown,
+      dealtAt: p.dealtAt,
+    };
+  });
+
+  return {
+    handNumber: hand.handNumber,
+    gameId,
+    startedAt: hand.startedAt,
+    endedAt: hand.endedAt,
+    maxSeats: hand.maxSeats,
+    buttonSeat: hand.dealerSeat,
+    smallBlind: hand.smallBlind,
+    bigBlind: hand.bigBlind,
+    pot: hand.pot,
+    board: hand.board.map(cardText),
+    seats,
+    players,
+  };
+}
+
+/**
+ * Split recorded hub messages into hands
+ * @param {Array<{ t: number, raw: string }>} records - A session recording (arrival order)
+ * @param {{ gameId?: string, publisherId?: string | null, roomId?: string }} [opts] - publisherId: only hands that
+ *   publisher (or one of its merged aliases) was dealt; roomId defaults to the active room
+ * @returns {ExportHand[]}
+ */
+export function buildHandHistory(records, opts = {}) {
+  const gameId = opts.gameId || "";
+  const roomId = opts.roomId != null ? opts.roomId : getActiveRoomId();
+  const tracker = createHandTracker();
+  const hands = [];
+  const collect = (list) => {
+    for (const hand of list) if (Object.keys(hand.players).length > 0) hands.push(toExportHand(hand, gameId, roomId));
+  };
+
+  for (const record of records) {
+    for (const msg of messagesOf(record.raw)) collect(trackHandMessage(tracker, msg, record.t));
+  }
+  // The hand in progress at the end of the recording is exported as it stands
+  const last = records.length > 0 ? records[records.length - 1].t : 0;
+  if (tracker.current) {
+    tracker.current.endedAt = last;
+    collect([tracker.current]);
+  }
+
+  if (!opts.publisherId) return hands;
+  const publisherId = canonicalPublisherId(roomId, opts.publisherId);
+  return hands.filter((hand) => hand.players.some((p) => p.id === publisherId && !p.shown));
+}
+
+/** "2026/10/19 18:03:05 UTC" */
+function formatHandTime(ms) {
+  const iso = new Date(ms).toISOString();
+  return `${iso.slice(0, 10).replace(/-/g, "/")} ${iso.slice(11, 19)} UTC`;
+}
+
+const chips = (n) => (n == null ? 0 : n);
+
+/**
+ * PokerStars-style text for one hand. Hands without a numeric hand number use their start time.
+ * @param {ExportHand} hand
+ * @param {{ heroId?: string | null }} [opts] - heroId: the publisher the history is exported for
+ */
+export function formatPokerStarsHand(hand, opts = {}) {
+  const number = /^\d+$/.test(String(hand.handNumber)) ? hand.handNumber : hand.startedAt;
+  const lines = [];
+
+  lines.push(`PokerStars Hand #${number}: Hold'em No Limit (${chips(hand.smallBlind)}/${chips(hand.bigBlind)}) - ${formatHandTime(hand.startedAt)}`);
+  const button = hand.buttonSeat != null ? ` Seat #${hand.buttonSeat} is the button` : "";
+  lines.push(`Table '${hand.gameId || "PokerNow"}' ${hand.maxSeats || Math.max(2, hand.seats.length)}-max${button}`);
+
+  // Players with known cards but no seat in the state get the next free seats
+  const seats = hand.seats.slice();
+  let next = seats.reduce((max, s) => Math.max(max, s.seat), 0);
+  for (const p of hand.players) {
+    if (p.seat == null && !seats.some((s) => s.name === p.name)) seats.push({ seat: ++next, name: p.name, playerId: p.id, stack: null });
+  }
+  for (const s of seats) lines.push(`Seat ${s.seat}: ${s.name} (${chips(s.stack)} in chips)`);
+
+  // Exported for one publisher: only their own hole cards (other publishers' cards were never shown at the table)
+  const dealt = hand.players.filter((p) => !p.shown && (!opts.heroId || p.id === opts.heroId));
+  const shown = hand.players.filter((p) => p.shown);
+
+  lines.push("*** HOLE CARDS ***");
+  for (const p of dealt) lines.push(`Dealt to ${p.name} [${p.cards.join(" ")}]`);
+
+  const board = hand.board;
+  if (board.length >= 3) lines.push(`*** FLOP *** [${board.slice(0, 3).join(" ")}]`);
+  if (board.length >= 4) lines.push(`*** TURN *** [${board.slice(0, 3).join(" ")}] [${board[3]}]`);
+  if (board.length >= 5) lines.push(`*** RIVER *** [${board.slice(0, 4).join(" ")}] [${board[4]}]`);
+
+  if (shown.length > 0) {
+    lines.push("*** SHOW DOWN ***");
+    for (const p of shown) lines.push(`${p.name}: shows [${p.cards.join(" ")}]`);
+  }
+
+  lines.push("*** SUMMARY ***");
+  lines.push(`Total pot ${chips(hand.pot)} | Rake 0`);
+  if (board.length > 0) lines.push(`Board [${board.join(" ")}]`);
+  for (const p of shown) {
+    if (p.seat != null) lines.push(`Seat ${p.seat}: ${p.name} showed [${p.cards.join(" ")}]`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Serialize exported hands
+ * @param {ExportHand[]} hands
+ * @param {"pokerstars" | "json"} format
+ * @param {{ gameId?: string, hub?: string, publisherId?: string | null }} [meta]
+ */
+export function serializeHandHistory(hands, format, meta = {}) {
+  if (format === "json") {
+    const doc = {
+      kind: "handHistory",
+      version: HAND_HISTORY_FORMAT_VERSION,
+      gameId: meta.gameId || "",
+      hub: meta.hub || "",
+      publisherId: meta.publisherId || null,
+      exportedAt: Date.now(),
+      hands,
+    };
+    return JSON.stringify(doc, null, 2) + "\n";
+  }
+  return hands.map((hand) => formatPokerStarsHand(hand, { heroId: meta.publisherId })).join("\n\n\n") + "\n";
+}
+
+/** Recording of the active room (the loaded file while replaying) */
+function getActiveSession() {
+  const replay = getActiveRoomId() === REPLAY_ROOM_ID ? getReplaySession() : null;
+  if (replay) return { room: replay.header.room || "", hub: replay.header.hub || "", records: replay.records };
+  return getRecording();
+}
+
+/**
+ * Download the active room's hands
+ * @param {{ format?: "pokerstars" | "json", publisherId?: string | null }} [opts] - publisherId: only that publisher's hands
+ * @returns {number} Hands exported (nothing is downloaded when there are none)
+ */
+export function exportHandHistory(opts = {}) {
+  const format = HAND_EXPORT_FORMATS.includes(opts.format) ? opts.format : "pokerstars";
+  const session = getActiveSession();
+  if (!session || session.records.length === 0) return 0;
+
+  const hands = buildHandHistory(session.records, { gameId: session.room, publisherId: opts.publisherId });
+  if (hands.length === 0) return 0;
+
+  const text = serializeHandHistory(hands, format, { gameId: session.room, hub: session.hub, publisherId: opts.publisherId });
+  const who = opts.publisherId ? `-${opts.publisherId}` : "";
+  const stamp = new Date(hands[0].startedAt).toISOString().replace(/[:.]/g, "-");
+  const name = `hands-${session.room || "room"}${who}-${stamp}`;
+  if (format === "json") downloadText(`${name}.json`, text, "application/json");
+  else downloadText(`${name}.txt`, text, "text/plain");
+  return hands.length;
+}
@@ -0,0 +1,144 @@
+/*
+  Hand tracker: splits a room's message stream into hands (pure, no DOM)
+
+  Follows the hand in progress from `hand` messages (hole cards per publisher) and `state`
+  messages (board, seats, button, hand number, cards shown at showdown). Used for the live
+  equity recaps and for hand-history export from a recorded session.
+
+  A hand is over when: a state reports a new hand number, the state street is showdown/ended
+  (or data.handOver is true), the board shrinks (when there are no hand numbers), or a
+  publisher is dealt different hole cards.
+*/
+
+import { extractHandFields, hasAllCards } from "./protocol.js";
+import { extractTableState, parseCard } from "./table.js";
+
+const END_STREETS = new Set(["showdown", "ended", "end", "complete", "finished"]);
+
+/**
+ * @typedef {import("./table.js").Card} Card
+ * @typedef {import("./table.js").Seat} Seat
+ * @typedef {{ name: string | null, cards: Card[], shown: boolean, dealtAt: number | null }} HandPlayer
+ * @typedef {{
+ *   handNumber: any, board: Card[], players: Record<string, HandPlayer>, startedAt: number, endedAt: number | null,
+ *   seats: Seat[], maxSeats: number | null, dealerSeat: number | null, pot: number | null,
+ *   smallBlind: number | null, bigBlind: number | null
+ * }} TrackedHand
+ * @typedef {{ current: TrackedHand | null, finishedHands: Set<string>, lastCards: Record<string, string> }} HandTracker
+ */
+
+/** @returns {HandTracker} */
+export function createHandTracker() {
+  return { current: null, finishedHands: new Set(), lastCards: {} };
+}
+
+export const cardsKey = (cards) => cards.map((c) => `${c.value}${c.suit}`).join(" ");
+
+function startHand(tracker, handNumber, at) {
+  tracker.current = {
+    handNumber,
+    board: [],
+    players: {},
+    startedAt: at,
+    endedAt: null,
+    seats: [],
+    maxSeats: null,
+    dealerSeat: null,
+    pot: null,
+    smallBlind: null,
+    bigBlind: null,
+  };
+  return tracker.current;
+}
+
+/** Close the hand in progress (it is returned even if no hole cards are known) */
+function finishHand(tracker, endedAt) {
+  const hand = tracker.current;
+  tracker.current = null;
+  if (!hand) return null;
+  hand.endedAt = endedAt;
+  if (hand.handNumber != null) tracker.finishedHands.add(String(hand.handNumber));
+  return hand;
+}
+
+/**
+ * Feed one message (in arrival order) into the tracker
+ * @param {HandTracker} tracker
+ * @param {any} msg
+ * @param {number} receivedAt
+ * @returns {TrackedHand[]} Hands this message closed (usually none, at most two)
+ */
+export function trackHandMessage(tracker, msg, receivedAt) {
+  if (!msg || typeof msg !== "object") return [];
+  const finished = [];
+  const finish = () => {
+    const hand = finishHand(tracker, receivedAt);
+    if (hand) finished.push(hand);
+  };
+
+  if (msg.type === "hand") {
+    const fields = extractHandFields(msg);
+    if (!hasAllCards(fields)) return finished;
+    const cards = [parseCard({ value: fields.value1, suit: fields.suit1 }), parseCard({ value: fields.value2, suit: fields.suit2 })];
+    if (cards.some((c) => !c)) return finished;
+
+    const id = msg.publisherId || "unknown";
+    const key = cardsKey(cards);
+    // Same cards again (snapshot after a reconnect, duplicate publish)
+    if (tracker.lastCards[id] === key) return finished;
+    tracker.lastCards[id] = key;
+
+    // New hole cards for a publisher already in the hand: the previous hand is over
+    if (tracker.current && tracker.current.players[id]) finish();
+    const hand = tracker.current || startHand(tracker, null, receivedAt);
+    hand.players[id] = { name: msg.playerName || null, cards, shown: false, dealtAt: fields.ts != null ? Number(fields.ts) : null };
+    return finished;
+  }
+
+  if (msg.type === "state") {
+    const table = extractTableState(msg);
+    if (!table) return finished;
+    const handKey = table.handNumber != null ? String(table.handNumber) : null;
+    if (handKey != null && tracker.finishedHands.has(handKey)) return finished;
+    const over = (table.street && END_STREETS.has(table.street.toLowerCase())) || (msg.data && msg.data.handOver === true);
+
+    let hand = tracker.current;
+    if (hand && handKey != null && hand.handNumber != null && String(hand.handNumber) !== handKey) {
+      finish();
+      hand = null;
+    } else if (hand && handKey == null && table.board.length < hand.board.length) {
+      // No hand numbers: a board that shrinks means a new hand was dealt
+      finish();
+      hand = null;
+    }
+    // Repeated end-of-hand states after the hand was closed
+    if (!hand && over) return finished;
+    if (!hand) hand = startHand(tracker, table.handNumber, receivedAt);
+    if (hand.handNumber == null) hand.handNumber = table.handNumber;
+
+    // The board only grows during a hand
+    if (table.board.length >= hand.board.length) hand.board = table.board.slice(0, 5);
+
+    // Seats, button and blinds as first seen (starting stacks); the pot as last seen
+    if (hand.seats.length === 0) hand.seats = table.seats;
+    hand.maxSeats = hand.maxSeats ?? table.maxSeats;
+    hand.dealerSeat = hand.dealerSeat ?? table.dealerSeat;
+    hand.smallBlind = hand.smallBlind ?? table.smallBlind;
+    hand.bigBlind = hand.bigBlind ?? table.bigBlind;
+    if (table.pot != null) hand.pot = table.pot;
+
+    // Cards shown at showdown count as known hands (publishers' own cards take precedence)
+    for (const seat of table.seats) {
+      if (seat.cards.length !== 2) continue;
+      const id = seat.playerId || seat.name || `seat ${seat.seat}`;
+      const key = cardsKey(seat.cards);
+      if (hand.players[id] || Object.values(hand.players).some((p) => cardsKey(p.cards) === key)) continue;
+      hand.players[id] = { name: seat.name, cards: seat.cards, shown: true, dealtAt: null };
+    }
+
+    if (over) finish();
+    return finished;
+  }
+
+  return finished;
+}
@@ -0,0 +1,70 @@
+/*
+  Dead-connection detection (application-level heartbeat)
+
+  A half-open socket never fires `close`, so each connection is watched for traffic:
+  - after a third of the idle timeout without anything from the hub, the hub is "silent" and is pinged
+    ({ type: "ping", t }); versioned hubs answer with { type: "pong", t } (any message counts as traffic)
+  - after the whole idle timeout without anything, the connection is treated as dead and reconnected
+  - when the hub is alive but no publisher message arrived for the idle timeout, "publishers silent"
+  Unversioned hubs (protocol 0, or nothing seen yet) are never pinged, so a short silence can't be told
+  apart from quiet publishers; after the whole idle timeout they are reconnected too (the snapshot dedupe
+  keeps that cheap when the socket was fine).
+  An idle timeout of 0 turns the watchdog off.
+*/
+
+export const DEFAULT_IDLE_TIMEOUT_MS = 45_000;
+export const MIN_IDLE_TIMEOUT_MS = 5_000;
+/** Close code used when the dashboard drops a silent connection (4000-4999: application codes) */
+export const IDLE_CLOSE_CODE = 4000;
+
+/** @typedef {"ok" | "hubSilent" | "publishersSilent"} ConnectionHealth */
+/**
+ * @typedef {{ connectedAt: number, lastTrafficAt: number, lastPublisherAt: number | null, lastPingAt: number, canPing: boolean }} HeartbeatState
+ *   canPing: the hub speaks the versioned protocol (answers pings)
+ * @typedef {{ health: ConnectionHealth | null, action: "none" | "ping" | "reconnect", silentForMs: number }} HeartbeatAssessment
+ */
+
+let idleTimeoutMs = DEFAULT_IDLE_TIMEOUT_MS;
+
+export function getIdleTimeout() {
+  return idleTimeoutMs;
+}
+
+/**
+ * @param {number} ms - 0 turns the watchdog off
+ * @returns {boolean} False (nothing changed) unless 0 or at least MIN_IDLE_TIMEOUT_MS
+ */
+export function setIdleTimeout(ms) {
+  if (!(ms === 0 || ms >= MIN_IDLE_TIMEOUT_MS) || !Number.isFinite(ms)) return false;
+  idleTimeoutMs = ms;
+  return true;
+}
+
+/**
+ * What to do about an open connection
+ * @param {HeartbeatState} state
+ * @param {number} [now]
+ * @returns {HeartbeatAssessment}
+ */
+export function assessConnection(state, now = Date.now()) {
+  const silentForMs = Math.max(0, now - state.lastTrafficAt);
+  if (idleTimeoutMs === 0) return { health: null, action: "none", silentForMs };
+
+  const pingAfterMs = idleTimeoutMs / 3;
+  if (silentForMs >= idleTimeoutMs) return { health: "hubSilent", action: "reconnect", silentForMs };
+  if (silentForMs >= pingAfterMs && state.canPing) {
+    // One ping per third of the window while the silence lasts
+    const pingDue = state.lastPingAt < state.lastTrafficAt || now - state.lastPingAt >= pingAfterMs;
+    return { health: "hubSilent", action: pingDue ? "ping" : "none", silentForMs };
+  }
+
+  const publisherQuietMs = now - (state.lastPublisherAt ?? state.connectedAt);
+  return { health: publisherQuietMs >= idleTimeoutMs ? "publishersSilent" : "ok", action: "none", silentForMs };
+}
+
+/** Status badge suffix for a connected room */
+export function describeHealth(health) {
+  if (health === "hubSilent") return "hub silent";
+  if (health === "publishersSilent") return "publishers silent";
+  return "";
+}
@@ -0,0 +1,246 @@
+/*
+  Publisher identity: one person = one publisher entry per room
+
+  The extension falls back to a random UUID as publisherId when it can't read the PokerNow player
+  ID, so the same player can show up under several IDs (and messages without an ID under "unknown").
+  Fallback IDs are linked to a canonical publisher:
+  - automatically, by playerName: to the PokerNow player ID of the seat with that name in a table
+    `state`, else to a publisher already known under that name (PokerNow IDs first).
+    PokerNow IDs are never linked to each other, and "unknown" is resolved per message (never aliased).
+  - manually, by the operator (merge / split). A split publisher is never linked automatically again.
+
+  Messages keep their own publisherId; hand records keep it as sourceId, so a merge can be split.
+  Aliases are saved with the room (persistence.js).
+*/
+
+import { appendLog } from "./log.js";
+import { ensureRoom, MAX_HAND_HISTORY } from "./store.js";
+import { extractTableState } from "./table.js";
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * @typedef {{ into: string, manual: boolean }} Alias
+ * @typedef {{ aliases: Record<string, Alias>, unlinked: string[] }} SavedIdentity
+ */
+
+/** @type {Record<string, { aliases: Record<string, Alias>, unlinked: Set<string> }>} */
+const identities = {};
+
+function identityOf(roomId) {
+  if (!identities[roomId]) identities[roomId] = { aliases: {}, unlinked: new Set() };
+  return identities[roomId];
+}
+
+/** True for IDs the extension made up (UUID fallback) or no ID at all */
+export function isFallbackId(id) {
+  return !id || id === "unknown" || UUID_RE.test(id);
+}
+
+const normalizeName = (name) => (typeof name === "string" && name.trim() ? name.trim().toLowerCase() : null);
+
+/** Publisher ID after following the room's aliases */
+export function canonicalPublisherId(roomId, id) {
+  const aliases = identities[roomId] ? identities[roomId].aliases : {};
+  let current = id;
+  const seen = new Set();
+  while (aliases[current] && !seen.has(current)) {
+    seen.add(current);
+    current = aliases[current].into;
+  }
+  return current;
+}
+
+/**
+ * Who a fallback ID with this name is: a seat's PokerNow ID, else a known publisher
+ * @param {Record<string, import("./store.js").Publisher>} store
+ */
+function findByName(store, name, selfId) {
+  for (const pub of Object.values(store)) {
+    const table = pub.latestByType["state"] ? extractTableState(pub.latestByType["state"]) : null;
+    const seat = table && table.seats.find((s) => normalizeName(s.name) === name && !isFallbackId(s.playerId));
+    if (seat) return seat.playerId;
+  }
+  const named = Object.entries(store)
+    .filter(([id, pub]) => id !== selfId && id !== "unknown" && normalizeName(pub.playerName) === name)
+    .sort((a, b) => Number(isFallbackId(a[0])) - Number(isFallbackId(b[0])) || b[1].lastSeen - a[1].lastSeen);
+  return named.length > 0 ? named[0][0] : null;
+}
+
+/**
+ * Store key for a message (links fallback IDs on the way)
+ * @param {any} msg
+ * @param {string} roomId
+ * @returns {string}
+ */
+export function resolvePublisherId(msg, roomId) {
+  const id = msg.publisherId || "unknown";
+  const canonical = canonicalPublisherId(roomId, id);
+  if (canonical !== id) return canonical;
+
+  const name = normalizeName(msg.playerName);
+  const identity = identityOf(roomId);
+  if (!name || identity.unlinked.has(id)) return id;
+  const store = ensureRoom(roomId).publishers;
+
+  if (isFallbackId(id)) {
+    const target = findByName(store, name, id);
+    if (!target || target === id) return id;
+    if (id !== "unknown") linkPublisher(roomId, id, target, false);
+    return target;
+  }
+
+  // A PokerNow ID: fallback entries already known under the same name are this player
+  for (const [otherId, pub] of Object.entries(store)) {
+    if (otherId !== "unknown" && isFallbackId(otherId) && !identity.unlinked.has(otherId) && normalizeName(pub.playerName) === name) {
+      linkPublisher(roomId, otherId, id, false);
+    }
+  }
+  return id;
+}
+
+/** Move a publisher's latest messages and hand history into another entry */
+function movePublisher(store, fromId, intoId) {
+  const from = store[fromId];
+  if (!from) return;
+  delete store[fromId];
+  const hands = from.handHistory.map((h) => ({ ...h, publisherId: intoId, sourceId: h.sourceId || h.publisherId }));
+
+  const into = store[intoId];
+  if (!into) {
+    store[intoId] = { ...from, handHistory: hands };
+    return;
+  }
+
+  const newer = from.lastSeen > into.lastSeen;
+  for (const [type, msg] of Object.entries(from.latestByType)) {
+    if (newer || !into.latestByType[type]) into.latestByType[type] = msg;
+  }
+  const known = new Set(into.handHistory.map((h) => h.key));
+  const merged = into.handHistory.concat(hands.filter((h) => !known.has(h.key))).sort((a, b) => a.receivedAt - b.receivedAt);
+  into.handHistory.splice(0, into.handHistory.length, ...merged.slice(-MAX_HAND_HISTORY));
+  if (newer) {
+    into.lastSeen = from.lastSeen;
+    into.leftAt = from.leftAt ?? null;
+  }
+  if (!into.playerName) into.playerName = from.playerName;
+}
+
+function linkPublisher(roomId, fromId, intoId, manual) {
+  const into = canonicalPublisherId(roomId, intoId);
+  if (fromId === into) return false;
+
+  const identity = identityOf(roomId);
+  identity.aliases[fromId] = { into, manual };
+  for (const alias of Object.values(identity.aliases)) {
+    if (alias.into === fromId) alias.into = into;
+  }
+  identity.unlinked.delete(fromId);
+  movePublisher(ensureRoom(roomId).publishers, fromId, into);
+
+  appendLog({
+    kind: "info",
+    time: Date.now(),
+    cardsText: manual ? "[merged]" : "[linked]",
+    raw: JSON.stringify({ event: manual ? "publishers merged" : "publisher linked by name", from: fromId, into }, null, 2),
+    publisherId: into,
+    roomId,
+  });
+  return true;
+}
+
+/**
+ * Operator merge: `fromId` is the same person as `intoId` from now on
+ * @returns {boolean} False when they are already the same publisher
+ */
+export function mergePublishers(roomId, fromId, intoId) {
+  return linkPublisher(roomId, canonicalPublisherId(roomId, fromId), intoId, true);
+}
+
+/**
+ * Operator split: `aliasId` becomes its own publisher again (with its own messages and hands)
+ * @returns {boolean} False when it was not merged
+ */
+export function splitPublisher(roomId, aliasId) {
+  const identity = identityOf(roomId);
+  const alias = identity.aliases[aliasId];
+  if (!alias) return false;
+  delete identity.aliases[aliasId];
+  identity.unlinked.add(aliasId);
+
+  const store = ensureRoom(roomId).publishers;
+  const canonicalId = canonicalPublisherId(roomId, alias.into);
+  const from = store[canonicalId];
+  if (from) {
+    const isOwn = (id) => (id || "unknown") === aliasId;
+    const latestByType = {};
+    for (const [type, msg] of Object.entries(from.latestByType)) {
+      if (!isOwn(msg.publisherId)) continue;
+      latestByType[type] = msg;
+      delete from.latestByType[type];
+    }
+    const own = from.handHistory.filter((h) => isOwn(h.sourceId));
+    from.handHistory.splice(0, from.handHistory.length, ...from.handHistory.filter((h) => !isOwn(h.sourceId)));
+
+    if (own.length > 0 || Object.keys(latestByType).length > 0) {
+      const lastHand = own.length > 0 ? own[own.length - 1].receivedAt : 0;
+      const named = Object.values(latestByType).find((msg) => msg.playerName);
+      store[aliasId] = {
+        lastSeen: Object.keys(latestByType).length > 0 ? from.lastSeen : lastHand,
+        leftAt: null,
+        playerName: named ? named.playerName : from.playerName,
+        latestByType,
+        handHistory: own.map(({ sourceId, ...h }) => ({ ...h, publisherId: aliasId })),
+      };
+    }
+  }
+
+  appendLog({
+    kind: "info",
+    time: Date.now(),
+    cardsText: "[split]",
+    raw: JSON.stringify({ event: "publisher split", publisher: aliasId, from: canonicalId }, null, 2),
+    publisherId: aliasId,
+    roomId,
+  });
+  return true;
+}
+
+/**
+ * IDs merged into a publisher
+ * @returns {Array<{ id: string, manual: boolean }>}
+ */
+export function getPublisherAliases(roomId, publisherId) {
+  const aliases = identities[roomId] ? identities[roomId].aliases : {};
+  return Object.entries(aliases)
+    .filter(([, alias]) => alias.into === publisherId)
+    .map(([id, alias]) => ({ id, manual: alias.manual }));
+}
+
+/**
+ * A room's aliases as saved (plain data)
+ * @returns {SavedIdentity}
+ */
+export function getRoomIdentity(roomId) {
+  const identity = identityOf(roomId);
+  return { aliases: JSON.parse(JSON.stringify(identity.aliases)), unlinked: Array.from(identity.unlinked) };
+}
+
+/**
+ * Restore saved aliases (links made this session win)
+ * @param {string} roomId
+ * @param {SavedIdentity | undefined} saved
+ */
+export function restoreRoomIdentity(roomId, saved) {
+  if (!saved) return;
+  const identity = identityOf(roomId);
+  for (const id of saved.unlinked || []) if (!identity.aliases[id]) identity.unlinked.add(id);
+  for (const [id, alias] of Object.entries(saved.aliases || {})) {
+    if (!identity.aliases[id] && !identity.unlinked.has(id)) identity.aliases[id] = { into: alias.into, manual: !!alias.manual };
+  }
+}
+
+/** Drop a room's aliases ("forget this room") */
+export function clearRoomIdentity(roomId) {
+  delete identities[roomId];
+}
@@ -0,0 +1,229 @@
+/*
+  Collapsible JSON tree (syntax-highlighted) + field diff between two messages
+
+  Paths are written the way you would read them in JS: data.seats[2].name, data["odd key"].
+  The diff compares objects key by key and arrays index by index; it reports the fields that were
+  added, removed or changed (a whole subtree added or removed is one change). Containers holding
+  changes are listed as ancestors so the tree can open them.
+  Children of a collapsed node are only built when it is opened (large `state` payloads stay cheap).
+*/
+
+/**
+ * @typedef {"added" | "removed" | "changed"} JsonChange
+ * @typedef {{ changes: Map<string, JsonChange>, ancestors: Set<string> }} JsonDiff
+ * @typedef {{
+ *   diff?: JsonDiff | null,
+ *   previous?: any,
+ *   isExpanded: (path: string, depth: number) => boolean,
+ *   onToggle?: (path: string, expanded: boolean) => void,
+ *   onCopy?: (text: string, what: "path" | "value") => void,
+ * }} JsonTreeOptions
+ */
+
+const IDENTIFIER_RE = /^[A-Za-z_$][\w$]*$/;
+
+const isContainer = (v) => v != null && typeof v === "object";
+
+/** Path of a child: `parent.key`, `parent[3]` or `parent["odd key"]` */
+export function childPath(parent, key) {
+  if (typeof key === "number") return `${parent}[${key}]`;
+  if (IDENTIFIER_RE.test(key)) return parent ? `${parent}.${key}` : key;
+  return `${parent}[${JSON.stringify(key)}]`;
+}
+
+function childKeys(value) {
+  return Array.isArray(value) ? value.map((_, i) => i) : Object.keys(value);
+}
+
+/**
+ * Fields that differ between two messages
+ * @param {any} previous
+ * @param {any} current
+ * @returns {JsonDiff}
+ */
+export function diffJson(previous, current) {
+  const changes = new Map();
+  const ancestors = new Set();
+
+  const walk = (prev, next, path, parents) => {
+    if (isContainer(prev) && isContainer(next) && Array.isArray(prev) === Array.isArray(next)) {
+      const keys = new Set([...childKeys(prev), ...childKeys(next)]);
+      for (const key of keys) {
+        const has = (v) => (Array.isArray(v) ? key < v.length : Object.prototype.hasOwnProperty.call(v, key));
+        const sub = childPath(path, key);
+        const subParents = parents.concat(path);
+        if (!has(prev)) {
+          changes.set(sub, "added");
+          subParents.forEach((p) => ancestors.add(p));
+        } else if (!has(next)) {
+          changes.set(sub, "removed");
+          subParents.forEach((p) => ancestors.add(p));
+        } else {
+          walk(prev[key], next[key], sub, subParents);
+        }
+      }
+      return;
+    }
+    if (prev !== next && JSON.stringify(prev) !== JSON.stringify(next)) {
+      changes.set(path, "changed");
+      parents.forEach((p) => ancestors.add(p));
+    }
+  };
+
+  walk(previous, current, "", []);
+  return { changes, ancestors };
+}
+
+/** One-line preview of a value (strings quoted, containers summarized) */
+export function previewJson(value) {
+  if (Array.isArray(value)) return `[${value.length} ${value.length === 1 ? "item" : "items"}]`;
+  if (isContainer(value)) {
+    const n = Object.keys(value).length;
+    return `{${n} ${n === 1 ? "key" : "keys"}}`;
+  }
+  return JSON.stringify(value) ?? String(value);
+}
+
+function valueClass(value) {
+  if (value === null) return "jsonNull";
+  if (typeof value === "string") return "jsonString";
+  if (typeof value === "number") return "jsonNumber";
+  if (typeof value === "boolean") return "jsonBoolean";
+  return "jsonSummary";
+}
+
+function copyButton(label, title, onClick) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = "jsonCopyBtn";
+  btn.textContent = label;
+  btn.title = title;
+  btn.addEventListener("click", (e) => {
+    if (e && e.stopPropagation) e.stopPropagation();
+    onClick();
+    btn.textContent = "copied";
+    setTimeout(() => {
+      btn.textContent = label;
+    }, 1200);
+  });
+  return btn;
+}
+
+/**
+ * One node (key + value) with its children when open
+ * @param {string | number | null} key - null for the root
+ * @param {any} value
+ * @param {{ has: boolean, value: any }} before - The same field in the previous message (diff mode)
+ * @param {string} path
+ * @param {number} depth
+ * @param {JsonTreeOptions} opts
+ * @param {JsonChange} [forced] - Inside an added / removed subtree
+ */
+function createNode(key, value, before, path, depth, opts, forced) {
+  const diff = opts.diff || null;
+  const change = forced || (diff ? diff.changes.get(path) : undefined);
+
+  const node = document.createElement("div");
+  node.className = `jsonNode${change ? ` json${change[0].toUpperCase()}${change.slice(1)}` : ""}`;
+  node.dataset.path = path;
+
+  const line = document.createElement("div");
+  line.className = "jsonLine";
+  node.appendChild(line);
+
+  const container = isContainer(value);
+  const toggle = document.createElement(container ? "button" : "span");
+  toggle.className = container ? "jsonToggle" : "jsonToggle jsonLeaf";
+  if (container) toggle.type = "button";
+  line.appendChild(toggle);
+
+  if (key !== null) {
+    const keyEl = document.createElement("span");
+    keyEl.className = typeof key === "number" ? "jsonKey jsonIndex" : "jsonKey";
+    keyEl.textContent = typeof key === "number" ? String(key) : JSON.stringify(key);
+    line.appendChild(keyEl);
+    const colon = document.createElement("span");
+    colon.className = "jsonPunct";
+    colon.textContent = ": ";
+    line.appendChild(colon);
+  }
+
+  const valueEl = document.createElement("span");
+  valueEl.className = `jsonValue ${valueClass(value)}`;
+  valueEl.textContent = previewJson(value);
+  line.appendChild(valueEl);
+
+  // Changed leaf: the old value next to the new one
+  if (change === "changed" && before.has && !(container && isContainer(before.value))) {
+    const old = document.createElement("span");
+    old.className = "jsonOld";
+    old.textContent = previewJson(before.value);
+    old.title = "Previous value";
+    line.appendChild(old);
+  }
+
+  if (opts.onCopy) {
+    const actions = document.createElement("span");
+    actions.className = "jsonActions";
+    if (path) actions.appendChild(copyButton("path", "Copy the path", () => opts.onCopy(path, "path")));
+    actions.appendChild(
+      copyButton("value", "Copy the value", () => opts.onCopy(typeof value === "string" ? value : JSON.stringify(value, null, 2), "value"))
+    );
+    line.appendChild(actions);
+  }
+
+  if (!container) return node;
+
+  let children = null;
+  const open = () => {
+    children = document.createElement("div");
+    children.className = "jsonChildren";
+    const prev = before.has && isContainer(before.value) ? before.value : null;
+    for (const childKey of childKeys(value)) {
+      const has = prev != null && (Array.isArray(prev) ? childKey < prev.length : Object.prototype.hasOwnProperty.call(prev, childKey));
+      const childBefore = { has, value: has ? prev[childKey] : undefined };
+      children.appendChild(createNode(childKey, value[childKey], childBefore, childPath(path, childKey), depth + 1, opts, forced));
+    }
+    // Fields only in the previous message
+    if (diff && prev != null && !forced) {
+      for (const childKey of childKeys(prev)) {
+        const sub = childPath(path, childKey);
+        if (diff.changes.get(sub) !== "removed") continue;
+        children.appendChild(createNode(childKey, prev[childKey], { has: false, value: undefined }, sub, depth + 1, { ...opts, onCopy: undefined }, "removed"));
+      }
+    }
+    node.appendChild(children);
+  };
+  const setOpen = (isOpen) => {
+    toggle.textContent = isOpen ? "▾" : "▸";
+    toggle.setAttribute("aria-expanded", isOpen ? "true" : "false");
+    node.dataset.expanded = isOpen ? "true" : "false";
+    if (isOpen && !children) open();
+    if (!isOpen && children) {
+      children.remove();
+      children = null;
+    }
+  };
+
+  setOpen(opts.isExpanded(path, depth));
+  toggle.addEventListener("click", () => {
+    const isOpen = !children;
+    setOpen(isOpen);
+    if (opts.onToggle) opts.onToggle(path, isOpen);
+  });
+  return node;
+}
+
+/**
+ * Build the tree for a message
+ * @param {any} value
+ * @param {JsonTreeOptions} opts - previous: the message to diff against (with opts.diff)
+ * @returns {HTMLElement}
+ */
+export function createJsonTree(value, opts) {
+  const tree = document.createElement("div");
+  tree.className = "jsonTree";
+  const before = { has: opts.previous !== undefined, value: opts.previous };
+  tree.appendChild(createNode(null, value, before, "", 0, opts));
+  return tree;
+}
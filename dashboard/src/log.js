@@ -0,0 +1,388 @@
+/*
+  Message log: a ring buffer of the last MAX_LOG_ENTRIES entries, shown with virtual scrolling
+
+  Only the rows in (or near) the visible part of the log are in the DOM; the rest is represented by
+  padding. Collapsed rows are LOG_ROW_HEIGHT px tall; expanded rows are estimated from their JSON
+  until they have been drawn once, then their measured height is used.
+  The view can be filtered by kind, publisher, message type and a text search over the raw JSON;
+  Export downloads the filtered entries. The entries are also saved per room (persistence.js).
+*/
+
+import { els, downloadText } from "./dom.js";
+import { shortenId } from "./format.js";
+import { listRooms, rooms } from "./store.js";
+
+export const MAX_LOG_ENTRIES = 5000;
+export const LOG_ROW_HEIGHT = 41;
+/** Rows drawn above and below the visible part */
+const OVERSCAN_ROWS = 10;
+/** Visible height assumed while the log has no layout (hidden panel, tests) */
+const DEFAULT_VIEWPORT_PX = 600;
+/** Within this distance of the bottom, new entries keep the log scrolled to the bottom */
+const FOLLOW_THRESHOLD_PX = 40;
+
+/**
+ * @typedef {{
+ *   kind: "message" | "info" | "error", time: number, cardsText: string, raw: string,
+ *   publisherId?: string, roomId?: string, type?: string, restored?: boolean
+ * }} LogEntry
+ * @typedef {{ search: string, kind: string, publisherId: string, type: string }} LogFilter
+ */
+
+// ============================================================
+// Ring buffer (oldest entry at `ringStart`)
+// ============================================================
+
+/** @type {LogEntry[]} */
+let ring = [];
+let ringStart = 0;
+
+/** Entries in the buffer, oldest first */
+function bufferedEntries() {
+  return ring.length < MAX_LOG_ENTRIES ? ring.slice() : ring.slice(ringStart).concat(ring.slice(0, ringStart));
+}
+
+/**
+ * Add an entry, dropping the oldest one when the buffer is full
+ * @returns {LogEntry | null} The entry dropped
+ */
+function pushEntry(entry) {
+  if (ring.length < MAX_LOG_ENTRIES) {
+    ring.push(entry);
+    return null;
+  }
+  const dropped = ring[ringStart];
+  ring[ringStart] = entry;
+  ringStart = (ringStart + 1) % MAX_LOG_ENTRIES;
+  return dropped;
+}
+
+function resetBuffer(entries) {
+  ring = entries.slice(-MAX_LOG_ENTRIES);
+  ringStart = 0;
+}
+
+/** Log entries (oldest first), optionally only those of one room */
+export function getLogEntries(roomId) {
+  const entries = bufferedEntries();
+  return roomId === undefined ? entries : entries.filter((e) => e.roomId === roomId);
+}
+
+// ============================================================
+// Filters
+// ============================================================
+
+/** @type {LogFilter} */
+const filter = { search: "", kind: "", publisherId: "", type: "" };
+
+/** Entries matching the filter (oldest first) @type {LogEntry[]} */
+let filtered = [];
+
+/** Publisher IDs and message types seen, for the filter menus */
+const seenPublishers = new Set();
+const seenTypes = new Set();
+
+function matchesFilter(entry) {
+  if (filter.kind && entry.kind !== filter.kind) return false;
+  if (filter.publisherId && entry.publisherId !== filter.publisherId) return false;
+  if (filter.type && entry.type !== filter.type) return false;
+  if (!filter.search) return true;
+  const needle = filter.search.toLowerCase();
+  return (entry.raw || "").toLowerCase().includes(needle) || (entry.cardsText || "").toLowerCase().includes(needle);
+}
+
+/** @returns {LogFilter} */
+export function getLogFilter() {
+  return { ...filter };
+}
+
+/**
+ * Change the filter (fields left out are kept) and redraw
+ * @param {Partial<LogFilter>} patch
+ */
+export function setLogFilter(patch) {
+  for (const key of Object.keys(filter)) {
+    if (key in patch) filter[key] = patch[key] == null ? "" : String(patch[key]).trim();
+  }
+  filtered = bufferedEntries().filter(matchesFilter);
+  followTail = true;
+  renderLog();
+}
+
+/** Entries shown with the current filter (oldest first) */
+export function getFilteredLogEntries() {
+  return filtered.slice();
+}
+
+function noteFilterValues(entry) {
+  const added = (entry.publisherId && !seenPublishers.has(entry.publisherId)) || (entry.type && !seenTypes.has(entry.type));
+  if (entry.publisherId) seenPublishers.add(entry.publisherId);
+  if (entry.type) seenTypes.add(entry.type);
+  if (added) renderFilterOptions();
+}
+
+/** Refill a filter menu, keeping its first ("All …") option and the selection */
+function fillFilterSelect(select, values, label) {
+  if (!select) return;
+  const current = select.value;
+  const first = select.firstElementChild;
+  select.innerHTML = "";
+  if (first) select.appendChild(first);
+  for (const value of Array.from(values).sort()) {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = label(value);
+    select.appendChild(opt);
+  }
+  select.value = values.has(current) ? current : "";
+}
+
+function renderFilterOptions() {
+  fillFilterSelect(els.logPublisherFilter, seenPublishers, shortenId);
+  fillFilterSelect(els.logTypeFilter, seenTypes, (type) => type);
+}
+
+// ============================================================
+// Virtual rendering
+// ============================================================
+
+/** Expanded entries, and the height they were drawn at @type {Map<LogEntry, number | null>} */
+const expanded = new Map();
+
+/** False once the user scrolls up; new entries then leave the scroll position alone */
+let followTail = true;
+
+/** Height of an expanded row before it has been measured (the JSON is capped at 320px by CSS) */
+function estimateExpandedHeight(entry) {
+  const lines = (entry.raw || "").split("\n").length;
+  return LOG_ROW_HEIGHT + 8 + Math.min(320, 24 + lines * 16);
+}
+
+function rowHeight(entry) {
+  if (!expanded.has(entry)) return LOG_ROW_HEIGHT;
+  return expanded.get(entry) || estimateExpandedHeight(entry);
+}
+
+/** @param {LogEntry} entry */
+function createLogRow(entry, showRoom) {
+  const row = document.createElement("div");
+  row.className = `logRow${entry.kind === "error" ? " error" : ""}${entry.restored ? " restored" : ""}`;
+  row.dataset.expanded = expanded.has(entry) ? "true" : "false";
+  if (entry.roomId) row.dataset.roomId = entry.roomId;
+
+  const summary = document.createElement("div");
+  summary.className = "logRowSummary";
+
+  const left = document.createElement("div");
+  left.className = "logRowLeft";
+
+  // Room badge (only once more than one room is monitored)
+  if (entry.roomId && showRoom) {
+    const roomBadge = document.createElement("span");
+    roomBadge.className = "roomBadge";
+    roomBadge.textContent = shortenId((rooms[entry.roomId] && rooms[entry.roomId].label) || entry.roomId);
+    left.appendChild(roomBadge);
+  }
+
+  // Publisher badge (if available)
+  if (entry.publisherId) {
+    const pubBadge = document.createElement("span");
+    pubBadge.className = "pubBadge";
+    pubBadge.textContent = shortenId(entry.publisherId);
+    left.appendChild(pubBadge);
+  }
+
+  const badge = document.createElement("div");
+  badge.className = `badge ${/♥|♦/.test(entry.cardsText) ? "red" : "black"}`;
+
+  const cardsSpan = document.createElement("span");
+  cardsSpan.textContent = entry.cardsText;
+
+  badge.appendChild(cardsSpan);
+  left.appendChild(badge);
+
+  const right = document.createElement("div");
+  right.className = "rowMeta";
+  right.textContent = new Date(entry.time || Date.now()).toLocaleTimeString();
+
+  summary.appendChild(left);
+  summary.appendChild(right);
+  row.appendChild(summary);
+
+  // The JSON is only built for expanded rows
+  if (expanded.has(entry)) {
+    const details = document.createElement("div");
+    details.className = "logRowDetails";
+    const pre = document.createElement("pre");
+    pre.textContent = entry.raw || "";
+    details.appendChild(pre);
+    row.appendChild(details);
+  }
+
+  row.addEventListener("click", (e) => {
+    // Selecting text in the JSON does not collapse the row
+    if (e && e.target && e.target.closest && e.target.closest("pre")) return;
+    if (expanded.has(entry)) expanded.delete(entry);
+    else expanded.set(entry, null);
+    renderLog();
+  });
+  return row;
+}
+
+/** The element holding the drawn rows (created inside #log on first use) */
+function logWindowEl() {
+  let win = els.log.firstElementChild;
+  if (!win || !win.classList.contains("logWindow")) {
+    els.log.innerHTML = "";
+    win = document.createElement("div");
+    win.className = "logWindow";
+    els.log.appendChild(win);
+  }
+  return win;
+}
+
+/** "shown / buffered" entry count and the Export button */
+function renderLogCount() {
+  if (els.logCount) {
+    const total = ring.length;
+    els.logCount.textContent = filtered.length === total ? String(total) : `${filtered.length} / ${total}`;
+  }
+  if (els.exportLogBtn) els.exportLogBtn.disabled = filtered.length === 0;
+}
+
+/** Draw the rows around the scroll position (and the entry count) */
+export function renderLog() {
+  renderLogCount();
+  if (!els.log) return;
+
+  const win = logWindowEl();
+  const heights = filtered.map(rowHeight);
+  const totalHeight = heights.reduce((sum, h) => sum + h, 0);
+  const viewport = els.log.clientHeight || DEFAULT_VIEWPORT_PX;
+
+  if (followTail) els.log.scrollTop = Math.max(0, totalHeight - viewport);
+  const scrollTop = els.log.scrollTop;
+
+  // First and last rows touching the visible part, plus overscan
+  let first = 0;
+  let top = 0;
+  while (first < filtered.length && top + heights[first] <= scrollTop) top += heights[first++];
+  let last = first;
+  let bottom = top;
+  while (last < filtered.length && bottom < scrollTop + viewport) bottom += heights[last++];
+
+  const from = Math.max(0, first - OVERSCAN_ROWS);
+  const to = Math.min(filtered.length, last + OVERSCAN_ROWS);
+  for (let i = from; i < first; i++) top -= heights[i];
+  for (let i = last; i < to; i++) bottom += heights[i];
+
+  const showRoom = listRooms().length > 1;
+  win.innerHTML = "";
+  win.style.paddingTop = `${top}px`;
+  win.style.paddingBottom = `${totalHeight - bottom}px`;
+  const drawn = [];
+  for (let i = from; i < to; i++) {
+    const row = createLogRow(filtered[i], showRoom);
+    win.appendChild(row);
+    drawn.push([filtered[i], row]);
+  }
+
+  // Expanded rows keep their real height from now on
+  let remeasure = false;
+  for (const [entry, row] of drawn) {
+    if (!expanded.has(entry) || !row.offsetHeight || expanded.get(entry) === row.offsetHeight) continue;
+    expanded.set(entry, row.offsetHeight);
+    remeasure = true;
+  }
+  if (remeasure && followTail) els.log.scrollTop = Math.max(0, filtered.reduce((sum, e) => sum + rowHeight(e), 0) - viewport);
+}
+
+/** Scroll handler for #log: follow new entries only while the user is at the bottom */
+export function onLogScroll() {
+  if (!els.log) return;
+  const totalHeight = filtered.reduce((sum, e) => sum + rowHeight(e), 0);
+  const viewport = els.log.clientHeight || DEFAULT_VIEWPORT_PX;
+  followTail = els.log.scrollTop + viewport >= totalHeight - FOLLOW_THRESHOLD_PX;
+  renderLog();
+}
+
+// ============================================================
+// Append / clear / export
+// ============================================================
+
+/**
+ * @param {LogEntry} entry - restored: row saved before a page reload (shown dimmed)
+ */
+export function appendLog(entry) {
+  if (!els.log) return;
+
+  const dropped = pushEntry(entry);
+  if (dropped) {
+    expanded.delete(dropped);
+    if (filtered[0] === dropped) filtered.shift();
+  }
+  noteFilterValues(entry);
+
+  const shown = matchesFilter(entry);
+  if (shown) filtered.push(entry);
+  // Nothing new to show: only the count changes, so rows stay put
+  if (shown || dropped) renderLog();
+  else renderLogCount();
+}
+
+/** Clear the log, or only the entries of one room */
+export function clearLog(roomId) {
+  const kept = roomId === undefined ? [] : bufferedEntries().filter((e) => e.roomId !== roomId);
+  resetBuffer(kept);
+  for (const entry of Array.from(expanded.keys())) if (!kept.includes(entry)) expanded.delete(entry);
+
+  seenPublishers.clear();
+  seenTypes.clear();
+  for (const entry of kept) {
+    if (entry.publisherId) seenPublishers.add(entry.publisherId);
+    if (entry.type) seenTypes.add(entry.type);
+  }
+  renderFilterOptions();
+
+  filtered = kept.filter(matchesFilter);
+  followTail = true;
+  if (els.log) renderLog();
+}
+
+/**
+ * Filtered entries as a JSON document (raw JSON parsed back when it is JSON)
+ * @param {LogEntry[]} entries
+ */
+export function serializeLogEntries(entries) {
+  const parse = (raw) => {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return raw;
+    }
+  };
+  return JSON.stringify(
+    entries.map((e) => ({
+      time: new Date(e.time).toISOString(),
+      kind: e.kind,
+      roomId: e.roomId ?? null,
+      publisherId: e.publisherId ?? null,
+      type: e.type ?? null,
+      summary: e.cardsText,
+      data: parse(e.raw),
+    })),
+    null,
+    2
+  );
+}
+
+/**
+ * Download the entries shown with the current filter
+ * @returns {number} Entries exported (nothing is downloaded when there are none)
+ */
+export function exportLog() {
+  if (filtered.length === 0) return 0;
+  const stamp = new Date(filtered[0].time || Date.now()).toISOString().replace(/[:.]/g, "-");
+  downloadText(`log-${stamp}.json`, serializeLogEntries(filtered), "application/json");
+  return filtered.length;
+}
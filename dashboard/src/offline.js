@@ -0,0 +1,84 @@
+/*
+  Offline shell (installable PWA)
+
+  - The service worker (sw.js, next to index.html) serves the dashboard's files from its cache when the
+    network or the static host is down; manifest.webmanifest makes the page installable as a standalone app
+  - While the browser is offline, the offline screen lists the rooms saved on this machine (persistence.js).
+    Opening one shows its publishers, hand history and log without connecting; session files can still be replayed.
+*/
+
+import { els } from "./dom.js";
+import { formatSecondsAgo } from "./format.js";
+import { listSavedRooms } from "./persistence.js";
+
+/**
+ * Register the service worker (needs http(s); file:// pages and browsers without support are skipped)
+ * @param {string} [url]
+ * @returns {Promise<boolean>} True once registered
+ */
+export async function registerServiceWorker(url = "./sw.js") {
+  const nav = globalThis.navigator;
+  if (!nav || !nav.serviceWorker || !/^https?:$/.test(new URL(window.location.href).protocol)) return false;
+  try {
+    await nav.serviceWorker.register(url);
+    return true;
+  } catch {
+    // ignore: the dashboard works without it, only not offline
+    return false;
+  }
+}
+
+/** True when the browser reports no network */
+export function isOffline() {
+  return !!globalThis.navigator && navigator.onLine === false;
+}
+
+export function setOfflineScreenVisible(visible) {
+  if (els.offlineScreen) els.offlineScreen.hidden = !visible;
+}
+
+/**
+ * Fill the offline screen with the saved rooms
+ * @param {{ onOpenRoom: (roomId: string) => void, now?: number }} opts
+ */
+export async function renderOfflineScreen({ onOpenRoom, now = Date.now() }) {
+  if (!els.offlineRooms) return;
+  let saved = [];
+  try {
+    saved = await listSavedRooms(now);
+  } catch {
+    // storage unavailable: the list stays empty
+  }
+
+  els.offlineRooms.innerHTML = "";
+  if (saved.length === 0) {
+    els.offlineRooms.textContent = "No rooms saved on this machine.";
+    return;
+  }
+  for (const room of saved) {
+    const row = document.createElement("div");
+    row.className = "offlineRoom";
+    row.dataset.roomId = room.roomId;
+
+    const info = document.createElement("div");
+    info.className = "offlineRoomInfo";
+    const name = document.createElement("div");
+    name.className = "offlineRoomName";
+    name.textContent = room.label;
+    const meta = document.createElement("div");
+    meta.className = "offlineRoomMeta";
+    meta.textContent = `${room.publishers} ${room.publishers === 1 ? "publisher" : "publishers"} · ${room.hands} ${room.hands === 1 ? "hand" : "hands"} · ${room.logRows} log rows · saved ${formatSecondsAgo(room.savedAt, now)}`;
+    info.appendChild(name);
+    info.appendChild(meta);
+
+    const open = document.createElement("button");
+    open.type = "button";
+    open.className = "btn ghost offlineRoomOpen";
+    open.textContent = "Open";
+    open.addEventListener("click", () => onOpenRoom(room.roomId));
+
+    row.appendChild(info);
+    row.appendChild(open);
+    els.offlineRooms.appendChild(row);
+  }
+}
@@ -0,0 +1,56 @@
+/*
+  OBS overlay mode (?mode=overlay): only the hole cards + player name on a transparent page
+  - publisher=<id>: a single publisher (any monitored room); omitted = every publisher in the active room
+  - preset=lower-third | seat | stack: layout preset (seat = anchored at the publisher's table seat)
+
+  OBS browser sources can't type a password, so overlay URLs may carry the credential in the
+  fragment (#password=... or #jwt=...). Fragments are never sent to a server, and the dashboard
+  strips it from the address bar right after reading it.
+*/
+
+export const OVERLAY_PRESETS = ["lower-third", "seat", "stack"];
+export const DEFAULT_OVERLAY_PRESET = "lower-third";
+
+/** @type {{ publisher: string | null, preset: string } | null} */
+let overlay = null;
+
+/**
+ * Overlay options from the query string
+ * @param {URLSearchParams} params
+ * @returns {{ publisher: string | null, preset: string } | null} null unless mode=overlay
+ */
+export function parseOverlayOptions(params) {
+  if (params.get("mode") !== "overlay") return null;
+  const preset = params.get("preset");
+  return {
+    publisher: (params.get("publisher") || "").trim() || null,
+    preset: OVERLAY_PRESETS.includes(preset) ? preset : DEFAULT_OVERLAY_PRESET,
+  };
+}
+
+/**
+ * Credential carried in the overlay URL fragment
+ * @param {string} hash
+ * @returns {{ password: string } | { jwt: string } | null}
+ */
+export function parseOverlayCredential(hash) {
+  const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+  const password = params.get("password");
+  const jwt = params.get("jwt");
+  if (jwt) return { jwt };
+  if (password) return { password };
+  return null;
+}
+
+export function getOverlayOptions() {
+  return overlay;
+}
+
+/** @param {{ publisher: string | null, preset: string } | null} opts */
+export function setOverlayOptions(opts) {
+  overlay = opts;
+}
+
+export function isOverlayMode() {
+  return overlay != null;
+}
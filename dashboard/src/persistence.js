@@ -0,0 +1,296 @@
+/*
+  Per-room persistence across page reloads (IndexedDB)
+
+  Each monitored room is saved as one record: its publishers store (latest message per type +
+  hand history), its publisher aliases (identity.js), its operator labels / sort mode
+  (publisherPrefs.js) and its log rows. Saved rooms are restored before the socket connects; the hub
+  snapshot that follows is merged by the pipeline (entries already known or older are skipped).
+
+  Retention: rooms not updated for SAVED_ROOM_TTL_MS are dropped on load, at most
+  MAX_SAVED_ROOMS rooms are kept, and each room keeps its last MAX_SAVED_LOG_ENTRIES log entries
+  (hand history is already bounded by MAX_HAND_HISTORY).
+*/
+
+import { noteKnownMessageTypes } from "./alerts.js";
+import { getRoomIdentity, restoreRoomIdentity } from "./identity.js";
+import { appendLog, getLogEntries } from "./log.js";
+import { getRoomPrefs, restoreRoomPrefs } from "./publisherPrefs.js";
+import { ensureRoom, MAX_HAND_HISTORY, rooms } from "./store.js";
+
+export const DB_NAME = "hole-cards-dashboard";
+export const DB_VERSION = 1;
+const ROOMS_STORE = "rooms";
+
+export const PERSIST_DEBOUNCE_MS = 1000;
+export const SAVED_ROOM_TTL_MS = 24 * 60 * 60 * 1000;
+export const MAX_SAVED_ROOMS = 10;
+/** Log entries saved per room (the in-memory log keeps more) */
+export const MAX_SAVED_LOG_ENTRIES = 500;
+
+/**
+ * @typedef {{
+ *   roomId: string, label: string, savedAt: number, publishers: Record<string, import("./store.js").Publisher>,
+ *   identity?: import("./identity.js").SavedIdentity, prefs?: import("./publisherPrefs.js").RoomPrefs,
+ *   log: import("./log.js").LogEntry[]
+ * }} SavedRoom
+ * @typedef {{
+ *   getAll: () => Promise<SavedRoom[]>,
+ *   put: (record: SavedRoom) => Promise<void>,
+ *   delete: (roomId: string) => Promise<void>,
+ * }} PersistenceBackend
+ */
+
+/**
+ * IndexedDB backend (one object store, keyed by roomId)
+ * @param {IDBFactory} [indexedDBImpl]
+ * @returns {PersistenceBackend}
+ */
+export function createIndexedDbBackend(indexedDBImpl = globalThis.indexedDB) {
+  /** @type {Promise<IDBDatabase> | null} */
+  let dbPromise = null;
+
+  const openDb = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDBImpl.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+          if (!req.result.objectStoreNames.contains(ROOMS_STORE)) req.result.createObjectStore(ROOMS_STORE, { keyPath: "roomId" });
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+      // Let the next call retry (e.g. after the user allows storage)
+      dbPromise.catch(() => {
+        dbPromise = null;
+      });
+    }
+    return dbPromise;
+  };
+
+  const run = async (mode, fn) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(ROOMS_STORE, mode);
+      const req = fn(tx.objectStore(ROOMS_STORE));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  };
+
+  return {
+    getAll: () => run("readonly", (store) => store.getAll()),
+    put: (record) => run("readwrite", (store) => store.put(record)).then(() => {}),
+    delete: (roomId) => run("readwrite", (store) => store.delete(roomId)).then(() => {}),
+  };
+}
+
+/** @type {PersistenceBackend | null} */
+let backendOverride = null;
+/** @type {PersistenceBackend | null | undefined} */
+let defaultBackend;
+
+/**
+ * Swap the storage backend (tests); null goes back to IndexedDB
+ * @param {PersistenceBackend | null} next
+ */
+export function setPersistenceBackend(next) {
+  backendOverride = next;
+}
+
+/** Current backend; null when the browser has no IndexedDB (persistence is then off) */
+function getBackend() {
+  if (backendOverride) return backendOverride;
+  if (defaultBackend === undefined) defaultBackend = globalThis.indexedDB ? createIndexedDbBackend() : null;
+  return defaultBackend;
+}
+
+/** Rooms never saved: the "" fallback store and rooms marked transient (replay) */
+const transientRooms = new Set([""]);
+
+export function markRoomTransient(roomId) {
+  transientRooms.add(roomId);
+}
+
+/** Rooms restored (or checked) this page load, so a reconnect never restores twice */
+const restoredRooms = new Set();
+
+/** @type {Set<string>} */
+const dirtyRooms = new Set();
+let persistTimer = null;
+
+/**
+ * Save a room soon (debounced); without a roomId, every room in the store
+ * @param {string} [roomId]
+ */
+export function schedulePersist(roomId) {
+  if (!getBackend()) return;
+  const ids = roomId === undefined ? Object.keys(rooms) : [roomId];
+  for (const id of ids) if (!transientRooms.has(id)) dirtyRooms.add(id);
+  if (dirtyRooms.size === 0 || persistTimer) return;
+  persistTimer = setTimeout(() => {
+    persistTimer = null;
+    flushPersistence().catch((e) => logPersistenceError("save", e));
+  }, PERSIST_DEBOUNCE_MS);
+}
+
+/** Snapshot of a room as saved (plain data; structured-clone friendly) */
+function toSavedRoom(roomId, now) {
+  const room = ensureRoom(roomId);
+  return {
+    roomId,
+    label: room.label,
+    savedAt: now,
+    publishers: JSON.parse(JSON.stringify(room.publishers)),
+    identity: getRoomIdentity(roomId),
+    prefs: getRoomPrefs(roomId),
+    log: getLogEntries(roomId).slice(-MAX_SAVED_LOG_ENTRIES),
+  };
+}
+
+/** Write every room with pending changes now; a failed write leaves that room (and the ones after it) pending */
+export async function flushPersistence() {
+  if (persistTimer) {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+  }
+  const backend = getBackend();
+  const ids = Array.from(dirtyRooms);
+  dirtyRooms.clear();
+  if (!backend) return;
+
+  const now = Date.now();
+  for (let i = 0; i < ids.length; i++) {
+    // A room that was dropped meanwhile is not saved again
+    if (!rooms[ids[i]]) continue;
+    try {
+      await backend.put(toSavedRoom(ids[i], now));
+    } catch (e) {
+      ids.slice(i).forEach((id) => dirtyRooms.add(id));
+      throw e;
+    }
+  }
+}
+
+/**
+ * Copy a saved publisher into the live store, keeping anything newer already there
+ * @param {import("./store.js").Publisher | undefined} live
+ * @param {import("./store.js").Publisher} saved
+ */
+function mergePublisher(live, saved) {
+  if (!live) return saved;
+  for (const [type, msg] of Object.entries(saved.latestByType || {})) {
+    if (!live.latestByType[type]) live.latestByType[type] = msg;
+  }
+  const known = new Set(live.handHistory.map((h) => h.key));
+  const older = (saved.handHistory || []).filter((h) => !known.has(h.key));
+  live.handHistory.unshift(...older);
+  if (live.handHistory.length > MAX_HAND_HISTORY) live.handHistory.splice(0, live.handHistory.length - MAX_HAND_HISTORY);
+  live.lastSeen = Math.max(live.lastSeen, saved.lastSeen || 0);
+  if (!live.playerName) live.playerName = saved.playerName || null;
+  return live;
+}
+
+/**
+ * Restore saved rooms into the store and log (before their sockets connect).
+ * Also applies retention: expired rooms and rooms beyond MAX_SAVED_ROOMS are deleted.
+ * @param {string[]} roomIds - Rooms about to be monitored
+ * @param {number} [now]
+ * @returns {Promise<Array<{ roomId: string, publishers: number, logRows: number, savedAt: number }>>} Rooms restored
+ */
+export async function restoreRooms(roomIds, now = Date.now()) {
+  const backend = getBackend();
+  const wanted = roomIds.filter((id) => !restoredRooms.has(id) && !transientRooms.has(id));
+  if (!backend || wanted.length === 0) return [];
+  wanted.forEach((id) => restoredRooms.add(id));
+
+  const saved = (await backend.getAll()).sort((a, b) => b.savedAt - a.savedAt);
+  const expired = saved.filter((r, i) => now - r.savedAt > SAVED_ROOM_TTL_MS || i >= MAX_SAVED_ROOMS);
+  for (const record of expired) await backend.delete(record.roomId);
+
+  const restored = [];
+  const logRows = [];
+  for (const record of saved) {
+    if (expired.includes(record) || !wanted.includes(record.roomId)) continue;
+
+    const room = ensureRoom(record.roomId, record.label);
+    restoreRoomIdentity(record.roomId, record.identity);
+    restoreRoomPrefs(record.roomId, record.prefs);
+    for (const [id, pub] of Object.entries(record.publishers || {})) {
+      room.publishers[id] = mergePublisher(room.publishers[id], pub);
+      noteKnownMessageTypes(record.roomId, Object.keys(pub.latestByType || {}));
+    }
+    const rows = (record.log || []).slice(-MAX_SAVED_LOG_ENTRIES);
+    logRows.push(...rows.map((entry) => ({ ...entry, roomId: record.roomId, restored: true })));
+    restored.push({ roomId: record.roomId, publishers: Object.keys(record.publishers || {}).length, logRows: rows.length, savedAt: record.savedAt });
+  }
+
+  logRows.sort((a, b) => a.time - b.time).forEach((entry) => appendLog(entry));
+  return restored;
+}
+
+/**
+ * restoreRooms for the UI: each restored room gets a "[restored]" log row, and failures are logged
+ * instead of thrown (the room then starts empty)
+ * @param {string[]} roomIds
+ * @returns {Promise<number>} The number of rooms restored
+ */
+export async function restoreSavedRooms(roomIds) {
+  try {
+    const restored = await restoreRooms(roomIds);
+    for (const room of restored) {
+      appendLog({
+        kind: "info",
+        time: Date.now(),
+        cardsText: "[restored]",
+        raw: JSON.stringify({ event: "restored", room: room.roomId, publishers: room.publishers, logRows: room.logRows, savedAt: new Date(room.savedAt).toISOString() }, null, 2),
+        roomId: room.roomId,
+      });
+    }
+    return restored.length;
+  } catch (e) {
+    logPersistenceError("restore", e);
+    return 0;
+  }
+}
+
+/**
+ * Saved rooms on this machine, newest first (expired ones left out), for the offline screen
+ * @param {number} [now]
+ * @returns {Promise<Array<{ roomId: string, label: string, savedAt: number, publishers: number, hands: number, logRows: number }>>}
+ */
+export async function listSavedRooms(now = Date.now()) {
+  const backend = getBackend();
+  if (!backend) return [];
+  const saved = (await backend.getAll()).filter((r) => now - r.savedAt <= SAVED_ROOM_TTL_MS).sort((a, b) => b.savedAt - a.savedAt);
+  return saved.slice(0, MAX_SAVED_ROOMS).map((record) => {
+    const pubs = Object.values(record.publishers || {});
+    return {
+      roomId: record.roomId,
+      label: record.label || record.roomId,
+      savedAt: record.savedAt,
+      publishers: pubs.length,
+      hands: pubs.reduce((n, pub) => n + (pub.handHistory || []).length, 0),
+      logRows: (record.log || []).length,
+    };
+  });
+}
+
+/**
+ * Delete a room's saved data ("forget this room"); the caller clears the in-memory store
+ * @param {string} roomId
+ */
+export async function forgetRoom(roomId) {
+  dirtyRooms.delete(roomId);
+  const backend = getBackend();
+  if (backend) await backend.delete(roomId);
+}
+
+function logPersistenceError(action, e) {
+  appendLog({
+    kind: "error",
+    time: Date.now(),
+    cardsText: "—",
+    raw: JSON.stringify({ error: `Could not ${action} saved rooms`, detail: String(e && e.message ? e.message : e) }, null, 2),
+  });
+}
@@ -0,0 +1,501 @@
+/*
+  Message pipeline: hub payload -> parse + envelope (protocol version) -> broadcast delay buffer -> schema check -> typed handler
+  (publisher identity + store + log + hand recaps) -> render (+ save)
+
+  Every parsed hub message waits in delayQueue until receivedAt + broadcastDelayMs
+  before it is released to processMessage. The queue is independent of the socket,
+  so it keeps draining across reconnects and manual disconnects.
+  One queue serves every room; entries carry the room they belong to.
+  Replayed messages skip the delay (they are after the fact) while live rooms keep theirs,
+  so entries are released by their own due time rather than strictly in queue order.
+  The hub's protocol version is noted per room on arrival; `hello` messages stop there.
+  `pong` (heartbeat reply) only proves the socket is alive: it is dropped before anything is counted.
+  Live messages are counted for the connection diagnostics on arrival (before the delay).
+  Live messages are also checked for gaps on arrival (sequence.js); a gap is logged and marked in the
+  publisher's hand history when the message that revealed it is released.
+  A `resume` batch (what a resuming hub replays after a reconnect) is unpacked like a snapshot.
+  Released messages feed the alert rules (alerts.js): new message types, finished hands, hub leaves.
+*/
+
+import { checkPresenceAlerts, noteFinishedHand, noteMessageType, setAlertsPaused } from "./alerts.js";
+import { formatTwoCards } from "./cards.js";
+import { recordMessageReceived } from "./diagnostics.js";
+import { els } from "./dom.js";
+import { formatDelay, prettyJson } from "./format.js";
+import { clearLog, appendLog } from "./log.js";
+import { schedulePersist } from "./persistence.js";
+import { canonicalPublisherId, resolvePublisherId } from "./identity.js";
+import { presenceEventOf } from "./presence.js";
+import { extractHandFields, hasAllCards, isMessageBatch, orderBatchEntries, parseEnvelope, PROTOCOL_VERSION } from "./protocol.js";
+import { resetRecaps, trackRecapMessage } from "./recap.js";
+import { recordRawMessage } from "./recorder.js";
+import { renderPublishersUI, resetSelection, scheduleRender } from "./render.js";
+import { recordInvalidMessage, validateMessage } from "./schema.js";
+import { describeGap, isResumeSupported, setResumeSupported, trackSequence } from "./sequence.js";
+import { applyMessage, applyPresenceEvent, ensureRoom, getActiveRoomId, markGap, resetPublishers, setRoomProtocol } from "./store.js";
+
+/** Hole cards are never on air live unless the operator asks for it (delay=0s) */
+export const DEFAULT_BROADCAST_DELAY_MS = 30_000;
+
+/** Current broadcast delay (ms) */
+let broadcastDelayMs = DEFAULT_BROADCAST_DELAY_MS;
+
+/** A replay is loaded (badge + paused alerts; its own messages skip the delay via the queue entry) */
+let replayMode = false;
+
+/** @type {Array<{ msg: any, receivedAt: number, skippedDuplicates: number, roomId: string, gaps: import("./sequence.js").StreamGap[], delayed: boolean }>} */
+const delayQueue = [];
+let delayDrainTimer = null;
+
+/**
+ * Last message seen per room/publisher/type (serialized), used to drop snapshot entries
+ * the hub re-sends after a reconnect that are already buffered or shown.
+ * @type {Record<string, string>}
+ */
+const lastQueuedByPubType = {};
+
+/**
+ * Entry point for every hub message (live socket or replay)
+ * @param {any} raw - Raw WS payload
+ * @param {{ source?: "live" | "replay", roomId?: string }} [opts] - roomId defaults to the active room
+ */
+export function handleIncomingMessage(raw, opts = {}) {
+  const receivedAt = Date.now();
+  const source = opts.source || "live";
+  const roomId = opts.roomId != null ? opts.roomId : getActiveRoomId();
+
+  if (source === "live" && typeof raw === "string") {
+    recordRawMessage(raw, receivedAt, roomId);
+  }
+
+  if (typeof raw !== "string") {
+    appendLog({
+      kind: "error",
+      time: receivedAt,
+      cardsText: "—",
+      raw: JSON.stringify({ error: "Non-text WS message", receivedType: typeof raw }, null, 2),
+      roomId,
+    });
+    return;
+  }
+
+  /** @type {any} */
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (e) {
+    appendLog({
+      kind: "error",
+      time: receivedAt,
+      cardsText: "(parse error)",
+      raw: JSON.stringify({ error: "JSON parse failed", detail: String(e), payload: raw }, null, 2),
+      roomId,
+    });
+    recordInvalidMessage({ time: receivedAt, roomId, publisherId: null, type: "unknown", errors: [`Not valid JSON: ${String(e)}`], raw });
+    scheduleRender();
+    return;
+  }
+
+  const { version, msg } = parseEnvelope(parsed);
+  if (msg && msg.type === "pong") return;
+  // A hello announces the hub's protocol and carries no table data
+  if (msg && msg.type === "hello") {
+    noteHubProtocol(roomId, Number(msg.data && msg.data.protocol) || version, receivedAt);
+    if (source === "live") setResumeSupported(roomId, msg.data && msg.data.resume === true);
+    return;
+  }
+  noteHubProtocol(roomId, version, receivedAt);
+  if (source === "live" && msg && typeof msg === "object" && !isMessageBatch(msg)) {
+    recordMessageReceived(roomId, canonicalPublisherId(roomId, msg.publisherId || "unknown"), msg, receivedAt);
+  }
+  enqueueDelayed(msg, receivedAt, roomId, source === "live" ? trackGaps(roomId, msg) : [], source === "live");
+}
+
+/** Gaps a live message reveals (each entry of a snapshot / resume batch is checked) */
+function trackGaps(roomId, msg) {
+  const entries = isMessageBatch(msg) ? (msg.data && typeof msg.data === "object" ? orderBatchEntries(Object.values(msg.data)) : []) : [msg];
+  const fromBatch = isMessageBatch(msg);
+  return entries.map((entry) => trackSequence(roomId, entry, { fromBatch })).filter(Boolean);
+}
+
+/**
+ * Record the protocol version a room's hub speaks; logged when a versioned hub is first seen
+ * or changes version, as an error when it is newer than PROTOCOL_VERSION (read best-effort)
+ */
+function noteHubProtocol(roomId, version, receivedAt) {
+  if (!setRoomProtocol(roomId, version) || version === 0) return;
+  const newer = version > PROTOCOL_VERSION;
+  appendLog({
+    kind: newer ? "error" : "info",
+    time: receivedAt,
+    cardsText: newer ? `[hub protocol v${version}]` : `[protocol v${version}]`,
+    raw: JSON.stringify({
+      event: "protocol",
+      hubProtocol: version,
+      dashboardProtocol: PROTOCOL_VERSION,
+      ...(newer ? { warning: "Hub protocol is newer than this dashboard; messages are read best-effort" } : {}),
+    }, null, 2),
+    roomId,
+  });
+  scheduleRender();
+}
+
+/** Dedupe key for the last message seen per room + publisher + type */
+function pubTypeKey(roomId, msg) {
+  return `${roomId}|${msg.publisherId || "unknown"}|${msg.type || "unknown"}`;
+}
+
+/**
+ * Put a parsed hub message into the broadcast delay queue.
+ * Snapshot / resume entries that are identical to the last message already queued for the
+ * same publisher/type are dropped, so a reconnect never replays buffered messages.
+ * @param {import("./sequence.js").StreamGap[]} [gaps] - Gaps the message revealed (logged on release)
+ * @param {boolean} [delayed] - false for replayed messages, which are released right away
+ */
+export function enqueueDelayed(msg, receivedAt, roomId = getActiveRoomId(), gaps = [], delayed = true) {
+  let skippedDuplicates = 0;
+
+  if (isMessageBatch(msg) && msg.data && typeof msg.data === "object") {
+    const fresh = {};
+    for (const [type, subMsg] of Object.entries(msg.data)) {
+      if (!subMsg || typeof subMsg !== "object") continue;
+      const key = pubTypeKey(roomId, subMsg);
+      const serialized = JSON.stringify(subMsg);
+      if (lastQueuedByPubType[key] === serialized) {
+        skippedDuplicates += 1;
+        continue;
+      }
+      lastQueuedByPubType[key] = serialized;
+      fresh[type] = subMsg;
+    }
+    msg = { ...msg, data: fresh };
+  } else if (msg && typeof msg === "object") {
+    lastQueuedByPubType[pubTypeKey(roomId, msg)] = JSON.stringify(msg);
+  }
+
+  delayQueue.push({ msg, receivedAt, skippedDuplicates, roomId, gaps, delayed });
+  drainDelayQueue();
+}
+
+/** Release every queued message whose delay has elapsed, then re-arm the timer */
+export function drainDelayQueue() {
+  if (delayDrainTimer) {
+    clearTimeout(delayDrainTimer);
+    delayDrainTimer = null;
+  }
+
+  const now = Date.now();
+  // Live entries share one delay, so each room still releases in arrival order
+  let i;
+  while ((i = delayQueue.findIndex((e) => dueAt(e) <= now)) >= 0) {
+    const [entry] = delayQueue.splice(i, 1);
+    for (const gap of entry.gaps) releaseGap(gap, now, entry.roomId);
+    releaseMessage(entry.msg, now, entry.skippedDuplicates, entry.roomId);
+  }
+
+  if (delayQueue.length > 0) {
+    const wait = Math.max(0, delayQueue.reduce((next, e) => Math.min(next, dueAt(e)), Infinity) - now);
+    delayDrainTimer = setTimeout(() => {
+      delayDrainTimer = null;
+      drainDelayQueue();
+    }, wait);
+  }
+
+  renderDelayBadge();
+}
+
+/**
+ * Hand a message that has waited out the broadcast delay to the store + UI
+ * @param {any} msg - Parsed message object
+ * @param {number} releasedAt - Release time (used as lastSeen so the delayed view reads as live)
+ * @param {number} skippedDuplicates - Snapshot entries dropped as already buffered
+ * @param {string} roomId - Room the message came from
+ */
+function releaseMessage(msg, releasedAt, skippedDuplicates, roomId) {
+  const result = validateMessage(msg);
+  if (!result.ok) {
+    rejectMessage(msg, result, releasedAt, roomId);
+    scheduleRender();
+    return;
+  }
+
+  // Handle snapshot messages (sent by hub on initial connect) and resume batches (missed messages after a reconnect)
+  // Both contain multiple messages keyed by type in the data object; each entry is validated on its own
+  if (result.type === "snapshot" || result.type === "resume") {
+    // Entries the store already has (restored after a reload, or seen before a reconnect) or has newer
+    const store = ensureRoom(roomId).publishers;
+    const entries = orderBatchEntries(Object.values(msg.data));
+    const fresh = entries.filter((subMsg) => !isKnownOrOlder(store, subMsg, roomId));
+    const skippedKnown = entries.length - fresh.length;
+
+    appendLog({
+      kind: "info",
+      time: releasedAt,
+      cardsText: `[${result.type}]`,
+      raw: JSON.stringify({
+        event: result.type,
+        messageCount: Object.keys(msg.data).length,
+        types: Object.keys(msg.data),
+        skippedDuplicates,
+        skippedKnown,
+      }, null, 2),
+      type: result.type,
+      roomId,
+    });
+
+    // Process each message in the snapshot
+    fresh.forEach((subMsg) => processMessage(subMsg, releasedAt, roomId));
+
+    // Schedule a debounced re-render
+    scheduleRender();
+    return;
+  }
+
+  // Handle regular messages
+  processMessage(msg, releasedAt, roomId);
+
+  // Schedule a debounced re-render
+  scheduleRender();
+}
+
+/** Log a gap in a publisher's stream and mark it in the hand history */
+function releaseGap(gap, releasedAt, roomId) {
+  const publisherId = canonicalPublisherId(roomId, gap.publisherId);
+  markGap(publisherId, gap, roomId);
+  const outage = gap.mode === "time" ? { from: new Date(gap.from).toISOString(), to: new Date(gap.to).toISOString() } : {};
+  appendLog({
+    kind: "error",
+    time: releasedAt,
+    cardsText: gap.mode === "seq" ? `[gap · ${gap.missed} missed]` : "[possible gap]",
+    raw: JSON.stringify({
+      event: "gap",
+      ...gap,
+      ...outage,
+      detail: describeGap(gap),
+      hint: isResumeSupported(roomId)
+        ? "The hub could not replay these messages (no longer buffered)."
+        : "The hub does not resume streams; messages sent while disconnected are lost.",
+    }, null, 2),
+    publisherId,
+    type: "gap",
+    roomId,
+  });
+}
+
+/**
+ * True if a snapshot entry is already in the store, or the store has a newer message of that type
+ * @param {Record<string, import("./store.js").Publisher>} store
+ */
+function isKnownOrOlder(store, subMsg, roomId) {
+  if (!subMsg || typeof subMsg !== "object") return false;
+  const pub = store[canonicalPublisherId(roomId, subMsg.publisherId || "unknown")];
+  const current = pub && pub.latestByType[subMsg.type || "unknown"];
+  if (!current) return false;
+  if (JSON.stringify(current) === JSON.stringify(subMsg)) return true;
+  if (Number.isInteger(current.seq) && Number.isInteger(subMsg.seq)) return subMsg.seq <= current.seq;
+  return Number.isFinite(current.timestamp) && Number.isFinite(subMsg.timestamp) && subMsg.timestamp < current.timestamp;
+}
+
+/**
+ * Log row time: the message's own timestamp (data.timestamp, then timestamp) when it has one
+ * @param {any} ts
+ * @param {number} receivedAt
+ */
+function messageTime(ts, receivedAt) {
+  if (ts == null) return receivedAt;
+  const n = Number(ts);
+  if (Number.isFinite(n)) return n;
+  const parsed = Date.parse(ts);
+  return Number.isNaN(parsed) ? receivedAt : parsed;
+}
+
+/** Equity recap once a hand is over (never for the hand in progress) */
+function trackRecap(msg, receivedAt, roomId) {
+  const recap = trackRecapMessage(msg, receivedAt, roomId);
+  if (!recap) return;
+  appendLog({
+    kind: "info",
+    time: receivedAt,
+    cardsText: recap.handNumber != null ? `[recap #${recap.handNumber}]` : "[recap]",
+    raw: prettyJson(recap),
+    roomId,
+  });
+  noteFinishedHand(roomId, recap, receivedAt);
+}
+
+/** hand: hole cards (already checked to be real ranks/suits, or absent) */
+function handleHandMessage(msg, receivedAt, roomId) {
+  const { publisherId } = applyMessage(msg, receivedAt, roomId, resolvePublisherId(msg, roomId));
+  const fields = extractHandFields(msg);
+  const hasCards = hasAllCards(fields);
+
+  appendLog({
+    kind: hasCards ? "message" : "info",
+    time: messageTime(fields.ts, receivedAt),
+    cardsText: hasCards ? formatTwoCards(fields.value1, fields.suit1, fields.value2, fields.suit2) : "[hand]",
+    raw: prettyJson(msg),
+    publisherId,
+    type: "hand",
+    roomId,
+  });
+  trackRecap(msg, receivedAt, roomId);
+}
+
+/** state: table snapshot (seats, board, pot, ...) */
+function handleStateMessage(msg, receivedAt, roomId) {
+  const { publisherId } = applyMessage(msg, receivedAt, roomId, resolvePublisherId(msg, roomId));
+  appendLog({
+    kind: "info",
+    time: messageTime(msg.data.timestamp ?? msg.timestamp, receivedAt),
+    cardsText: "[state]",
+    raw: prettyJson(msg),
+    publisherId,
+    type: "state",
+    roomId,
+  });
+  trackRecap(msg, receivedAt, roomId);
+}
+
+/** Any other type: kept as the publisher's latest message of that type and logged */
+function handleOtherMessage(msg, receivedAt, roomId) {
+  const { publisherId, msgType } = applyMessage(msg, receivedAt, roomId, resolvePublisherId(msg, roomId));
+  appendLog({
+    kind: "info",
+    time: messageTime(msg.data && msg.data.timestamp != null ? msg.data.timestamp : msg.timestamp, receivedAt),
+    cardsText: `[${msgType}]`,
+    raw: prettyJson(msg),
+    publisherId,
+    type: msgType,
+    roomId,
+  });
+}
+
+/** join / leave / heartbeat / presence: publisher presence from the hub (heartbeats are not logged) */
+function handlePresenceMessage(msg, receivedAt, roomId) {
+  const event = presenceEventOf(msg);
+  if (!event) {
+    handleOtherMessage(msg, receivedAt, roomId);
+    return;
+  }
+  const publisherId = applyPresenceEvent(msg, event, receivedAt, roomId, resolvePublisherId(msg, roomId));
+  if (!publisherId || event === "heartbeat") return;
+  appendLog({
+    kind: "info",
+    time: messageTime(msg.timestamp, receivedAt),
+    cardsText: event === "join" ? "[joined]" : "[left]",
+    raw: prettyJson(msg),
+    publisherId,
+    type: msg.type,
+    roomId,
+  });
+  if (event === "leave") checkPresenceAlerts(receivedAt);
+}
+
+/** Handlers for validated messages by type (snapshots are unpacked in releaseMessage) */
+const MESSAGE_HANDLERS = {
+  hand: handleHandMessage,
+  state: handleStateMessage,
+  join: handlePresenceMessage,
+  leave: handlePresenceMessage,
+  heartbeat: handlePresenceMessage,
+  presence: handlePresenceMessage,
+};
+
+/** Keep a message that failed its schema out of the store; it shows in the Invalid panel */
+function rejectMessage(msg, result, receivedAt, roomId) {
+  const publisherId = msg && typeof msg.publisherId === "string" ? msg.publisherId : null;
+  recordInvalidMessage({ time: receivedAt, roomId, publisherId, type: result.type, errors: result.errors, raw: prettyJson(msg) });
+  appendLog({
+    kind: "error",
+    time: receivedAt,
+    cardsText: `[invalid ${result.type}]`,
+    raw: JSON.stringify({ error: "Message rejected", type: result.type, errors: result.errors }, null, 2),
+    publisherId: publisherId || undefined,
+    type: result.type,
+    roomId,
+  });
+}
+
+/**
+ * Validate a single message and hand it to the handler for its type
+ * @param {any} msg - Parsed message object
+ * @param {number} receivedAt - Timestamp when message was received
+ * @param {string} [roomId] - Room the message came from (defaults to the active room)
+ */
+export function processMessage(msg, receivedAt, roomId = getActiveRoomId()) {
+  const result = validateMessage(msg);
+  if (!result.ok || isMessageBatch(msg)) {
+    // Snapshots / resume batches never nest
+    rejectMessage(msg, result.ok ? { type: result.type, errors: [`${result.type}: not allowed inside a snapshot`] } : result, receivedAt, roomId);
+    return;
+  }
+
+  const handler = MESSAGE_HANDLERS[result.type] || handleOtherMessage;
+  handler(msg, receivedAt, roomId);
+  noteMessageType(roomId, result.type, msg.publisherId, receivedAt);
+  schedulePersist(roomId);
+}
+
+// ============================================================
+// Broadcast Delay
+// ============================================================
+
+export function getBroadcastDelay() {
+  return broadcastDelayMs;
+}
+
+/**
+ * Change the broadcast delay. Already-buffered messages are re-timed against the
+ * new value (shortening the delay releases them sooner, never drops them).
+ */
+export function setBroadcastDelay(ms) {
+  broadcastDelayMs = ms;
+  drainDelayQueue();
+}
+
+export function setReplayMode(active) {
+  replayMode = !!active;
+  setAlertsPaused(replayMode);
+  drainDelayQueue();
+}
+
+/** When a queued entry may be released (re-read on every drain, so delay changes re-time it) */
+function dueAt(entry) {
+  return entry.receivedAt + (entry.delayed ? broadcastDelayMs : 0);
+}
+
+export function getQueuedCount() {
+  return delayQueue.length;
+}
+
+export function renderDelayBadge() {
+  if (!els.delayBadge) return;
+  els.delayBadge.dataset.live = !replayMode && broadcastDelayMs === 0 ? "true" : "false";
+  if (els.delayText) {
+    if (replayMode) els.delayText.textContent = "Replay";
+    else els.delayText.textContent = broadcastDelayMs === 0 ? "LIVE · no delay" : `Delay ${formatDelay(broadcastDelayMs)}`;
+  }
+  if (els.delayQueued) {
+    els.delayQueued.textContent = delayQueue.length > 0 ? `${delayQueue.length} queued` : "";
+  }
+}
+
+/**
+ * Wipe a room's publishers, hand history and buffered messages, plus the log (used by replay start/seek/exit)
+ * @param {string} [roomId] - Defaults to the active room
+ * @param {{ roomLogOnly?: boolean }} [opts] - roomLogOnly: keep the other rooms' log rows
+ */
+export function resetStore(roomId = getActiveRoomId(), opts = {}) {
+  resetPublishers(roomId);
+  resetRecaps(roomId);
+  for (const key of Object.keys(lastQueuedByPubType)) {
+    if (key.startsWith(`${roomId}|`)) delete lastQueuedByPubType[key];
+  }
+  for (let i = delayQueue.length - 1; i >= 0; i--) {
+    if (delayQueue[i].roomId === roomId) delayQueue.splice(i, 1);
+  }
+  drainDelayQueue();
+  resetSelection();
+  clearLog(opts.roomLogOnly ? roomId : undefined);
+  renderPublishersUI();
+}
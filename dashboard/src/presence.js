@@ -0,0 +1,71 @@
+/*
+  Publisher presence: online / stale / offline
+
+  A publisher is stale when nothing was heard from it for the stale threshold and offline after
+  the offline threshold (both configurable), or as soon as the hub reports that it left.
+  Hubs that send presence events are supported when they do:
+  - { type: "join" | "leave" | "heartbeat", publisherId }
+  - { type: "presence", publisherId, data: { status: "online" | "offline" | "join" | "leave" | "heartbeat" } }
+  Heartbeats and joins count as "heard from" without being kept as the publisher's latest message.
+*/
+
+export const DEFAULT_STALE_AFTER_MS = 60_000;
+export const DEFAULT_OFFLINE_AFTER_MS = 5 * 60_000;
+
+/** @typedef {"online" | "stale" | "offline"} Presence */
+/** @typedef {"join" | "leave" | "heartbeat"} PresenceEvent */
+
+let staleAfterMs = DEFAULT_STALE_AFTER_MS;
+let offlineAfterMs = DEFAULT_OFFLINE_AFTER_MS;
+
+export function getPresenceThresholds() {
+  return { staleMs: staleAfterMs, offlineMs: offlineAfterMs };
+}
+
+/**
+ * Change the thresholds (either may be omitted to keep the current one)
+ * @param {{ staleMs?: number, offlineMs?: number }} next
+ * @returns {boolean} False (nothing changed) unless 0 < stale < offline
+ */
+export function setPresenceThresholds(next) {
+  const staleMs = next.staleMs ?? staleAfterMs;
+  const offlineMs = next.offlineMs ?? offlineAfterMs;
+  if (!(staleMs > 0) || !(offlineMs > staleMs)) return false;
+  staleAfterMs = staleMs;
+  offlineAfterMs = offlineMs;
+  return true;
+}
+
+/**
+ * @param {import("./store.js").Publisher} pub
+ * @param {number} [now]
+ * @returns {Presence}
+ */
+export function getPresence(pub, now = Date.now()) {
+  if (pub.leftAt != null && pub.leftAt >= pub.lastSeen) return "offline";
+  const age = now - pub.lastSeen;
+  if (age >= offlineAfterMs) return "offline";
+  if (age >= staleAfterMs) return "stale";
+  return "online";
+}
+
+const PRESENCE_STATUSES = {
+  online: "join",
+  join: "join",
+  offline: "leave",
+  leave: "leave",
+  heartbeat: "heartbeat",
+};
+
+/**
+ * The presence event a hub message carries, if any
+ * @param {any} msg
+ * @returns {PresenceEvent | null}
+ */
+export function presenceEventOf(msg) {
+  if (!msg || typeof msg !== "object") return null;
+  if (msg.type === "join" || msg.type === "leave" || msg.type === "heartbeat") return msg.type;
+  if (msg.type !== "presence" || !msg.data) return null;
+  const status = String(msg.data.status ?? msg.data.event ?? "").toLowerCase();
+  return PRESENCE_STATUSES[status] || null;
+}
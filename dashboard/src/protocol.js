@@ -0,0 +1,162 @@
+/*
+  Hub protocol + input parsing
+  - Game ID extraction from PokerNow URLs (one or a list of rooms)
+  - Subscriber WS URL building (?role=sub&room=...&token=...&v=<protocol version>)
+  - Hub envelope parsing (unversioned or versioned messages)
+  - Hand message field extraction
+  - Broadcast delay parsing
+*/
+
+export const MAX_BROADCAST_DELAY_MS = 60 * 60_000;
+
+/**
+ * Hub protocol version this dashboard speaks (advertised as ?v= on connect).
+ * 0 = the original unversioned hub (no `v` on messages, snapshot data keyed by type).
+ */
+export const PROTOCOL_VERSION = 1;
+
+/**
+ * Extract game ID from PokerNow URL or return the raw input
+ * Accepts: https://www.pokernow.club/games/pglQ2HgWGgYbDUSq7f9moVbXR
+ * Returns: pglQ2HgWGgYbDUSq7f9moVbXR
+ */
+export function extractGameId(input) {
+  const s = String(input || "").trim();
+  if (!s) return "";
+
+  // Try to extract from URL pattern
+  const match = s.match(/\/games\/([a-zA-Z0-9_-]+)/);
+  if (match && match[1]) {
+    return match[1];
+  }
+
+  // Otherwise return as-is (assuming it's already just the ID)
+  return s;
+}
+
+/**
+ * Extract every game ID from a comma/whitespace separated list of IDs or PokerNow URLs (duplicates dropped)
+ * Accepts: "pglQ2HgW..., https://www.pokernow.club/games/abc123"
+ * Returns: ["pglQ2HgW...", "abc123"]
+ */
+export function extractGameIds(input) {
+  const ids = String(input || "")
+    .split(/[\s,]+/)
+    .map(extractGameId)
+    .filter(Boolean);
+  return [...new Set(ids)];
+}
+
+/**
+ * buildWsUrl(hub, gameId, token, since?) -> full WS URL with role=sub
+ * Hub can be base like wss://x.onrender.com or wss://x.onrender.com/
+ *
+ * Produces URL format: wss://dom-hub.onrender.com/?role=sub&room=...&token=...&v=1
+ * Token is required for subscribers; v advertises PROTOCOL_VERSION (hubs that predate it ignore it)
+ * since: resume cursor for hubs that can replay what was missed (sequence.js)
+ * Note: Uses 'room' parameter (not 'gameId') to match server expectations
+ */
+export function buildWsUrl(hub, gameId, token, since = null) {
+  let hubStr = String(hub || "").trim();
+  if (!hubStr) throw new Error("Missing hub");
+
+  // If user pasted host without scheme, default to wss://
+  if (!/^wss?:\/\//i.test(hubStr)) {
+    hubStr = `wss://${hubStr}`;
+  }
+
+  const u = new URL(hubStr);
+  u.searchParams.set("role", "sub");
+
+  // Add room parameter (maps from gameId - this is what the server expects)
+  const room = String(gameId || "").trim();
+  if (!room) {
+    throw new Error("Missing room/gameId");
+  }
+  u.searchParams.set("room", room);
+
+  const tokenValue = String(token || "").trim();
+  if (!tokenValue) throw new Error("Missing token (JWT required)");
+  u.searchParams.set("token", tokenValue);
+  u.searchParams.set("v", String(PROTOCOL_VERSION));
+  if (since) u.searchParams.set("since", since);
+  return u.toString();
+}
+
+/** Hub messages that carry other messages in `data`: the snapshot on connect and the resume batch */
+export function isMessageBatch(msg) {
+  return !!msg && (msg.type === "snapshot" || msg.type === "resume");
+}
+
+/** Batch entries in the order they were sent (by seq when the hub numbers them) */
+export function orderBatchEntries(entries) {
+  return entries.slice().sort((a, b) => (Number(a && a.seq) || 0) - (Number(b && b.seq) || 0));
+}
+
+/**
+ * Normalize a parsed hub payload into the message shape the pipeline handles.
+ * - unversioned (protocol 0): the message as-is
+ * - versioned: the message with a top-level `v` (the hub's protocol version). Unknown top-level
+ *   fields are ignored. A snapshot (or resume batch) may list its entries as data.messages (several
+ *   publishers per type); they are keyed as "<publisherId>/<type>" like the unversioned { [type]: message } shape.
+ * Newer versions are read the same way (best-effort); the caller decides whether to warn.
+ * @param {any} obj - Parsed JSON
+ * @returns {{ version: number, msg: any }}
+ */
+export function parseEnvelope(obj) {
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) return { version: 0, msg: obj };
+
+  const v = Number(obj.v);
+  if (obj.v == null || !Number.isInteger(v) || v < 1) return { version: 0, msg: obj };
+
+  const { v: _version, ...msg } = obj;
+  if (isMessageBatch(msg) && msg.data && Array.isArray(msg.data.messages)) {
+    const data = {};
+    msg.data.messages.forEach((entry, i) => {
+      const key = entry && typeof entry === "object" ? `${entry.publisherId || "unknown"}/${entry.type || "unknown"}` : `#${i}`;
+      data[key in data ? `${key}#${i}` : key] = entry;
+    });
+    return { version: v, msg: { ...msg, data } };
+  }
+  return { version: v, msg };
+}
+
+/**
+ * Parse a broadcast delay such as "30", "30s", "2m", "1m30s" or "1500ms".
+ * Bare numbers are seconds.
+ * @returns {number | null} Delay in ms, or null if the input is not a valid delay
+ */
+export function parseDelay(input) {
+  const s = String(input == null ? "" : input).trim().toLowerCase().replace(/\s+/g, "");
+  if (!s) return null;
+
+  let ms = null;
+  if (/^\d+(\.\d+)?$/.test(s)) {
+    ms = Number(s) * 1000;
+  } else if (/^\d+(\.\d+)?ms$/.test(s)) {
+    ms = Number(s.slice(0, -2));
+  } else {
+    const match = s.match(/^(?:(\d+(?:\.\d+)?)m(?:in)?)?(?:(\d+(?:\.\d+)?)s(?:ec)?)?$/);
+    if (!match || (match[1] == null && match[2] == null)) return null;
+    ms = Number(match[1] || 0) * 60_000 + Number(match[2] || 0) * 1000;
+  }
+
+  if (!Number.isFinite(ms) || ms < 0 || ms > MAX_BROADCAST_DELAY_MS) return null;
+  return Math.round(ms);
+}
+
+export function extractHandFields(msg) {
+  const data = (msg && msg.data) || {};
+  return {
+    value1: data.value1,
+    suit1: data.suit1,
+    value2: data.value2,
+    suit2: data.suit2,
+    url: data.url,
+    ts: data.timestamp != null ? data.timestamp : msg && msg.timestamp,
+  };
+}
+
+export function hasAllCards({ value1, suit1, value2, suit2 }) {
+  return [value1, suit1, value2, suit2].every((v) => v != null && String(v).trim() !== "");
+}
@@ -0,0 +1,173 @@
+/*
+  Operator display settings per room: publisher labels (display name, color, avatar),
+  pinned slots and the order of the cards
+
+  Sort modes (publishers not pinned; pinned ones always come first, in their slot order):
+  - lastSeen: most recently heard from first (cards move as messages arrive)
+  - fixed: order first seen (cards never move)
+  - seat: seat number in the latest table `state` (publishers without a seat last)
+  - name: display name
+  Saved with the room (persistence.js).
+*/
+
+import { shortenId } from "./format.js";
+import { buildTableView } from "./table.js";
+
+export const SORT_MODES = ["lastSeen", "fixed", "seat", "name"];
+export const DEFAULT_SORT_MODE = "lastSeen";
+export const MAX_LABEL_LENGTH = 32;
+
+/**
+ * @typedef {{ name?: string, color?: string, avatar?: string }} PublisherLabel
+ * @typedef {{ sortMode: string, pinned: string[], labels: Record<string, PublisherLabel> }} RoomPrefs
+ */
+
+/** @type {Record<string, RoomPrefs>} */
+const prefsByRoom = {};
+
+/** Rooms whose settings were changed this session (a saved copy no longer applies) */
+const changedRooms = new Set();
+
+function prefsOf(roomId) {
+  if (!prefsByRoom[roomId]) prefsByRoom[roomId] = { sortMode: DEFAULT_SORT_MODE, pinned: [], labels: {} };
+  return prefsByRoom[roomId];
+}
+
+/** Settings of a room, for a change */
+function changePrefs(roomId) {
+  changedRooms.add(roomId);
+  return prefsOf(roomId);
+}
+
+export function getSortMode(roomId) {
+  return prefsOf(roomId).sortMode;
+}
+
+/** @returns {boolean} False for an unknown mode */
+export function setSortMode(roomId, mode) {
+  if (!SORT_MODES.includes(mode)) return false;
+  changePrefs(roomId).sortMode = mode;
+  return true;
+}
+
+/** @returns {PublisherLabel} */
+export function getPublisherLabel(roomId, publisherId) {
+  return prefsOf(roomId).labels[publisherId] || {};
+}
+
+/** Emoji / initials (up to 2 characters) or an image URL */
+function normalizeAvatar(value) {
+  const s = String(value == null ? "" : value).trim();
+  if (/^(https?:\/\/|data:image\/)/i.test(s)) return s;
+  return s && Array.from(s).length <= 2 ? s : null;
+}
+
+/**
+ * Change a publisher's label; empty or invalid fields are removed
+ * @param {string} roomId
+ * @param {string} publisherId
+ * @param {PublisherLabel} patch
+ * @returns {PublisherLabel}
+ */
+export function setPublisherLabel(roomId, publisherId, patch) {
+  const labels = changePrefs(roomId).labels;
+  const label = { ...labels[publisherId] };
+
+  if ("name" in patch) label.name = String(patch.name == null ? "" : patch.name).trim().slice(0, MAX_LABEL_LENGTH);
+  if ("color" in patch) label.color = /^#[0-9a-f]{6}$/i.test(String(patch.color)) ? String(patch.color).toLowerCase() : "";
+  if ("avatar" in patch) label.avatar = normalizeAvatar(patch.avatar) || "";
+  for (const key of Object.keys(label)) if (!label[key]) delete label[key];
+
+  if (Object.keys(label).length > 0) labels[publisherId] = label;
+  else delete labels[publisherId];
+  return label;
+}
+
+export function isImageAvatar(avatar) {
+  return /^(https?:\/\/|data:image\/)/i.test(avatar || "");
+}
+
+/** Operator label, else the PokerNow name, else the shortened ID */
+export function getDisplayName(roomId, publisherId, pub) {
+  return getPublisherLabel(roomId, publisherId).name || (pub && pub.playerName) || shortenId(publisherId);
+}
+
+export function isPinned(roomId, publisherId) {
+  return prefsOf(roomId).pinned.includes(publisherId);
+}
+
+/** Pin to the next free slot, or unpin */
+export function pinPublisher(roomId, publisherId, pinned) {
+  const prefs = changePrefs(roomId);
+  prefs.pinned = prefs.pinned.filter((id) => id !== publisherId);
+  if (pinned) prefs.pinned.push(publisherId);
+}
+
+/**
+ * Move a pinned publisher to an earlier (-1) or later (+1) slot
+ * @returns {boolean} False when it is not pinned or already at that end
+ */
+export function movePinned(roomId, publisherId, delta) {
+  const pinned = changePrefs(roomId).pinned;
+  const from = pinned.indexOf(publisherId);
+  const to = from + delta;
+  if (from < 0 || to < 0 || to >= pinned.length) return false;
+  pinned.splice(from, 1);
+  pinned.splice(to, 0, publisherId);
+  return true;
+}
+
+/**
+ * Publisher IDs in display order: pinned slots first, then the rest by the room's sort mode
+ * @param {string} roomId
+ * @param {Record<string, import("./store.js").Publisher>} store
+ * @returns {string[]}
+ */
+export function sortPublisherIds(roomId, store) {
+  const { sortMode, pinned } = prefsOf(roomId);
+  // Store keys are in first-seen order, which is the "fixed" order
+  const rest = Object.keys(store).filter((id) => !pinned.includes(id));
+  const byLastSeen = (a, b) => store[b].lastSeen - store[a].lastSeen;
+
+  if (sortMode === "lastSeen") {
+    rest.sort(byLastSeen);
+  } else if (sortMode === "name") {
+    const name = (id) => getDisplayName(roomId, id, store[id]);
+    rest.sort((a, b) => name(a).localeCompare(name(b), undefined, { sensitivity: "base" }) || a.localeCompare(b));
+  } else if (sortMode === "seat") {
+    const table = buildTableView(store);
+    const seatOf = {};
+    if (table) for (const seat of table.seats) if (seat.publisherId) seatOf[seat.publisherId] = seat.seat;
+    const seat = (id) => seatOf[id] ?? Number.MAX_SAFE_INTEGER;
+    rest.sort((a, b) => seat(a) - seat(b) || byLastSeen(a, b));
+  }
+
+  return pinned.filter((id) => store[id]).concat(rest);
+}
+
+/**
+ * A room's settings as saved (plain data)
+ * @returns {RoomPrefs}
+ */
+export function getRoomPrefs(roomId) {
+  return JSON.parse(JSON.stringify(prefsOf(roomId)));
+}
+
+/**
+ * Restore saved settings (a room changed this session keeps its own)
+ * @param {string} roomId
+ * @param {RoomPrefs | undefined} saved
+ */
+export function restoreRoomPrefs(roomId, saved) {
+  if (!saved || changedRooms.has(roomId)) return;
+  const prefs = changePrefs(roomId);
+  setSortMode(roomId, saved.sortMode);
+  prefs.pinned = Array.isArray(saved.pinned) ? saved.pinned.filter((id) => typeof id === "string") : [];
+  for (const [id, label] of Object.entries(saved.labels || {})) setPublisherLabel(roomId, id, label);
+}
+
+/** Drop a room's settings ("forget this room") */
+export function clearRoomPrefs(roomId) {
+  delete prefsByRoom[roomId];
+  changedRooms.delete(roomId);
+}
@@ -0,0 +1,101 @@
+/*
+  Post-hand equity recaps (per room)
+
+  Hands are split out of the released message stream by handTracker.js. Once a hand is over,
+  the equity of every known hand is computed for each street that was dealt and kept as a recap.
+  Nothing is computed for the hand in progress.
+*/
+
+import { computeEquity } from "./equity.js";
+import { createHandTracker, trackHandMessage } from "./handTracker.js";
+
+export const MAX_RECAPS = 50;
+
+export const STREETS = ["preflop", "flop", "turn", "river"];
+const BOARD_SIZE_BY_STREET = [0, 3, 4, 5];
+
+/**
+ * @typedef {import("./table.js").Card} Card
+ * @typedef {import("./handTracker.js").TrackedHand} TrackedHand
+ * @typedef {{ id: string, name: string | null, cards: Card[], equity: number[] }} RecapPlayer
+ * @typedef {{ handNumber: any, endedAt: number, board: Card[], streets: string[], players: RecapPlayer[], vsRandom: boolean, exact: boolean[] }} Recap
+ * @typedef {{ hands: import("./handTracker.js").HandTracker, recaps: Recap[] }} RecapTracker
+ */
+
+/** @type {Record<string, RecapTracker>} */
+const trackers = {};
+
+function getTracker(roomId) {
+  if (!trackers[roomId]) trackers[roomId] = { hands: createHandTracker(), recaps: [] };
+  return trackers[roomId];
+}
+
+/** Finished-hand recaps for a room (oldest first) */
+export function getRecaps(roomId) {
+  return trackers[roomId] ? trackers[roomId].recaps : [];
+}
+
+export function resetRecaps(roomId) {
+  delete trackers[roomId];
+}
+
+/**
+ * Feed a released message (after the broadcast delay) into the room's hand tracker
+ * @param {any} msg
+ * @param {number} receivedAt
+ * @param {string} roomId
+ * @returns {Recap | null} The recap, if this message ended a hand with known hole cards
+ */
+export function trackRecapMessage(msg, receivedAt, roomId) {
+  const tracker = getTracker(roomId);
+  let last = null;
+  for (const hand of trackHandMessage(tracker.hands, msg, receivedAt)) {
+    // Skip hands without hole cards, or whose cards don't add up
+    if (Object.keys(hand.players).length === 0) continue;
+    const recap = buildRecap(hand, receivedAt);
+    if (!recap) continue;
+    tracker.recaps.push(recap);
+    if (tracker.recaps.length > MAX_RECAPS) tracker.recaps.shift();
+    last = recap;
+  }
+  return last;
+}
+
+/**
+ * Equity per street for a finished hand; a single known hand is measured against one random hand
+ * @param {TrackedHand} hand
+ * @param {number} endedAt
+ * @param {{ random?: () => number }} [opts]
+ * @returns {Recap | null} null if the cards conflict (e.g. a publisher's cards from another hand)
+ */
+export function buildRecap(hand, endedAt, opts = {}) {
+  const entries = Object.entries(hand.players);
+  const hands = entries.map(([, p]) => p.cards);
+  const vsRandom = hands.length === 1;
+  const streets = STREETS.filter((_, i) => hand.board.length >= BOARD_SIZE_BY_STREET[i]);
+
+  const equityByStreet = [];
+  const exact = [];
+  try {
+    streets.forEach((_, i) => {
+      const result = computeEquity(hands, hand.board.slice(0, BOARD_SIZE_BY_STREET[i]), {
+        randomOpponents: vsRandom ? 1 : 0,
+        random: opts.random,
+      });
+      equityByStreet.push(result.equity);
+      exact.push(result.exact);
+    });
+  } catch {
+    return null;
+  }
+
+  return {
+    handNumber: hand.handNumber,
+    endedAt,
+    board: hand.board,
+    streets,
+    players: entries.map(([id, p], i) => ({ id, name: p.name, cards: p.cards, equity: equityByStreet.map((e) => e[i]) })),
+    vsRandom,
+    exact,
+  };
+}
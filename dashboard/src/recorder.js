@@ -0,0 +1,111 @@
+/*
+  Session recorder: captures every raw string handed to handleIncomingMessage (live only),
+  one recording per room, and serializes it as NDJSON (one header line, then one { t, raw } line per hub message).
+*/
+
+import { els, downloadText } from "./dom.js";
+import { getActiveRoomId } from "./store.js";
+
+export const MAX_RECORDED_MESSAGES = 100_000;
+export const SESSION_FORMAT_VERSION = 1;
+
+/**
+ * @typedef {{ room: string, hub: string, startedAt: number, records: Array<{ t: number, raw: string }> }} Recording
+ */
+
+/** @type {Record<string, Recording>} */
+const recordings = {};
+
+/** Recording for a room (defaults to the active room); undefined if it was never started */
+export function getRecording(room = getActiveRoomId()) {
+  return recordings[room];
+}
+
+export function startRecording(hub, room) {
+  recordings[room] = { room, hub, startedAt: Date.now(), records: [] };
+  renderRecordCount();
+}
+
+export function discardRecording(room) {
+  delete recordings[room];
+  renderRecordCount();
+}
+
+export function recordRawMessage(raw, receivedAt, room = getActiveRoomId()) {
+  if (!recordings[room]) recordings[room] = { room, hub: "", startedAt: receivedAt, records: [] };
+  const recording = recordings[room];
+  recording.records.push({ t: receivedAt, raw });
+  if (recording.records.length > MAX_RECORDED_MESSAGES) {
+    recording.records.splice(0, recording.records.length - MAX_RECORDED_MESSAGES);
+  }
+  if (room === getActiveRoomId()) renderRecordCount();
+}
+
+/** Message count of the active room's recording (what Export downloads) */
+export function renderRecordCount() {
+  const recording = getRecording();
+  const n = recording ? recording.records.length : 0;
+  if (els.recordCount) {
+    els.recordCount.textContent = `${n} message${n === 1 ? "" : "s"} recorded`;
+  }
+  if (els.exportSessionBtn) els.exportSessionBtn.disabled = n === 0;
+}
+
+/** Serialize a recording as NDJSON: one header line, then one { t, raw } line per hub message */
+export function serializeSession(rec) {
+  const header = {
+    kind: "session",
+    version: SESSION_FORMAT_VERSION,
+    room: rec.room,
+    hub: rec.hub,
+    startedAt: rec.startedAt,
+    exportedAt: Date.now(),
+    count: rec.records.length,
+  };
+  return [header, ...rec.records].map((line) => JSON.stringify(line)).join("\n") + "\n";
+}
+
+/**
+ * Parse an NDJSON session file produced by serializeSession
+ * @returns {{ header: any, records: Array<{ t: number, raw: string }> }}
+ * @throws {Error} With the offending line number
+ */
+export function parseSession(text) {
+  const lines = String(text || "").split(/\r?\n/);
+  let header = null;
+  const records = [];
+
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    let obj;
+    try {
+      obj = JSON.parse(line);
+    } catch {
+      throw new Error(`Invalid JSON on line ${i + 1}`);
+    }
+    if (obj && obj.kind === "session") {
+      header = obj;
+      return;
+    }
+    if (!obj || typeof obj.raw !== "string" || !Number.isFinite(obj.t)) {
+      throw new Error(`Invalid record on line ${i + 1} (expected { t, raw })`);
+    }
+    records.push({ t: obj.t, raw: obj.raw });
+  });
+
+  if (header && header.version > SESSION_FORMAT_VERSION) {
+    throw new Error(`Unsupported session version ${header.version}`);
+  }
+  if (records.length === 0) throw new Error("Session file has no messages");
+
+  records.sort((a, b) => a.t - b.t);
+  return { header: header || {}, records };
+}
+
+/** Download the active room's recording */
+export function exportSession() {
+  const recording = getRecording();
+  if (!recording || recording.records.length === 0) return;
+  const stamp = new Date(recording.startedAt).toISOString().replace(/[:.]/g, "-");
+  downloadText(`session-${recording.room || "room"}-${stamp}.ndjson`, serializeSession(recording), "application/x-ndjson");
+}
@@ -0,0 +1,1285 @@
+/*
+  Rendering: room tabs / split grid, table view, publisher pills, cards grid, JSON viewer, hand history timeline, equity recaps,
+  OBS overlay, hub protocol warning, publisher presence (stale / offline archive), publisher merge / split controls,
+  operator labels / pinned slots / sort mode, JSON tree + diff of the selected publisher's messages, connection diagnostics
+*/
+
+import { normalizeValue, suitSymbol, suitColor, formatTwoCards } from "./cards.js";
+import { formatLatency, getRoomHealth, RATE_BUCKET_MS } from "./diagnostics.js";
+import { copyText, els } from "./dom.js";
+import { shortenId, formatChips, formatSecondsAgo } from "./format.js";
+import { canonicalPublisherId, getPublisherAliases, isFallbackId } from "./identity.js";
+import { createJsonTree, diffJson } from "./jsonTree.js";
+import { getOverlayOptions } from "./overlay.js";
+import { getPresence } from "./presence.js";
+import {
+  getDisplayName,
+  getPublisherLabel,
+  getSortMode,
+  isImageAvatar,
+  isPinned,
+  sortPublisherIds,
+} from "./publisherPrefs.js";
+import { extractHandFields, hasAllCards, PROTOCOL_VERSION } from "./protocol.js";
+import { getRecaps } from "./recap.js";
+import { getInvalidMessages } from "./schema.js";
+import { describeGap } from "./sequence.js";
+import {
+  publishers,
+  ensureRoom,
+  getActiveRoomId,
+  getMostRecentPublisherId,
+  getTimelineHands,
+  listRooms,
+  rooms,
+  setActiveRoom,
+} from "./store.js";
+import { buildTableView, seatPosition } from "./table.js";
+
+const RENDER_DEBOUNCE_MS = 100;
+
+let renderDebounceTimer = null;
+
+/** Currently selected publisher ID (null = auto-select most recent) */
+let selectedPublisherId = null;
+
+/** Hand timeline scope: "room" (all publishers) or a publisherId */
+let historyScope = "room";
+
+/** Position in the hand timeline (null = follow the latest hand) */
+let historyIndex = null;
+
+/** How several rooms are shown: "tabs" (one room at a time) or "grid" (every room's cards side by side) */
+let roomLayout = "tabs";
+
+/** Recap list last rendered (recaps never change once built, so the list is only rebuilt when one is added) */
+let renderedRecaps = { roomId: null, count: -1, last: null };
+
+/** Rejected-message list last rendered (same idea) */
+let renderedInvalid = { count: -1, last: null };
+
+export function scheduleRender() {
+  if (renderDebounceTimer) return;
+  renderDebounceTimer = setTimeout(() => {
+    renderDebounceTimer = null;
+    renderPublishersUI();
+  }, RENDER_DEBOUNCE_MS);
+}
+
+/** Get the effective selected publisher (auto-select most recent if none selected) */
+export function getEffectivePublisherId() {
+  // If we have a valid selection, use it
+  if (selectedPublisherId && publishers[selectedPublisherId]) {
+    return selectedPublisherId;
+  }
+
+  // Otherwise, auto-select most recently seen publisher
+  return getMostRecentPublisherId();
+}
+
+export function selectPublisher(id) {
+  selectedPublisherId = id;
+  renderPublishersUI();
+}
+
+/** Drop the publisher selection and timeline position (used when the store is wiped) */
+export function resetSelection() {
+  selectedPublisherId = null;
+  historyScope = "room";
+  historyIndex = null;
+}
+
+export function setHistoryScope(scope) {
+  historyScope = scope || "room";
+  historyIndex = null;
+  renderHandTimeline();
+}
+
+export function showLatestHand() {
+  historyIndex = null;
+  renderHandTimeline();
+}
+
+/** Show another room's store in the cards grid, pills, JSON viewer and history */
+export function activateRoom(roomId) {
+  if (roomId === getActiveRoomId()) return;
+  setActiveRoom(roomId);
+  resetSelection();
+  renderPublishersUI();
+}
+
+export function getRoomLayout() {
+  return roomLayout;
+}
+
+/** @param {"tabs" | "grid"} layout */
+export function setRoomLayout(layout) {
+  roomLayout = layout === "grid" ? "grid" : "tabs";
+  renderPublishersUI();
+}
+
+/** Render the full publishers UI and update card display */
+export function renderPublishersUI() {
+  const pubIds = Object.keys(publishers);
+  const count = pubIds.length;
+
+  // Update count
+  if (els.publisherCount) {
+    els.publisherCount.textContent = count > 0 ? `(${count})` : "";
+  }
+  if (els.publisherSwitcher) {
+    els.publisherSwitcher.hidden = count === 0;
+  }
+
+  // Render publishers list
+  if (els.publishersList) {
+    els.publishersList.innerHTML = "";
+
+    if (count === 0) {
+      const empty = document.createElement("div");
+      empty.className = "pubEmpty";
+      empty.textContent = "No publishers yet. Waiting for messages...";
+      els.publishersList.appendChild(empty);
+    } else {
+      // Room sort mode (pinned first); offline publishers go to the archive unless pinned
+      const roomId = getActiveRoomId();
+      const sorted = sortPublisherIds(roomId, publishers);
+      const now = Date.now();
+      const archived = [];
+
+      for (const id of sorted) {
+        const presence = getPresence(publishers[id], now);
+        if (presence === "offline" && !isPinned(roomId, id)) archived.push(id);
+        else els.publishersList.appendChild(createPublisherPill(id, presence, now));
+      }
+      if (archived.length > 0) {
+        const list = appendArchiveSection(els.publishersList, "pills", archived.length);
+        for (const id of archived) list.appendChild(createPublisherPill(id, "offline", now));
+      }
+    }
+  }
+
+  renderRoomTabs();
+  renderTableView();
+  renderPublisherCards();
+  renderRoomGrid();
+  renderSelectedPublisherDetails();
+  renderIdentityControls();
+  renderPublisherPrefsControls();
+  renderHandTimeline();
+  renderRecaps();
+  renderInvalidMessages();
+  renderDiagnostics();
+  renderProtocolWarning();
+  renderOverlay();
+}
+
+/**
+ * Publisher pill for the switcher list
+ * @param {string} id
+ * @param {import("./presence.js").Presence} presence
+ * @param {number} now
+ */
+function createPublisherPill(id, presence, now) {
+  const pub = publishers[id];
+  const isSelected = getEffectivePublisherId() === id;
+  const roomId = getActiveRoomId();
+  const label = getPublisherLabel(roomId, id);
+  const hasName = !!(label.name || pub.playerName);
+
+  const card = document.createElement("div");
+  card.className = `pubCard${isSelected ? " selected" : ""}${presence !== "online" ? ` ${presence}` : ""}`;
+  card.dataset.pubId = id;
+  card.dataset.presence = presence;
+  if (label.color) card.style.borderColor = label.color;
+
+  // Operator label, player name (if available) or Publisher ID (shortened)
+  const nameSpan = document.createElement("div");
+  nameSpan.className = "pubName";
+  nameSpan.textContent = getDisplayName(roomId, id, pub);
+
+  // Publisher ID (shortened) - shown below name if name exists
+  const idSpan = document.createElement("div");
+  idSpan.className = "pubId";
+  idSpan.textContent = hasName ? `ID: ${shortenId(id)}` : "";
+
+  // Last seen (+ presence when not online)
+  const seenSpan = document.createElement("div");
+  seenSpan.className = "pubLastSeen";
+  seenSpan.textContent = formatPresence(pub, presence, now);
+
+  // Hand preview if available
+  const handMsg = pub.latestByType["hand"];
+  const handPreview = document.createElement("div");
+  handPreview.className = "pubHandPreview";
+  if (handMsg) {
+    const { value1, suit1, value2, suit2 } = extractHandFields(handMsg);
+    const hasCards = value1 && suit1 && value2 && suit2;
+    if (hasCards) {
+      // Use textContent to prevent XSS - create span element safely
+      const cardsSpan = document.createElement("span");
+      cardsSpan.className = "cards";
+      cardsSpan.textContent = formatTwoCards(value1, suit1, value2, suit2);
+      handPreview.appendChild(cardsSpan);
+    } else {
+      handPreview.textContent = "No cards";
+    }
+  } else {
+    handPreview.textContent = "No hand data";
+  }
+
+  const avatar = createAvatar(label, nameSpan.textContent);
+  if (avatar) card.appendChild(avatar);
+  card.appendChild(nameSpan);
+  if (hasName) {
+    card.appendChild(idSpan);
+  }
+  card.appendChild(seenSpan);
+  card.appendChild(handPreview);
+
+  // Click to select
+  card.addEventListener("click", () => selectPublisher(id));
+  return card;
+}
+
+/**
+ * Operator avatar bubble (emoji / initials / image on the publisher's color)
+ * @param {import("./publisherPrefs.js").PublisherLabel} label
+ * @param {string} name - Display name (its initial is used when only a color is set)
+ * @returns {HTMLElement | null} null when the publisher has neither
+ */
+function createAvatar(label, name) {
+  if (!label.avatar && !label.color) return null;
+  const el = document.createElement("span");
+  el.className = "pubAvatar";
+  el.setAttribute("aria-hidden", "true");
+  if (label.color) el.style.background = label.color;
+  if (isImageAvatar(label.avatar)) {
+    const img = document.createElement("img");
+    img.src = label.avatar;
+    img.alt = "";
+    el.appendChild(img);
+  } else {
+    el.textContent = label.avatar || (Array.from(name)[0] || "?").toUpperCase();
+  }
+  return el;
+}
+
+/** "12s ago", "2m ago · stale", "left 3m ago" */
+function formatPresence(pub, presence, now) {
+  if (presence === "offline" && pub.leftAt != null && pub.leftAt >= pub.lastSeen) return `left ${formatSecondsAgo(pub.leftAt, now)}`;
+  const seen = formatSecondsAgo(pub.lastSeen, now);
+  return presence === "online" ? seen : `${seen} · ${presence}`;
+}
+
+/** Archive sections the user expanded, by list ("pills", "cards", "room:<id>"); kept across re-renders */
+const openArchives = new Set();
+
+/**
+ * Collapsible "Offline (n)" section at the end of a publisher list
+ * @param {HTMLElement} parent
+ * @param {string} key - Which list (remembers whether it is expanded)
+ * @param {number} count
+ * @returns {HTMLElement} Container for the archived publishers
+ */
+function appendArchiveSection(parent, key, count) {
+  const section = document.createElement("div");
+  section.className = "pubArchive";
+
+  const toggle = document.createElement("button");
+  toggle.type = "button";
+  toggle.className = "pubArchiveToggle";
+
+  const list = document.createElement("div");
+  list.className = "pubArchiveList";
+
+  const sync = () => {
+    const open = openArchives.has(key);
+    toggle.textContent = `${open ? "▾" : "▸"} Offline (${count})`;
+    toggle.setAttribute("aria-expanded", open ? "true" : "false");
+    list.hidden = !open;
+  };
+  toggle.addEventListener("click", () => {
+    if (openArchives.has(key)) openArchives.delete(key);
+    else openArchives.add(key);
+    sync();
+  });
+  sync();
+
+  section.append(toggle, list);
+  parent.appendChild(section);
+  return list;
+}
+
+/** Merge target list + the IDs merged into the selected publisher (each with a Split button) */
+export function renderIdentityControls() {
+  if (!els.identityControls) return;
+  const effectiveId = getEffectivePublisherId();
+  const ids = Object.keys(publishers);
+  els.identityControls.hidden = !effectiveId || ids.length === 0;
+  if (els.identityControls.hidden) return;
+
+  if (els.mergeTargetSelect) {
+    const previous = els.mergeTargetSelect.value;
+    els.mergeTargetSelect.innerHTML = "";
+    const placeholder = document.createElement("option");
+    placeholder.value = "";
+    placeholder.textContent = "Same person as…";
+    els.mergeTargetSelect.appendChild(placeholder);
+    for (const id of ids.filter((id) => id !== effectiveId).sort()) {
+      const option = document.createElement("option");
+      option.value = id;
+      const pub = publishers[id];
+      option.textContent = `${getDisplayName(getActiveRoomId(), id, pub)} · ${isFallbackId(id) ? "no PokerNow ID" : shortenId(id)}`;
+      els.mergeTargetSelect.appendChild(option);
+    }
+    els.mergeTargetSelect.value = ids.includes(previous) && previous !== effectiveId ? previous : "";
+  }
+  if (els.mergePublisherBtn) els.mergePublisherBtn.disabled = !els.mergeTargetSelect || !els.mergeTargetSelect.value;
+
+  if (!els.publisherAliases) return;
+  els.publisherAliases.innerHTML = "";
+  for (const alias of getPublisherAliases(getActiveRoomId(), effectiveId)) {
+    const chip = document.createElement("span");
+    chip.className = "aliasChip";
+    chip.textContent = `${shortenId(alias.id)} (${alias.manual ? "merged" : "same name"})`;
+
+    const split = document.createElement("button");
+    split.className = "iconTextBtn aliasSplitBtn";
+    split.dataset.aliasId = alias.id;
+    split.title = "Show this ID as its own publisher again";
+    split.textContent = "Split";
+
+    chip.appendChild(split);
+    els.publisherAliases.appendChild(chip);
+  }
+}
+
+/** Publisher the label / pin inputs were last filled for (they are not refilled while editing) */
+let prefsControlsFor = null;
+
+/** Sort mode of the active room + label / color / avatar / pin controls for the selected publisher */
+export function renderPublisherPrefsControls() {
+  const roomId = getActiveRoomId();
+  if (els.sortModeSelect) els.sortModeSelect.value = getSortMode(roomId);
+  if (!els.publisherPrefsControls) return;
+
+  const effectiveId = getEffectivePublisherId();
+  els.publisherPrefsControls.hidden = !effectiveId;
+  if (!effectiveId) {
+    prefsControlsFor = null;
+    return;
+  }
+
+  const key = `${roomId}|${effectiveId}`;
+  const label = getPublisherLabel(roomId, effectiveId);
+  if (prefsControlsFor !== key) {
+    prefsControlsFor = key;
+    if (els.pubLabelInput) {
+      els.pubLabelInput.value = label.name || "";
+      els.pubLabelInput.placeholder = publishers[effectiveId].playerName || shortenId(effectiveId);
+    }
+    if (els.pubColorInput) els.pubColorInput.value = label.color || "#5bd5ff";
+    if (els.pubAvatarInput) els.pubAvatarInput.value = label.avatar || "";
+  }
+
+  const pinned = isPinned(roomId, effectiveId);
+  if (els.pubPinBtn) {
+    els.pubPinBtn.textContent = pinned ? "Unpin" : "Pin";
+    els.pubPinBtn.setAttribute("aria-pressed", pinned ? "true" : "false");
+  }
+  if (els.pubMoveUpBtn) els.pubMoveUpBtn.disabled = !pinned;
+  if (els.pubMoveDownBtn) els.pubMoveDownBtn.disabled = !pinned;
+}
+
+/** Warn when a room's hub speaks a newer protocol than this dashboard */
+export function renderProtocolWarning() {
+  if (!els.protocolWarning) return;
+  const newer = Object.values(rooms).filter((room) => room.protocol != null && room.protocol > PROTOCOL_VERSION);
+  els.protocolWarning.hidden = newer.length === 0;
+  if (newer.length === 0) return;
+
+  const showRoom = listRooms().length > 1;
+  const where = newer.map((room) => `v${room.protocol}${showRoom ? ` (${shortenId(room.label || room.id)})` : ""}`).join(", ");
+  els.protocolWarning.textContent =
+    `The hub speaks protocol ${where}, newer than this dashboard (v${PROTOCOL_VERSION}). ` +
+    "Messages are read best-effort and some may be rejected — reload or update the dashboard.";
+}
+
+/** Tabs with a connection status badge per room (only shown once there is more than one room) */
+export function renderRoomTabs() {
+  if (!els.roomTabs || !els.roomTabsList) return;
+
+  const list = listRooms();
+  els.roomTabs.hidden = list.length < 2;
+  els.roomTabsList.innerHTML = "";
+
+  const activeId = getActiveRoomId();
+  for (const room of list) {
+    const tab = document.createElement("div");
+    tab.className = `roomTab${room.id === activeId ? " active" : ""}`;
+    tab.dataset.room = room.id;
+    tab.dataset.status = room.status;
+    tab.title = `${room.label} (${room.status})`;
+
+    const dot = document.createElement("span");
+    dot.className = "dot";
+    dot.setAttribute("aria-hidden", "true");
+
+    const name = document.createElement("span");
+    name.className = "roomTabName";
+    name.textContent = shortenId(room.label);
+
+    const count = document.createElement("span");
+    count.className = "roomTabCount muted";
+    const n = Object.keys(room.publishers).length;
+    count.textContent = n > 0 ? String(n) : "";
+
+    const close = document.createElement("button");
+    close.className = "roomTabClose";
+    close.dataset.action = "close";
+    close.title = `Stop monitoring ${room.label}`;
+    close.textContent = "×";
+
+    tab.append(dot, name, count, close);
+    els.roomTabsList.appendChild(tab);
+  }
+
+  if (els.roomLayoutToggle) {
+    els.roomLayoutToggle.textContent = roomLayout === "grid" ? "Tabs" : "Grid";
+    els.roomLayoutToggle.setAttribute("aria-pressed", roomLayout === "grid" ? "true" : "false");
+  }
+}
+
+/** Split grid: one panel per room with its publisher tiles (replaces the single-room cards grid) */
+export function renderRoomGrid() {
+  if (!els.roomGrid) return;
+
+  const list = listRooms();
+  const showGrid = roomLayout === "grid" && list.length > 1;
+  els.roomGrid.hidden = !showGrid;
+  if (els.publisherCardsGrid) els.publisherCardsGrid.hidden = showGrid;
+  if (!showGrid) return;
+
+  els.roomGrid.innerHTML = "";
+  const activeId = getActiveRoomId();
+
+  for (const room of list) {
+    const panel = document.createElement("section");
+    panel.className = `roomPanel${room.id === activeId ? " active" : ""}`;
+    panel.dataset.room = room.id;
+
+    const header = document.createElement("div");
+    header.className = "roomPanelHeader status";
+    header.dataset.status = room.status;
+
+    const dot = document.createElement("span");
+    dot.className = "dot";
+    dot.setAttribute("aria-hidden", "true");
+
+    const name = document.createElement("span");
+    name.className = "roomPanelName";
+    name.textContent = room.label;
+
+    const status = document.createElement("span");
+    status.className = "muted roomPanelStatus";
+    status.textContent = room.status;
+
+    header.append(dot, name, status);
+
+    const tiles = document.createElement("div");
+    tiles.className = "publisherCardsGrid roomPanelCards";
+    appendPublisherTiles(tiles, room.id, room.id === activeId ? getEffectivePublisherId() : null, false, `room:${room.id}`);
+
+    panel.append(header, tiles);
+    els.roomGrid.appendChild(panel);
+  }
+}
+
+/** Table for the active room: seats around an oval, board + pot in the middle */
+export function renderTableView() {
+  if (!els.tableView) return;
+
+  const table = buildTableView(publishers);
+  els.tableView.hidden = !table;
+  els.tableView.innerHTML = "";
+  if (!table) return;
+
+  const felt = document.createElement("div");
+  felt.className = "pokerTable";
+
+  const center = document.createElement("div");
+  center.className = "tableCenter";
+
+  const board = document.createElement("div");
+  board.className = "miniCards tableBoard";
+  for (const card of table.board) board.appendChild(createMiniCard(card.value, card.suit));
+
+  const pot = document.createElement("div");
+  pot.className = "tablePot";
+  pot.textContent = table.pot != null ? `Pot ${formatChips(table.pot)}` : "";
+
+  const street = document.createElement("div");
+  street.className = "tableStreet muted";
+  street.textContent = [table.street, table.handNumber != null ? `#${table.handNumber}` : null].filter(Boolean).join(" · ");
+
+  center.append(board, pot, street);
+  felt.appendChild(center);
+
+  for (const seat of table.seats) {
+    const pos = seatPosition(seat.seat, table.maxSeats);
+
+    const el = document.createElement("div");
+    el.className = "tableSeat";
+    el.dataset.seat = String(seat.seat);
+    if (seat.status) el.dataset.status = seat.status;
+    if (seat.seat === table.toActSeat) el.dataset.toAct = "true";
+    if (seat.publisherId) el.dataset.pubId = seat.publisherId;
+    el.style.left = `${pos.x.toFixed(1)}%`;
+    el.style.top = `${pos.y.toFixed(1)}%`;
+
+    const name = document.createElement("div");
+    name.className = "seatName";
+    const label = seat.publisherId ? getPublisherLabel(getActiveRoomId(), seat.publisherId) : {};
+    name.textContent = label.name || seat.name || (seat.playerId ? shortenId(seat.playerId) : `Seat ${seat.seat}`);
+
+    const stack = document.createElement("div");
+    stack.className = "seatStack muted";
+    stack.textContent = formatChips(seat.stack);
+
+    const cards = document.createElement("div");
+    cards.className = "miniCards seatCards";
+    for (const card of seat.holeCards) cards.appendChild(createMiniCard(card.value, card.suit));
+
+    el.append(name, stack, cards);
+
+    if (seat.bet) {
+      const bet = document.createElement("div");
+      bet.className = "seatBet";
+      bet.textContent = formatChips(seat.bet);
+      el.appendChild(bet);
+    }
+
+    if (seat.seat === table.dealerSeat) {
+      const button = document.createElement("span");
+      button.className = "dealerButton";
+      button.title = "Dealer";
+      button.textContent = "D";
+      el.appendChild(button);
+    }
+
+    if (seat.publisherId) el.addEventListener("click", () => selectPublisher(seat.publisherId));
+
+    felt.appendChild(el);
+  }
+
+  els.tableView.appendChild(felt);
+}
+
+export function renderPublisherCards() {
+  if (!els.publisherCardsGrid) return;
+
+  const grid = els.publisherCardsGrid;
+  grid.innerHTML = "";
+  appendPublisherTiles(grid, getActiveRoomId(), getEffectivePublisherId(), true, "cards");
+}
+
+/**
+ * Append one tile per publisher (in the room's sort order; offline ones in a collapsed archive unless pinned)
+ * @param {HTMLElement} grid
+ * @param {string} roomId
+ * @param {string | null} effectiveId - Publisher to mark as selected
+ * @param {boolean} selectable - Attach click-to-select (the room grid delegates clicks instead)
+ * @param {string} archiveKey - Which list this is, for its "Offline" archive section
+ */
+function appendPublisherTiles(grid, roomId, effectiveId, selectable, archiveKey) {
+  const store = ensureRoom(roomId).publishers;
+  const entries = sortPublisherIds(roomId, store).map((id) => [id, store[id]]);
+
+  if (entries.length === 0) {
+    const empty = document.createElement("div");
+    empty.className = "pubEmpty";
+    empty.textContent = "No publishers yet. Waiting for messages...";
+    grid.appendChild(empty);
+    return;
+  }
+
+  const now = Date.now();
+  const archived = [];
+  for (const [id, pub] of entries) {
+    const presence = getPresence(pub, now);
+    if (presence === "offline" && !isPinned(roomId, id)) archived.push([id, pub]);
+    else grid.appendChild(createPublisherTile(roomId, id, pub, presence, now, effectiveId, selectable));
+  }
+  if (archived.length > 0) {
+    const list = appendArchiveSection(grid, archiveKey, archived.length);
+    for (const [id, pub] of archived) list.appendChild(createPublisherTile(roomId, id, pub, "offline", now, effectiveId, selectable));
+  }
+}
+
+/** One publisher tile (avatar + name, last seen / presence, hole cards) */
+function createPublisherTile(roomId, id, pub, presence, now, effectiveId, selectable) {
+  const label = getPublisherLabel(roomId, id);
+  const handMsg = pub.latestByType["hand"];
+  const { value1, suit1, value2, suit2 } = handMsg ? extractHandFields(handMsg) : {};
+  const hasCards = value1 && suit1 && value2 && suit2;
+
+  const card = document.createElement("div");
+  card.className = `pubCardTile${effectiveId === id ? " selected" : ""}${presence !== "online" ? ` ${presence}` : ""}`;
+  card.dataset.pubId = id;
+  card.dataset.presence = presence;
+  if (label.color) card.style.borderColor = label.color;
+
+  const top = document.createElement("div");
+  top.className = "pubCardTop";
+
+  const name = document.createElement("div");
+  name.className = "pubCardName";
+  name.textContent = getDisplayName(roomId, id, pub);
+
+  const avatar = createAvatar(label, name.textContent);
+  if (avatar) top.appendChild(avatar);
+
+  const time = document.createElement("div");
+  time.className = "pubCardTime";
+  time.textContent = formatPresence(pub, presence, now);
+
+  top.appendChild(name);
+  top.appendChild(time);
+
+  const cardsWrap = document.createElement("div");
+  cardsWrap.className = "miniCards";
+
+  if (hasCards) {
+    cardsWrap.appendChild(createMiniCard(value1, suit1));
+    cardsWrap.appendChild(createMiniCard(value2, suit2));
+  } else {
+    const placeholder = document.createElement("div");
+    placeholder.className = "handEmpty";
+    placeholder.textContent = "No cards yet.";
+    cardsWrap.appendChild(placeholder);
+  }
+
+  if (selectable) card.addEventListener("click", () => selectPublisher(id));
+
+  card.appendChild(top);
+  card.appendChild(cardsWrap);
+  return card;
+}
+
+export function createMiniCard(value, suit) {
+  const tile = document.createElement("div");
+  tile.className = "miniCard";
+  const v = normalizeValue(value);
+  const s = suitSymbol(suit);
+  tile.dataset.color = suitColor(suit);
+  tile.dataset.value = v;
+  tile.dataset.suit = s;
+
+  const vEl = document.createElement("div");
+  vEl.className = "value";
+  vEl.textContent = v;
+  vEl.dataset.suit = s;
+
+  const sEl = document.createElement("div");
+  sEl.className = "suit";
+  sEl.textContent = s;
+
+  tile.appendChild(vEl);
+  tile.appendChild(sEl);
+  return tile;
+}
+
+/** JSON viewer state kept across re-renders: message types opened, tree nodes toggled, diff mode */
+const openJsonTypes = new Set();
+/** @type {Map<string, boolean>} "<type>\n<path>" -> open */
+const jsonNodesOpen = new Map();
+let jsonDiffMode = false;
+
+/** Nodes open by default: the message and its top-level fields (plus, in diff mode, anything holding a change) */
+const JSON_OPEN_DEPTH = 2;
+
+export function isJsonDiffMode() {
+  return jsonDiffMode;
+}
+
+/** Highlight what changed since the previous message of each type */
+export function setJsonDiffMode(on) {
+  jsonDiffMode = !!on;
+  if (els.jsonDiffToggle) els.jsonDiffToggle.setAttribute("aria-pressed", jsonDiffMode ? "true" : "false");
+  renderSelectedPublisherDetails();
+}
+
+function changeCountText(diff) {
+  const n = diff.changes.size;
+  return n === 0 ? "no changes" : `${n} ${n === 1 ? "change" : "changes"}`;
+}
+
+export function renderSelectedPublisherDetails() {
+  const effectiveId = getEffectivePublisherId();
+  if (!els.jsonViewer) return;
+
+  if (!effectiveId || !publishers[effectiveId]) {
+    els.jsonViewer.textContent = "Select a publisher to view details.";
+    return;
+  }
+
+  const pub = publishers[effectiveId];
+  els.jsonViewer.innerHTML = "";
+
+  const types = Object.keys(pub.latestByType).sort();
+  if (types.length === 0) {
+    els.jsonViewer.textContent = "No messages yet.";
+    return;
+  }
+
+  for (const type of types) {
+    const msg = pub.latestByType[type];
+    const previous = pub.previousByType ? pub.previousByType[type] : undefined;
+    const diff = jsonDiffMode && previous !== undefined ? diffJson(previous, msg) : null;
+
+    const typeEntry = document.createElement("div");
+    typeEntry.className = "jsonEntry";
+    typeEntry.dataset.type = type;
+    typeEntry.dataset.expanded = openJsonTypes.has(type) ? "true" : "false";
+
+    const header = document.createElement("div");
+    header.className = "jsonEntryHeader";
+
+    const typeLabel = document.createElement("span");
+    typeLabel.className = "jsonType";
+    typeLabel.textContent = type;
+    header.appendChild(typeLabel);
+
+    if (jsonDiffMode) {
+      const changes = document.createElement("span");
+      changes.className = `jsonChangeCount${diff && diff.changes.size > 0 ? " changed" : ""}`;
+      changes.textContent = diff ? changeCountText(diff) : "no previous message";
+      header.appendChild(changes);
+    }
+
+    const tsLabel = document.createElement("span");
+    tsLabel.className = "jsonTs";
+    tsLabel.textContent = msg.timestamp ? new Date(msg.timestamp).toLocaleTimeString() : "—";
+    header.appendChild(tsLabel);
+
+    const content = document.createElement("div");
+    content.className = "jsonContent";
+    content.appendChild(
+      createJsonTree(msg, {
+        diff,
+        previous: diff ? previous : undefined,
+        isExpanded: (path, depth) => {
+          const toggled = jsonNodesOpen.get(`${type}\n${path}`);
+          if (toggled !== undefined) return toggled;
+          return depth < JSON_OPEN_DEPTH || (diff != null && diff.ancestors.has(path));
+        },
+        onToggle: (path, open) => jsonNodesOpen.set(`${type}\n${path}`, open),
+        onCopy: (text) => copyText(text),
+      })
+    );
+
+    typeEntry.appendChild(header);
+    typeEntry.appendChild(content);
+
+    header.addEventListener("click", () => {
+      const open = typeEntry.dataset.expanded !== "true";
+      typeEntry.dataset.expanded = open ? "true" : "false";
+      if (open) openJsonTypes.add(type);
+      else openJsonTypes.delete(type);
+    });
+
+    els.jsonViewer.appendChild(typeEntry);
+  }
+}
+
+// ============================================================
+// Hand History Timeline
+// ============================================================
+
+export function stepHandTimeline(delta) {
+  const hands = getTimelineHands(historyScope);
+  if (hands.length === 0) return;
+  const current = historyIndex == null ? hands.length - 1 : historyIndex;
+  const next = Math.max(0, Math.min(hands.length - 1, current + delta));
+  // Stepping onto the newest hand resumes following live hands
+  historyIndex = next === hands.length - 1 ? null : next;
+  renderHandTimeline();
+}
+
+function renderHandTimelineScopeOptions() {
+  const select = els.historyScopeSelect;
+  if (!select) return;
+
+  const roomId = getActiveRoomId();
+  const ids = Object.keys(publishers).sort((a, b) =>
+    getDisplayName(roomId, a, publishers[a]).localeCompare(getDisplayName(roomId, b, publishers[b]))
+  );
+  const wanted = ["room", ...ids];
+  const existing = Array.from(select.children).map((opt) => opt.value);
+  if (wanted.join("|") !== existing.join("|")) {
+    select.innerHTML = "";
+    for (const value of wanted) {
+      const opt = document.createElement("option");
+      opt.value = value;
+      opt.textContent = value === "room" ? "Whole room" : getDisplayName(roomId, value, publishers[value]);
+      select.appendChild(opt);
+    }
+  }
+  select.value = historyScope;
+}
+
+export function renderHandTimeline() {
+  if (!els.historyViewer) return;
+
+  if (historyScope !== "room" && !publishers[historyScope]) {
+    historyScope = "room";
+    historyIndex = null;
+  }
+  renderHandTimelineScopeOptions();
+
+  const hands = getTimelineHands(historyScope);
+  if (historyIndex != null && historyIndex >= hands.length) historyIndex = null;
+  const index = historyIndex == null ? hands.length - 1 : historyIndex;
+
+  if (els.historyPosition) {
+    els.historyPosition.textContent = hands.length ? `${index + 1} / ${hands.length}${historyIndex == null ? " (latest)" : ""}` : "0 / 0";
+  }
+  if (els.historyPrevBtn) els.historyPrevBtn.disabled = index <= 0;
+  if (els.historyNextBtn) els.historyNextBtn.disabled = index >= hands.length - 1;
+  if (els.historyLatestBtn) els.historyLatestBtn.disabled = historyIndex == null;
+
+  els.historyViewer.innerHTML = "";
+  if (hands.length === 0) {
+    els.historyViewer.textContent = "No hands recorded yet.";
+    return;
+  }
+
+  const hand = hands[index];
+  const pub = publishers[hand.publisherId];
+
+  const header = document.createElement("div");
+  header.className = "historyHeader";
+
+  const name = document.createElement("div");
+  name.className = "pubCardName";
+  name.textContent = getDisplayName(getActiveRoomId(), hand.publisherId, pub);
+
+  const time = document.createElement("div");
+  time.className = "pubCardTime";
+  time.textContent = new Date(hand.ts).toLocaleTimeString();
+
+  header.appendChild(name);
+  header.appendChild(time);
+
+  const cardsWrap = document.createElement("div");
+  cardsWrap.className = "miniCards historyCards";
+  cardsWrap.appendChild(createMiniCard(hand.value1, hand.suit1));
+  cardsWrap.appendChild(createMiniCard(hand.value2, hand.suit2));
+
+  els.historyViewer.appendChild(header);
+  els.historyViewer.appendChild(cardsWrap);
+
+  if (hand.url) {
+    const link = document.createElement("a");
+    link.className = "link";
+    link.href = hand.url;
+    link.target = "_blank";
+    link.rel = "noopener noreferrer";
+    link.textContent = "Open table";
+    els.historyViewer.appendChild(link);
+  }
+
+  // Messages were lost before this hand (earlier hands may be missing)
+  if (hand.gapBefore) {
+    const gap = document.createElement("div");
+    gap.className = "historyGap";
+    gap.textContent = `Before this hand: ${describeGap(hand.gapBefore)}`;
+    els.historyViewer.appendChild(gap);
+  }
+}
+
+// ============================================================
+// Equity recaps (finished hands)
+// ============================================================
+
+const formatEquity = (e, exact) => `${exact ? "" : "≈"}${Math.round(e * 100)}%`;
+
+/** One card per finished hand (newest first): board, then each known hand's equity per street as bars */
+export function renderRecaps() {
+  if (!els.recapViewer) return;
+
+  const roomId = getActiveRoomId();
+  const recaps = getRecaps(roomId);
+  const last = recaps[recaps.length - 1] || null;
+  if (renderedRecaps.roomId === roomId && renderedRecaps.count === recaps.length && renderedRecaps.last === last) return;
+  renderedRecaps = { roomId, count: recaps.length, last };
+
+  els.recapViewer.innerHTML = "";
+  if (recaps.length === 0) {
+    els.recapViewer.textContent = "No finished hands yet.";
+    return;
+  }
+
+  for (const recap of recaps.slice().reverse()) {
+    const card = document.createElement("div");
+    card.className = "recapCard";
+
+    const header = document.createElement("div");
+    header.className = "historyHeader";
+
+    const title = document.createElement("div");
+    title.className = "pubCardName";
+    title.textContent = recap.handNumber != null ? `Hand #${recap.handNumber}` : "Hand";
+
+    const time = document.createElement("div");
+    time.className = "pubCardTime";
+    time.textContent = new Date(recap.endedAt).toLocaleTimeString() + (recap.vsRandom ? " · vs random hand" : "");
+
+    header.append(title, time);
+
+    const board = document.createElement("div");
+    board.className = "miniCards recapBoard";
+    for (const c of recap.board) board.appendChild(createMiniCard(c.value, c.suit));
+
+    const chart = document.createElement("div");
+    chart.className = "equityChart";
+    chart.style.gridTemplateColumns = `minmax(90px, auto) repeat(${recap.streets.length}, 1fr)`;
+
+    chart.appendChild(document.createElement("div"));
+    for (const street of recap.streets) {
+      const label = document.createElement("div");
+      label.className = "equityStreet muted";
+      label.textContent = street;
+      chart.appendChild(label);
+    }
+
+    for (const player of recap.players) {
+      const name = document.createElement("div");
+      name.className = "equityPlayer";
+      name.textContent = `${player.name || shortenId(player.id)} ${formatTwoCards(player.cards[0].value, player.cards[0].suit, player.cards[1].value, player.cards[1].suit)}`;
+      chart.appendChild(name);
+
+      player.equity.forEach((e, i) => {
+        const cell = document.createElement("div");
+        cell.className = "equityCell";
+        cell.title = `${recap.streets[i]}: ${(e * 100).toFixed(1)}%${recap.exact[i] ? "" : " (Monte Carlo)"}`;
+
+        const bar = document.createElement("div");
+        bar.className = "equityBar";
+        const fill = document.createElement("div");
+        fill.className = "equityFill";
+        fill.style.width = `${(e * 100).toFixed(1)}%`;
+        bar.appendChild(fill);
+
+        const value = document.createElement("span");
+        value.className = "equityValue";
+        value.textContent = formatEquity(e, recap.exact[i]);
+
+        cell.append(bar, value);
+        chart.appendChild(cell);
+      });
+    }
+
+    card.append(header, board, chart);
+    els.recapViewer.appendChild(card);
+  }
+}
+
+/** Messages rejected by their schema (every room, newest first) */
+export function renderInvalidMessages() {
+  const invalid = getInvalidMessages();
+  const last = invalid[invalid.length - 1] || null;
+
+  if (els.invalidCount) {
+    els.invalidCount.hidden = invalid.length === 0;
+    els.invalidCount.textContent = String(invalid.length);
+  }
+  if (!els.invalidViewer) return;
+  if (renderedInvalid.count === invalid.length && renderedInvalid.last === last) return;
+  renderedInvalid = { count: invalid.length, last };
+
+  els.invalidViewer.innerHTML = "";
+  if (invalid.length === 0) {
+    els.invalidViewer.textContent = "No rejected messages.";
+    return;
+  }
+
+  const showRoom = listRooms().length > 1;
+  for (const entry of invalid.slice().reverse()) {
+    const item = document.createElement("div");
+    item.className = "invalidEntry";
+    item.dataset.expanded = "false";
+
+    const header = document.createElement("div");
+    header.className = "historyHeader";
+
+    const title = document.createElement("div");
+    title.className = "pubCardName";
+    const who = entry.publisherId ? ` · ${shortenId(entry.publisherId)}` : "";
+    const room = showRoom && entry.roomId ? ` · ${shortenId((rooms[entry.roomId] && rooms[entry.roomId].label) || entry.roomId)}` : "";
+    title.textContent = `${entry.type}${who}${room}`;
+
+    const time = document.createElement("div");
+    time.className = "pubCardTime";
+    time.textContent = new Date(entry.time).toLocaleTimeString();
+
+    header.append(title, time);
+
+    const errors = document.createElement("ul");
+    errors.className = "invalidErrors";
+    for (const error of entry.errors) {
+      const li = document.createElement("li");
+      li.textContent = error;
+      errors.appendChild(li);
+    }
+
+    const raw = document.createElement("pre");
+    raw.textContent = entry.raw;
+
+    item.append(header, errors, raw);
+    item.addEventListener("click", () => {
+      item.dataset.expanded = item.dataset.expanded === "true" ? "false" : "true";
+    });
+    els.invalidViewer.appendChild(item);
+  }
+}
+
+// ============================================================
+// Connection diagnostics (Health tab)
+// ============================================================
+
+/**
+ * Bar sparkline (one bar per value, scaled to the largest)
+ * @param {number[]} values
+ * @param {(v: number) => string} describe - Tooltip per bar
+ */
+function createSparkline(values, describe) {
+  const spark = document.createElement("div");
+  spark.className = "sparkline";
+  const max = Math.max(1, ...values.map((v) => Math.abs(v)));
+  for (const value of values) {
+    const bar = document.createElement("span");
+    bar.className = `sparkBar${value < 0 ? " negative" : ""}`;
+    bar.style.height = `${Math.max(4, Math.round((Math.abs(value) / max) * 100))}%`;
+    bar.title = describe(value);
+    spark.appendChild(bar);
+  }
+  return spark;
+}
+
+function createDiagStat(label, value, title) {
+  const stat = document.createElement("div");
+  stat.className = "diagStat";
+  const valueEl = document.createElement("div");
+  valueEl.className = "diagStatValue";
+  valueEl.textContent = value;
+  const labelEl = document.createElement("div");
+  labelEl.className = "diagStatLabel muted";
+  labelEl.textContent = label;
+  if (title) stat.title = title;
+  stat.append(valueEl, labelEl);
+  return stat;
+}
+
+function createDiagSection(title) {
+  const section = document.createElement("div");
+  section.className = "diagSection";
+  const heading = document.createElement("div");
+  heading.className = "diagTitle";
+  heading.textContent = title;
+  section.appendChild(heading);
+  return section;
+}
+
+/** Health of the active room; only drawn while the Health tab is shown */
+export function renderDiagnostics() {
+  if (!els.diagnosticsViewer || (els.diagnosticsViewerSection && els.diagnosticsViewerSection.hidden)) return;
+
+  const roomId = getActiveRoomId();
+  const now = Date.now();
+  const health = getRoomHealth(roomId, now);
+  els.diagnosticsViewer.innerHTML = "";
+  if (!health) {
+    els.diagnosticsViewer.textContent = "No connection activity yet.";
+    return;
+  }
+
+  const room = rooms[roomId];
+  const lastClose = health.closes[health.closes.length - 1];
+  const lastBackoff = health.backoffs[health.backoffs.length - 1];
+  const stats = document.createElement("div");
+  stats.className = "diagStats";
+  stats.append(
+    createDiagStat("status", room ? room.status : "—"),
+    createDiagStat("connected", health.connectedAt ? formatSecondsAgo(health.connectedAt, now).replace(" ago", "") : "—", "Time since the socket opened"),
+    createDiagStat("connect attempts", String(health.connectAttempts)),
+    createDiagStat("reconnects", String(health.reconnects), lastBackoff ? `Last backoff ${formatLatency(lastBackoff.delayMs)}` : ""),
+    createDiagStat("last close", lastClose ? String(lastClose.code) : "—", lastClose ? lastClose.reason : ""),
+    createDiagStat("messages / min", String(health.messagesPerMinute)),
+    createDiagStat(
+      "latency p50 / p95",
+      health.latency ? `${formatLatency(health.latency.p50)} / ${formatLatency(health.latency.p95)}` : "—",
+      "Receive time minus the message's own timestamp (includes publisher clock skew)"
+    )
+  );
+  els.diagnosticsViewer.appendChild(stats);
+
+  const rate = createDiagSection(`Messages per ${RATE_BUCKET_MS / 1000}s`);
+  rate.appendChild(createSparkline(health.rateSeries, (v) => `${v} messages`));
+  els.diagnosticsViewer.appendChild(rate);
+
+  if (health.latency) {
+    const latency = createDiagSection(`Latency (last ${health.latency.samples.length} messages)`);
+    latency.appendChild(createSparkline(health.latency.samples, formatLatency));
+    els.diagnosticsViewer.appendChild(latency);
+  }
+
+  // Per publisher: rate, latency and clock skew
+  if (health.publishers.length > 0) {
+    const section = createDiagSection("Publishers");
+    for (const pub of health.publishers) {
+      const row = document.createElement("div");
+      row.className = "diagPublisher";
+      row.dataset.pubId = pub.id;
+
+      const name = document.createElement("span");
+      name.className = "diagPubName";
+      name.textContent = getDisplayName(roomId, pub.id, publishers[pub.id]);
+      name.title = pub.id;
+
+      const numbers = document.createElement("span");
+      numbers.className = "diagPubStats muted";
+      const latency = pub.latency ? ` · ${formatLatency(pub.latency.p50)} / ${formatLatency(pub.latency.p95)}` : "";
+      const skew = pub.clockSkewMs != null ? ` · clock ${pub.clockSkewMs >= 0 ? "+" : ""}${formatLatency(pub.clockSkewMs)}` : "";
+      numbers.textContent = `${pub.messagesPerMinute}/min${latency}${skew} · ${formatSecondsAgo(pub.lastReceivedAt, now)}`;
+
+      row.append(name, createSparkline(pub.rateSeries, (v) => `${v} messages`), numbers);
+      section.appendChild(row);
+    }
+    els.diagnosticsViewer.appendChild(section);
+  }
+
+  // Backoff + close-code history (newest first)
+  if (health.backoffs.length > 0) {
+    const section = createDiagSection("Reconnect backoff");
+    const chips = document.createElement("div");
+    chips.className = "diagChips";
+    for (const e of health.backoffs.slice().reverse()) {
+      const chip = document.createElement("span");
+      chip.className = "diagChip";
+      chip.textContent = `#${e.attempt} ${formatLatency(e.delayMs)}`;
+      chip.title = new Date(e.time).toLocaleTimeString();
+      chips.appendChild(chip);
+    }
+    section.appendChild(chips);
+    els.diagnosticsViewer.appendChild(section);
+  }
+  if (health.closes.length > 0) {
+    const section = createDiagSection("Close codes");
+    for (const e of health.closes.slice().reverse()) {
+      const row = document.createElement("div");
+      row.className = "diagClose";
+      row.textContent = `${new Date(e.time).toLocaleTimeString()}  ${e.code}${e.reason ? `  ${e.reason}` : ""}`;
+      section.appendChild(row);
+    }
+    els.diagnosticsViewer.appendChild(section);
+  }
+}
+
+// ============================================================
+// OBS overlay
+// ============================================================
+
+/** Overlay tiles are updated in place so the flip animation only plays when the hand changes */
+/** @type {Map<string, { el: HTMLElement, handKey: string | null }>} */
+const overlayTiles = new Map();
+
+/**
+ * Publishers shown in the overlay, with the room each was found in: the requested one (searched in every
+ * room, active room first) or the active room's, most recent first. The requested ID is resolved through
+ * each room's merges, so the overlay follows a publisher that was linked or merged after its URL was made.
+ * @returns {Array<[string, any, string]>} [publisherId, publisher, roomId]
+ */
+function getOverlayPublishers(publisherId) {
+  const activeRoomId = getActiveRoomId();
+  if (!publisherId) return sortPublisherIds(activeRoomId, publishers).map((id) => [id, publishers[id], activeRoomId]);
+  for (const roomId of [activeRoomId, ...Object.keys(rooms)]) {
+    const id = canonicalPublisherId(roomId, publisherId);
+    const pub = rooms[roomId] && rooms[roomId].publishers[id];
+    if (pub) return [[id, pub, roomId]];
+  }
+  return [];
+}
+
+export function renderOverlay() {
+  const opts = getOverlayOptions();
+  if (!opts || !els.overlay) return;
+
+  els.overlay.hidden = false;
+  els.overlay.dataset.preset = opts.preset;
+
+  const entries = getOverlayPublishers(opts.publisher);
+  const table = opts.preset === "seat" ? buildTableView(publishers) : null;
+
+  const shown = new Set(entries.map(([id]) => id));
+  for (const [id, tile] of overlayTiles) {
+    if (shown.has(id)) continue;
+    tile.el.remove();
+    overlayTiles.delete(id);
+  }
+
+  for (const [id, pub, roomId] of entries) {
+    let tile = overlayTiles.get(id);
+    if (!tile) {
+      const el = document.createElement("div");
+      el.className = "overlayTile";
+      el.dataset.pubId = id;
+
+      const name = document.createElement("div");
+      name.className = "overlayName";
+
+      const cards = document.createElement("div");
+      cards.className = "miniCards overlayCards";
+
+      el.append(name, cards);
+      tile = { el, handKey: null };
+      overlayTiles.set(id, tile);
+    }
+    // Keeps the room's sort order (pinned slots first) without rebuilding tiles
+    els.overlay.appendChild(tile.el);
+
+    // Labels belong to the room the publisher was found in (publisher= searches every room)
+    tile.el.querySelector(".overlayName").textContent = getDisplayName(roomId, id, pub);
+
+    const fields = extractHandFields(pub.latestByType["hand"]);
+    const hasCards = hasAllCards(fields);
+    const handKey = hasCards ? [fields.ts, fields.value1, fields.suit1, fields.value2, fields.suit2].join("|") : null;
+    tile.el.dataset.empty = hasCards ? "false" : "true";
+    if (handKey !== tile.handKey) {
+      tile.handKey = handKey;
+      const cards = tile.el.querySelector(".overlayCards");
+      cards.innerHTML = "";
+      if (hasCards) {
+        // New elements start the flip-in animation on insertion
+        for (const [value, suit] of [[fields.value1, fields.suit1], [fields.value2, fields.suit2]]) {
+          const card = createMiniCard(value, suit);
+          card.classList.add("flipIn");
+          cards.appendChild(card);
+        }
+      }
+    }
+
+    const seat = table && table.seats.find((s) => s.publisherId === id);
+    if (seat) {
+      const pos = seatPosition(seat.seat, table.maxSeats);
+      tile.el.dataset.anchored = "true";
+      tile.el.style.left = `${pos.x.toFixed(1)}%`;
+      tile.el.style.top = `${pos.y.toFixed(1)}%`;
+    } else {
+      tile.el.dataset.anchored = "false";
+      tile.el.style.left = "";
+      tile.el.style.top = "";
+    }
+  }
+}
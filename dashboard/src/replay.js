@@ -0,0 +1,189 @@
+/*
+  Session replay: feeds a recorded session back through the live pipeline
+  at 1x/2x/8x with pause, seek and step.
+
+  Replayed messages go to their own room ("Replay" tab), so live room stores are left untouched.
+*/
+
+import { els } from "./dom.js";
+import { formatClock } from "./format.js";
+import { appendLog } from "./log.js";
+import { markRoomTransient } from "./persistence.js";
+import { handleIncomingMessage, resetStore, setReplayMode } from "./pipeline.js";
+import { parseSession, renderRecordCount } from "./recorder.js";
+import { activateRoom, renderPublishersUI } from "./render.js";
+import { ensureRoom, removeRoom } from "./store.js";
+
+export const REPLAY_SPEEDS = [1, 2, 8];
+
+/** Store the replayed session is fed into */
+export const REPLAY_ROOM_ID = "replay";
+
+/**
+ * Active replay (null = live mode)
+ * @type {null | { header: any, records: Array<{ t: number, raw: string }>, index: number, speed: number, playing: boolean, timer: any }}
+ */
+let replay = null;
+
+/**
+ * Start replaying a parsed session. The caller is responsible for disconnecting the live hub first.
+ * @param {{ header: any, records: Array<{ t: number, raw: string }> }} session
+ */
+export function startReplay(session) {
+  if (replay) stopReplayTimer();
+
+  replay = { header: session.header, records: session.records, index: 0, speed: 1, playing: false, timer: null };
+  setReplayMode(true);
+  ensureRoom(REPLAY_ROOM_ID, "Replay");
+  // Replays are never saved across reloads
+  markRoomTransient(REPLAY_ROOM_ID);
+  activateRoom(REPLAY_ROOM_ID);
+  resetStore(REPLAY_ROOM_ID);
+  renderRecordCount();
+
+  if (els.replaySpeedSelect) els.replaySpeedSelect.value = "1";
+  if (els.replayBar) els.replayBar.hidden = false;
+  appendLog({
+    kind: "info",
+    time: Date.now(),
+    cardsText: "[replay]",
+    raw: JSON.stringify({ event: "replay", room: session.header.room || null, messages: session.records.length }, null, 2),
+  });
+  renderReplayBar();
+  playReplay();
+}
+
+export function exitReplay() {
+  if (!replay) return;
+  stopReplayTimer();
+  replay = null;
+  if (els.replayBar) els.replayBar.hidden = true;
+  setReplayMode(false);
+  resetStore(REPLAY_ROOM_ID);
+  removeRoom(REPLAY_ROOM_ID);
+  renderPublishersUI();
+  renderRecordCount();
+}
+
+/** The loaded session file (null in live mode) */
+export function getReplaySession() {
+  return replay ? { header: replay.header, records: replay.records } : null;
+}
+
+export function isReplaying() {
+  return replay != null;
+}
+
+export function isReplayPlaying() {
+  return replay != null && replay.playing;
+}
+
+function stopReplayTimer() {
+  if (replay && replay.timer) {
+    clearTimeout(replay.timer);
+    replay.timer = null;
+  }
+}
+
+/** Feed the next recorded message through the live pipeline */
+function replayNextRecord() {
+  if (!replay || replay.index >= replay.records.length) return false;
+  handleIncomingMessage(replay.records[replay.index].raw, { source: "replay", roomId: REPLAY_ROOM_ID });
+  replay.index += 1;
+  return true;
+}
+
+function scheduleNextReplayRecord() {
+  stopReplayTimer();
+  if (!replay || !replay.playing) return;
+
+  if (replay.index >= replay.records.length) {
+    replay.playing = false;
+    renderReplayBar();
+    return;
+  }
+
+  const prev = replay.records[replay.index - 1];
+  const gap = prev ? replay.records[replay.index].t - prev.t : 0;
+  replay.timer = setTimeout(() => {
+    replay.timer = null;
+    replayNextRecord();
+    renderReplayBar();
+    scheduleNextReplayRecord();
+  }, Math.max(0, gap / replay.speed));
+}
+
+export function playReplay() {
+  if (!replay) return;
+  if (replay.index >= replay.records.length) seekReplay(0);
+  replay.playing = true;
+  renderReplayBar();
+  scheduleNextReplayRecord();
+}
+
+export function pauseReplay() {
+  if (!replay) return;
+  replay.playing = false;
+  stopReplayTimer();
+  renderReplayBar();
+}
+
+export function stepReplay() {
+  if (!replay) return;
+  pauseReplay();
+  replayNextRecord();
+  renderReplayBar();
+}
+
+/** Rebuild state from scratch up to (not including) record `index` */
+export function seekReplay(index) {
+  if (!replay) return;
+  const wasPlaying = replay.playing;
+  stopReplayTimer();
+  resetStore(REPLAY_ROOM_ID);
+
+  const target = Math.max(0, Math.min(replay.records.length, index));
+  replay.index = 0;
+  while (replay.index < target) replayNextRecord();
+
+  renderReplayBar();
+  if (wasPlaying) scheduleNextReplayRecord();
+}
+
+export function setReplaySpeed(speed) {
+  if (!replay || !REPLAY_SPEEDS.includes(speed)) return;
+  replay.speed = speed;
+  if (replay.playing) scheduleNextReplayRecord();
+}
+
+export function renderReplayBar() {
+  if (!replay) return;
+  const { records, index } = replay;
+  const start = records[0].t;
+  const current = index > 0 ? records[index - 1].t : start;
+
+  if (els.replaySeek) {
+    els.replaySeek.max = String(records.length);
+    els.replaySeek.value = String(index);
+  }
+  if (els.replayTime) {
+    els.replayTime.textContent = `${formatClock(current - start)} / ${formatClock(records[records.length - 1].t - start)} · ${index}/${records.length}`;
+  }
+  if (els.replayPlayBtn) els.replayPlayBtn.textContent = replay.playing ? "Pause" : "Play";
+  if (els.replayStepBtn) els.replayStepBtn.disabled = index >= records.length;
+}
+
+/** @returns {Promise<{ header: any, records: Array<{ t: number, raw: string }> } | null>} Parsed session, or null (error logged) */
+export async function readReplayFile(file) {
+  try {
+    return parseSession(await file.text());
+  } catch (e) {
+    appendLog({
+      kind: "error",
+      time: Date.now(),
+      cardsText: "(replay)",
+      raw: JSON.stringify({ error: "Failed to load session", file: file.name, detail: String(e && e.message ? e.message : e) }, null, 2),
+    });
+    return null;
+  }
+}
@@ -0,0 +1,178 @@
+/*
+  Hub message schemas (versioned, one per message type) + the list of rejected messages
+
+  Every message is checked before it reaches the store:
+  - envelope (all types): a JSON object; type / publisherId / playerName are strings when present,
+    timestamp a number or date string, schemaVersion (default 1) no newer than the schema for its type
+  - hand: data.value1/suit1/value2/suit2 are real ranks (2-10, T, J, Q, K, A) and suits (h, d, c, s),
+    or all four are missing (no cards dealt)
+  - state: the table fields read by table.js have the expected shapes (seats, board, pot, ...)
+  - snapshot, resume: data is an object of messages (each entry is then checked on its own)
+  - any other type: passthrough (envelope only)
+*/
+
+import { parseCard } from "./table.js";
+
+export const MAX_INVALID_MESSAGES = 100;
+
+const RANKS = new Set(["2", "3", "4", "5", "6", "7", "8", "9", "10", "T", "J", "Q", "K", "A"]);
+const SUITS = new Set(["h", "d", "c", "s"]);
+
+/**
+ * @typedef {{ version: number, validate: (msg: any, errors: string[]) => void }} MessageSchema
+ * @typedef {{ ok: true, type: string, version: number } | { ok: false, type: string, errors: string[] }} ValidationResult
+ * @typedef {{ time: number, roomId: string, publisherId: string | null, type: string, errors: string[], raw: string }} InvalidMessage
+ */
+
+const isObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+const isBlank = (v) => v == null || String(v).trim() === "";
+const show = (v) => JSON.stringify(v) ?? String(v);
+const isNumeric = (v) => (typeof v === "number" && Number.isFinite(v)) || (typeof v === "string" && v.trim() !== "" && Number.isFinite(Number(v)));
+
+function checkTimestamp(value, path, errors) {
+  if (value == null) return;
+  if (typeof value === "number" ? !Number.isFinite(value) : typeof value !== "string" || Number.isNaN(Date.parse(value))) {
+    errors.push(`${path}: ${show(value)} is not a timestamp`);
+  }
+}
+
+function checkOptionalNumber(value, path, errors) {
+  if (value != null && value !== "" && !isNumeric(value)) errors.push(`${path}: ${show(value)} is not a number`);
+}
+
+function checkCardList(list, path, errors) {
+  if (list == null) return;
+  if (!Array.isArray(list)) {
+    errors.push(`${path}: expected an array of cards`);
+    return;
+  }
+  list.forEach((card, i) => {
+    if (!parseCard(card)) errors.push(`${path}[${i}]: ${show(card)} is not a card`);
+  });
+}
+
+/** @param {any} msg @param {string[]} errors */
+function validateHand(msg, errors) {
+  if (!isObject(msg.data)) {
+    errors.push("data: expected an object");
+    return;
+  }
+  const data = msg.data;
+  const fields = ["value1", "suit1", "value2", "suit2"];
+  const present = fields.filter((f) => !isBlank(data[f]));
+  if (present.length > 0 && present.length < fields.length) {
+    errors.push(`data: incomplete cards (missing ${fields.filter((f) => !present.includes(f)).join(", ")})`);
+  }
+  for (const f of present) {
+    const v = String(data[f]).trim();
+    if (f.startsWith("value") && !RANKS.has(v.toUpperCase())) errors.push(`data.${f}: ${show(data[f])} is not a card rank`);
+    if (f.startsWith("suit") && !SUITS.has(v.toLowerCase())) errors.push(`data.${f}: ${show(data[f])} is not a suit (h, d, c, s)`);
+  }
+  checkTimestamp(data.timestamp, "data.timestamp", errors);
+  if (data.url != null && typeof data.url !== "string") errors.push("data.url: expected a string");
+}
+
+/** @param {any} msg @param {string[]} errors */
+function validateState(msg, errors) {
+  if (!isObject(msg.data)) {
+    errors.push("data: expected an object");
+    return;
+  }
+  const data = msg.data;
+  for (const key of ["seats", "players"]) {
+    if (data[key] == null) continue;
+    if (!Array.isArray(data[key])) {
+      errors.push(`data.${key}: expected an array`);
+      continue;
+    }
+    data[key].forEach((seat, i) => {
+      const path = `data.${key}[${i}]`;
+      if (!isObject(seat)) {
+        errors.push(`${path}: expected an object`);
+        return;
+      }
+      checkOptionalNumber(seat.seat ?? seat.seatNumber ?? seat.position, `${path}.seat`, errors);
+      checkOptionalNumber(seat.stack ?? seat.chips, `${path}.stack`, errors);
+      checkOptionalNumber(seat.bet ?? seat.currentBet, `${path}.bet`, errors);
+      checkCardList(seat.cards, `${path}.cards`, errors);
+    });
+  }
+  for (const key of ["board", "communityCards", "boardCards"]) checkCardList(data[key], `data.${key}`, errors);
+  const board = data.board ?? data.communityCards ?? data.boardCards;
+  if (Array.isArray(board) && board.length > 5) errors.push(`data.board: ${board.length} cards (at most 5)`);
+
+  if (isObject(data.pot)) checkOptionalNumber(data.pot.total, "data.pot.total", errors);
+  else checkOptionalNumber(data.pot, "data.pot", errors);
+  for (const key of ["maxSeats", "tableSize", "dealerSeat", "button", "smallBlind", "bigBlind"]) {
+    checkOptionalNumber(data[key], `data.${key}`, errors);
+  }
+  checkTimestamp(data.timestamp, "data.timestamp", errors);
+}
+
+/** @param {any} msg @param {string[]} errors */
+function validateSnapshot(msg, errors) {
+  if (!isObject(msg.data)) errors.push("data: expected an object of messages");
+}
+
+/** @type {Record<string, MessageSchema>} */
+export const MESSAGE_SCHEMAS = {
+  hand: { version: 1, validate: validateHand },
+  state: { version: 1, validate: validateState },
+  snapshot: { version: 1, validate: validateSnapshot },
+  resume: { version: 1, validate: validateSnapshot },
+};
+
+/** Types without a schema only get the envelope check */
+const PASSTHROUGH_SCHEMA = { version: 1, validate: () => {} };
+
+/**
+ * Check a parsed hub message against the schema for its type
+ * @param {any} msg
+ * @returns {ValidationResult}
+ */
+export function validateMessage(msg) {
+  if (!isObject(msg)) return { ok: false, type: "unknown", errors: ["message: expected a JSON object"] };
+
+  const errors = [];
+  if (msg.type != null && (typeof msg.type !== "string" || msg.type.trim() === "")) errors.push(`type: ${show(msg.type)} is not a message type`);
+  const type = typeof msg.type === "string" && msg.type.trim() !== "" ? msg.type : "unknown";
+  if (msg.publisherId != null && (typeof msg.publisherId !== "string" || msg.publisherId === "")) {
+    errors.push(`publisherId: ${show(msg.publisherId)} is not a publisher ID`);
+  }
+  if (msg.playerName != null && typeof msg.playerName !== "string") errors.push("playerName: expected a string");
+  checkTimestamp(msg.timestamp, "timestamp", errors);
+
+  const schema = MESSAGE_SCHEMAS[type] || PASSTHROUGH_SCHEMA;
+  const version = msg.schemaVersion == null ? 1 : msg.schemaVersion;
+  if (!Number.isInteger(version) || version < 1) {
+    errors.push(`schemaVersion: ${show(msg.schemaVersion)} is not a version`);
+  } else if (version > schema.version) {
+    errors.push(`schemaVersion: ${type} v${version} is newer than this dashboard understands (v${schema.version})`);
+  } else {
+    schema.validate(msg, errors);
+  }
+
+  return errors.length > 0 ? { ok: false, type, errors } : { ok: true, type, version };
+}
+
+// ============================================================
+// Rejected messages (newest last)
+// ============================================================
+
+/** @type {InvalidMessage[]} */
+const invalidMessages = [];
+
+/** @param {InvalidMessage} entry */
+export function recordInvalidMessage(entry) {
+  invalidMessages.push(entry);
+  if (invalidMessages.length > MAX_INVALID_MESSAGES) invalidMessages.splice(0, invalidMessages.length - MAX_INVALID_MESSAGES);
+}
+
+/** Rejected messages, optionally only those of one room */
+export function getInvalidMessages(roomId) {
+  return roomId === undefined ? invalidMessages.slice() : invalidMessages.filter((m) => m.roomId === roomId);
+}
+
+export function clearInvalidMessages() {
+  invalidMessages.length = 0;
+}
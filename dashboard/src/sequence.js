@@ -0,0 +1,129 @@
+/*
+  Stream continuity per room: sequence tracking, gap detection and the resume cursor
+
+  - Hubs that number messages stamp each one with `seq`, counting up by 1 per publisher in a room.
+    A jump (last seen 10, next 14) is a gap: 11-13 were never received. A seq at or below the last one
+    is a copy (snapshot, resume) and is ignored, except when the numbering restarted (the hub was
+    restarted): seq 1, or a live message more than SEQ_RESET_JUMP below the last seq. Snapshot entries
+    can legitimately be far behind (a type the publisher rarely sends), so only seq 1 resets from them.
+  - Without seq, timestamps are used: a message sent while the room was disconnected (between the
+    close and the next open) means the publisher was active during the outage, and only its latest
+    message per type came back with the snapshot. That is reported once per outage as a possible gap.
+  - Hubs that can resume say so in their hello (data.resume: true). Reconnects to them carry
+    since=<publisherId>:<seq>,... (the last seq seen per publisher); the hub answers with a `resume`
+    batch of what was missed, before its snapshot.
+  Tracking uses the hub's publisher IDs (not merged identities), since the cursor goes back to the hub.
+*/
+
+import { messageTimestamp } from "./diagnostics.js";
+
+/**
+ * @typedef {{ publisherId: string, mode: "seq", missed: number, fromSeq: number, toSeq: number }
+ *   | { publisherId: string, mode: "time", missed: null, from: number, to: number }} StreamGap
+ *   seq: fromSeq..toSeq were never received; time: the publisher sent messages while the room was
+ *   disconnected (from..to), some may be lost
+ * @typedef {{ lastSeq: number | null, reportedOutage: number | null }} PublisherCursor
+ * @typedef {{
+ *   resume: boolean, connected: boolean, disconnectedAt: number | null, reconnectedAt: number | null,
+ *   publishers: Record<string, PublisherCursor>
+ * }} RoomStream
+ */
+
+/** @type {Record<string, RoomStream>} */
+const streams = {};
+
+function streamOf(roomId) {
+  if (!streams[roomId]) {
+    streams[roomId] = { resume: false, connected: false, disconnectedAt: null, reconnectedAt: null, publishers: {} };
+  }
+  return streams[roomId];
+}
+
+/** From the hub's hello: whether it can replay from a `since` cursor */
+export function setResumeSupported(roomId, supported) {
+  streamOf(roomId).resume = !!supported;
+}
+
+export function isResumeSupported(roomId) {
+  return !!(streams[roomId] && streams[roomId].resume);
+}
+
+/** Socket closed: an outage starts (retries that fail keep the first close time) */
+export function noteConnectionLost(roomId, now = Date.now()) {
+  const stream = streamOf(roomId);
+  if (!stream.connected) return;
+  stream.connected = false;
+  stream.disconnectedAt = now;
+  stream.reconnectedAt = null;
+}
+
+/** Socket open: ends the outage, if any */
+export function noteConnectionOpened(roomId, now = Date.now()) {
+  const stream = streamOf(roomId);
+  stream.connected = true;
+  if (stream.disconnectedAt != null && stream.reconnectedAt == null) stream.reconnectedAt = now;
+}
+
+/** A live message this far below the last seq means the numbering restarted (closer: a late copy) */
+export const SEQ_RESET_JUMP = 10;
+
+const validSeq = (seq) => Number.isInteger(seq) && seq > 0;
+
+/**
+ * Track one publisher message; returns the gap it reveals, if any
+ * @param {string} roomId
+ * @param {any} msg - A single message (not a snapshot / resume batch)
+ * @param {{ fromBatch?: boolean }} [opts] - fromBatch: an entry of a snapshot / resume batch
+ * @returns {StreamGap | null}
+ */
+export function trackSequence(roomId, msg, opts = {}) {
+  if (!msg || typeof msg !== "object" || typeof msg.publisherId !== "string" || !msg.publisherId) return null;
+  const stream = streamOf(roomId);
+  const publisherId = msg.publisherId;
+  const cursor = stream.publishers[publisherId] || (stream.publishers[publisherId] = { lastSeq: null, reportedOutage: null });
+
+  if (validSeq(msg.seq)) {
+    const last = cursor.lastSeq;
+    const restarted = msg.seq === 1 || (!opts.fromBatch && last != null && msg.seq < last - SEQ_RESET_JUMP);
+    if (last != null && msg.seq <= last && !restarted) return null;
+    cursor.lastSeq = msg.seq;
+    if (last == null || msg.seq <= last + 1) return null;
+    return { publisherId, mode: "seq", missed: msg.seq - last - 1, fromSeq: last + 1, toSeq: msg.seq - 1 };
+  }
+
+  // Numbered publishers: unnumbered messages (e.g. hub presence) say nothing about gaps
+  if (cursor.lastSeq != null) return null;
+  const { disconnectedAt, reconnectedAt } = stream;
+  if (disconnectedAt == null || reconnectedAt == null || cursor.reportedOutage === disconnectedAt) return null;
+  const sentAt = messageTimestamp(msg);
+  if (sentAt == null || sentAt < disconnectedAt || sentAt >= reconnectedAt) return null;
+  cursor.reportedOutage = disconnectedAt;
+  return { publisherId, mode: "time", missed: null, from: disconnectedAt, to: reconnectedAt };
+}
+
+/**
+ * The `since` value for a reconnect: "<publisherId>:<seq>,..." (IDs URI-encoded), or null when the
+ * hub can't resume or nothing numbered was seen yet
+ * @param {string} roomId
+ */
+export function getResumeCursor(roomId) {
+  const stream = streams[roomId];
+  if (!stream || !stream.resume) return null;
+  const parts = Object.entries(stream.publishers)
+    .filter(([, cursor]) => cursor.lastSeq != null)
+    .map(([id, cursor]) => `${encodeURIComponent(id)}:${cursor.lastSeq}`);
+  return parts.length > 0 ? parts.join(",") : null;
+}
+
+/** One-line description of a gap for the log and the hand history */
+export function describeGap(gap) {
+  if (gap.mode === "seq") {
+    return `${gap.missed} ${gap.missed === 1 ? "message" : "messages"} missed (seq ${gap.fromSeq}${gap.toSeq !== gap.fromSeq ? `–${gap.toSeq}` : ""})`;
+  }
+  return "possible gap: sent while disconnected";
+}
+
+/** Forget a room's cursors (room no longer monitored) */
+export function clearStream(roomId) {
+  delete streams[roomId];
+}
@@ -0,0 +1,251 @@
+/*
+  Multi-Room / Multi-Publisher Store
+  rooms[roomId] = { id, label, status, publishers }
+  publishers[publisherId] = { lastSeen, leftAt, playerName, latestByType: { [type]: fullMessage }, previousByType, handHistory: HandRecord[] }
+  A gap in a publisher's stream (sequence.js) is kept as pendingGap until its next hand, which carries it as gapBefore.
+
+  `publishers` is the store of the active (displayed) room; messages for other rooms go to their own store.
+  Room "" is the fallback store used before any room is added (and by tests).
+*/
+
+import { formatTwoCards } from "./cards.js";
+import { extractHandFields, hasAllCards } from "./protocol.js";
+
+export const MAX_HAND_HISTORY = 200;
+
+/**
+ * @typedef {{
+ *   key: string, publisherId: string, sourceId?: string, ts: number, receivedAt: number, value1: any, suit1: any, value2: any, suit2: any, url: any,
+ *   gapBefore?: import("./sequence.js").StreamGap
+ * }} HandRecord
+ *   sourceId: the message's own publisherId when it was stored under another (merged) publisher
+ *   gapBefore: messages were missed between the previous hand and this one
+ * @typedef {{
+ *   lastSeen: number, leftAt?: number|null, playerName: string|null, latestByType: Record<string, any>, previousByType?: Record<string, any>,
+ *   handHistory: HandRecord[], pendingGap?: import("./sequence.js").StreamGap
+ * }} Publisher
+ *   leftAt: when the hub reported the publisher left (cleared by any later message)
+ * @typedef {"connected" | "reconnecting" | "disconnected"} RoomStatus
+ * @typedef {{ id: string, label: string, status: RoomStatus, protocol: number | null, publishers: Record<string, Publisher> }} Room
+ *   protocol: hub protocol version seen on the room's messages (0 = unversioned hub, null = no message yet)
+ */
+
+/** @type {Record<string, Room>} */
+export const rooms = {};
+
+let activeRoomId = "";
+
+/** Store of the active room (rebound by setActiveRoom) */
+/** @type {Record<string, Publisher>} */
+export let publishers = ensureRoom("").publishers;
+
+/**
+ * Get or create a room
+ * @param {string} roomId
+ * @param {string} [label] - Display name (defaults to the room ID)
+ * @returns {Room}
+ */
+export function ensureRoom(roomId, label) {
+  if (!rooms[roomId]) {
+    rooms[roomId] = { id: roomId, label: label || roomId, status: "disconnected", protocol: null, publishers: {} };
+  }
+  return rooms[roomId];
+}
+
+/** Rooms shown in the UI, in the order they were added (excludes the "" fallback) */
+export function listRooms() {
+  return Object.values(rooms).filter((room) => room.id !== "");
+}
+
+export function getActiveRoomId() {
+  return activeRoomId;
+}
+
+export function setActiveRoom(roomId) {
+  activeRoomId = roomId;
+  publishers = ensureRoom(roomId).publishers;
+}
+
+/** Drop a room and its store; the active room falls back to the first remaining one */
+export function removeRoom(roomId) {
+  if (roomId === "") return;
+  delete rooms[roomId];
+  if (activeRoomId === roomId) {
+    const next = listRooms()[0];
+    setActiveRoom(next ? next.id : "");
+  }
+}
+
+/** @param {RoomStatus} status */
+export function setRoomStatus(roomId, status) {
+  ensureRoom(roomId).status = status;
+}
+
+/**
+ * Record the hub protocol version a room's messages use
+ * @returns {boolean} True if it changed
+ */
+export function setRoomProtocol(roomId, version) {
+  const room = ensureRoom(roomId);
+  if (room.protocol === version) return false;
+  room.protocol = version;
+  return true;
+}
+
+/**
+ * Apply a single message to the publishers store
+ * @param {any} msg - Parsed message object
+ * @param {number} receivedAt - Timestamp when message was received
+ * @param {string} [roomId] - Room the message came from (defaults to the active room)
+ * @param {string} [publisherId] - Store key (identity.js resolves merged publishers); defaults to msg.publisherId
+ * @returns {{ publisherId: string, msgType: string }}
+ */
+export function applyMessage(msg, receivedAt, roomId = activeRoomId, publisherId = msg.publisherId || "unknown") {
+  const store = ensureRoom(roomId).publishers;
+
+  // publisherId falls back to "unknown" if missing
+  const playerName = msg.playerName || null;
+  const msgType = msg.type || "unknown";
+
+  if (!store[publisherId]) {
+    store[publisherId] = {
+      lastSeen: receivedAt,
+      leftAt: null,
+      playerName: playerName,
+      latestByType: {},
+      handHistory: [],
+    };
+  }
+  store[publisherId].lastSeen = receivedAt;
+  store[publisherId].leftAt = null;
+  // Update playerName if provided (may change during session)
+  if (playerName) {
+    store[publisherId].playerName = playerName;
+  }
+  // The message it replaces is kept for the JSON viewer's diff
+  const previous = store[publisherId].latestByType[msgType];
+  if (previous && previous !== msg) {
+    if (!store[publisherId].previousByType) store[publisherId].previousByType = {};
+    store[publisherId].previousByType[msgType] = previous;
+  }
+  store[publisherId].latestByType[msgType] = msg;
+
+  if (msgType === "hand") {
+    recordHand(publisherId, msg, receivedAt, store);
+  }
+
+  return { publisherId, msgType };
+}
+
+/**
+ * Apply a hub presence event (join / leave / heartbeat). Nothing is kept in latestByType;
+ * a leave for an unknown publisher is ignored.
+ * @param {any} msg
+ * @param {import("./presence.js").PresenceEvent} event
+ * @param {number} receivedAt
+ * @param {string} [roomId]
+ * @param {string} [publisherId] - Store key; defaults to msg.publisherId
+ * @returns {string | null} The publisher it applied to
+ */
+export function applyPresenceEvent(msg, event, receivedAt, roomId = activeRoomId, publisherId = msg.publisherId || "unknown") {
+  const store = ensureRoom(roomId).publishers;
+  let pub = store[publisherId];
+
+  if (event === "leave") {
+    if (!pub) return null;
+    pub.leftAt = receivedAt;
+    return publisherId;
+  }
+  if (!pub) {
+    pub = store[publisherId] = { lastSeen: receivedAt, leftAt: null, playerName: null, latestByType: {}, handHistory: [] };
+  }
+  pub.lastSeen = receivedAt;
+  pub.leftAt = null;
+  if (msg.playerName) pub.playerName = msg.playerName;
+  return publisherId;
+}
+
+/**
+ * Record a hand message in the publisher's bounded hand history.
+ * Distinct hands are keyed on data.timestamp + cards; without a data.timestamp,
+ * a repeat of the previous hand's cards is treated as the same hand.
+ * @param {Record<string, Publisher>} [store] - Room store (defaults to the active room)
+ * @returns {boolean} True if a new hand was recorded
+ */
+export function recordHand(publisherId, msg, receivedAt, store = publishers) {
+  const pub = store[publisherId];
+  const fields = extractHandFields(msg);
+  if (!pub || !hasAllCards(fields)) return false;
+
+  const cards = formatTwoCards(fields.value1, fields.suit1, fields.value2, fields.suit2);
+  const dataTs = msg.data && msg.data.timestamp;
+  const key = dataTs != null ? `${dataTs}|${cards}` : `|${cards}`;
+  const history = pub.handHistory;
+
+  if (dataTs != null ? history.some((h) => h.key === key) : history.length > 0 && history[history.length - 1].key === key) {
+    return false;
+  }
+
+  const sourceId = msg.publisherId || "unknown";
+  const gapBefore = pub.pendingGap;
+  delete pub.pendingGap;
+  history.push({
+    key,
+    publisherId,
+    ...(sourceId !== publisherId ? { sourceId } : {}),
+    ...(gapBefore ? { gapBefore } : {}),
+    ts: fields.ts != null ? Number(fields.ts) : receivedAt,
+    receivedAt,
+    value1: fields.value1,
+    suit1: fields.suit1,
+    value2: fields.value2,
+    suit2: fields.suit2,
+    url: fields.url,
+  });
+
+  if (history.length > MAX_HAND_HISTORY) {
+    history.splice(0, history.length - MAX_HAND_HISTORY);
+  }
+  return true;
+}
+
+/**
+ * Note a gap in a publisher's stream; the next hand recorded for it carries it as gapBefore
+ * @param {string} publisherId
+ * @param {import("./sequence.js").StreamGap} gap
+ * @param {string} [roomId]
+ */
+export function markGap(publisherId, gap, roomId = activeRoomId) {
+  const pub = ensureRoom(roomId).publishers[publisherId];
+  if (pub) pub.pendingGap = gap;
+}
+
+/** Most recently seen publisher ID (null if the store is empty) */
+export function getMostRecentPublisherId() {
+  let mostRecent = null;
+  let mostRecentTime = 0;
+  for (const [id, pub] of Object.entries(publishers)) {
+    if (pub.lastSeen > mostRecentTime) {
+      mostRecentTime = pub.lastSeen;
+      mostRecent = id;
+    }
+  }
+  return mostRecent;
+}
+
+/** Hand records for a timeline scope ("room" = all publishers), oldest first */
+export function getTimelineHands(scope) {
+  if (scope !== "room") {
+    const pub = publishers[scope];
+    return pub ? pub.handHistory.slice() : [];
+  }
+  return Object.values(publishers)
+    .flatMap((pub) => pub.handHistory)
+    .sort((a, b) => a.ts - b.ts || a.receivedAt - b.receivedAt);
+}
+
+/** Clear a room's publishers (defaults to the active room) */
+export function resetPublishers(roomId = activeRoomId) {
+  const store = ensureRoom(roomId).publishers;
+  for (const id of Object.keys(store)) delete store[id];
+}
@@ -0,0 +1,162 @@
+/*
+  Table model: reconstructs the table (seats, stacks, board, pot, dealer button, seat to act)
+  from `state` messages and places each publisher's hole cards at their seat (pure, no DOM)
+
+  Publishers don't all send the same state shape, so field names are read leniently:
+  data.seats | data.players, data.board | data.communityCards, data.dealerSeat | data.button,
+  data.smallBlind | data.blinds.small, ...
+*/
+
+import { extractHandFields, hasAllCards } from "./protocol.js";
+
+/**
+ * @typedef {{ value: string, suit: string }} Card
+ * @typedef {{ seat: number, playerId: string | null, name: string | null, stack: number | null, bet: number | null, status: string | null, cards: Card[] }} Seat
+ * @typedef {{ seats: Seat[], maxSeats: number, board: Card[], pot: number | null, dealerSeat: number | null, toActSeat: number | null, street: string | null, handNumber: any, smallBlind: number | null, bigBlind: number | null, ts: number | null }} TableState
+ * @typedef {Seat & { publisherId: string | null, holeCards: Card[] }} TableSeat
+ * @typedef {TableState & { seats: TableSeat[], sourcePublisherId: string }} TableView
+ */
+
+const SUIT_NAMES = { hearts: "h", diamonds: "d", clubs: "c", spades: "s", "♥": "h", "♦": "d", "♣": "c", "♠": "s" };
+
+/**
+ * Parse a card written as "Ah", "10d", "Tc", "K♠" or { value, suit } / { rank, suit }
+ * @returns {Card | null}
+ */
+export function parseCard(card) {
+  if (card == null) return null;
+
+  let value;
+  let suit;
+  if (typeof card === "object") {
+    value = card.value != null ? card.value : card.rank;
+    suit = card.suit;
+  } else {
+    const match = String(card).trim().match(/^(10|[2-9TJQKA])\s*([hdcs♥♦♣♠])$/i);
+    if (!match) return null;
+    [, value, suit] = match;
+  }
+
+  value = String(value == null ? "" : value).trim().toUpperCase();
+  suit = String(suit == null ? "" : suit).trim().toLowerCase();
+  suit = SUIT_NAMES[suit] || suit.charAt(0);
+  if (value === "T") value = "10";
+  if (!value || !suit || !"hdcs".includes(suit)) return null;
+  return { value, suit };
+}
+
+function parseCards(list) {
+  return Array.isArray(list) ? list.map(parseCard).filter(Boolean) : [];
+}
+
+function toNumber(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function toText(v) {
+  return v == null || v === "" ? null : String(v);
+}
+
+/**
+ * Normalize a `state` message into a table
+ * @param {any} msg
+ * @returns {TableState | null} null if the message carries no seats or board
+ */
+export function extractTableState(msg) {
+  const data = msg && msg.data;
+  if (!data || typeof data !== "object") return null;
+
+  const rawSeats = Array.isArray(data.seats) ? data.seats : Array.isArray(data.players) ? data.players : [];
+  const seats = rawSeats
+    .filter((s) => s && typeof s === "object")
+    .map((s, i) => ({
+      seat: toNumber(s.seat ?? s.seatNumber ?? s.position) ?? i + 1,
+      playerId: toText(s.playerId ?? s.publisherId ?? s.id),
+      name: toText(s.name ?? s.playerName),
+      stack: toNumber(s.stack ?? s.chips),
+      bet: toNumber(s.bet ?? s.currentBet),
+      status: toText(s.folded === true ? "folded" : s.status),
+      cards: parseCards(s.cards),
+    }))
+    .sort((a, b) => a.seat - b.seat);
+
+  const board = parseCards(data.board ?? data.communityCards ?? data.boardCards);
+  if (seats.length === 0 && board.length === 0) return null;
+
+  // Seat to act may be given as a seat number or as a player ID
+  const toAct = data.toActSeat ?? data.actionSeat ?? data.toAct ?? data.actionOn;
+  let toActSeat = toNumber(toAct);
+  if (toActSeat == null && toAct != null) {
+    const actor = seats.find((s) => s.playerId === String(toAct) || s.name === String(toAct));
+    toActSeat = actor ? actor.seat : null;
+  }
+
+  const pot = data.pot != null && typeof data.pot === "object" ? data.pot.total : data.pot;
+  const blinds = data.blinds && typeof data.blinds === "object" ? data.blinds : {};
+  const highestSeat = seats.reduce((max, s) => Math.max(max, s.seat), 0);
+
+  return {
+    seats,
+    maxSeats: Math.max(toNumber(data.maxSeats ?? data.tableSize) || 0, highestSeat, seats.length),
+    board,
+    pot: toNumber(pot),
+    dealerSeat: toNumber(data.dealerSeat ?? data.button ?? data.dealer),
+    toActSeat,
+    street: toText(data.street ?? data.phase),
+    handNumber: data.handNumber ?? null,
+    smallBlind: toNumber(data.smallBlind ?? blinds.small ?? blinds.sb),
+    bigBlind: toNumber(data.bigBlind ?? blinds.big ?? blinds.bb),
+    ts: toNumber(data.timestamp ?? msg.timestamp),
+  };
+}
+
+/**
+ * Where a seat sits around the oval table, in % of the table box (seat 1 at the bottom, then clockwise)
+ * @param {number} seat
+ * @param {number} maxSeats
+ * @returns {{ x: number, y: number }}
+ */
+export function seatPosition(seat, maxSeats) {
+  const angle = Math.PI / 2 + ((seat - 1) / Math.max(1, maxSeats)) * 2 * Math.PI;
+  return { x: 50 + 46 * Math.cos(angle), y: 50 + 42 * Math.sin(angle) };
+}
+
+/**
+ * Build the table for a room: the freshest `state` from any publisher, with every publisher's
+ * latest hole cards placed at the seat that matches their publisherId (or player name).
+ * @param {Record<string, import("./store.js").Publisher>} store
+ * @returns {TableView | null}
+ */
+export function buildTableView(store) {
+  let latest = null;
+  for (const [publisherId, pub] of Object.entries(store)) {
+    const table = extractTableState(pub.latestByType["state"]);
+    if (!table) continue;
+    const ts = table.ts ?? pub.lastSeen;
+    if (!latest || ts > latest.ts) latest = { publisherId, table, ts };
+  }
+  if (!latest) return null;
+
+  const sameName = (a, b) => a != null && b != null && a.trim().toLowerCase() === b.trim().toLowerCase();
+  const entries = Object.entries(store);
+
+  const seats = latest.table.seats.map((seat) => {
+    const match =
+      entries.find(([id]) => seat.playerId != null && id === seat.playerId) ||
+      entries.find(([, pub]) => sameName(pub.playerName, seat.name));
+
+    let holeCards = seat.cards;
+    if (match && holeCards.length === 0) {
+      const fields = extractHandFields(match[1].latestByType["hand"]);
+      if (hasAllCards(fields)) {
+        holeCards = [parseCard({ value: fields.value1, suit: fields.suit1 }), parseCard({ value: fields.value2, suit: fields.suit2 })].filter(Boolean);
+      }
+    }
+
+    return { ...seat, publisherId: match ? match[0] : null, holeCards };
+  });
+
+  return { ...latest.table, seats, sourcePublisherId: latest.publisherId };
+}
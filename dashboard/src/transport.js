@@ -0,0 +1,56 @@
+/*
+  Transport layer
+  Everything that talks to dom-auth / dom-hub goes through a transport, so the
+  connection logic can run against the real services or a local mock hub.
+*/
+
+import { getSubscriberToken } from "./auth.js";
+
+/**
+ * @typedef {{ onOpen: () => void, onMessage: (data: any) => void, onError: () => void, onClose: (evt: { code: number, reason: string }) => void }} TransportHandlers
+ * @typedef {{
+ *   isActive: () => boolean, send: (data: string) => void, close: (code?: number, reason?: string) => void, detach: () => void,
+ * }} TransportConnection
+ * @typedef {{
+ *   name: string,
+ *   fetchToken: (room: string, password: string) => Promise<{ token: string, expiresInSeconds: number | undefined }>,
+ *   connect: (url: string, handlers: TransportHandlers) => TransportConnection,
+ * }} Transport
+ */
+
+/**
+ * Browser transport: fetch() against a dom-auth compatible /token endpoint + native WebSocket
+ * @param {{ authUrl: string, WebSocketImpl?: typeof WebSocket, fetchImpl?: typeof fetch }} opts
+ * @returns {Transport}
+ */
+export function createBrowserTransport({ authUrl, WebSocketImpl = globalThis.WebSocket, fetchImpl = globalThis.fetch }) {
+  return {
+    name: "websocket",
+    fetchToken: (room, password) => getSubscriberToken(room, password, authUrl, fetchImpl),
+    connect(url, handlers) {
+      const socket = new WebSocketImpl(url);
+      socket.onopen = () => handlers.onOpen();
+      socket.onmessage = (evt) => handlers.onMessage(evt && evt.data);
+      socket.onerror = () => handlers.onError();
+      socket.onclose = (evt) => handlers.onClose({ code: evt.code, reason: evt.reason || "" });
+
+      return {
+        isActive: () => socket.readyState === WebSocketImpl.OPEN || socket.readyState === WebSocketImpl.CONNECTING,
+        send(data) {
+          if (socket.readyState === WebSocketImpl.OPEN) socket.send(data);
+        },
+        close(code = 1000, reason = "client disconnect") {
+          if (socket.readyState === WebSocketImpl.OPEN || socket.readyState === WebSocketImpl.CONNECTING) {
+            socket.close(code, reason);
+          }
+        },
+        detach() {
+          socket.onopen = null;
+          socket.onmessage = null;
+          socket.onerror = null;
+          socket.onclose = null;
+        },
+      };
+    },
+  };
+}
@@ -0,0 +1,112 @@
+/*
+  Service worker: offline shell of the dashboard
+
+  The dashboard's own files (SHELL_FILES) are cached on install. Same-origin GETs go to the network first,
+  so a deploy shows up on the next load, and fall back to the cache when the network or the static host
+  fails. Only SHELL_FILES are ever written to the cache, under their own URL: every navigation
+  (?room=..., ?delay=..., ...) is stored as and served from index.html, so the cache can't grow.
+  Everything else bypasses the worker: the hub socket, token requests and other origins.
+  Bump CACHE_VERSION when files are added to or removed from SHELL_FILES.
+*/
+
+const CACHE_VERSION = 3;
+const CACHE_PREFIX = "hole-cards-dashboard-";
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+
+/** Everything index.html needs to start (app.js imports every module under src/) */
+const SHELL_FILES = [
+  "./",
+  "./index.html",
+  "./app.js",
+  "./styles.css",
+  "./manifest.webmanifest",
+  "./icons/icon.svg",
+  "./icons/icon-192.png",
+  "./icons/icon-512.png",
+  "./src/alerts.js",
+  "./src/auth.js",
+  "./src/authSettings.js",
+  "./src/cards.js",
+  "./src/connection.js",
+  "./src/diagnostics.js",
+  "./src/dom.js",
+  "./src/equity.js",
+  "./src/format.js",
+  "./src/handExport.js",
+  "./src/handTracker.js",
+  "./src/heartbeat.js",
+  "./src/identity.js",
+  "./src/jsonTree.js",
+  "./src/log.js",
+  "./src/offline.js",
+  "./src/overlay.js",
+  "./src/persistence.js",
+  "./src/pipeline.js",
+  "./src/presence.js",
+  "./src/protocol.js",
+  "./src/publisherPrefs.js",
+  "./src/recap.js",
+  "./src/recorder.js",
+  "./src/render.js",
+  "./src/replay.js",
+  "./src/schema.js",
+  "./src/sequence.js",
+  "./src/store.js",
+  "./src/table.js",
+  "./src/transport.js",
+];
+
+const SHELL_URLS = new Set(SHELL_FILES.map((file) => new URL(file, self.location.href).href));
+const INDEX_URL = new URL("./index.html", self.location.href).href;
+
+/** The cache entry a request maps to: index.html for navigations, a shell file, or null (not cached) */
+function cacheKeyOf(req) {
+  if (req.mode === "navigate") return INDEX_URL;
+  const url = new URL(req.url);
+  url.search = "";
+  url.hash = "";
+  return SHELL_URLS.has(url.href) ? url.href : null;
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET" || new URL(req.url).origin !== self.location.origin) return;
+  event.respondWith(networkFirst(req));
+});
+
+/** Network response when it is OK (and refresh the cached shell file), else the cached copy, else the network's answer */
+async function networkFirst(req) {
+  const key = cacheKeyOf(req);
+  const cache = await caches.open(CACHE_NAME);
+  let res = null;
+  try {
+    res = await fetch(req);
+    if (res.ok) {
+      if (key) cache.put(key, res.clone());
+      return res;
+    }
+  } catch {
+    // offline or the host is down: try the cache
+  }
+  const cached = key ? await cache.match(key) : undefined;
+  if (cached) return cached;
+  return res || Response.error();
+}
@@ -1,8 +1,102 @@
 /**
  * Test suite for Dashboard (static client)
- * Focus: room extraction, JWT URL building, dom-auth token fetch contract, snapshot handling, 4003 re-auth guard.
+ * Runs the real modules from ./src under Node 20.19+ / 22+ with a headless DOM shim (no npm dependencies):
+ *
+ *   node tests.js
+ *
+ * Focus: room extraction, JWT URL building, dom-auth token fetch contract, snapshot handling, 4003 re-auth guard,
+ * broadcast delay buffer, per-publisher hand history, session recording NDJSON format, DOM rendering,
+ * auth config + pasted-JWT / redirect auth modes, proactive token refresh, OBS overlay mode, hand-history export,
+ * IndexedDB persistence (in-memory backend) + snapshot merge, message schema validation, hub protocol versions,
+ * publisher presence (stale / offline / hub join-leave-heartbeat), publisher identity merge / split,
+ * operator labels / pinned slots / sort modes, log ring buffer (filters, search, virtual scrolling, export),
+ * JSON tree viewer + diff between consecutive messages, connection diagnostics (backoff, close codes, rates, latency, skew),
+ * heartbeat watchdog (ping, hub silent / publishers silent, idle reconnect), stream gaps (seq / outage) + resume cursor,
+ * offline shell (service worker file list + cache keys, manifest, saved rooms on the offline screen),
+ * alert rules (offline publishers, repeated 4002, pocket pairs after the hand, new message types; toasts + rule editor).
  */
 
+import { existsSync, readdirSync, readFileSync } from "node:fs";
+import { runInNewContext } from "node:vm";
+import { installDom } from "./dom-shim.js";
+
+installDom();
+
+const {
+  buildAuthorizeUrl,
+  decodeJwtPayload,
+  getSubscriberToken,
+  loadAuthConfig,
+  parseRedirectResult,
+  resolveTokenExpiry,
+  secondsUntilExpiry,
+} = await import("./src/auth.js");
+const {
+  addAlertRule,
+  checkPresenceAlerts,
+  getAlertRules,
+  MAX_TOASTS,
+  noteAuthFailure,
+  removeAlertRule,
+  renderAlertRules,
+  setAlertsPaused,
+} = await import("./src/alerts.js");
+const { applyAuthSettings, beginRedirectSignIn, consumeRedirectResult, findUntrustedEndpoints, setAuthDefaults } = await import(
+  "./src/authSettings.js"
+);
+const {
+  connect,
+  disconnect,
+  runHeartbeat,
+  scheduleConfigReconnect,
+  selectRoom,
+  setTransport,
+  stopMonitoringRoom,
+  updateQueryStringFromInputs,
+} = await import("./src/connection.js");
+const { els } = await import("./src/dom.js");
+const { clearRoomIdentity, getRoomIdentity, isFallbackId, mergePublishers, restoreRoomIdentity, splitPublisher } = await import(
+  "./src/identity.js"
+);
+const { buildDiagnosticReport, getRoomHealth } = await import("./src/diagnostics.js");
+const { DEFAULT_IDLE_TIMEOUT_MS, IDLE_CLOSE_CODE, assessConnection, setIdleTimeout } = await import("./src/heartbeat.js");
+const { childPath, diffJson } = await import("./src/jsonTree.js");
+const { MAX_LOG_ENTRIES, appendLog, clearLog, getFilteredLogEntries, getLogEntries, onLogScroll, serializeLogEntries, setLogFilter } = await import(
+  "./src/log.js"
+);
+const { SAVED_ROOM_TTL_MS, flushPersistence, forgetRoom, listSavedRooms, restoreRooms, setPersistenceBackend } = await import(
+  "./src/persistence.js"
+);
+const { DEFAULT_OFFLINE_AFTER_MS, DEFAULT_STALE_AFTER_MS, getPresence, setPresenceThresholds } = await import("./src/presence.js");
+const { DEFAULT_BROADCAST_DELAY_MS, getQueuedCount, handleIncomingMessage, resetStore, setBroadcastDelay } = await import("./src/pipeline.js");
+const {
+  clearRoomPrefs,
+  getRoomPrefs,
+  movePinned,
+  pinPublisher,
+  restoreRoomPrefs,
+  setPublisherLabel,
+  setSortMode,
+  sortPublisherIds,
+} = await import("./src/publisherPrefs.js");
+const { PROTOCOL_VERSION, buildWsUrl, extractGameId, extractGameIds, parseDelay, parseEnvelope } = await import("./src/protocol.js");
+const { parseSession, serializeSession } = await import("./src/recorder.js");
+const { REPLAY_ROOM_ID, exitReplay, startReplay } = await import("./src/replay.js");
+const { clearInvalidMessages, getInvalidMessages, validateMessage } = await import("./src/schema.js");
+const { getResumeCursor } = await import("./src/sequence.js");
+const { buildTableView, extractTableState, parseCard } = await import("./src/table.js");
+const { computeEquity, handScore } = await import("./src/equity.js");
+const { getRecaps } = await import("./src/recap.js");
+const { buildHandHistory, formatPokerStarsHand, serializeHandHistory } = await import("./src/handExport.js");
+const { renderOfflineScreen } = await import("./src/offline.js");
+const { parseOverlayCredential, parseOverlayOptions, setOverlayOptions } = await import("./src/overlay.js");
+const { renderDiagnostics, renderHandTimeline, renderPublishersUI, selectPublisher, setJsonDiffMode, setRoomLayout } = await import(
+  "./src/render.js"
+);
+// Namespace import: `publishers` is rebound when the active room changes
+const store = await import("./src/store.js");
+const { MAX_HAND_HISTORY, recordHand, applyMessage } = store;
+
 // Test utilities
 function assert(condition, message) {
   if (!condition) throw new Error(message || "Assertion failed");
@@ -12,18 +106,67 @@ function assertEqual(actual, expected, message) {
   if (actual !== expected) throw new Error(message || `Expected ${expected}, got ${actual}`);
 }
 
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+const handMsg = (publisherId, value1, timestamp, extra = {}) => ({
+  publisherId,
+  playerName: `${publisherId}-name`,
+  type: "hand",
+  data: { value1, suit1: "h", value2: "K", suit2: "d", timestamp },
+  ...extra,
+});
+
+/**
+ * Fake transport: records token fetches + connections and lets tests drive socket events
+ * @param {{ fetchToken?: Function }} [opts]
+ */
+function createFakeTransport(opts = {}) {
+  const fake = {
+    name: "fake",
+    tokenCalls: [],
+    connections: [],
+    async fetchToken(room, password) {
+      fake.tokenCalls.push({ room, password });
+      if (opts.fetchToken) return opts.fetchToken(room, password);
+      return { token: `jwt-${fake.tokenCalls.length}`, expiresInSeconds: 600 };
+    },
+    connect(url, handlers) {
+      const conn = { url, handlers, active: true, sent: [], closeCode: null };
+      fake.connections.push(conn);
+      return {
+        isActive: () => conn.active,
+        send(data) {
+          conn.sent.push(data);
+        },
+        close(code = 1000) {
+          conn.active = false;
+          conn.closeCode = code;
+        },
+        detach() {
+          conn.handlers = null;
+        },
+      };
+    },
+  };
+  return fake;
+}
+
+/** Unsigned JWT with the given claims (the dashboard never checks signatures) */
+function fakeJwt(claims) {
+  const b64url = (obj) => Buffer.from(JSON.stringify(obj)).toString("base64url");
+  return `${b64url({ alg: "HS256", typ: "JWT" })}.${b64url(claims)}.sig`;
+}
+
+function fillConnectForm(room = "room123") {
+  els.hubInput.value = "wss://hub.test/";
+  els.gameIdInput.value = room;
+  els.dashboardPasswordInput.value = "pw";
+}
+
 // Test extractGameId logic
 function testExtractGameId() {
   console.log("Testing extractGameId...");
 
-  function extractGameId(input) {
-    const s = String(input || "").trim();
-    if (!s) return "";
-    const match = s.match(/\/games\/([a-zA-Z0-9_-]+)/);
-    if (match && match[1]) return match[1];
-    return s;
-  }
-
   assertEqual(
     extractGameId("https://www.pokernow.club/games/pglQ2HgWGgYbDUSq7f9moVbXR"),
     "pglQ2HgWGgYbDUSq7f9moVbXR",
@@ -39,21 +182,6 @@ function testExtractGameId() {
 function testBuildWsUrlRequiresToken() {
   console.log("Testing buildWsUrl requires token...");
 
-  function buildWsUrl(hub, gameId, token) {
-    let hubStr = String(hub || "").trim();
-    if (!hubStr) throw new Error("Missing hub");
-    if (!/^wss?:\/\//i.test(hubStr)) hubStr = `wss://${hubStr}`;
-    const u = new URL(hubStr);
-    u.searchParams.set("role", "sub");
-    const room = String(gameId || "").trim();
-    if (!room) throw new Error("Missing room/gameId");
-    u.searchParams.set("room", room);
-    const tokenValue = String(token || "").trim();
-    if (!tokenValue) throw new Error("Missing token (JWT required)");
-    u.searchParams.set("token", tokenValue);
-    return u.toString();
-  }
-
   let threw = false;
   try {
     buildWsUrl("wss://hub.com", "test123", "");
@@ -68,6 +196,8 @@ function testBuildWsUrlRequiresToken() {
   assert(url.includes("role=sub"), "URL should include role=sub");
   assert(url.includes("room=room123"), "URL should include room");
   assert(url.includes("token="), "URL should include token");
+  assert(url.includes(`v=${PROTOCOL_VERSION}`), "URL should advertise the protocol version");
+  assert(buildWsUrl("dom-hub.onrender.com", "r", "t").startsWith("wss://"), "Should default to wss://");
 
   console.log("✓ buildWsUrl requires token tests passed");
 }
@@ -89,28 +219,12 @@ async function testGetSubscriberTokenHeaderAnd401() {
     };
   }
 
-  async function getSubscriberToken(room, password, fetchImpl) {
-    const pw = String(password || "").trim();
-    if (!pw) throw new Error("Missing password");
-
-    const res = await fetchImpl("https://dom-auth.onrender.com/token", {
-      method: "POST",
-      headers: { "Content-Type": "application/json", "X-Dashboard-Password": pw },
-      body: JSON.stringify({ room, role: "sub" }),
-    });
-
-    if (!res.ok) {
-      if (res.status === 401) throw new Error("Unauthorized (wrong password)");
-      throw new Error(`Auth failed (${res.status})`);
-    }
-
-    const data = await res.json();
-    return { token: data.token, expiresInSeconds: data.expiresInSeconds };
-  }
-
-  await getSubscriberToken("room123", "  pw  ", mockFetch);
+  const auth = await getSubscriberToken("room123", "  pw  ", "https://auth.test/token", mockFetch);
   assertEqual(calls.length, 1, "Should call fetch exactly once");
+  assertEqual(calls[0].url, "https://auth.test/token", "Should POST to the given auth URL");
   assertEqual(calls[0].opts.headers["X-Dashboard-Password"], "pw", "Should send trimmed X-Dashboard-Password header");
+  assertEqual(JSON.parse(calls[0].opts.body).role, "sub", "Should request role=sub");
+  assertEqual(auth.expiresInSeconds, 60, "Should pass through expiresInSeconds");
 
   async function mockFetch401() {
     return { ok: false, status: 401, async json() { return { error: "Unauthorized" }; } };
@@ -118,7 +232,7 @@ async function testGetSubscriberTokenHeaderAnd401() {
 
   let threw = false;
   try {
-    await getSubscriberToken("room123", "wrong", mockFetch401);
+    await getSubscriberToken("room123", "wrong", "https://auth.test/token", mockFetch401);
   } catch (e) {
     threw = true;
     assertEqual(e.message, "Unauthorized (wrong password)", "401 should map to Unauthorized (wrong password)");
@@ -131,36 +245,8 @@ async function testGetSubscriberTokenHeaderAnd401() {
 // Test snapshot message handling
 function testSnapshotMessageHandling() {
   console.log("Testing snapshot message handling...");
-
-  const publishers = {};
-
-  function processMessage(msg, receivedAt) {
-    const publisherId = msg.publisherId || "unknown";
-    const playerName = msg.playerName || null;
-    const msgType = msg.type || "unknown";
-
-    if (!publishers[publisherId]) {
-      publishers[publisherId] = { lastSeen: receivedAt, playerName: playerName, latestByType: {} };
-    }
-    publishers[publisherId].lastSeen = receivedAt;
-    if (playerName) publishers[publisherId].playerName = playerName;
-    publishers[publisherId].latestByType[msgType] = msg;
-  }
-
-  function handleIncomingMessage(raw) {
-    const receivedAt = Date.now();
-    if (typeof raw !== "string") return;
-    let msg;
-    try { msg = JSON.parse(raw); } catch { return; }
-
-    if (msg.type === "snapshot" && msg.data && typeof msg.data === "object") {
-      Object.entries(msg.data).forEach(([type, subMsg]) => {
-        if (subMsg && typeof subMsg === "object") processMessage(subMsg, receivedAt);
-      });
-      return;
-    }
-    processMessage(msg, receivedAt);
-  }
+  resetStore();
+  setBroadcastDelay(0);
 
   const snapshotMsg = JSON.stringify({
     type: "snapshot",
@@ -171,10 +257,10 @@ function testSnapshotMessageHandling() {
   });
 
   handleIncomingMessage(snapshotMsg);
-  assert(publishers["pub1"], "Should create publisher from snapshot");
-  assert(publishers["pub1"].latestByType["hand"], "Should have hand message");
-  assert(publishers["pub1"].latestByType["state"], "Should have state message");
-  assertEqual(publishers["pub1"].playerName, "Player1", "Should set player name");
+  assert(store.publishers["pub1"], "Should create publisher from snapshot");
+  assert(store.publishers["pub1"].latestByType["hand"], "Should have hand message");
+  assert(store.publishers["pub1"].latestByType["state"], "Should have state message");
+  assertEqual(store.publishers["pub1"].playerName, "Player1", "Should set player name");
 
   console.log("✓ Snapshot message handling tests passed");
 }
@@ -183,33 +269,1739 @@ function testSnapshotMessageHandling() {
 async function testReAuthInFlightGuard() {
   console.log("Testing reAuthInFlight guard...");
 
-  function create4003Handler() {
-    let reAuthInFlight = false;
-    let reAuthCalls = 0;
+  const fake = createFakeTransport({
+    async fetchToken() {
+      await sleep(10);
+      return { token: "fresh", expiresInSeconds: 600 };
+    },
+  });
+  setTransport(fake);
+  fillConnectForm();
 
-    async function reAuthAndReconnect() {
-      reAuthCalls += 1;
-      await new Promise((r) => setTimeout(r, 10));
-      reAuthInFlight = false;
-    }
+  await connect({ isAuto: false });
+  assertEqual(fake.tokenCalls.length, 1, "Connect should fetch a token once");
+  const first = fake.connections[0];
+  first.handlers.onOpen();
 
-    function onClose(code) {
-      if (code !== 4003) return;
-      if (reAuthInFlight) return;
-      reAuthInFlight = true;
-      void reAuthAndReconnect();
-    }
+  // Two 4003 closes arrive while the re-auth is still in flight
+  const onClose = first.handlers.onClose;
+  onClose({ code: 4003, reason: "expired" });
+  onClose({ code: 4003, reason: "expired" });
+  await sleep(25);
+
+  assertEqual(fake.tokenCalls.length, 2, "Should only re-auth once while in-flight");
+  assertEqual(fake.connections.length, 2, "Should reconnect once with the new token");
+  assert(fake.connections[1].url.includes("token=fresh"), "Should reconnect with the re-fetched token");
+
+  disconnect();
+  console.log("✓ reAuthInFlight guard tests passed");
+}
+
+// Test broadcast delay parsing (settings panel + ?delay=)
+function testParseDelay() {
+  console.log("Testing parseDelay...");
+
+  assertEqual(parseDelay("30"), 30_000, "Bare numbers are seconds");
+  assertEqual(parseDelay("30s"), 30_000, "Should parse seconds");
+  assertEqual(parseDelay("2m"), 120_000, "Should parse minutes");
+  assertEqual(parseDelay("1m30s"), 90_000, "Should parse minutes + seconds");
+  assertEqual(parseDelay("1m 30s"), 90_000, "Should ignore whitespace");
+  assertEqual(parseDelay("1500ms"), 1500, "Should parse milliseconds");
+  assertEqual(parseDelay("0"), 0, "Zero delay is valid");
+  assertEqual(parseDelay(""), null, "Empty is invalid");
+  assertEqual(parseDelay("soon"), null, "Garbage is invalid");
+  assertEqual(parseDelay("2h"), null, "Hours are not supported");
+  assertEqual(parseDelay("61m"), null, "Should cap at 60 minutes");
+
+  console.log("✓ parseDelay tests passed");
+}
+
+// Test delay queue holds messages, releases in order, and drops snapshot replays after reconnect
+async function testBroadcastDelayQueue() {
+  console.log("Testing broadcast delay queue...");
+  resetStore();
+  setBroadcastDelay(60);
+
+  const hand1 = handMsg("pub1", "A", 1);
+  const hand2 = handMsg("pub1", "Q", 2);
 
-    return { onClose, getCalls: () => reAuthCalls };
+  handleIncomingMessage(JSON.stringify(hand1));
+  assert(!store.publishers["pub1"], "Should hold messages until the delay elapses");
+  assertEqual(els.delayQueued.textContent, "1 queued", "Top bar should show queued count");
+
+  // Reconnect mid-delay: hub snapshot re-sends hand1 (already buffered) plus hand2 (missed)
+  await sleep(20);
+  handleIncomingMessage(JSON.stringify({ type: "snapshot", data: { hand: hand1 } }));
+  handleIncomingMessage(JSON.stringify(hand2));
+
+  await sleep(50);
+  assert(store.publishers["pub1"], "Should release after the delay");
+  assertEqual(store.publishers["pub1"].handHistory.length, 1, "Should release only messages whose delay elapsed");
+
+  await sleep(40);
+  assertEqual(store.publishers["pub1"].handHistory.length, 2, "Should release hand2 after the duplicate snapshot");
+  assertEqual(store.publishers["pub1"].latestByType.hand.data.value1, "Q", "Snapshot replay of hand1 should not overwrite hand2");
+
+  // Loading a replay skips the delay for the replay only: live rooms keep holding their cards
+  setBroadcastDelay(60_000);
+  handleIncomingMessage(JSON.stringify(handMsg("pubLive", "K", 3)), { roomId: "delayLive" });
+  startReplay({ header: { room: "delayLive" }, records: [{ t: 0, raw: JSON.stringify(handMsg("pubReplay", "J", 4)) }] });
+  await sleep(20);
+  assert(store.rooms[REPLAY_ROOM_ID].publishers.pubReplay, "Replayed messages are released right away");
+  assertEqual(getQueuedCount(), 1, "The live entry stays queued during a replay");
+  assertEqual(Object.keys(store.rooms.delayLive.publishers).length, 0, "Live hole cards stay held");
+  exitReplay();
+  resetStore("delayLive");
+  store.removeRoom("delayLive");
+  store.setActiveRoom("");
+
+  setBroadcastDelay(DEFAULT_BROADCAST_DELAY_MS);
+  assert(DEFAULT_BROADCAST_DELAY_MS > 0, "Default delay keeps cards off air");
+  assertEqual(els.delayText.textContent, "Delay 30s", "Default delay is shown");
+  setBroadcastDelay(0);
+  assertEqual(els.delayText.textContent, "LIVE · no delay", "Top bar should flag no delay");
+  console.log("✓ Broadcast delay queue tests passed");
+}
+
+// Test hand history dedupes on data.timestamp/cards and stays bounded
+function testHandHistoryDedupe() {
+  console.log("Testing hand history dedupe...");
+  resetStore();
+
+  applyMessage({ publisherId: "pub1", type: "state", data: {} }, 1);
+  const history = store.publishers["pub1"].handHistory;
+  const hand = (v, ts) => ({ type: "hand", data: { value1: v, suit1: "h", value2: "K", suit2: "d", timestamp: ts } });
+
+  assert(recordHand("pub1", hand("A", 1), 1), "Should record first hand");
+  assert(!recordHand("pub1", hand("A", 1), 1), "Should dedupe a repeated hand (same timestamp + cards)");
+  assert(recordHand("pub1", hand("A", 2), 2), "Same cards in a later hand are a distinct hand");
+  assert(!recordHand("pub1", { type: "hand", data: { value1: "", suit1: "", value2: "", suit2: "", timestamp: 3 } }, 3), "Should skip empty hands");
+  assert(recordHand("pub1", hand("Q", undefined), 4), "Should record hand without data.timestamp");
+  assert(!recordHand("pub1", hand("Q", undefined), 5), "Should dedupe consecutive repeats without data.timestamp");
+
+  for (let i = 0; i < MAX_HAND_HISTORY + 5; i++) recordHand("pub1", hand("J", 100 + i), 100 + i);
+  assertEqual(history.length, MAX_HAND_HISTORY, "Should stay bounded");
+  assertEqual(history[history.length - 1].ts, 100 + MAX_HAND_HISTORY + 4, "Should keep the newest hands");
+
+  console.log("✓ Hand history dedupe tests passed");
+}
+
+// Test session NDJSON export/parse round-trip (recorder + replay)
+function testSessionNdjsonRoundTrip() {
+  console.log("Testing session NDJSON round-trip...");
+
+  const raw1 = JSON.stringify(handMsg("pub1", "A", 1));
+  const raw2 = "not json (recorded verbatim)";
+  const text = serializeSession({ room: "room123", hub: "wss://hub", startedAt: 1, records: [{ t: 10, raw: raw1 }, { t: 20, raw: raw2 }] });
+
+  const session = parseSession(text);
+  assertEqual(session.header.room, "room123", "Should keep room in header");
+  assertEqual(session.records.length, 2, "Should parse every record");
+  assertEqual(session.records[0].raw, raw1, "Should preserve raw strings exactly");
+  assertEqual(session.records[1].raw, raw2, "Should preserve unparseable payloads too");
+
+  let threw = false;
+  try {
+    parseSession('{"t": 1, "raw": "x"}\n{oops');
+  } catch (e) {
+    threw = true;
+    assertEqual(e.message, "Invalid JSON on line 2", "Should report the bad line");
   }
+  assert(threw, "Should throw on invalid NDJSON");
 
-  const h = create4003Handler();
-  h.onClose(4003);
-  h.onClose(4003);
-  await new Promise((r) => setTimeout(r, 25));
-  assertEqual(h.getCalls(), 1, "Should only re-auth once while in-flight");
+  console.log("✓ Session NDJSON round-trip tests passed");
+}
 
-  console.log("✓ reAuthInFlight guard tests passed");
+// Test DOM rendering of the cards grid, publisher pills and log through the real render code
+function testRenderPublisherCards() {
+  console.log("Testing publisher card rendering...");
+  resetStore();
+  setBroadcastDelay(0);
+
+  handleIncomingMessage(JSON.stringify(handMsg("pub1", "A", 1, { playerName: "Kunga" })));
+  handleIncomingMessage(JSON.stringify({ publisherId: "pub2", type: "state", data: {} }));
+  renderPublishersUI();
+
+  const tiles = els.publisherCardsGrid.querySelectorAll(".pubCardTile");
+  assertEqual(tiles.length, 2, "Should render one tile per publisher");
+
+  const kunga = tiles.find((t) => t.dataset.pubId === "pub1");
+  assert(kunga, "Should render a tile for pub1");
+  assertEqual(kunga.querySelector(".pubCardName").textContent, "Kunga", "Should show player name");
+  const cards = kunga.querySelectorAll(".miniCard");
+  assertEqual(cards.length, 2, "Should render two mini cards");
+  assertEqual(cards[0].dataset.suit, "♥", "Should render suit symbol");
+  assertEqual(cards[1].dataset.color, "diamond", "Should color diamonds");
+
+  const other = tiles.find((t) => t.dataset.pubId === "pub2");
+  assertEqual(other.querySelector(".handEmpty").textContent, "No cards yet.", "Should show placeholder without a hand");
+
+  assertEqual(els.publisherCount.textContent, "(2)", "Should show publisher count");
+
+  other.click();
+  assert(els.publisherCardsGrid.querySelectorAll(".pubCardTile.selected")[0].dataset.pubId === "pub2", "Click should select the publisher");
+
+  clearLog();
+  for (let i = 0; i < 100; i++) handleIncomingMessage(JSON.stringify(handMsg("pub1", "A", 1000 + i)));
+  assertEqual(getLogEntries().length, 100, "Log should keep every entry");
+  assert(els.log.querySelectorAll(".logRow").length < 100, "Log should only draw the rows in view");
+
+  console.log("✓ Publisher card rendering tests passed");
+}
+
+// Test JWT decoding, redirect URL/fragment handling and dashboard.config.json loading
+async function testAuthHelpers() {
+  console.log("Testing auth helpers...");
+
+  const now = Date.now();
+  const token = fakeJwt({ room: "room123", role: "sub", exp: Math.floor(now / 1000) + 90 });
+  assertEqual(decodeJwtPayload(token).room, "room123", "Should decode JWT claims");
+  assertEqual(decodeJwtPayload("not-a-jwt"), null, "Should return null for non-JWT input");
+  assertEqual(secondsUntilExpiry(token, now), 90, "Should compute seconds until exp");
+  assertEqual(secondsUntilExpiry(fakeJwt({ room: "r" })), undefined, "No exp claim -> undefined");
+
+  const authorize = new URL(
+    buildAuthorizeUrl("https://issuer.test/authorize?client=dash", { room: "room123", redirectUri: "https://dash.test/?gameId=room123", state: "s1" })
+  );
+  assertEqual(authorize.searchParams.get("client"), "dash", "Should keep existing query params");
+  assertEqual(authorize.searchParams.get("response_type"), "token", "Should request a token");
+  assertEqual(authorize.searchParams.get("redirect_uri"), "https://dash.test/?gameId=room123", "Should send redirect_uri");
+
+  assertEqual(parseRedirectResult("#foo=bar"), null, "Unrelated fragments are not sign-in results");
+  const ok = parseRedirectResult("#access_token=abc&expires_in=300&state=s1");
+  assertEqual(ok.token, "abc", "Should read access_token");
+  assertEqual(ok.expiresInSeconds, 300, "Should read expires_in");
+  assertEqual(parseRedirectResult("#error=access_denied&state=s1").error, "access_denied", "Should surface issuer errors");
+
+  const jsonResponse = (body, status = 200) => async () => ({ ok: status === 200, status, async json() { return body; } });
+  assertEqual(await loadAuthConfig("cfg.json", jsonResponse(null, 404)), null, "Missing config file -> null");
+  const cfg = await loadAuthConfig("cfg.json", jsonResponse({ authMode: "jwt", authUrl: " https://staging/token ", extra: 1 }));
+  assertEqual(cfg.authMode, "jwt", "Should read authMode");
+  assertEqual(cfg.authUrl, "https://staging/token", "Should read + trim authUrl");
+  assertEqual((await loadAuthConfig("cfg.json", jsonResponse({ authMode: "telepathy" }))).authMode, undefined, "Should ignore unknown modes");
+
+  let threw = false;
+  try {
+    await loadAuthConfig("cfg.json", jsonResponse([1, 2]));
+  } catch {
+    threw = true;
+  }
+  assert(threw, "Should reject a config that is not an object");
+
+  console.log("✓ Auth helper tests passed");
+}
+
+// Test the pasted-JWT and redirect auth modes end to end through connect()
+async function testAlternativeAuthModes() {
+  console.log("Testing pasted JWT + redirect auth modes...");
+
+  const fake = createFakeTransport();
+  setTransport(fake);
+  fillConnectForm("room123");
+
+  try {
+    // Config file defaults + query string: only non-default auth settings land in the URL
+    setAuthDefaults({ authUrl: "https://staging.test/token" });
+
+    // Links pointing credentials at another host need confirmation; this origin and the defaults don't
+    const page = "https://dash.example/index.html";
+    const untrusted = findUntrustedEndpoints(
+      { authUrl: "https://evil.test/token", authorizeUrl: "https://issuer.evil.test/authorize" },
+      page
+    );
+    assertEqual(untrusted.map((e) => `${e.field}=${e.origin}`).join(","), "authUrl=https://evil.test,authorizeUrl=https://issuer.evil.test");
+    assertEqual(findUntrustedEndpoints({ authUrl: "/token", authorizeUrl: "https://dash.example/sso" }, page).length, 0, "Same-origin endpoints are trusted");
+    assertEqual(findUntrustedEndpoints({ authUrl: "https://staging.test/token", authorizeUrl: null }, page).length, 0, "Configured defaults are trusted");
+
+    applyAuthSettings({ mode: "jwt" });
+    updateQueryStringFromInputs();
+    const url = new URL(window.location.href);
+    assertEqual(url.searchParams.get("authMode"), "jwt", "Should keep non-default mode in the URL");
+    assertEqual(url.searchParams.get("auth"), null, "Should not write the config-file endpoint to the URL");
+
+    // Pasted JWT: no token fetch, token used as-is; an expired paste is rejected up front
+    const pasted = fakeJwt({ room: "room123", role: "sub", exp: Math.floor(Date.now() / 1000) + 600 });
+    els.jwtInput.value = pasted;
+    await connect({ isAuto: false });
+    assertEqual(fake.tokenCalls.length, 0, "Pasted JWT mode should not call the token endpoint");
+    assert(fake.connections[0].url.includes(`token=${pasted}`), "Should connect with the pasted JWT");
+
+    // 4003 on a pasted token: no refresh possible, so stop and flag the field
+    fake.connections[0].handlers.onClose({ code: 4003, reason: "expired" });
+    await sleep(5);
+    assertEqual(fake.connections.length, 1, "Should not reconnect with an expired pasted token");
+    assert(els.jwtInput.classList.contains("token-expired"), "Should flag the JWT field");
+
+    els.jwtInput.value = fakeJwt({ room: "room123", exp: Math.floor(Date.now() / 1000) - 5 });
+    await connect({ isAuto: false });
+    assertEqual(fake.connections.length, 1, "Should not connect with an already-expired JWT");
+
+    // Redirect: sign-in stores state, the issuer comes back with #access_token
+    applyAuthSettings({ mode: "redirect", authorizeUrl: "https://issuer.test/authorize" });
+    beginRedirectSignIn("room123");
+    const outgoing = new URL(window.location.href);
+    assertEqual(outgoing.origin + outgoing.pathname, "https://issuer.test/authorize", "Should navigate to the issuer");
+    const back = new URL(outgoing.searchParams.get("redirect_uri"));
+    back.hash = `access_token=redirect-jwt&expires_in=300&state=${outgoing.searchParams.get("state")}`;
+    window.location.href = back.toString();
+
+    const result = consumeRedirectResult();
+    assert(result && result.ok, "Should accept a token with matching state");
+    assertEqual(new URL(window.location.href).hash, "", "Should strip the token from the URL");
+    await connect({ isAuto: false });
+    assert(fake.connections[1].url.includes("token=redirect-jwt"), "Should connect with the redirect token");
+
+    // A replayed fragment (state already consumed) is ignored
+    window.location.href = back.toString();
+    assertEqual(consumeRedirectResult().ok, false, "Should reject a fragment without a pending sign-in");
+    assertEqual(fake.tokenCalls.length, 0, "Redirect mode should never call the token endpoint");
+  } finally {
+    disconnect();
+    setAuthDefaults({});
+    els.jwtInput.value = "";
+  }
+
+  console.log("✓ Pasted JWT + redirect auth mode tests passed");
+}
+
+// Test the token is refreshed before expiry and the new socket opens before the old one closes
+async function testProactiveTokenRefresh() {
+  console.log("Testing proactive token refresh...");
+
+  const now = Date.now();
+  assertEqual(resolveTokenExpiry({ token: "x", expiresInSeconds: 30 }, now), now + 30_000, "Should prefer expiresInSeconds");
+  assertEqual(resolveTokenExpiry({ token: fakeJwt({ exp: Math.floor(now / 1000) + 45 }) }, now) > now + 44_000, true, "Should fall back to exp");
+  assertEqual(resolveTokenExpiry({ token: "opaque" }, now), null, "Unknown expiry -> null");
+
+  // 0.25s tokens: refresh is due a fifth of the lifetime (50ms) before expiry
+  const fake = createFakeTransport({
+    async fetchToken() {
+      return { token: `jwt-${fake.tokenCalls.length}`, expiresInSeconds: 0.25 };
+    },
+  });
+  setTransport(fake);
+  fillConnectForm();
+  resetStore();
+  setBroadcastDelay(0);
+
+  try {
+    await connect({ isAuto: false });
+    const first = fake.connections[0];
+    first.handlers.onOpen();
+    assert(els.tokenTtl.textContent.startsWith("token 0:00"), "Should show token time remaining");
+    assertEqual(els.tokenTtl.dataset.low, "true", "Should flag a token about to expire");
+
+    await sleep(230);
+    assertEqual(fake.tokenCalls.length, 2, "Should fetch a new token before expiry");
+    assertEqual(fake.connections.length, 2, "Should open a second socket with the new token");
+    assert(first.active, "Old socket stays open until the new one is ready");
+
+    // Old socket keeps delivering until the switch
+    first.handlers.onMessage(JSON.stringify(handMsg("pub1", "A", 1)));
+    const second = fake.connections[1];
+    second.handlers.onOpen();
+    assert(!first.active, "Old socket should close once the new one is open");
+    assertEqual(first.handlers, null, "Old socket handlers should be detached");
+    assertEqual(els.statusText.textContent, "connected", "Status should stay connected across the swap");
+
+    second.handlers.onMessage(JSON.stringify(handMsg("pub1", "Q", 2)));
+    assertEqual(store.publishers["pub1"].handHistory.length, 2, "Messages flow from both sides of the swap");
+
+    // Refresh connection that fails before opening: keep the current socket
+    await sleep(230);
+    const third = fake.connections[2];
+    assert(third, "Should refresh again for the new token");
+    third.handlers.onClose({ code: 4002, reason: "bad token" });
+    assert(second.active, "A failed refresh should not drop the working socket");
+    assertEqual(els.statusText.textContent, "connected", "A failed refresh should not change status");
+  } finally {
+    disconnect();
+  }
+  assertEqual(els.tokenTtl.textContent, "", "Disconnect should clear the token countdown");
+
+  console.log("✓ Proactive token refresh tests passed");
+}
+
+// Test multi-room monitoring: one socket + store per room, per-room status tabs, closing a tab
+async function testMultiRoomMonitoring() {
+  console.log("Testing multi-room monitoring...");
+
+  assertEqual(
+    extractGameIds("r1, https://www.pokernow.club/games/r2\nr1").join(","),
+    "r1,r2",
+    "Should split IDs/URLs on commas and whitespace, dropping duplicates"
+  );
+
+  // Rooms left over from the single-room tests
+  for (const room of store.listRooms()) stopMonitoringRoom(room.id);
+
+  const fake = createFakeTransport();
+  setTransport(fake);
+  fillConnectForm("r1, r2");
+  setBroadcastDelay(0);
+
+  try {
+    await connect({ isAuto: false });
+    assertEqual(fake.tokenCalls.map((c) => c.room).join(","), "r1,r2", "Should fetch a token per room");
+    const [r1, r2] = fake.connections;
+    assert(r1.url.includes("room=r1") && r2.url.includes("room=r2"), "Should open one socket per room");
+    assertEqual(store.getActiveRoomId(), "r1", "First listed room should be shown");
+
+    r1.handlers.onOpen();
+    r2.handlers.onOpen();
+    r1.handlers.onMessage(JSON.stringify(handMsg("pubA", "A", 1)));
+    r2.handlers.onMessage(JSON.stringify(handMsg("pubB", "Q", 2)));
+    assert(store.rooms.r1.publishers.pubA && !store.rooms.r1.publishers.pubB, "r1 messages stay in the r1 store");
+    assert(store.rooms.r2.publishers.pubB && !store.rooms.r2.publishers.pubA, "r2 messages stay in the r2 store");
+
+    renderPublishersUI();
+    assert(!els.roomTabs.hidden, "Tabs should show with more than one room");
+    const tabs = els.roomTabsList.querySelectorAll(".roomTab");
+    assertEqual(tabs.map((t) => t.dataset.room).join(","), "r1,r2", "One tab per room");
+    assertEqual(tabs[1].dataset.status, "connected", "Tabs carry the room status");
+    assert(els.log.querySelectorAll(".roomBadge").length > 0, "Log rows should be tagged with their room");
+
+    // Token expiry in r2 must not touch r1
+    r2.handlers.onClose({ code: 4003, reason: "expired" });
+    await sleep(10);
+    assertEqual(fake.connections.length, 3, "Only r2 should reconnect");
+    assert(fake.connections[2].url.includes("room=r2"), "Re-auth should target r2");
+    assert(r1.active, "r1 socket should stay open");
+    assertEqual(store.rooms.r1.status, "connected", "r1 should stay connected");
+
+    selectRoom("r2");
+    assertEqual(store.publishers, store.rooms.r2.publishers, "Selecting a tab shows that room's store");
+    assertEqual(els.statusText.textContent, "reconnecting", "Top status follows the active room");
+
+    setRoomLayout("grid");
+    assert(!els.roomGrid.hidden && els.publisherCardsGrid.hidden, "Grid layout replaces the single-room cards");
+    assertEqual(els.roomGrid.querySelectorAll(".roomPanel").length, 2, "One panel per room");
+    updateQueryStringFromInputs();
+    const url = new URL(window.location.href);
+    assertEqual(url.searchParams.get("gameId"), "r1,r2", "URL should list every room");
+    assertEqual(url.searchParams.get("layout"), "grid", "URL should keep the grid layout");
+    setRoomLayout("tabs");
+
+    // Dropping a room from the Game ID list tears it down like closing its tab
+    els.gameIdInput.value = "r1";
+    scheduleConfigReconnect();
+    await sleep(400);
+    assertEqual(getRoomHealth("r2"), null, "Dropped room's diagnostics are cleared");
+    assert(!buildDiagnosticReport().includes("Room r2"), "Dropped room leaves the diagnostics report");
+
+    stopMonitoringRoom("r2");
+    assertEqual(fake.connections[2].active, false, "Closing a tab closes that room's socket");
+    assert(!store.rooms.r2, "Closing a tab drops that room's store");
+    assertEqual(store.getActiveRoomId(), "r1", "Active room should fall back to a remaining room");
+    assertEqual(els.gameIdInput.value, "r1", "Closed room should leave the Game ID list");
+    assert(els.roomTabs.hidden, "Tabs hide again with a single room");
+  } finally {
+    disconnect();
+    stopMonitoringRoom("r1");
+  }
+
+  console.log("✓ Multi-room monitoring tests passed");
+}
+
+// Test the table view: state parsing, hole cards placed at seats, and the rendered table
+function testTableView() {
+  console.log("Testing table view...");
+
+  assertEqual(JSON.stringify(parseCard("Td")), JSON.stringify({ value: "10", suit: "d" }), "Should parse T as 10");
+  assertEqual(JSON.stringify(parseCard({ rank: "a", suit: "hearts" })), JSON.stringify({ value: "A", suit: "h" }), "Should parse card objects");
+  assertEqual(parseCard("Zx"), null, "Should reject unknown cards");
+  assertEqual(extractTableState({ type: "state", data: { status: "active" } }), null, "State without seats/board is not a table");
+
+  const table = extractTableState({
+    type: "state",
+    data: {
+      players: [
+        { seatNumber: 4, id: "pub2", name: "Bob", chips: "900", folded: true },
+        { seatNumber: 2, id: "pub1", name: "Kunga", chips: 1450, bet: 20 },
+      ],
+      communityCards: ["Ah", "10d", "Kc"],
+      pot: { total: 120 },
+      button: 4,
+      actionOn: "pub1",
+    },
+  });
+  assertEqual(table.seats.map((s) => s.seat).join(","), "2,4", "Seats sorted by seat number");
+  assertEqual(table.seats[1].stack, 900, "Stacks are numbers");
+  assertEqual(table.seats[1].status, "folded", "folded: true maps to status");
+  assertEqual(table.pot, 120, "Should read pot.total");
+  assertEqual(table.toActSeat, 2, "Player ID to act resolves to a seat");
+  assertEqual(table.maxSeats, 4, "Table size falls back to the highest seat");
+
+  resetStore();
+  setBroadcastDelay(0);
+  handleIncomingMessage(JSON.stringify(handMsg("pub1", "A", 1, { playerName: "Kunga" })));
+  handleIncomingMessage(JSON.stringify(handMsg("pub3", "Q", 1, { playerName: "carol" })));
+  handleIncomingMessage(
+    JSON.stringify({
+      publisherId: "pub3",
+      type: "state",
+      timestamp: 5,
+      data: {
+        maxSeats: 6,
+        seats: [
+          { seat: 1, playerId: "pub1", name: "Kunga", stack: 1450, bet: 20 },
+          { seat: 3, name: "Carol", stack: 800 },
+          { seat: 5, name: "Nobody", stack: 300 },
+        ],
+        board: ["Ah", "Td", "Kc"],
+        pot: 60,
+        dealerSeat: 3,
+        toActSeat: 5,
+      },
+    })
+  );
+
+  const view = buildTableView(store.publishers);
+  assertEqual(view.sourcePublisherId, "pub3", "Table comes from the publisher that sent the state");
+  assertEqual(view.seats[0].publisherId, "pub1", "Seat matched by player ID");
+  assertEqual(view.seats[1].publisherId, "pub3", "Seat matched by player name (case-insensitive)");
+  assertEqual(view.seats[2].holeCards.length, 0, "Seats without a publisher have no hole cards");
+
+  renderPublishersUI();
+  assert(!els.tableView.hidden, "Table should show once a state arrives");
+  const seats = els.tableView.querySelectorAll(".tableSeat");
+  assertEqual(seats.length, 3, "One seat element per occupied seat");
+  assertEqual(seats[0].querySelectorAll(".miniCard").length, 2, "Hole cards placed at the publisher's seat");
+  assertEqual(seats[0].querySelector(".seatStack").textContent, "1,450", "Should show stacks");
+  assertEqual(seats[0].querySelector(".seatBet").textContent, "20", "Should show bets");
+  assert(seats[1].querySelector(".dealerButton"), "Dealer button at the dealer seat");
+  assertEqual(seats[2].dataset.toAct, "true", "Seat to act is flagged");
+  assertEqual(els.tableView.querySelectorAll(".tableBoard .miniCard").length, 3, "Should render the board");
+  assertEqual(els.tableView.querySelector(".tablePot").textContent, "Pot 60", "Should render the pot");
+
+  resetStore();
+  renderPublishersUI();
+  assert(els.tableView.hidden, "Table hides when there is no state");
+
+  console.log("✓ Table view tests passed");
+}
+
+// Test the local evaluator and post-hand equity recaps (only for hands that are over)
+function testHandEquityRecap() {
+  console.log("Testing hand equity recaps...");
+
+  const cards = (...list) => list.map(parseCard);
+  assert(handScore(cards("Ah", "2d", "3c", "4s", "5h")) > handScore(cards("Kh", "Kd", "3c", "4s", "9h")), "Wheel beats a pair");
+  assert(handScore(cards("2h", "3d", "4c", "5s", "6h")) > handScore(cards("Ah", "2d", "3c", "4s", "5h")), "Six-high straight beats the wheel");
+  assert(handScore(cards("2h", "3h", "9h", "Jh", "Kh", "Ks", "Kd")) > handScore(cards("Ac", "Kc", "Qd", "Jd", "10h", "2s", "2d")), "Flush beats straight");
+  assert(handScore(cards("Qh", "Qd", "Qc", "7s", "7h")) > handScore(cards("Qh", "Qd", "Qc", "As", "Kh")), "Full house beats trips");
+
+  const split = computeEquity([cards("Ah", "Kd"), cards("Ac", "Ks")], cards("2h", "7h", "Jd", "3s", "9c"));
+  assert(split.exact && split.equity[0] === 0.5 && split.equity[1] === 0.5, "Identical hands split the pot");
+  const preflop = computeEquity([cards("Ah", "Ad"), cards("Kc", "Ks")], []);
+  assert(!preflop.exact && preflop.equity[0] > 0.75 && preflop.equity[0] < 0.88, "AA vs KK preflop is about 82% (Monte Carlo)");
+  let threw = false;
+  try {
+    computeEquity([cards("Ah", "Ad"), cards("Ah", "Ks")], []);
+  } catch {
+    threw = true;
+  }
+  assert(threw, "Duplicate cards are rejected");
+
+  resetStore();
+  setBroadcastDelay(0);
+  const roomId = store.getActiveRoomId();
+  const state = (handNumber, board, extra = {}) =>
+    handleIncomingMessage(JSON.stringify({ publisherId: "pub1", type: "state", data: { handNumber, board, seats: [{ seat: 1, playerId: "pub1" }], ...extra } }));
+
+  state(7, []);
+  handleIncomingMessage(JSON.stringify(handMsg("pub1", "A", 1, { playerName: "Kunga", data: { value1: "A", suit1: "h", value2: "A", suit2: "d", timestamp: 1 } })));
+  handleIncomingMessage(JSON.stringify(handMsg("pub2", "K", 1, { playerName: "Bob", data: { value1: "K", suit1: "c", value2: "K", suit2: "s", timestamp: 1 } })));
+  state(7, ["2h", "7d", "9c"]);
+  state(7, ["2h", "7d", "9c", "Jh"]);
+  state(7, ["2h", "7d", "9c", "Jh", "Kd"]);
+  assertEqual(getRecaps(roomId).length, 0, "No equity for the hand in progress");
+
+  state(8, []);
+  const recaps = getRecaps(roomId);
+  assertEqual(recaps.length, 1, "Next hand number closes the previous hand");
+  const recap = recaps[0];
+  assertEqual(recap.handNumber, 7, "Recap is for the finished hand");
+  assertEqual(recap.streets.join(","), "preflop,flop,turn,river", "One equity point per street dealt");
+  const [aces, kings] = recap.players;
+  assertEqual(aces.name, "Kunga", "Players keep their names");
+  assert(aces.equity[1] > 0.85, "Aces are far ahead on the flop");
+  assertEqual(kings.equity[3], 1, "Kings win on the river");
+  recap.streets.forEach((_, i) => assert(Math.abs(aces.equity[i] + kings.equity[i] - 1) < 1e-9, "Equities add up to 100%"));
+  assertEqual(recap.exact.join(","), "false,true,true,true", "Exact from the flop on");
+
+  state(7, ["2h", "7d", "9c", "Jh", "Kd"]);
+  assertEqual(getRecaps(roomId).length, 1, "Late states for a finished hand are ignored");
+
+  // A single known hand is measured against a random hand; showdown ends the hand right away
+  handleIncomingMessage(JSON.stringify({ ...handMsg("pub1", "Q", 2), data: { value1: "Q", suit1: "h", value2: "Q", suit2: "d", timestamp: 2 } }));
+  state(8, ["2c", "3c", "4d", "8s", "9s"], { street: "showdown" });
+  assertEqual(getRecaps(roomId).length, 2, "Showdown closes the hand");
+  assert(getRecaps(roomId)[1].vsRandom, "Lone hand is measured against a random hand");
+
+  renderPublishersUI();
+  const rendered = els.recapViewer.querySelectorAll(".recapCard");
+  assertEqual(rendered.length, 2, "One recap card per finished hand");
+  assertEqual(rendered[1].querySelectorAll(".equityPlayer").length, 2, "A row per known hand");
+  assertEqual(rendered[1].querySelectorAll(".equityCell").length, 8, "A bar per hand and street");
+  assertEqual(rendered[1].querySelectorAll(".equityValue")[7].textContent, "100%", "Exact equities have no ≈");
+
+  resetStore();
+  assertEqual(getRecaps(roomId).length, 0, "Resetting the room drops its recaps");
+
+  console.log("✓ Hand equity recap tests passed");
+}
+
+// Test OBS overlay mode: URL options, fragment credential, tiles updated in place
+function testOverlayMode() {
+  console.log("Testing overlay mode...");
+
+  assertEqual(parseOverlayOptions(new URLSearchParams("gameId=abc")), null, "Overlay only with mode=overlay");
+  const opts = parseOverlayOptions(new URLSearchParams("mode=overlay&preset=bogus"));
+  assertEqual(opts.preset, "lower-third", "Unknown presets fall back to lower-third");
+  assertEqual(opts.publisher, null, "No publisher = every publisher");
+  assertEqual(parseOverlayOptions(new URLSearchParams("mode=overlay&publisher=pub2&preset=stack")).publisher, "pub2");
+  assertEqual(JSON.stringify(parseOverlayCredential("#password=s3cret")), JSON.stringify({ password: "s3cret" }));
+  assertEqual(JSON.stringify(parseOverlayCredential("#jwt=a.b.c")), JSON.stringify({ jwt: "a.b.c" }));
+  assertEqual(parseOverlayCredential("#token=abc"), null, "Sign-in redirect fragments are not overlay credentials");
+
+  resetStore();
+  setBroadcastDelay(0);
+  setOverlayOptions(opts);
+  handleIncomingMessage(JSON.stringify(handMsg("pub1", "A", 1, { playerName: "Kunga" })));
+  handleIncomingMessage(JSON.stringify(handMsg("pub2", "Q", 1)));
+  renderPublishersUI();
+
+  assert(!els.overlay.hidden, "Overlay shows in overlay mode");
+  assertEqual(els.overlay.dataset.preset, "lower-third");
+  let tiles = els.overlay.querySelectorAll(".overlayTile");
+  assertEqual(tiles.length, 2, "One tile per publisher");
+  const tileOf = (id) => els.overlay.querySelectorAll(".overlayTile").find((el) => el.dataset.pubId === id);
+  const tile = tileOf("pub1");
+  assertEqual(tile.querySelector(".overlayName").textContent, "Kunga", "Tile shows the player name");
+  const firstCard = tile.querySelector(".miniCard");
+  assert(firstCard.classList.contains("flipIn"), "New cards flip in");
+
+  renderPublishersUI();
+  assertEqual(tile.querySelector(".miniCard"), firstCard, "Same hand keeps its cards (no re-animation)");
+  handleIncomingMessage(JSON.stringify(handMsg("pub1", "9", 2, { playerName: "Kunga" })));
+  renderPublishersUI();
+  assert(tile.querySelector(".miniCard") !== firstCard, "New hand replaces the cards");
+  assertEqual(tileOf("pub1"), tile, "Tiles are updated in place");
+
+  // Single publisher, anchored at its seat
+  setOverlayOptions({ publisher: "pub1", preset: "seat" });
+  handleIncomingMessage(JSON.stringify({ publisherId: "pub1", type: "state", data: { maxSeats: 6, seats: [{ seat: 4, playerId: "pub1" }] } }));
+  renderPublishersUI();
+  tiles = els.overlay.querySelectorAll(".overlayTile");
+  assertEqual(tiles.length, 1, "publisher= shows a single tile");
+  assertEqual(tiles[0].dataset.anchored, "true", "Seat preset anchors the tile at the publisher's seat");
+  assert(tiles[0].style.left.endsWith("%"), "Seat position is relative to the overlay");
+
+  // The URL's publisher was merged into another one: the overlay follows the merge
+  setOverlayOptions({ publisher: "pub2", preset: "stack" });
+  assert(mergePublishers("", "pub2", "pub1"), "Overlay publisher merged");
+  renderPublishersUI();
+  tiles = els.overlay.querySelectorAll(".overlayTile");
+  assertEqual(tiles.length, 1, "Merged publisher still shows");
+  assertEqual(tiles[0].dataset.pubId, "pub1", "Tile follows the merged publisher");
+  clearRoomIdentity("");
+
+  // A publisher found in another room is named with that room's labels
+  handleIncomingMessage(JSON.stringify(handMsg("pubFar", "K", 1)), { roomId: "overlayOther" });
+  setPublisherLabel("overlayOther", "pubFar", { name: "Far table" });
+  setOverlayOptions({ publisher: "pubFar", preset: "stack" });
+  renderPublishersUI();
+  assertEqual(tileOf("pubFar").querySelector(".overlayName").textContent, "Far table", "Label from the publisher's own room");
+  setPublisherLabel("overlayOther", "pubFar", { name: "" });
+  resetStore("overlayOther");
+  store.removeRoom("overlayOther");
+
+  setOverlayOptions({ publisher: "nobody", preset: "stack" });
+  renderPublishersUI();
+  assertEqual(els.overlay.querySelectorAll(".overlayTile").length, 0, "Unknown publisher shows nothing");
+
+  setOverlayOptions(null);
+  els.overlay.innerHTML = "";
+  els.overlay.hidden = true;
+  resetStore();
+
+  console.log("✓ Overlay mode tests passed");
+}
+
+// Test hand-history export from a recorded session (PokerStars text + JSON)
+function testHandHistoryExport() {
+  console.log("Testing hand-history export...");
+
+  const rec = (t, msg) => ({ t, raw: JSON.stringify(msg) });
+  const seats = [
+    { seat: 2, playerId: "pub1", name: "Kunga", stack: 1000 },
+    { seat: 5, name: "Bob", stack: 800 },
+  ];
+  const state = (handNumber, board, extra = {}) => ({
+    publisherId: "pub1",
+    type: "state",
+    data: { handNumber, board, seats, maxSeats: 6, dealerSeat: 5, smallBlind: 5, bigBlind: 10, ...extra },
+  });
+  const t0 = Date.UTC(2026, 9, 19, 18, 3, 5);
+  const records = [
+    rec(t0, state(41, [])),
+    rec(t0 + 1, { publisherId: "pub1", playerName: "Kunga", type: "hand", data: { value1: "10", suit1: "h", value2: "A", suit2: "s", timestamp: 7 } }),
+    rec(t0 + 2, { publisherId: "pub2", playerName: "Carol", type: "hand", data: { value1: "2", suit1: "c", value2: "2", suit2: "d", timestamp: 7 } }),
+    { t: t0 + 3, raw: "not json" },
+    rec(t0 + 4, state(41, ["2h", "7d", "9c", "Jh", "Kd"], { pot: 120, seats: [seats[0], { ...seats[1], cards: ["Qs", "Qd"] }], street: "showdown" })),
+    rec(t0 + 5, { type: "snapshot", data: { state: state(42, []) } }),
+    rec(t0 + 6, { publisherId: "pub1", playerName: "Kunga", type: "hand", data: { value1: "K", suit1: "h", value2: "K", suit2: "s", timestamp: 9 } }),
+  ];
+
+  const hands = buildHandHistory(records, { gameId: "pglQ2H" });
+  assertEqual(hands.length, 2, "Finished hand + the hand in progress at the end of the recording");
+  const [hand] = hands;
+  assertEqual(hand.handNumber, 41);
+  assertEqual(hand.gameId, "pglQ2H", "Game ID is kept on every hand");
+  assertEqual(hand.startedAt, t0, "Start time is the first message of the hand");
+  assertEqual(hand.endedAt, t0 + 4, "End time is the message that ended the hand");
+  assertEqual(hand.board.join(" "), "2h 7d 9c Jh Kd");
+  assertEqual(hand.seats[0].stack, 1000, "Starting stacks from the first state");
+  assertEqual(hand.players.map((p) => `${p.name}:${p.cards.join("")}:${p.shown}`).join(","), "Kunga:ThAs:false,Carol:2c2d:false,Bob:QsQd:true");
+  assertEqual(hand.players[0].seat, 2, "Publisher matched to their seat");
+
+  const text = formatPokerStarsHand(hand).split("\n");
+  assertEqual(text[0], "PokerStars Hand #41: Hold'em No Limit (5/10) - 2026/10/19 18:03:05 UTC");
+  assertEqual(text[1], "Table 'pglQ2H' 6-max Seat #5 is the button");
+  assert(text.includes("Seat 2: Kunga (1000 in chips)"), "Seat lines with stacks");
+  assert(text.includes("Seat 6: Carol (0 in chips)"), "Publishers without a seat get a free one");
+  assert(text.includes("Dealt to Kunga [Th As]"), "Hole cards of the publisher");
+  assert(text.includes("*** TURN *** [2h 7d 9c] [Jh]") && text.includes("*** RIVER *** [2h 7d 9c Jh] [Kd]"), "One line per street");
+  assert(text.includes("Bob: shows [Qs Qd]") && text.includes("Seat 5: Bob showed [Qs Qd]"), "Showdown cards");
+  assert(text.includes("Total pot 120 | Rake 0"), "Pot in the summary");
+
+  const mine = buildHandHistory(records, { gameId: "pglQ2H", publisherId: "pub2" });
+  assertEqual(mine.length, 1, "Per-publisher export keeps only hands they were dealt");
+  const heroText = serializeHandHistory(mine, "pokerstars", { publisherId: "pub2" });
+  assert(heroText.includes("Dealt to Carol [2c 2d]") && !heroText.includes("Dealt to Kunga"), "Only the hero's hole cards");
+
+  // Exporting a merged publisher keeps the hands recorded under its aliases
+  assert(mergePublishers("", "pub2", "carolPN001"), "Alias merged");
+  const merged = buildHandHistory(records, { gameId: "pglQ2H", publisherId: "carolPN001" });
+  assertEqual(merged.length, 1, "The alias's hand belongs to the merged publisher");
+  assert(serializeHandHistory(merged, "pokerstars", { publisherId: "carolPN001" }).includes("Dealt to Carol [2c 2d]"), "Hero cards under the merged ID");
+  clearRoomIdentity("");
+
+  const doc = JSON.parse(serializeHandHistory(hands, "json", { gameId: "pglQ2H", hub: "wss://hub" }));
+  assertEqual(doc.kind, "handHistory");
+  assertEqual(doc.version, 1);
+  assertEqual(doc.gameId, "pglQ2H");
+  assertEqual(doc.hands[1].handNumber, 42, "Snapshot entries are unwrapped");
+  assertEqual(doc.hands[0].players[0].dealtAt, 7, "Publisher timestamps are kept");
+
+  // A resume batch replays missed hands after a reconnect: unpacked in seq order
+  const kungaHand = (value, seq) => ({ publisherId: "pub1", playerName: "Kunga", type: "hand", seq, data: { value1: value, suit1: "h", value2: "2", suit2: "s", timestamp: seq } });
+  const resumed = buildHandHistory(
+    [
+      rec(t0, { ...state(43, []), seq: 1 }),
+      rec(t0 + 1, { v: 1, type: "resume", data: { messages: [kungaHand("J", 4), { ...state(44, []), seq: 3 }, kungaHand("Q", 2)] } }),
+    ],
+    { gameId: "pglQ2H" }
+  );
+  assertEqual(resumed.map((h) => `${h.handNumber}:${h.players[0].cards[0]}`).join(","), "43:Qh,44:Jh", "Resumed hands are exported in seq order");
+
+  console.log("✓ Hand-history export tests passed");
+}
+
+// Test per-room persistence across a reload (in-memory backend instead of IndexedDB) and the snapshot merge
+async function testPersistenceRestore() {
+  console.log("Testing persistence + restore...");
+
+  const saved = new Map();
+  setPersistenceBackend({
+    getAll: async () => Array.from(saved.values()).map((r) => structuredClone(r)),
+    put: async (record) => void saved.set(record.roomId, structuredClone(record)),
+    delete: async (roomId) => void saved.delete(roomId),
+  });
+
+  setBroadcastDelay(0);
+  store.ensureRoom("persistRoom", "persistRoom");
+  const opts = { roomId: "persistRoom" };
+  const stateMsg = { publisherId: "pub1", type: "state", timestamp: 500, data: { status: "active" } };
+  handleIncomingMessage(JSON.stringify(handMsg("pub1", "A", 100)), opts);
+  handleIncomingMessage(JSON.stringify(handMsg("pub1", "Q", 200)), opts);
+  handleIncomingMessage(JSON.stringify(stateMsg), opts);
+  await flushPersistence();
+
+  const record = saved.get("persistRoom");
+  assert(record, "Room saved after messages");
+  assertEqual(record.publishers.pub1.handHistory.length, 2, "Hand history is saved");
+  assertEqual(record.log.map((e) => e.cardsText).join(","), "A♥ K♦,Q♥ K♦,[recap],[state]", "Log rows of the room are saved");
+  assert(!saved.has(""), "The fallback store is never saved");
+
+  // "Reload": the room's store and log are gone
+  const lastSeen = store.rooms.persistRoom.publishers.pub1.lastSeen;
+  store.removeRoom("persistRoom");
+  clearLog();
+
+  saved.set("oldRoom", { roomId: "oldRoom", label: "oldRoom", savedAt: Date.now() - SAVED_ROOM_TTL_MS - 1, publishers: {}, log: [] });
+  const restored = await restoreRooms(["persistRoom", "otherRoom"]);
+  assertEqual(restored.length, 1, "Only saved rooms are restored");
+  assert(!saved.has("oldRoom"), "Expired rooms are dropped on load");
+  const pub = store.rooms.persistRoom.publishers.pub1;
+  assertEqual(pub.handHistory.length, 2, "Hand history restored");
+  assertEqual(pub.lastSeen, lastSeen, "lastSeen restored");
+  const rows = els.log.querySelectorAll(".logRow.restored");
+  assertEqual(rows.length, 4, "Saved log rows come back (marked restored)");
+  assertEqual((await restoreRooms(["persistRoom"])).length, 0, "A room is restored once per page load");
+
+  // Snapshot after the reload: known entries and older ones are skipped, new ones applied
+  handleIncomingMessage(
+    JSON.stringify({
+      type: "snapshot",
+      data: {
+        hand: handMsg("pub1", "Q", 200),
+        state: { ...stateMsg, timestamp: 400, data: { status: "stale" } },
+        chat: { publisherId: "pub1", type: "chat", data: { text: "gl" } },
+      },
+    }),
+    opts
+  );
+  assertEqual(pub.lastSeen > lastSeen, true, "New snapshot entries update the publisher");
+  assertEqual(pub.latestByType.state.data.status, "active", "Older snapshot entries don't replace newer restored ones");
+  assert(pub.latestByType.chat, "New snapshot entries are applied");
+  assertEqual(pub.handHistory.length, 2, "Restored hands are not duplicated");
+  const snapshotRow = getLogEntries("persistRoom").find((e) => e.cardsText === "[snapshot]");
+  const counts = JSON.parse(snapshotRow.raw);
+  assertEqual(counts.skippedDuplicates + counts.skippedKnown, 2, "Snapshot log counts the skipped entries");
+
+  // Merging saved hands into a live publisher keeps the history bounded (newest kept)
+  const fullHistory = Array.from({ length: MAX_HAND_HISTORY }, (_, i) => ({ key: `saved${i}`, publisherId: "pubB", ts: i, receivedAt: i }));
+  saved.set("fullRoom", {
+    roomId: "fullRoom",
+    label: "fullRoom",
+    savedAt: Date.now(),
+    publishers: { pubB: { lastSeen: 1, playerName: null, latestByType: {}, handHistory: fullHistory } },
+    log: [],
+  });
+  store.ensureRoom("fullRoom");
+  handleIncomingMessage(JSON.stringify(handMsg("pubB", "K", 5000)), { roomId: "fullRoom" });
+  await restoreRooms(["fullRoom"]);
+  const merged = store.rooms.fullRoom.publishers.pubB.handHistory;
+  assertEqual(merged.length, MAX_HAND_HISTORY, "Merged history is trimmed to MAX_HAND_HISTORY");
+  assertEqual(merged[merged.length - 1].value1, "K", "The live hand is kept");
+  assertEqual(merged[0].key, "saved1", "The oldest saved hand is dropped");
+  stopMonitoringRoom("fullRoom");
+  saved.delete("fullRoom");
+
+  // A failed write leaves the room pending: the next flush saves it
+  const put = async (record) => void saved.set(record.roomId, structuredClone(record));
+  let failNext = true;
+  setPersistenceBackend({
+    getAll: async () => Array.from(saved.values()).map((r) => structuredClone(r)),
+    put: async (record) => {
+      if (failNext) {
+        failNext = false;
+        throw new Error("quota");
+      }
+      return put(record);
+    },
+    delete: async (roomId) => void saved.delete(roomId),
+  });
+  saved.delete("persistRoom");
+  handleIncomingMessage(JSON.stringify(handMsg("pub1", "J", 300)), opts);
+  let flushError = null;
+  await flushPersistence().catch((e) => (flushError = e));
+  assert(flushError && !saved.has("persistRoom"), "Failed write is reported");
+  await flushPersistence();
+  assert(saved.has("persistRoom"), "Room stays pending after a failed write");
+
+  // Forget this room
+  await forgetRoom("persistRoom");
+  assert(!saved.has("persistRoom"), "Forget deletes the saved room");
+
+  stopMonitoringRoom("persistRoom");
+
+  // A room added to the Game ID list while connected is restored before its socket opens
+  // (otherwise its first save would overwrite the saved record)
+  saved.set("addedRoom", {
+    roomId: "addedRoom",
+    label: "addedRoom",
+    savedAt: Date.now(),
+    publishers: { pubX: { lastSeen: 1, playerName: null, latestByType: {}, handHistory: [{ key: "k1", publisherId: "pubX", ts: 1, receivedAt: 1 }] } },
+    log: [],
+  });
+  const fake = createFakeTransport();
+  setTransport(fake);
+  fillConnectForm("liveRoom");
+  try {
+    await connect({ isAuto: false });
+    fake.connections[0].handlers.onOpen();
+    els.gameIdInput.value = "liveRoom, addedRoom";
+    scheduleConfigReconnect();
+    await sleep(400);
+    assert(fake.connections.some((c) => c.url.includes("room=addedRoom")), "Added room connects");
+    assertEqual(store.rooms.addedRoom.publishers.pubX?.handHistory.length, 1, "Added room's saved hands are restored");
+  } finally {
+    disconnect();
+    stopMonitoringRoom("addedRoom");
+    stopMonitoringRoom("liveRoom");
+  }
+
+  setPersistenceBackend(null);
+  clearLog();
+
+  console.log("✓ Persistence + restore tests passed");
+}
+
+// Test schema validation: valid messages reach their handler, rejected ones only the Invalid panel
+function testMessageSchemaValidation() {
+  console.log("Testing message schema validation...");
+
+  const errorsOf = (msg) => {
+    const result = validateMessage(msg);
+    return result.ok ? [] : result.errors;
+  };
+  assertEqual(validateMessage(handMsg("pub1", "10", 1)).ok, true, "10 is a rank");
+  assertEqual(validateMessage({ publisherId: "pub1", type: "hand", data: {} }).ok, true, "Hand without cards is valid");
+  assertEqual(errorsOf({ publisherId: "pub1", type: "hand", data: { value1: "X", suit1: "h", value2: "K", suit2: "z" } }).join(" | "),
+    'data.value1: "X" is not a card rank | data.suit2: "z" is not a suit (h, d, c, s)');
+  assertEqual(errorsOf({ type: "hand", data: { value1: "A", suit1: "h" } })[0], "data: incomplete cards (missing value2, suit2)");
+  assertEqual(errorsOf({ type: "state", data: { board: ["Ah", "1x"], pot: "lots" } }).join(" | "),
+    'data.board[1]: "1x" is not a card | data.pot: "lots" is not a number');
+  assertEqual(errorsOf({ type: "hand", schemaVersion: 2, data: {} })[0], "schemaVersion: hand v2 is newer than this dashboard understands (v1)");
+  assertEqual(errorsOf({ type: 5, publisherId: 7 }).length, 2, "Envelope fields are typed");
+  assertEqual(validateMessage({ type: "chat", publisherId: "pub1", data: { anything: [1, 2] } }).ok, true, "Unknown types pass through");
+  assertEqual(validateMessage([1, 2]).ok, false, "Arrays are not messages");
+
+  resetStore();
+  clearInvalidMessages();
+  setBroadcastDelay(0);
+
+  handleIncomingMessage(JSON.stringify({ publisherId: "bad", type: "hand", data: { value1: "Z", suit1: "h", value2: "K", suit2: "d" } }));
+  assert(!store.publishers["bad"], "Rejected messages never reach the store");
+  assertEqual(getInvalidMessages().length, 1, "Rejected message is kept for the panel");
+  assertEqual(getInvalidMessages()[0].publisherId, "bad");
+
+  handleIncomingMessage(
+    JSON.stringify({
+      type: "snapshot",
+      data: {
+        hand: handMsg("pub1", "A", 1),
+        state: { publisherId: "pub1", type: "state", data: { seats: "nope" } },
+      },
+    })
+  );
+  assert(store.publishers["pub1"].latestByType["hand"], "Valid snapshot entries are applied");
+  assert(!store.publishers["pub1"].latestByType["state"], "Invalid snapshot entries are rejected one by one");
+  handleIncomingMessage("{not json");
+  assertEqual(getInvalidMessages().length, 3, "Parse errors are listed too");
+
+  renderPublishersUI();
+  assertEqual(els.invalidCount.textContent, "3", "Tab shows the rejected count");
+  const entries = els.invalidViewer.querySelectorAll(".invalidEntry");
+  assertEqual(entries.length, 3, "One entry per rejected message");
+  assertEqual(entries[1].querySelector(".invalidErrors li").textContent, "data.seats: expected an array", "Entry lists the validation error");
+
+  clearInvalidMessages();
+  renderPublishersUI();
+  assert(els.invalidCount.hidden, "Count hides when the list is cleared");
+  resetStore();
+
+  console.log("✓ Message schema validation tests passed");
+}
+
+// Test hub protocol versions: unversioned + versioned envelopes, hello, newer-hub warning
+function testProtocolVersionNegotiation() {
+  console.log("Testing hub protocol version negotiation...");
+
+  const legacy = handMsg("pub1", "A", 1);
+  assertEqual(parseEnvelope(legacy).version, 0, "No v = unversioned hub");
+  assertEqual(parseEnvelope(legacy).msg, legacy, "Unversioned messages pass through as-is");
+  const { version, msg } = parseEnvelope({ v: 1, ...legacy, route: "x" });
+  assertEqual(version, 1);
+  assertEqual(msg.v, undefined, "The envelope version is stripped");
+  assertEqual(msg.route, "x", "Unknown envelope fields are ignored, not rejected");
+  const snap = parseEnvelope({ v: 1, type: "snapshot", data: { messages: [handMsg("pub1", "A", 1), handMsg("pub2", "K", 2)] } }).msg;
+  assertEqual(Object.keys(snap.data).join(","), "pub1/hand,pub2/hand", "Snapshot list is keyed per publisher and type");
+  assertEqual(parseEnvelope({ v: "two", type: "hand" }).version, 0, "A malformed v is treated as unversioned");
+
+  resetStore();
+  clearInvalidMessages();
+  setBroadcastDelay(0);
+  clearLog();
+
+  // Unversioned hub: nothing logged, no warning
+  handleIncomingMessage(JSON.stringify(handMsg("pub1", "A", 1)));
+  assertEqual(store.rooms[""].protocol, 0);
+  renderPublishersUI();
+  assert(els.protocolWarning.hidden, "No warning for an unversioned hub");
+
+  // Versioned hub: hello + snapshot with two publishers
+  handleIncomingMessage(JSON.stringify({ v: 1, type: "hello", data: { protocol: 1, minProtocol: 1 } }));
+  handleIncomingMessage(JSON.stringify({ v: 1, type: "snapshot", data: { messages: [handMsg("pub2", "K", 2), handMsg("pub3", "Q", 3)] } }));
+  assert(store.publishers["pub2"] && store.publishers["pub3"], "Versioned snapshot entries are applied");
+  assert(!store.publishers["unknown"], "hello never reaches the store");
+  assertEqual(getLogEntries().filter((e) => e.cardsText === "[protocol v1]").length, 1, "Protocol change is logged once");
+
+  // Newer hub: messages are still read, with a warning
+  handleIncomingMessage(JSON.stringify({ v: 2, ...handMsg("pub4", "J", 4), extra: { future: true } }));
+  assert(store.publishers["pub4"], "Messages from a newer hub are read best-effort");
+  assert(getLogEntries().some((e) => e.kind === "error" && e.cardsText === "[hub protocol v2]"), "Newer hub is logged as an error");
+  renderPublishersUI();
+  assert(!els.protocolWarning.hidden, "Warning banner is shown");
+  assert(els.protocolWarning.textContent.includes(`v2`) && els.protocolWarning.textContent.includes(`(v${PROTOCOL_VERSION})`), "Banner names both versions");
+
+  handleIncomingMessage(JSON.stringify({ v: 1, ...handMsg("pub4", "T", 5) }));
+  renderPublishersUI();
+  assert(els.protocolWarning.hidden, "Warning clears when the hub speaks a known version again");
+  resetStore();
+  clearLog();
+
+  console.log("✓ Hub protocol version negotiation tests passed");
+}
+
+// Test publisher presence: thresholds, hub presence events, stale styling + offline archive
+function testPublisherPresence() {
+  console.log("Testing publisher presence...");
+
+  const now = 1_000_000;
+  assertEqual(getPresence({ lastSeen: now - 5_000 }, now), "online");
+  assertEqual(getPresence({ lastSeen: now - DEFAULT_STALE_AFTER_MS }, now), "stale");
+  assertEqual(getPresence({ lastSeen: now - DEFAULT_OFFLINE_AFTER_MS }, now), "offline");
+  assertEqual(getPresence({ lastSeen: now - 5_000, leftAt: now - 1_000 }, now), "offline", "A hub leave means offline right away");
+  assertEqual(setPresenceThresholds({ staleMs: 10_000, offlineMs: 5_000 }), false, "Stale must be below offline");
+  assert(setPresenceThresholds({ staleMs: 2_000 }), "Thresholds are configurable");
+  assertEqual(getPresence({ lastSeen: now - 3_000 }, now), "stale");
+  setPresenceThresholds({ staleMs: DEFAULT_STALE_AFTER_MS, offlineMs: DEFAULT_OFFLINE_AFTER_MS });
+
+  resetStore();
+  setBroadcastDelay(0);
+  clearLog();
+
+  handleIncomingMessage(JSON.stringify(handMsg("pub1", "A", 1)));
+  handleIncomingMessage(JSON.stringify(handMsg("pub2", "Q", 2)));
+  handleIncomingMessage(JSON.stringify(handMsg("pub3", "J", 3)));
+  store.publishers["pub2"].lastSeen -= DEFAULT_STALE_AFTER_MS + 1_000;
+  store.publishers["pub3"].lastSeen -= DEFAULT_OFFLINE_AFTER_MS + 1_000;
+
+  // Hub presence events: heartbeats keep a publisher alive without a latest message or log row
+  const rowsBefore = getLogEntries().length;
+  handleIncomingMessage(JSON.stringify({ publisherId: "pub4", playerName: "Dana", type: "heartbeat" }));
+  assertEqual(getPresence(store.publishers["pub4"]), "online", "Heartbeat from a new publisher adds it");
+  assertEqual(Object.keys(store.publishers["pub4"].latestByType).length, 0, "Heartbeats are not kept as messages");
+  assertEqual(getLogEntries().length, rowsBefore, "Heartbeats are not logged");
+  handleIncomingMessage(JSON.stringify({ publisherId: "pub1", type: "presence", data: { status: "offline" } }));
+  assertEqual(getPresence(store.publishers["pub1"]), "offline", "Leave event");
+  assertEqual(getLogEntries().filter((e) => e.cardsText === "[left]").length, 1, "Leave is logged");
+  handleIncomingMessage(JSON.stringify({ publisherId: "nobody", type: "leave" }));
+  assert(!store.publishers["nobody"], "Leave for an unknown publisher is ignored");
+
+  renderPublishersUI();
+  const tiles = els.publisherCardsGrid.querySelectorAll(".pubCardTile");
+  const tile = (id) => tiles.find((t) => t.dataset.pubId === id);
+  assertEqual(tile("pub2").dataset.presence, "stale");
+  assert(tile("pub2").className.includes("stale"), "Stale tile is styled");
+  assert(tile("pub2").querySelector(".pubCardTime").textContent.endsWith("· stale"), "Stale tile says so");
+  assertEqual(tile("pub1").querySelector(".pubCardTime").textContent, "left just now");
+
+  const archive = els.publisherCardsGrid.querySelector(".pubArchiveList");
+  const archived = archive.querySelectorAll(".pubCardTile").map((t) => t.dataset.pubId).sort();
+  assertEqual(archived.join(","), "pub1,pub3", "Offline publishers are archived");
+  assert(archive.hidden, "Archive starts collapsed");
+  const toggle = els.publisherCardsGrid.querySelector(".pubArchiveToggle");
+  assertEqual(toggle.textContent, "▸ Offline (2)");
+  toggle.click();
+  renderPublishersUI();
+  assert(!els.publisherCardsGrid.querySelector(".pubArchiveList").hidden, "Archive stays expanded across renders");
+  assertEqual(els.publishersList.querySelector(".pubArchiveList").querySelectorAll(".pubCard").length, 2, "Pills are archived too");
+
+  // Any message brings a publisher back
+  handleIncomingMessage(JSON.stringify(handMsg("pub1", "T", 4)));
+  assertEqual(getPresence(store.publishers["pub1"]), "online", "Publisher is back after a message");
+  els.publisherCardsGrid.querySelector(".pubArchiveToggle").click();
+  resetStore();
+  clearLog();
+
+  console.log("✓ Publisher presence tests passed");
+}
+
+// Test publisher identity: fallback UUIDs linked by name / seat, operator merge + split, saved aliases
+function testPublisherIdentity() {
+  console.log("Testing publisher identity merging...");
+
+  const uuid1 = "0b7e6f9a-1c2d-4e5f-8a9b-0c1d2e3f4a5b";
+  const uuid2 = "9f8e7d6c-5b4a-4392-8170-6f5e4d3c2b1a";
+  assert(isFallbackId(uuid1) && isFallbackId("unknown") && !isFallbackId("449iYoPwk6"), "UUIDs are fallback IDs, PokerNow IDs are not");
+
+  resetStore();
+  clearRoomIdentity("");
+  setBroadcastDelay(0);
+  clearLog();
+
+  // A fallback ID seen first, then the same name with a PokerNow ID: one publisher
+  handleIncomingMessage(JSON.stringify({ ...handMsg(uuid1, "A", 1), playerName: "Kunga" }));
+  handleIncomingMessage(JSON.stringify({ ...handMsg("449iYoPwk6", "Q", 2), playerName: "Kunga" }));
+  assert(!store.publishers[uuid1], "Fallback entry is merged away");
+  const kunga = store.publishers["449iYoPwk6"];
+  assertEqual(kunga.handHistory.length, 2, "Hands of both IDs are kept");
+  assertEqual(kunga.handHistory[0].sourceId, uuid1, "Merged hands remember their own ID");
+  assertEqual(getLogEntries().filter((e) => e.cardsText === "[linked]").length, 1, "Auto link is logged");
+
+  // Later messages from the fallback ID (even without a name) go to the same publisher
+  handleIncomingMessage(JSON.stringify({ publisherId: uuid1, type: "hand", data: { value1: "J", suit1: "c", value2: "J", suit2: "d", timestamp: 3 } }));
+  assertEqual(kunga.handHistory.length, 3);
+
+  // A seat in a table state gives the PokerNow ID of a name the dashboard hasn't seen as a publisher
+  handleIncomingMessage(JSON.stringify({ publisherId: "449iYoPwk6", type: "state", data: { seats: [{ seat: 2, name: "Dana", playerId: "danaPN0001" }] } }));
+  handleIncomingMessage(JSON.stringify({ ...handMsg(uuid2, "T", 4), playerName: "Dana" }));
+  assert(store.publishers["danaPN0001"] && !store.publishers[uuid2], "Fallback ID is stored under the seat's player ID");
+
+  // No publisherId: resolved by name per message, "unknown" is never aliased
+  handleIncomingMessage(JSON.stringify({ playerName: "dana", type: "hand", data: { value1: "9", suit1: "s", value2: "8", suit2: "s", timestamp: 5 } }));
+  assertEqual(store.publishers["danaPN0001"].handHistory.length, 2);
+  assertEqual(getRoomIdentity("").aliases["unknown"], undefined);
+
+  // Operator merge of two PokerNow IDs, then split back out
+  handleIncomingMessage(JSON.stringify({ ...handMsg("bobPN00001", "K", 6), playerName: "Bob" }));
+  store.publishers["bobPN00001"].lastSeen += 1_000; // Bob's messages are the newer ones
+  assert(mergePublishers("", "bobPN00001", "danaPN0001"), "Manual merge");
+  assert(!store.publishers["bobPN00001"], "Merged publisher disappears from the grid");
+  renderPublishersUI();
+  selectPublisher("danaPN0001");
+  const splitBtn = els.publisherAliases.querySelectorAll(".aliasSplitBtn").find((b) => b.dataset.aliasId === "bobPN00001");
+  assert(splitBtn, "Merged IDs are listed with a Split button");
+  assert(els.mergeTargetSelect.querySelectorAll("option").some((o) => o.value === "449iYoPwk6"), "Other publishers are merge targets");
+
+  assert(splitPublisher("", "bobPN00001"), "Split");
+  assertEqual(store.publishers["bobPN00001"].handHistory.length, 1, "Split publisher gets its hands back");
+  assertEqual(store.publishers["bobPN00001"].latestByType["hand"].data.value1, "K", "...and its latest messages");
+  assertEqual(store.publishers["danaPN0001"].handHistory.length, 2);
+
+  // Aliases are saved per room; a split ID stays split
+  const saved = getRoomIdentity("");
+  assertEqual(saved.aliases[uuid1].into, "449iYoPwk6");
+  assertEqual(saved.unlinked.join(","), "bobPN00001");
+  clearRoomIdentity("");
+  restoreRoomIdentity("", saved);
+  assertEqual(getRoomIdentity("").aliases[uuid2].into, "danaPN0001", "Aliases are restored");
+
+  clearRoomIdentity("");
+  resetStore();
+  clearLog();
+  console.log("✓ Publisher identity tests passed");
+}
+
+// Test operator labels, pinned slots and sort modes (cards stop jumping around on air)
+function testPublisherPrefs() {
+  console.log("Testing publisher labels + sort modes...");
+
+  resetStore();
+  clearRoomPrefs("");
+  setBroadcastDelay(0);
+
+  handleIncomingMessage(JSON.stringify({ ...handMsg("pubC", "A", 1), playerName: "Carol" }));
+  handleIncomingMessage(JSON.stringify({ ...handMsg("pubA", "K", 2), playerName: "alice" }));
+  handleIncomingMessage(JSON.stringify({ ...handMsg("pubB", "Q", 3), playerName: "Bob" }));
+  handleIncomingMessage(
+    JSON.stringify({ publisherId: "pubB", type: "state", data: { seats: [{ seat: 1, playerId: "pubB" }, { seat: 4, playerId: "pubC" }, { seat: 6, playerId: "pubA" }] } })
+  );
+  store.publishers["pubC"].lastSeen += 2_000;
+  store.publishers["pubA"].lastSeen += 1_000;
+
+  const order = () => sortPublisherIds("", store.publishers).join(",");
+  assertEqual(order(), "pubC,pubA,pubB", "Default: most recently seen first");
+  assert(setSortMode("", "fixed"));
+  assertEqual(order(), "pubC,pubA,pubB", "Fixed: order first seen");
+  store.publishers["pubB"].lastSeen += 10_000;
+  assertEqual(order(), "pubC,pubA,pubB", "Fixed order does not move on new messages");
+  setSortMode("", "seat");
+  assertEqual(order(), "pubB,pubC,pubA", "Seat number from state");
+  setSortMode("", "name");
+  assertEqual(order(), "pubA,pubB,pubC", "Name (case-insensitive)");
+  assertEqual(setSortMode("", "random"), false, "Unknown sort modes are refused");
+
+  // Labels: display name, color, avatar (invalid fields are dropped)
+  const label = setPublisherLabel("", "pubC", { name: "  Aaron (host) ", color: "#FF8800", avatar: "🎩" });
+  assertEqual(label.name, "Aaron (host)");
+  assertEqual(label.color, "#ff8800");
+  assertEqual(order(), "pubC,pubA,pubB", "Name sort uses the operator label");
+  assertEqual(setPublisherLabel("", "pubA", { avatar: "too long", color: "red" }).avatar, undefined, "Avatar is 1-2 characters or an image URL");
+
+  // Pinned slots come first in every mode
+  pinPublisher("", "pubB", true);
+  pinPublisher("", "pubA", true);
+  assertEqual(order(), "pubB,pubA,pubC");
+  assert(movePinned("", "pubA", -1), "Pinned publishers can change slots");
+  assertEqual(order(), "pubA,pubB,pubC");
+  assertEqual(movePinned("", "pubA", -1), false, "Already in the first slot");
+
+  renderPublishersUI();
+  const tiles = els.publisherCardsGrid.querySelectorAll(".pubCardTile");
+  assertEqual(tiles.map((t) => t.dataset.pubId).join(","), "pubA,pubB,pubC", "Grid follows the order");
+  const host = tiles[2];
+  assertEqual(host.querySelector(".pubCardName").textContent, "Aaron (host)", "Tile shows the operator label");
+  assertEqual(host.querySelector(".pubAvatar").textContent, "🎩");
+  assertEqual(host.style.borderColor, "#ff8800", "Tile uses the publisher color");
+
+  // Pinned publishers keep their slot even when offline
+  store.publishers["pubB"].leftAt = store.publishers["pubB"].lastSeen;
+  renderPublishersUI();
+  assertEqual(els.publisherCardsGrid.querySelectorAll(".pubCardTile")[1].dataset.presence, "offline", "Pinned offline publisher stays in its slot");
+
+  // Saved per room
+  const saved = getRoomPrefs("");
+  clearRoomPrefs("");
+  assertEqual(order(), "pubB,pubC,pubA", "Cleared room is back to the default (last seen)");
+  restoreRoomPrefs("", saved);
+  assertEqual(order(), "pubA,pubB,pubC", "Restored sort mode + pins");
+
+  clearRoomPrefs("");
+  resetStore();
+  console.log("✓ Publisher labels + sort mode tests passed");
+}
+
+// Test the log ring buffer: eviction, filters, search, virtual scrolling and export
+function testLogBuffer() {
+  console.log("Testing log buffer...");
+
+  resetStore();
+  clearLog();
+  setBroadcastDelay(0);
+
+  handleIncomingMessage(JSON.stringify({ ...handMsg("pubA", "A", 1), playerName: "Alice" }));
+  handleIncomingMessage(JSON.stringify({ publisherId: "pubB", type: "state", data: { pot: 120 } }));
+  handleIncomingMessage(JSON.stringify({ publisherId: "pubB", type: "hand", data: { value1: "Z", suit1: "h", value2: "K", suit2: "d" } }));
+  assertEqual(getLogEntries().map((e) => e.type).join(","), "hand,state,hand", "Entries keep their message type");
+
+  const shown = () => getFilteredLogEntries().map((e) => e.cardsText).join(",");
+  setLogFilter({ kind: "error" });
+  assertEqual(shown(), "[invalid hand]", "Kind filter");
+  assertEqual(els.logCount.textContent, "1 / 3", "Count shows filtered / kept");
+  setLogFilter({ kind: "", publisherId: "pubB" });
+  assertEqual(shown(), "[state],[invalid hand]", "Publisher filter");
+  setLogFilter({ type: "state" });
+  assertEqual(shown(), "[state]", "Type filter (combined with publisher)");
+  setLogFilter({ publisherId: "", type: "", search: "ALICE" });
+  assertEqual(getFilteredLogEntries().length, 1, "Search is case-insensitive over the raw JSON");
+  assertEqual(els.log.querySelectorAll(".logRow").length, 1, "Only matching rows are drawn");
+  assert(els.logTypeFilter.querySelectorAll("option").some((o) => o.value === "state"), "Type menu lists the types seen");
+
+  // Export: the filtered entries, JSON parsed back
+  const exported = JSON.parse(serializeLogEntries(getFilteredLogEntries()));
+  assertEqual(exported.length, 1);
+  assertEqual(exported[0].data.playerName, "Alice", "Export keeps the message JSON");
+
+  // New entries matching the filter show up; others only change the count
+  handleIncomingMessage(JSON.stringify({ ...handMsg("pubC", "Q", 2), playerName: "alice" }));
+  handleIncomingMessage(JSON.stringify(handMsg("pubD", "J", 3)));
+  assertEqual(getFilteredLogEntries().length, 2, "Appended entries are filtered too");
+  setLogFilter({ search: "" });
+
+  // Ring buffer: the oldest entries go once it is full
+  clearLog();
+  for (let i = 0; i < MAX_LOG_ENTRIES + 5; i++) {
+    appendLog({ kind: i % 2 ? "info" : "message", time: 1000 + i, cardsText: `#${i}`, raw: JSON.stringify({ i }) });
+  }
+  const entries = getLogEntries();
+  assertEqual(entries.length, MAX_LOG_ENTRIES, "Buffer keeps MAX_LOG_ENTRIES entries");
+  assertEqual(entries[0].cardsText, "#5", "Oldest entries are dropped first");
+  assertEqual(entries[entries.length - 1].cardsText, `#${MAX_LOG_ENTRIES + 4}`);
+
+  // Virtual scrolling: follows the tail, draws a window around the scroll position
+  const rows = () => els.log.querySelectorAll(".logRow");
+  assert(rows().length < 60, "Only a window of rows is drawn");
+  assertEqual(rows()[rows().length - 1].textContent.includes(`#${MAX_LOG_ENTRIES + 4}`), true, "Scrolled to the newest entry");
+  els.log.scrollTop = 0;
+  onLogScroll();
+  assert(rows()[0].textContent.includes("#5"), "Scrolled to the top shows the oldest entry");
+  appendLog({ kind: "info", time: 99_999, cardsText: "#new", raw: "{}" });
+  assertEqual(els.log.scrollTop, 0, "Scrolled up: new entries do not move the view");
+  assert(rows()[0].textContent.includes("#6"), "Window still at the top (oldest entry dropped)");
+
+  // Expanding a row draws its JSON
+  rows()[0].click();
+  assert(rows()[0].querySelector("pre").textContent.includes("6"), "Expanded row shows its JSON");
+
+  clearLog();
+  assertEqual(rows().length, 0, "Clear empties the log");
+  resetStore();
+  console.log("✓ Log buffer tests passed");
+}
+
+// Test the JSON tree viewer: paths, lazy children, diff against the previous message of a type
+function testJsonTreeViewer() {
+  console.log("Testing JSON tree viewer...");
+
+  assertEqual(childPath(childPath(childPath("", "data"), "seats"), 2), "data.seats[2]", "Paths read like JS");
+  assertEqual(childPath("data", "odd key"), 'data["odd key"]', "Keys that are not identifiers are quoted");
+
+  const diff = diffJson({ data: { pot: 10, seats: [{ stack: 100 }], dealer: 1 } }, { data: { pot: 25, seats: [{ stack: 100 }, { stack: 50 }] } });
+  assertEqual(Array.from(diff.changes.entries()).map(([p, k]) => `${p}:${k}`).join(","), "data.pot:changed,data.seats[1]:added,data.dealer:removed");
+  assert(diff.ancestors.has("data") && diff.ancestors.has("data.seats"), "Containers holding changes are listed");
+
+  resetStore();
+  setBroadcastDelay(0);
+  setJsonDiffMode(false);
+  const state = (pot, board) => JSON.stringify({ publisherId: "pub1", type: "state", data: { pot, board, seats: [{ seat: 1, name: "Ann", stack: 500 }] } });
+  handleIncomingMessage(state(10, ["Ah", "Kd", "2c"]));
+  selectPublisher("pub1");
+  renderPublishersUI();
+
+  const entry = () => els.jsonViewer.querySelectorAll(".jsonEntry").find((e) => e.dataset.type === "state");
+  const nodes = () => entry().querySelectorAll(".jsonNode");
+  const node = (path) => nodes().find((n) => n.dataset.path === path);
+  assert(node("data.pot"), "Top-level fields are open by default");
+  assertEqual(node("data.pot").querySelector(".jsonNumber").textContent, "10", "Numbers are highlighted as numbers");
+  assertEqual(node("data.seats[0]"), undefined, "Deeper nodes stay closed (children not built)");
+
+  // Opening a node is kept across re-renders
+  node("data.seats").querySelector(".jsonToggle").click();
+  assert(node("data.seats[0]"), "Opened node shows its children");
+  renderPublishersUI();
+  assert(node("data.seats[0]"), "Opened node stays open after a re-render");
+
+  // Diff mode: fields changed since the previous state
+  handleIncomingMessage(state(40, ["Ah", "Kd", "2c", "9s"]));
+  setJsonDiffMode(true);
+  assertEqual(entry().querySelector(".jsonChangeCount").textContent, "2 changes");
+  assert(node("data.pot").classList.contains("jsonChanged"), "Changed field is highlighted");
+  assertEqual(node("data.pot").querySelector(".jsonOld").textContent, "10", "Changed field shows its previous value");
+  assert(node("data.board[3]").classList.contains("jsonAdded"), "Containers with changes open, added field highlighted");
+  assert(!node("data.seats").classList.contains("jsonChanged"), "Unchanged fields are not highlighted");
+
+  setJsonDiffMode(false);
+  assertEqual(entry().querySelectorAll(".jsonChangeCount").length, 0, "Diff off: no highlights");
+  resetStore();
+  console.log("✓ JSON tree viewer tests passed");
+}
+
+// Test connection diagnostics: attempts, backoff, close codes, per-publisher rate / latency / clock skew, report
+async function testConnectionDiagnostics() {
+  console.log("Testing connection diagnostics...");
+
+  for (const room of store.listRooms()) stopMonitoringRoom(room.id);
+  const fake = createFakeTransport();
+  setTransport(fake);
+  fillConnectForm("diagRoom");
+  setBroadcastDelay(0);
+
+  try {
+    await connect({ isAuto: false });
+    const ws = fake.connections[0];
+    ws.handlers.onOpen();
+    const now = Date.now();
+    ws.handlers.onMessage(JSON.stringify({ ...handMsg("pubA", "A", 1), data: { ...handMsg("pubA", "A", 1).data, timestamp: now - 150 } }));
+    ws.handlers.onMessage(JSON.stringify({ publisherId: "pubA", type: "state", timestamp: now - 250, data: {} }));
+    // pubB's clock runs 2s ahead of ours
+    ws.handlers.onMessage(JSON.stringify({ publisherId: "pubB", type: "state", data: { timestamp: now + 2000 } }));
+    ws.handlers.onMessage(JSON.stringify({ type: "snapshot", data: { old: { publisherId: "pubC", type: "state", data: { timestamp: 1 } } } }));
+    ws.handlers.onClose({ code: 1006, reason: "" });
+
+    const health = getRoomHealth("diagRoom");
+    assertEqual(health.connectAttempts, 1);
+    assertEqual(health.reconnects, 1, "Reconnect scheduled after an unexpected close");
+    assertEqual(health.backoffs[0].delayMs, 500, "Backoff delay is recorded");
+    assertEqual(health.closes.map((e) => e.code).join(","), "1006", "Close codes are recorded");
+    assertEqual(health.connectedAt, null, "Closed room is not connected");
+    assertEqual(health.messagesPerMinute, 3, "Snapshots are not counted");
+
+    const pubA = health.publishers.find((p) => p.id === "pubA");
+    const pubB = health.publishers.find((p) => p.id === "pubB");
+    assert(pubA.latency.p50 >= 150 && pubA.latency.p50 < 5000, "Latency is receive time minus the message timestamp");
+    assert(pubB.clockSkewMs >= 1000 && pubB.clockSkewMs <= 2000, "Clock running ahead shows as a positive skew");
+    assertEqual(pubA.rateSeries[pubA.rateSeries.length - 1], 2, "Newest rate bucket holds the latest messages");
+
+    // Health tab
+    selectRoom("diagRoom");
+    els.diagnosticsViewerSection.hidden = false;
+    renderDiagnostics();
+    assertEqual(els.diagnosticsViewer.querySelectorAll(".diagPublisher").length, 2, "One row per publisher");
+    assert(els.diagnosticsViewer.querySelectorAll(".diagClose")[0].textContent.includes("1006"), "Close codes are listed");
+    assert(els.diagnosticsViewer.querySelectorAll(".sparkBar").length > 0, "Sparklines are drawn");
+
+    const report = buildDiagnosticReport({ hub: "wss://hub.test/" });
+    assert(report.includes("Room diagRoom") && report.includes("Connect attempts: 1, reconnects: 1"), "Report lists the room's connection history");
+    assert(report.includes("Publisher pubB") && report.includes("clock skew"), "Report lists publishers with their clock skew");
+    assert(!report.includes("jwt-"), "Report never includes the token");
+  } finally {
+    disconnect();
+    els.diagnosticsViewerSection.hidden = true;
+  }
+
+  stopMonitoringRoom("diagRoom");
+  assertEqual(getRoomHealth("diagRoom"), null, "Removed rooms drop their diagnostics");
+  console.log("✓ Connection diagnostics tests passed");
+}
+
+// Test dead-connection watchdog: ping after a third of the idle timeout, idle close + reconnect, unversioned hubs
+async function testHeartbeatWatchdog() {
+  console.log("Testing heartbeat watchdog...");
+
+  for (const room of store.listRooms()) stopMonitoringRoom(room.id);
+  const fake = createFakeTransport();
+  setTransport(fake);
+  fillConnectForm("beatRoom");
+  setBroadcastDelay(0);
+  setIdleTimeout(30_000);
+
+  try {
+    assert(!setIdleTimeout(1000), "Idle timeouts below the minimum are rejected");
+
+    await connect({ isAuto: false });
+    selectRoom("beatRoom");
+    const ws = fake.connections[0];
+    ws.handlers.onOpen();
+    ws.handlers.onMessage(JSON.stringify({ v: 1, type: "hello", data: { protocol: 1 } }));
+    ws.handlers.onMessage(JSON.stringify({ v: 1, ...handMsg("pubA", "A", 1) }));
+    const t0 = Date.now();
+
+    runHeartbeat(t0 + 5_000);
+    assertEqual(ws.sent.length, 0, "No ping while the hub is talking");
+    assertEqual(els.statusText.textContent, "connected");
+
+    runHeartbeat(t0 + 11_000);
+    assertEqual(ws.sent.length, 1, "Silent hub is pinged");
+    assertEqual(JSON.parse(ws.sent[0]).type, "ping");
+    assertEqual(els.statusBadge.dataset.health, "hubSilent");
+    assertEqual(els.statusText.textContent, "connected · hub silent");
+    runHeartbeat(t0 + 12_000);
+    assertEqual(ws.sent.length, 1, "One ping per third of the idle timeout");
+
+    // The pong proves the socket is alive; it is not logged or stored
+    const logged = getLogEntries("beatRoom").length;
+    ws.handlers.onMessage(JSON.stringify({ v: 1, type: "pong", t: t0 + 11_000 }));
+    assertEqual(els.statusText.textContent, "connected", "Any traffic clears hub silent");
+    assertEqual(getLogEntries("beatRoom").length, logged, "Pongs are not logged");
+
+    // Hub alive (pongs), but no publisher message for the whole timeout
+    const quiet = assessConnection({ connectedAt: t0, lastTrafficAt: t0 + 40_000, lastPublisherAt: t0, lastPingAt: t0 + 39_000, canPing: true }, t0 + 41_000);
+    assertEqual(quiet.health, "publishersSilent");
+    assertEqual(quiet.action, "none", "A live hub with quiet publishers is not reconnected");
+
+    // Nothing at all for the idle timeout: the socket is dropped and reconnected with backoff
+    runHeartbeat(Date.now() + 30_000);
+    assertEqual(ws.closeCode, IDLE_CLOSE_CODE, "Dead connection is closed with the idle close code");
+    assertEqual(store.rooms.beatRoom.status, "reconnecting");
+    assertEqual(getRoomHealth("beatRoom").backoffs.length, 1, "Reconnect goes through the usual backoff");
+    assert(getLogEntries("beatRoom").some((e) => e.cardsText.includes("hub silent")), "Idle close is logged");
+  } finally {
+    disconnect();
+    setIdleTimeout(DEFAULT_IDLE_TIMEOUT_MS);
+  }
+  stopMonitoringRoom("beatRoom");
+
+  // Unversioned hub: never pinged, but still reconnected after the whole idle timeout
+  fillConnectForm("oldHubRoom");
+  setIdleTimeout(30_000);
+  try {
+    await connect({ isAuto: false });
+    selectRoom("oldHubRoom");
+    const ws = fake.connections[fake.connections.length - 1];
+    ws.handlers.onOpen();
+    ws.handlers.onMessage(JSON.stringify(handMsg("pubA", "A", 1)));
+    const t0 = Date.now();
+
+    runHeartbeat(t0 + 11_000);
+    assertEqual(ws.sent.length, 0, "Unversioned hubs are not pinged");
+    assertEqual(els.statusText.textContent, "connected", "Short silence is not reported");
+    runHeartbeat(t0 + 20_000);
+    assertEqual(ws.closeCode, null, "Unversioned hubs are kept within the idle timeout");
+    runHeartbeat(t0 + 31_000);
+    assertEqual(ws.sent.length, 0, "Still no ping");
+    assertEqual(ws.closeCode, IDLE_CLOSE_CODE, "A half-open socket to an unversioned hub is dropped");
+    assertEqual(store.rooms.oldHubRoom.status, "reconnecting");
+  } finally {
+    disconnect();
+    setIdleTimeout(DEFAULT_IDLE_TIMEOUT_MS);
+  }
+  stopMonitoringRoom("oldHubRoom");
+
+  console.log("✓ Heartbeat watchdog tests passed");
+}
+
+// Test stream gaps: seq jumps, numbering restarts, outage gaps after reconnects and the resume cursor
+async function testStreamGaps() {
+  console.log("Testing stream gaps + resume...");
+
+  for (const room of store.listRooms()) stopMonitoringRoom(room.id);
+  const fake = createFakeTransport();
+  setTransport(fake);
+  fillConnectForm("gapRoom");
+  setBroadcastDelay(0);
+  const numbered = (seq, rank) => ({ ...handMsg("pubA", rank, seq), seq });
+  const gapRows = () => getLogEntries("gapRoom").filter((e) => e.type === "gap");
+
+  try {
+    await connect({ isAuto: false });
+    selectRoom("gapRoom");
+    const first = fake.connections[0];
+    assertEqual(new URL(first.url).searchParams.get("since"), null, "First connect has no resume cursor");
+    first.handlers.onOpen();
+    first.handlers.onMessage(JSON.stringify({ v: 1, type: "hello", data: { protocol: 1, resume: true } }));
+    first.handlers.onMessage(JSON.stringify({ v: 1, ...numbered(1, "A") }));
+    first.handlers.onMessage(JSON.stringify({ v: 1, ...numbered(2, "Q") }));
+    // pubB is not numbered: only outages can reveal its gaps
+    first.handlers.onMessage(JSON.stringify({ v: 1, ...handMsg("pubB", "9", 3) }));
+    assertEqual(gapRows().length, 0, "Consecutive seqs are not a gap");
+
+    first.handlers.onMessage(JSON.stringify({ v: 1, ...numbered(5, "J") }));
+    assertEqual(gapRows().length, 1, "A seq jump is logged");
+    assertEqual(gapRows()[0].cardsText, "[gap · 2 missed]");
+    const history = store.publishers.pubA.handHistory;
+    assertEqual(history[history.length - 1].gapBefore.fromSeq, 3, "The next hand carries the gap");
+    renderHandTimeline();
+    assert(els.historyViewer.querySelectorAll(".historyGap")[0].textContent.includes("2 messages missed (seq 3–4)"), "History shows the gap");
+
+    // Reconnect: the cursor asks the hub for everything after the last seq seen
+    const closedAt = Date.now();
+    first.handlers.onClose({ code: 1006, reason: "" });
+    await sleep(700);
+    const second = fake.connections[1];
+    assertEqual(new URL(second.url).searchParams.get("since"), "pubA:5", "Reconnect resumes from the last seq per publisher");
+    second.handlers.onOpen();
+    second.handlers.onMessage(JSON.stringify({ v: 1, type: "hello", data: { protocol: 1, resume: true } }));
+    second.handlers.onMessage(JSON.stringify({ v: 1, type: "resume", data: { messages: [numbered(7, "T"), numbered(6, "8")] } }));
+    second.handlers.onMessage(
+      JSON.stringify({ v: 1, type: "snapshot", data: { messages: [numbered(7, "T"), handMsg("pubB", "7", closedAt + 1)] } })
+    );
+
+    assertEqual(store.publishers.pubA.handHistory.map((h) => h.value1).join(","), "A,Q,J,8,T", "Resumed hands fill the outage in seq order");
+    const rows = gapRows();
+    assertEqual(rows.length, 2, "Only pubB's outage is reported after a resume");
+    assertEqual(rows[1].cardsText, "[possible gap]", "Unnumbered publisher active during the outage");
+    assertEqual(rows[1].publisherId, "pubB");
+    assertEqual(store.publishers.pubB.handHistory[1].gapBefore.mode, "time");
+
+    // A restarted hub numbers from wherever it resumed: a large backwards jump resets the cursor
+    second.handlers.onMessage(JSON.stringify({ v: 1, ...numbered(30, "K") }));
+    assertEqual(gapRows().length, 3, "Forward jump before the restart is a gap");
+    second.handlers.onMessage(JSON.stringify({ v: 1, ...numbered(28, "2") }));
+    assertEqual(getResumeCursor("gapRoom"), "pubA:30", "A late copy just below the cursor keeps it");
+    second.handlers.onMessage(JSON.stringify({ v: 1, ...numbered(4, "3") }));
+    second.handlers.onMessage(JSON.stringify({ v: 1, ...numbered(5, "4") }));
+    assertEqual(gapRows().length, 3, "Numbering restart is not reported as a gap");
+    assertEqual(getResumeCursor("gapRoom"), "pubA:5", "The cursor follows the restarted numbering");
+    assertEqual(store.publishers.pubA.handHistory.map((h) => h.value1).slice(-2).join(","), "3,4", "Hands after the restart are kept");
+
+    // A manual disconnect is an outage too: pubB's hands sent meanwhile are a possible gap
+    disconnect();
+    const stoppedAt = Date.now();
+    await sleep(20);
+    await connect({ isAuto: false });
+    const third = fake.connections[fake.connections.length - 1];
+    third.handlers.onOpen();
+    third.handlers.onMessage(JSON.stringify({ v: 1, type: "hello", data: { protocol: 1, resume: true } }));
+    third.handlers.onMessage(JSON.stringify({ v: 1, ...handMsg("pubB", "5", stoppedAt + 5) }));
+    assertEqual(gapRows().length, 4, "Manual disconnect outage is reported");
+    assertEqual(gapRows()[3].publisherId, "pubB");
+  } finally {
+    disconnect();
+  }
+  stopMonitoringRoom("gapRoom");
+
+  console.log("✓ Stream gap tests passed");
+}
+
+// Test offline shell: service worker caches shell files only, web app manifest, offline screen of saved rooms
+async function testOfflineShell() {
+  console.log("Testing offline shell...");
+
+  // The service worker caches everything the page needs to start
+  const sw = readFileSync(new URL("./sw.js", import.meta.url), "utf8");
+  const shell = Array.from(sw.match(/const SHELL_FILES = \[([^\]]*)\]/)[1].matchAll(/"([^"]+)"/g), (m) => m[1]);
+  for (const file of ["./", "./index.html", "./app.js", "./styles.css", "./manifest.webmanifest"]) {
+    assert(shell.includes(file), `Shell caches ${file}`);
+  }
+  for (const file of readdirSync(new URL("./src/", import.meta.url))) {
+    assert(shell.includes(`./src/${file}`), `Shell caches src/${file}`);
+  }
+  for (const file of shell.filter((f) => f !== "./")) {
+    assert(existsSync(new URL(file, import.meta.url)), `${file} exists`);
+  }
+
+  // Only shell files are ever cached: navigations (whatever their query string) share index.html
+  const cached = new Map();
+  const listeners = {};
+  let online = true;
+  runInNewContext(sw, {
+    self: {
+      location: { href: "https://dash.example/app/sw.js", origin: "https://dash.example" },
+      addEventListener: (type, fn) => (listeners[type] = fn),
+    },
+    caches: { open: async () => ({ put: async (key, res) => void cached.set(key, res), match: async (key) => cached.get(key) }) },
+    fetch: async (req) => {
+      if (!online) throw new Error("offline");
+      return { ok: true, url: req.url, clone: () => ({ copyOf: req.url }) };
+    },
+    Response: { error: () => null },
+    URL,
+    Set,
+  });
+  const swFetch = (url, mode = "cors") => new Promise((resolve) => listeners.fetch({ request: { method: "GET", url, mode }, respondWith: resolve }));
+  await swFetch("https://dash.example/app/?room=a&delay=30s", "navigate");
+  await swFetch("https://dash.example/app/index.html?mode=overlay&publisher=p1", "navigate");
+  await swFetch("https://dash.example/app/src/store.js?v=2");
+  await swFetch("https://dash.example/app/dashboard.config.json");
+  assertEqual([...cached.keys()].sort().join(","), "https://dash.example/app/index.html,https://dash.example/app/src/store.js", "Cache holds shell files only");
+  online = false;
+  const offlinePage = await swFetch("https://dash.example/app/?room=zzz", "navigate");
+  assertEqual(offlinePage.copyOf, "https://dash.example/app/index.html?mode=overlay&publisher=p1", "Offline navigations get the cached index.html");
+
+  const manifest = JSON.parse(readFileSync(new URL("./manifest.webmanifest", import.meta.url), "utf8"));
+  assertEqual(manifest.display, "standalone");
+  assert(manifest.icons.some((icon) => icon.sizes === "512x512"), "Manifest has a 512px icon");
+  assert(document.querySelector('link[rel="manifest"]'), "index.html links the manifest");
+
+  // Offline screen: saved rooms, newest first, expired ones left out
+  const now = Date.now();
+  const saved = [
+    { roomId: "older", label: "older", savedAt: now - 60_000, publishers: {}, log: [] },
+    { roomId: "newer", label: "Main table", savedAt: now - 5_000, publishers: { p1: { handHistory: [{}, {}] } }, log: [{}, {}, {}] },
+    { roomId: "expired", label: "expired", savedAt: now - SAVED_ROOM_TTL_MS - 1, publishers: {}, log: [] },
+  ];
+  setPersistenceBackend({ getAll: async () => saved, put: async () => {}, delete: async () => {} });
+  try {
+    assertEqual((await listSavedRooms(now)).map((r) => r.roomId).join(","), "newer,older");
+
+    const opened = [];
+    await renderOfflineScreen({ onOpenRoom: (roomId) => opened.push(roomId), now });
+    const rows = els.offlineRooms.querySelectorAll(".offlineRoom");
+    assertEqual(rows.length, 2, "One row per saved room");
+    assert(rows[0].textContent.includes("Main table") && rows[0].textContent.includes("2 hands · 3 log rows"), "Rows show what was saved");
+    rows[0].querySelectorAll(".offlineRoomOpen")[0].click();
+    assertEqual(opened.join(","), "newer", "Open hands the room to the dashboard");
+
+    setPersistenceBackend({ getAll: async () => [], put: async () => {}, delete: async () => {} });
+    await renderOfflineScreen({ onOpenRoom: () => {}, now });
+    assertEqual(els.offlineRooms.textContent, "No rooms saved on this machine.");
+  } finally {
+    setPersistenceBackend(null);
+  }
+
+  console.log("✓ Offline shell tests passed");
+}
+
+// Test alert rules: auth failures, new message types, pocket pairs, offline publishers, paused replays, rule editor
+async function testAlertRules() {
+  console.log("Testing alert rules...");
+
+  resetStore();
+  setBroadcastDelay(0);
+  clearLog();
+  els.alertToasts.innerHTML = "";
+  const alerts = () => getLogEntries().filter((e) => e.type === "alert");
+
+  assertEqual(addAlertRule({ kind: "nope" }), null, "Unknown rule kinds are refused");
+  const auth = addAlertRule({ kind: "authFailures", count: 2 });
+  const newType = addAlertRule({ kind: "newMessageType", sound: true });
+  const pair = addAlertRule({ kind: "pocketPair", subject: " kunga " });
+  const offline = addAlertRule({ kind: "publisherOffline" });
+  assertEqual(pair.subject, "kunga", "Subjects are trimmed");
+  const saved = JSON.parse(window.localStorage.getItem("holeCards.alertRules"));
+  assertEqual(saved.map((r) => r.kind).join(","), "authFailures,newMessageType,pocketPair,publisherOffline", "Rules are kept in localStorage");
+
+  try {
+    // 4002: one alert per `count` failures within the window
+    const t = Date.now();
+    noteAuthFailure("authRoom", t);
+    assertEqual(alerts().length, 0, "One failure is not enough");
+    noteAuthFailure("authRoom", t + 1000);
+    assertEqual(alerts().length, 1, "Second failure raises the alert");
+    assert(alerts()[0].cardsText.includes("2 auth failures"), "Alert names the failure count");
+    noteAuthFailure("authRoom", t + 2000);
+    assertEqual(alerts().length, 1, "Failures already alerted on are not counted again");
+    noteAuthFailure("authRoom", t + 3000);
+    assertEqual(alerts().length, 2, "Two more failures alert again");
+
+    // First message of an unknown type, once per room; built-in types never count
+    handleIncomingMessage(JSON.stringify({ publisherId: "pub1", type: "chat", data: { text: "hi" } }));
+    handleIncomingMessage(JSON.stringify({ publisherId: "pub1", type: "chat", data: { text: "again" } }));
+    assertEqual(alerts().filter((e) => e.cardsText.includes('"chat"')).length, 1, "New type alerts once");
+
+    // Types in a restored room's saved store were seen before the reload
+    const savedRoom = {
+      roomId: "alertRestored",
+      label: "alertRestored",
+      savedAt: Date.now(),
+      publishers: { pubS: { lastSeen: Date.now(), playerName: null, latestByType: { scores: { publisherId: "pubS", type: "scores", data: {} } }, handHistory: [] } },
+      log: [],
+    };
+    setPersistenceBackend({ getAll: async () => [savedRoom], put: async () => {}, delete: async () => {} });
+    try {
+      await restoreRooms(["alertRestored"]);
+    } finally {
+      setPersistenceBackend(null);
+    }
+    handleIncomingMessage(JSON.stringify({ publisherId: "pubS", type: "scores", data: {} }), { roomId: "alertRestored" });
+    handleIncomingMessage(JSON.stringify({ publisherId: "pubS", type: "tips", data: {} }), { roomId: "alertRestored" });
+    assert(!alerts().some((e) => e.cardsText.includes('"scores"')), "Restored types are not new");
+    assert(alerts().some((e) => e.cardsText.includes('"tips"')), "Other types still are");
+    stopMonitoringRoom("alertRestored");
+
+    // Replays never alert
+    setAlertsPaused(true);
+    handleIncomingMessage(JSON.stringify({ publisherId: "pub1", type: "replayOnly", data: {} }));
+    setAlertsPaused(false);
+    assert(!alerts().some((e) => e.cardsText.includes("replayOnly")), "Paused alerts stay quiet");
+
+    // Pocket pairs: only once the hand is over, only for the named player
+    const state = (handNumber) =>
+      handleIncomingMessage(JSON.stringify({ publisherId: "pub1", type: "state", data: { handNumber, board: [], seats: [{ seat: 1, playerId: "pub1" }] } }));
+    state(20);
+    handleIncomingMessage(JSON.stringify(handMsg("pub1", "Q", 1, { playerName: "Kunga", data: { value1: "Q", suit1: "h", value2: "Q", suit2: "d", timestamp: 1 } })));
+    handleIncomingMessage(JSON.stringify(handMsg("pub2", "9", 1, { playerName: "Bob", data: { value1: "9", suit1: "c", value2: "9", suit2: "s", timestamp: 1 } })));
+    const pairAlerts = () => alerts().filter((e) => e.cardsText.includes("pocket pair"));
+    assertEqual(pairAlerts().length, 0, "No pocket-pair alert during the hand");
+    state(21);
+    assertEqual(pairAlerts().length, 1, "Pocket pair alert when the hand ends");
+    assert(pairAlerts()[0].cardsText.includes("Kunga") && pairAlerts()[0].publisherId === "pub1", "Only the named player");
+
+    // A hand published under an ID merged into the named publisher counts as theirs
+    const altId = "0b9e6a52-1c1f-4d2e-9a3b-5f6e7d8c9a0b";
+    state(22);
+    handleIncomingMessage(JSON.stringify(handMsg(altId, "J", 2, { playerName: "anon", data: { value1: "J", suit1: "h", value2: "J", suit2: "d", timestamp: 2 } })));
+    assert(mergePublishers("", altId, "pub1"), "Alias merged");
+    state(23);
+    assertEqual(pairAlerts().length, 2, "Merged publisher's hands match the rule");
+    assertEqual(pairAlerts()[1].publisherId, "pub1", "Alert names the merged publisher");
+    clearRoomIdentity("");
+
+    // Offline: on the switch, not for publishers already offline when first checked
+    const now = Date.now();
+    checkPresenceAlerts(now);
+    checkPresenceAlerts(now + DEFAULT_OFFLINE_AFTER_MS + 1000);
+    const offlineAlerts = () => alerts().filter((e) => e.cardsText.includes("went offline"));
+    assertEqual(offlineAlerts().length, 2, "Each publisher going offline alerts");
+    checkPresenceAlerts(now + DEFAULT_OFFLINE_AFTER_MS + 2000);
+    assertEqual(offlineAlerts().length, 2, "Staying offline doesn't alert again");
+
+    const toasts = els.alertToasts.querySelectorAll(".alertToast");
+    assertEqual(toasts.length, MAX_TOASTS, "Oldest toasts make room for new ones");
+    assert(toasts[toasts.length - 1].textContent.includes("went offline"), "Newest toast last");
+    toasts[0].querySelectorAll(".alertToastClose")[0].click();
+    assertEqual(els.alertToasts.querySelectorAll(".alertToast").length, MAX_TOASTS - 1, "Toasts can be dismissed");
+
+    // Rule editor: enable toggle + remove
+    renderAlertRules();
+    let rows = els.alertRulesList.querySelectorAll(".alertRule");
+    assertEqual(rows.length, 4, "A row per rule");
+    assert(rows[0].textContent.includes("2 within 10 min"), "Rows describe the rule");
+    const toggle = rows[0].querySelectorAll(".alertRuleToggle")[0];
+    toggle.checked = false;
+    toggle.dispatchEvent({ type: "change" });
+    assertEqual(getAlertRules()[0].enabled, false, "Toggle disables the rule");
+    noteAuthFailure("authRoom", Date.now());
+    noteAuthFailure("authRoom", Date.now());
+    assertEqual(alerts().filter((e) => e.cardsText.includes("auth failures")).length, 2, "Disabled rules don't fire");
+    els.alertRulesList.querySelectorAll(".alertRuleRemove")[0].click();
+    rows = els.alertRulesList.querySelectorAll(".alertRule");
+    assertEqual(rows.length, 3, "Remove deletes the rule");
+    assertEqual(JSON.parse(window.localStorage.getItem("holeCards.alertRules")).length, 3, "Removal is saved");
+  } finally {
+    for (const rule of [auth, newType, pair, offline]) removeAlertRule(rule.id);
+    els.alertToasts.innerHTML = "";
+  }
+  renderAlertRules();
+  assertEqual(els.alertRulesList.textContent, "No alert rules.");
+
+  console.log("✓ Alert rules tests passed");
 }
 
 // Run all tests
@@ -222,6 +2014,32 @@ async function runAllTests() {
     testGetSubscriberTokenHeaderAnd401,
     testSnapshotMessageHandling,
     testReAuthInFlightGuard,
+    testParseDelay,
+    testBroadcastDelayQueue,
+    testHandHistoryDedupe,
+    testSessionNdjsonRoundTrip,
+    testRenderPublisherCards,
+    testAuthHelpers,
+    testAlternativeAuthModes,
+    testProactiveTokenRefresh,
+    testMultiRoomMonitoring,
+    testTableView,
+    testHandEquityRecap,
+    testOverlayMode,
+    testHandHistoryExport,
+    testPersistenceRestore,
+    testMessageSchemaValidation,
+    testProtocolVersionNegotiation,
+    testPublisherPresence,
+    testPublisherIdentity,
+    testPublisherPrefs,
+    testLogBuffer,
+    testJsonTreeViewer,
+    testConnectionDiagnostics,
+    testHeartbeatWatchdog,
+    testStreamGaps,
+    testOfflineShell,
+    testAlertRules,
   ];
 
   let passed = 0;
@@ -252,5 +2070,5 @@ async function runAllTests() {
   return failed === 0;
 }
 
-runAllTests();
-
+const ok = await runAllTests();
+process.exit(ok ? 0 : 1);